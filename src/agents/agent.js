@@ -161,6 +161,13 @@ export function registerAgent(agent) {
     AGENTS.set(agent.name, agent);
 }
 
+/**
+ * Unregister an agent
+ */
+export function unregisterAgent(name) {
+    return AGENTS.delete(name);
+}
+
 /**
  * Get an agent by name
  */
@@ -251,11 +258,16 @@ export async function parseAgentFile(filePath) {
             }
         }
 
+        // Claude-style agents list tools as "Read, Grep, Glob"
+        const tools = typeof meta.tools === 'string'
+            ? meta.tools.split(',').map(t => t.trim()).filter(Boolean)
+            : meta.tools || [];
+
         return {
             name: meta.name || path.basename(filePath, '.md'),
             description: meta.description || '',
             model: meta.model || 'inherit',
-            tools: meta.tools || [],
+            tools,
             color: meta.color || 'cyan',
             prompt: body,
             source: filePath
@@ -328,7 +340,8 @@ export function printAgentsList() {
 
     for (const agent of agents) {
         const colorFn = colorMap[agent.color] || colorMap.cyan;
-        console.log(`  ${colorFn('●')} ${colors.primary(agent.name)}`);
+        const source = agent.plugin ? colors.muted(` (plugin: ${agent.plugin})`) : '';
+        console.log(`  ${colorFn('●')} ${colors.primary(agent.name)}${source}`);
         console.log(`    ${colors.muted(agent.description)}`);
         console.log(`    ${colors.muted('Tools:')} ${agent.tools.slice(0, 5).join(', ')}${agent.tools.length > 5 ? '...' : ''}`);
         console.log();
@@ -344,6 +357,7 @@ initializeBuiltinAgents();
 export default {
     initializeBuiltinAgents,
     registerAgent,
+    unregisterAgent,
     getAgent,
     getAllAgents,
     loadAgents,
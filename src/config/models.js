@@ -0,0 +1,200 @@
+// MyLocalCLI - Model Registry
+// What each model can do (context window, output limit, tools, vision, JSON mode, reasoning) keyed by model id pattern
+
+import { getSetting } from './settings.js';
+import { PROVIDERS } from './providers.js';
+
+/**
+ * Capabilities of a model
+ * @typedef {Object} ModelCapabilities
+ * @property {number} contextWindow - Context window in tokens
+ * @property {number} maxOutput - Most tokens one response may use
+ * @property {boolean|null} tools - Native tool calling (null = unknown, tried in 'auto' mode)
+ * @property {boolean} vision - Accepts images
+ * @property {boolean} jsonMode - Supports JSON output mode (response_format)
+ * @property {string|null} reasoning - How reasoning shows up in the output:
+ *           'think-tags' (<think>...</think> before the answer), 'hidden' (not returned) or null (none)
+ */
+
+// First match wins, so more specific patterns come first.
+// Fields an entry leaves out fall back to MODEL_DEFAULTS.
+export const MODEL_CAPABILITIES = [
+    { pattern: /gpt-4\.1/, contextWindow: 1047576, maxOutput: 32768, tools: true, vision: true, jsonMode: true },
+    { pattern: /gpt-4o/, contextWindow: 128000, maxOutput: 16384, tools: true, vision: true, jsonMode: true },
+    { pattern: /\bo[134](-mini)?\b/, contextWindow: 128000, maxOutput: 65536, tools: true, jsonMode: true, reasoning: 'hidden' },
+    { pattern: /gpt-4-turbo/, contextWindow: 128000, maxOutput: 4096, tools: true, vision: true, jsonMode: true },
+    { pattern: /gpt-4/, contextWindow: 8192, maxOutput: 8192, tools: true },
+    { pattern: /gpt-3\.5/, contextWindow: 16385, maxOutput: 4096, tools: true, jsonMode: true },
+    { pattern: /claude-3-(haiku|opus|sonnet)/, contextWindow: 200000, maxOutput: 4096, tools: true, vision: true },
+    { pattern: /claude-3-5/, contextWindow: 200000, maxOutput: 8192, tools: true, vision: true },
+    { pattern: /claude/, contextWindow: 200000, maxOutput: 32000, tools: true, vision: true },
+    { pattern: /gemini/, contextWindow: 1048576, maxOutput: 8192, tools: true, vision: true, jsonMode: true },
+    // Before qwen and llama: the R1 distills are named after their base model
+    { pattern: /deepseek-r1|deepseek-reasoner/, contextWindow: 65536, maxOutput: 8192, tools: false, reasoning: 'think-tags' },
+    { pattern: /gemma-?3/, contextWindow: 131072, maxOutput: 8192, tools: false, vision: true },
+    { pattern: /gemma/, contextWindow: 8192, tools: false },
+    { pattern: /llama-?3\.2-vision/, contextWindow: 131072, tools: false, vision: true },
+    { pattern: /llama-?3\.[1-3]/, contextWindow: 131072, maxOutput: 8192, tools: true, jsonMode: true },
+    { pattern: /llama-?3/, contextWindow: 8192, tools: false },
+    { pattern: /llama-?2/, contextWindow: 4096, maxOutput: 2048, tools: false },
+    { pattern: /codellama/, contextWindow: 16384, tools: false },
+    { pattern: /llava|bakllava|moondream/, contextWindow: 4096, maxOutput: 2048, tools: false, vision: true },
+    { pattern: /qwq|qwen-?3/, contextWindow: 32768, maxOutput: 8192, tools: true, reasoning: 'think-tags' },
+    { pattern: /qwen-?2\.5/, contextWindow: 32768, maxOutput: 8192, tools: true, jsonMode: true },
+    { pattern: /qwen/, contextWindow: 32768 },
+    { pattern: /deepseek/, contextWindow: 65536, maxOutput: 8192, tools: true, jsonMode: true },
+    { pattern: /mistral-nemo|mistral-large|codestral/, contextWindow: 131072, tools: true, jsonMode: true },
+    { pattern: /mistral|mixtral/, contextWindow: 32768 },
+    { pattern: /phi-?3.*128k/, contextWindow: 131072, tools: false },
+    { pattern: /phi-?4/, contextWindow: 16384, tools: false },
+    { pattern: /phi-?3/, contextWindow: 4096, maxOutput: 2048, tools: false }
+];
+
+// Local servers (and custom endpoints) load models with small windows unless told otherwise
+const isLocalProvider = (providerName) => PROVIDERS[providerName]?.local || providerName === 'custom';
+export const DEFAULT_LOCAL_CONTEXT_WINDOW = 8192;
+export const DEFAULT_CONTEXT_WINDOW = 128000;
+
+// What an unknown model is assumed to do
+export const MODEL_DEFAULTS = {
+    maxOutput: 4096,
+    tools: null,
+    vision: false,
+    jsonMode: false,
+    reasoning: null
+};
+
+// Capability fields an override may set
+const CAPABILITY_FIELDS = ['contextWindow', 'maxOutput', 'tools', 'vision', 'jsonMode', 'reasoning'];
+
+// Copy the capability fields a registry entry or override sets
+function assignCapabilities(target, source = {}) {
+    for (const field of CAPABILITY_FIELDS) {
+        if (source[field] !== undefined) target[field] = source[field];
+    }
+    return target;
+}
+
+/**
+ * Whether an override key names a model: the exact id, or a pattern with *
+ */
+function matchesModelKey(key, id) {
+    const pattern = key.toLowerCase();
+    if (!pattern.includes('*')) return pattern === id;
+    const escaped = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`).test(id);
+}
+
+/**
+ * Overrides from the `modelCapabilities` setting that apply to a model
+ * Pattern keys apply first, so an exact id wins over them.
+ */
+function getCapabilityOverrides(id) {
+    const overrides = getSetting('modelCapabilities') || {};
+    const keys = Object.keys(overrides)
+        .filter(key => matchesModelKey(key, id))
+        .sort((a, b) => Number(!a.includes('*')) - Number(!b.includes('*')));
+
+    return keys.reduce((merged, key) => assignCapabilities(merged, overrides[key]), {});
+}
+
+/**
+ * Get what a model can do
+ * Sources, later ones winning: the registry (or defaults for unknown
+ * models), the context length the server loaded the model with, the
+ * `modelCapabilities` setting, and finally the `contextWindow` setting.
+ * Local servers load models with less context than the models support,
+ * so for them the registry's window is capped at DEFAULT_LOCAL_CONTEXT_WINDOW.
+ *
+ * @param {string} providerName - Provider id
+ * @param {string} model - Model id
+ * @param {number|null} [serverContext] - Context length detected from the server
+ * @returns {ModelCapabilities}
+ */
+export function getModelCapabilities(providerName, model, serverContext = null) {
+    const id = (model || '').toLowerCase();
+    const local = isLocalProvider(providerName);
+    const capabilities = assignCapabilities({
+        contextWindow: local ? DEFAULT_LOCAL_CONTEXT_WINDOW : DEFAULT_CONTEXT_WINDOW,
+        ...MODEL_DEFAULTS
+    }, MODEL_CAPABILITIES.find(e => e.pattern.test(id)));
+    if (local) capabilities.contextWindow = Math.min(capabilities.contextWindow, DEFAULT_LOCAL_CONTEXT_WINDOW);
+
+    if (serverContext) capabilities.contextWindow = serverContext;
+    assignCapabilities(capabilities, getCapabilityOverrides(id));
+
+    const contextOverride = getSetting('contextWindow');
+    if (contextOverride) capabilities.contextWindow = contextOverride;
+
+    // A response can't use more room than the whole window
+    capabilities.maxOutput = Math.min(capabilities.maxOutput, capabilities.contextWindow);
+    return capabilities;
+}
+
+/**
+ * Get the context window for a model
+ * The `contextWindow` setting overrides the registry (useful when a local
+ * server was started with a larger context). A size the server reported
+ * comes next, unless `modelCapabilities` sets one for the model.
+ *
+ * @param {string} providerName - Provider id
+ * @param {string} model - Model id
+ * @param {number|null} [serverContext] - Context length detected from the server
+ * @returns {number} Context window in tokens
+ */
+export function getContextWindow(providerName, model, serverContext = null) {
+    return getModelCapabilities(providerName, model, serverContext).contextWindow;
+}
+
+/**
+ * Capabilities of the model a provider (or fallback chain) is using right now
+ * @param {Object} provider - LLM provider
+ * @param {string|null} [providerName] - Provider id, when the provider can't tell
+ * @returns {ModelCapabilities}
+ */
+export function getProviderCapabilities(provider, providerName = null) {
+    return getModelCapabilities(provider.activeName || providerName, provider.model, provider.contextLength);
+}
+
+// Smallest max_tokens asked for, even when the prompt nearly fills the window
+export const MIN_RESPONSE_TOKENS = 256;
+
+/**
+ * max_tokens for a request: the model's output limit, capped by the room
+ * the prompt leaves in the context window
+ * @param {ModelCapabilities} capabilities
+ * @param {number} promptTokens - Estimated size of the request
+ * @returns {number}
+ */
+export function getResponseTokenLimit(capabilities, promptTokens) {
+    const room = capabilities.contextWindow - promptTokens;
+    return Math.max(MIN_RESPONSE_TOKENS, Math.min(capabilities.maxOutput, room));
+}
+
+/**
+ * One-line summary ("128K context, 16K output, tool calling, vision")
+ * @param {ModelCapabilities} capabilities
+ */
+export function describeModelCapabilities(capabilities) {
+    const size = (tokens) => `${Math.round(tokens / 1024)}K`;
+    const parts = [`${size(capabilities.contextWindow)} context`, `${size(capabilities.maxOutput)} output`];
+    if (capabilities.tools === true) parts.push('tool calling');
+    if (capabilities.tools === false) parts.push('text tool format');
+    if (capabilities.vision) parts.push('vision');
+    if (capabilities.jsonMode) parts.push('JSON mode');
+    if (capabilities.reasoning) parts.push(`reasoning (${capabilities.reasoning})`);
+    return parts.join(', ');
+}
+
+export default {
+    MODEL_CAPABILITIES,
+    MODEL_DEFAULTS,
+    DEFAULT_CONTEXT_WINDOW,
+    DEFAULT_LOCAL_CONTEXT_WINDOW,
+    MIN_RESPONSE_TOKENS,
+    getModelCapabilities,
+    getContextWindow,
+    getProviderCapabilities,
+    getResponseTokenLimit,
+    describeModelCapabilities
+};
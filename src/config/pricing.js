@@ -0,0 +1,80 @@
+// MyLocalCLI - Price Table
+// Estimated API prices (USD per million tokens) keyed by provider and model id pattern
+
+import { getSetting } from './settings.js';
+import { PROVIDERS } from './providers.js';
+
+// First match wins, so more specific patterns come first.
+// List prices at the time of writing; the modelPrices setting overrides them.
+export const MODEL_PRICES = {
+    openai: [
+        { pattern: /gpt-4\.1-nano/, input: 0.10, output: 0.40 },
+        { pattern: /gpt-4\.1-mini/, input: 0.40, output: 1.60 },
+        { pattern: /gpt-4\.1/, input: 2.00, output: 8.00 },
+        { pattern: /gpt-4o-mini/, input: 0.15, output: 0.60 },
+        { pattern: /gpt-4o/, input: 2.50, output: 10.00 },
+        { pattern: /gpt-4-turbo/, input: 10.00, output: 30.00 },
+        { pattern: /gpt-4/, input: 30.00, output: 60.00 },
+        { pattern: /gpt-3\.5/, input: 0.50, output: 1.50 },
+        { pattern: /\bo[134]-mini\b/, input: 1.10, output: 4.40 },
+        { pattern: /\bo3\b/, input: 2.00, output: 8.00 },
+        { pattern: /\bo1\b/, input: 15.00, output: 60.00 }
+    ],
+    anthropic: [
+        { pattern: /opus/, input: 15.00, output: 75.00 },
+        { pattern: /sonnet/, input: 3.00, output: 15.00 },
+        { pattern: /3-5-haiku/, input: 0.80, output: 4.00 },
+        { pattern: /haiku/, input: 0.25, output: 1.25 }
+    ],
+    groq: [
+        { pattern: /llama-3\.[13]-70b/, input: 0.59, output: 0.79 },
+        { pattern: /llama-3\.1-8b/, input: 0.05, output: 0.08 },
+        { pattern: /gemma2-9b/, input: 0.20, output: 0.20 },
+        { pattern: /mixtral-8x7b/, input: 0.24, output: 0.24 }
+    ],
+    openrouter: [
+        { pattern: /:free$/, input: 0, output: 0 }
+    ]
+};
+
+// Local servers cost nothing per token
+const FREE = { input: 0, output: 0 };
+
+/**
+ * Get the price of a model
+ * The `modelPrices` setting ({ "model-id": { input, output } }) overrides
+ * the table, e.g. for a gateway or custom endpoint.
+ *
+ * @param {string} providerName - Provider id
+ * @param {string} model - Model id
+ * @returns {{input: number, output: number}|null} USD per million tokens, null when unknown
+ */
+export function getModelPrice(providerName, model) {
+    const override = (getSetting('modelPrices') || {})[model];
+    if (override) return { input: override.input || 0, output: override.output || 0 };
+
+    if (PROVIDERS[providerName]?.local) return FREE;
+
+    const id = (model || '').toLowerCase();
+    const entry = (MODEL_PRICES[providerName] || []).find(e => e.pattern.test(id));
+    return entry ? { input: entry.input, output: entry.output } : null;
+}
+
+/**
+ * Estimate what a number of tokens cost
+ * @param {string} providerName - Provider id
+ * @param {string} model - Model id
+ * @param {{promptTokens: number, completionTokens: number}} usage
+ * @returns {number|null} USD, null when the price is unknown
+ */
+export function estimateCost(providerName, model, usage) {
+    const price = getModelPrice(providerName, model);
+    if (!price) return null;
+    return (usage.promptTokens * price.input + usage.completionTokens * price.output) / 1e6;
+}
+
+export default {
+    MODEL_PRICES,
+    getModelPrice,
+    estimateCost
+};
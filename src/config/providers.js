@@ -5,6 +5,7 @@ export const PROVIDERS = {
     description: 'Local LLM server',
     baseUrl: 'http://localhost:1234/v1',
     requiresApiKey: false,
+    local: true,
     icon: '🏠'
   },
   ollama: {
@@ -12,8 +13,45 @@ export const PROVIDERS = {
     description: 'Local Ollama server',
     baseUrl: 'http://localhost:11434',
     requiresApiKey: false,
+    local: true,
     icon: '🦙'
   },
+  llamacpp: {
+    name: 'llama.cpp',
+    description: 'Local llama-server',
+    baseUrl: 'http://localhost:8080/v1',
+    requiresApiKey: false,
+    local: true,
+    startHint: 'Start it with: llama-server -m model.gguf --jinja',
+    icon: '🦙'
+  },
+  vllm: {
+    name: 'vLLM',
+    description: 'Local vLLM server',
+    baseUrl: 'http://localhost:8000/v1',
+    requiresApiKey: false,
+    local: true,
+    startHint: 'Start it with: vllm serve <model> --enable-auto-tool-choice --tool-call-parser <parser>',
+    icon: '🚀'
+  },
+  localai: {
+    name: 'LocalAI',
+    description: 'Local LocalAI server',
+    baseUrl: 'http://localhost:8080/v1',
+    requiresApiKey: false,
+    local: true,
+    startHint: 'Start it with: local-ai run <model>',
+    icon: '🤖'
+  },
+  jan: {
+    name: 'Jan',
+    description: 'Jan desktop app API server',
+    baseUrl: 'http://localhost:1337/v1',
+    requiresApiKey: false,
+    local: true,
+    startHint: 'Open Jan and start the Local API Server in its settings',
+    icon: '👋'
+  },
   openrouter: {
     name: 'OpenRouter',
     description: 'Access free & paid models',
@@ -36,6 +74,13 @@ export const PROVIDERS = {
     requiresApiKey: true,
     icon: '🔑'
   },
+  anthropic: {
+    name: 'Anthropic',
+    description: 'Claude models via the Messages API (or a compatible gateway)',
+    baseUrl: 'https://api.anthropic.com/v1',
+    requiresApiKey: true,
+    icon: '✳️'
+  },
   groq: {
     name: 'Groq',
     description: 'Ultra-fast inference',
@@ -57,8 +102,40 @@ export const DEFAULT_PROVIDER = 'lmstudio';
 export const DEFAULT_MODELS = {
   lmstudio: 'local-model',
   ollama: 'llama3.2',
+  llamacpp: 'default',
+  vllm: 'default',
+  localai: 'gpt-4',
+  jan: 'default',
   openrouter: 'meta-llama/llama-3.3-70b-instruct:free',
   openai: 'gpt-4o-mini',
+  anthropic: 'claude-sonnet-4-0',
   groq: 'llama-3.3-70b-versatile',
   custom: 'default'
 };
+
+// Hosted models offered by `mlc init` and `mlc models` (what they can do is in the model registry)
+export const KNOWN_MODELS = {
+  openai: [
+    { id: 'gpt-4o-mini', name: 'GPT-4o Mini', owned_by: 'OpenAI', recommended: true },
+    { id: 'gpt-4o', name: 'GPT-4o', owned_by: 'OpenAI' },
+    { id: 'gpt-4.1', name: 'GPT-4.1', owned_by: 'OpenAI' },
+    { id: 'gpt-4-turbo', name: 'GPT-4 Turbo', owned_by: 'OpenAI' },
+    { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', owned_by: 'OpenAI' }
+  ],
+  groq: [
+    { id: 'llama-3.3-70b-versatile', name: 'Llama 3.3 70B', owned_by: 'Meta', recommended: true },
+    { id: 'llama-3.1-70b-versatile', name: 'Llama 3.1 70B', owned_by: 'Meta' },
+    { id: 'mixtral-8x7b-32768', name: 'Mixtral 8x7B', owned_by: 'Mistral' },
+    { id: 'gemma2-9b-it', name: 'Gemma 2 9B', owned_by: 'Google' }
+  ]
+};
+
+// Embedding models used by codebase_search when the embeddingModel setting is empty
+export const DEFAULT_EMBEDDING_MODELS = {
+  lmstudio: 'text-embedding-nomic-embed-text-v1.5',
+  ollama: 'nomic-embed-text',
+  localai: 'text-embedding-ada-002'
+};
+
+// Local servers `mlc init` looks for, in the order they are offered
+export const LOCAL_PROVIDERS = Object.keys(PROVIDERS).filter(name => PROVIDERS[name].local);
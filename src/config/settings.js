@@ -12,7 +12,22 @@ const config = new Conf({
             streamOutput: true,
             confirmCommands: true,
             maxContextFiles: 10,
-            maxFileSize: 100000 // 100KB
+            maxFileSize: 100000, // 100KB
+            maxIterations: 25, // Model calls per turn in the agent loop
+            maxTurnTokens: 100000, // Estimated token budget per turn
+            nativeToolCalling: 'auto', // true, false or 'auto' (fall back to text tool calls)
+            disabledPlugins: [], // Plugin names turned off with /plugin disable
+            maxCheckpoints: 50, // Checkpoints kept per project in .mylocalcli/checkpoints
+            contextWindow: null, // Override the model's context window (tokens)
+            modelCapabilities: {}, // Override the model registry by model id or pattern: { "qwen2.5-coder:7b": { contextWindow: 32768, tools: true } }
+            compactThreshold: 0.8, // Summarize older turns when the context is this full
+            embeddingModel: null, // Embedding model for codebase_search (null = provider default)
+            allowedPaths: [], // Directories outside the project that file tools may use
+            persistentShell: false, // Run commands in one shell per chat so cd and exports persist
+            maxRetries: 3, // Retries for rate limits, server errors and dropped connections
+            fallbackProviders: [], // Providers that take over when the current one is unreachable
+            trustedProjectHooks: {}, // Answers to "trust this project's hooks.json?" by project path: { hash, trusted }
+            modelPrices: {} // USD per million tokens by model id ({ input, output }), overrides the price table
         }
     }
 });
@@ -4,13 +4,38 @@ import { LMStudioProvider } from '../providers/lmstudio.js';
 import { OllamaProvider } from '../providers/ollama.js';
 import { OpenAIProvider } from '../providers/openai.js';
 import { OpenRouterProvider } from '../providers/openrouter.js';
-import { getProvider, getApiKey, getModel, getBaseUrl } from '../config/settings.js';
-import { PROVIDERS } from '../config/providers.js';
-import { loadProjectConfig, formatProjectConfigForPrompt } from '../config/project.js';
-import { getRelevantContext, formatContextForPrompt } from './context.js';
-import { TOOLS, executeTool, parseToolCalls } from './tools.js';
+import { AnthropicProvider } from '../providers/anthropic.js';
+import { LlamaCppProvider } from '../providers/llamacpp.js';
+import { VLLMProvider } from '../providers/vllm.js';
+import { LocalAIProvider } from '../providers/localai.js';
+import { JanProvider } from '../providers/jan.js';
+import { describeCapabilities } from '../providers/local.js';
+import { ResilientProvider } from '../providers/resilient.js';
+import { DEFAULT_MAX_RETRIES } from '../providers/retry.js';
+import { getProvider, getApiKey, getModel, getBaseUrl, getSetting } from '../config/settings.js';
+import { PROVIDERS, DEFAULT_EMBEDDING_MODELS, LOCAL_PROVIDERS } from '../config/providers.js';
+import { getProviderCapabilities } from '../config/models.js';
+import { runAgentLoop, printStopSummary } from './loop.js';
+import { joinPromptSections } from './prompt.js';
+import { measureContext, getContextBreakdown, needsCompaction, compactConversation } from './compaction.js';
+import { createCheckpoint } from './checkpoints.js';
+import { expandMentions, ATTACHMENT_BUDGET_SHARE } from './mentions.js';
+import { createTurnState } from './review.js';
+import { killAllProcesses } from './processes.js';
+import { createUsageTotals, addUsage } from './usage.js';
+import { createShellSession, closeShellSession, formatShellCwd } from './shell-session.js';
+import { resolveAllowedTools } from './tools.js';
+import {
+    createPermissionPolicy,
+    cyclePermissionMode,
+    getModeAllowedTools,
+    loadProjectAllowedTools,
+    PERMISSION_MODES,
+    PERMISSION_MODE_DESCRIPTIONS
+} from './permissions.js';
 import { executeCommand, loadCustomCommands } from './commands.js';
-import { loadSkills, getSkillContext, findMatchingSkills } from '../skills/skill.js';
+import { initializeHooks, executeHooks, HOOK_EVENTS } from '../hooks/executor.js';
+import { loadPlugins } from '../plugins/loader.js';
 import {
     generateSessionId,
     saveMessage,
@@ -20,14 +45,10 @@ import {
     exportConversation
 } from '../utils/history.js';
 import { renderMarkdown } from '../ui/markdown.js';
-import { thinkingSpinner } from '../ui/spinner.js';
 import {
     printLogo,
     printWelcome,
     printUserMessage,
-    printAssistantStart,
-    printAssistantChunk,
-    printAssistantEnd,
     printError,
     printSuccess,
     printInfo,
@@ -41,29 +62,162 @@ import {
 import fs from 'fs/promises';
 import path from 'path';
 
+// Tell the user why the answer is taking longer
+function printRetryNotice({ label, attempt, retries, delay, error }) {
+    const reason = error.status ? `returned ${error.status}` : 'could not be reached';
+    printWarning(`${label} ${reason} - retrying in ${(delay / 1000).toFixed(1)}s (${attempt}/${retries})`);
+}
+
 // Export createProvider so it can be used by server
 export function createProvider(providerName) {
     const apiKey = getApiKey(providerName);
     const model = getModel(providerName);
     const baseUrl = getBaseUrl(providerName);
+    const nativeTools = getSetting('nativeToolCalling') ?? 'auto';
+    const embeddingModel = getSetting('embeddingModel') || DEFAULT_EMBEDDING_MODELS[providerName] || '';
+    const retries = getSetting('maxRetries') ?? DEFAULT_MAX_RETRIES;
+    const common = { model, nativeTools, embeddingModel, retries, onRetry: printRetryNotice };
 
     switch (providerName) {
         case 'lmstudio':
-            return new LMStudioProvider({ baseUrl, model });
+            return new LMStudioProvider({ baseUrl, ...common });
         case 'ollama':
-            return new OllamaProvider({ baseUrl, model });
+            return new OllamaProvider({ baseUrl, ...common });
+        case 'llamacpp':
+            return new LlamaCppProvider({ apiKey, baseUrl, ...common });
+        case 'vllm':
+            return new VLLMProvider({ apiKey, baseUrl, ...common });
+        case 'localai':
+            return new LocalAIProvider({ apiKey, baseUrl, ...common });
+        case 'jan':
+            return new JanProvider({ apiKey, baseUrl, ...common });
         case 'openrouter':
-            return new OpenRouterProvider({ apiKey, model });
+            return new OpenRouterProvider({ apiKey, ...common });
         case 'openai':
         case 'groq':
-            return new OpenAIProvider({ apiKey, model, baseUrl });
+            return new OpenAIProvider({ apiKey, baseUrl, ...common });
+        case 'anthropic':
+            return new AnthropicProvider({ apiKey, baseUrl, ...common });
         case 'custom':
-            return new OpenAIProvider({ apiKey, model, baseUrl });
+            return new OpenAIProvider({ apiKey, baseUrl, ...common });
         default:
-            return new LMStudioProvider({ baseUrl, model });
+            return new LMStudioProvider({ baseUrl, ...common });
     }
 }
 
+/**
+ * Create the provider used for a session: the chosen provider followed by
+ * the fallbackProviders setting, with stream reconnects and fallback
+ * @param {string} providerName - Primary provider
+ * @returns {ResilientProvider}
+ */
+export function createProviderChain(providerName) {
+    const fallbacks = (getSetting('fallbackProviders') || [])
+        .filter((name, i, list) => PROVIDERS[name] && name !== providerName && list.indexOf(name) === i);
+    return new ResilientProvider([providerName, ...fallbacks].map(name => ({ name, provider: createProvider(name) })));
+}
+
+/**
+ * Look for local servers on their configured (or default) ports
+ * @returns {Promise<Array<{name: string, baseUrl: string, models: Array}>>} Running servers, in LOCAL_PROVIDERS order
+ */
+export async function findLocalServers() {
+    const found = await Promise.all(LOCAL_PROVIDERS.map(async (name) => {
+        const provider = createProvider(name);
+        if (!await provider.isServerRunning()) return null;
+        return { name, baseUrl: provider.baseUrl, models: await provider.listModels() };
+    }));
+    return found.filter(Boolean);
+}
+
+/**
+ * Check that a provider can be used (server running or API key set)
+ * @returns {Promise<{ok: boolean, message?: string, error?: string, hints: string[]}>}
+ */
+export async function checkProvider(providerName, provider) {
+    if (providerName === 'lmstudio') {
+        if (!await provider.isServerRunning()) {
+            return {
+                ok: false,
+                error: 'LM Studio server is not running. Start LM Studio and load a model first.',
+                hints: ['Or switch to another provider: mylocalcli config --provider ollama']
+            };
+        }
+        return { ok: true, message: 'Connected to LM Studio', hints: [] };
+    }
+
+    if (providerName === 'ollama') {
+        if (!await provider.isServerRunning()) {
+            return {
+                ok: false,
+                error: 'Ollama is not running. Start Ollama first with: ollama serve',
+                hints: ['Or switch to OpenRouter: mylocalcli config --provider openrouter']
+            };
+        }
+        return { ok: true, message: 'Connected to Ollama', hints: [] };
+    }
+
+    // llama.cpp, vLLM, LocalAI and Jan also report what the loaded model can do
+    if (typeof provider.detectCapabilities === 'function') {
+        const { name, startHint } = PROVIDERS[providerName];
+        if (!await provider.isServerRunning()) {
+            return {
+                ok: false,
+                error: `${name} is not running at ${provider.baseUrl}. ${startHint}`,
+                hints: ['Or change the endpoint: mylocalcli config --endpoint http://host:port/v1']
+            };
+        }
+        const details = describeCapabilities(await provider.detectCapabilities());
+        return { ok: true, message: `Connected to ${name}${details ? ` (${details})` : ''}`, hints: [] };
+    }
+
+    // Cloud providers need an API key
+    const keyHelp = {
+        openrouter: { label: 'OpenRouter', hint: 'Get your free key at: https://openrouter.ai/keys' },
+        openai: { label: 'OpenAI', hint: 'Get your key at: https://platform.openai.com/api-keys' },
+        anthropic: { label: 'Anthropic', hint: 'Get your key at: https://console.anthropic.com/settings/keys' },
+        groq: { label: 'Groq', hint: 'Get your key at: https://console.groq.com/keys' }
+    }[providerName];
+
+    if (keyHelp) {
+        if (!getApiKey(providerName)) {
+            return {
+                ok: false,
+                error: `${keyHelp.label} API key not set!`,
+                hints: [keyHelp.hint, 'Then run: mylocalcli config --key YOUR_API_KEY']
+            };
+        }
+        return { ok: true, message: `Using ${keyHelp.label}`, hints: [] };
+    }
+
+    return { ok: true, hints: [] };
+}
+
+/**
+ * Check the providers of a chain in order and start with the first usable one
+ * Unusable providers before it are skipped until their cooldown ends.
+ * @param {ResilientProvider} chain - From createProviderChain
+ * @returns {Promise<{ok: boolean, name: string, message?: string, error?: string, hints: string[]}>}
+ *          name is the provider that will answer; the primary's error when none is usable
+ */
+export async function checkProviderChain(chain) {
+    const failures = [];
+    for (const entry of chain.chain) {
+        const status = await checkProvider(entry.name, entry.provider);
+        if (status.ok) {
+            failures.forEach(failed => chain.markDown(failed.name));
+            if (failures.length === 0) return { ...status, name: entry.name };
+            return {
+                ...status,
+                name: entry.name,
+                message: `${failures.map(f => `${f.name}: ${f.error}`).join(' ')} Falling back to ${PROVIDERS[entry.name]?.name || entry.name}.`
+            };
+        }
+        failures.push({ name: entry.name, ...status });
+    }
+    return { ...failures[0] };
+}
+
 // Main chat loop
 export async function startChat(options = {}) {
     const cwd = options.cwd || process.cwd();
@@ -72,61 +226,34 @@ export async function startChat(options = {}) {
 
     // Get current provider and settings
     const providerName = getProvider();
-    const provider = createProvider(providerName);
+    const provider = createProviderChain(providerName);
 
     // Print welcome
     printLogo();
     printWelcome(PROVIDERS[providerName]?.name || providerName, getModel(providerName));
 
-    // Check if provider is available
-    if (providerName === 'lmstudio') {
-        const isRunning = await provider.isServerRunning();
-        if (!isRunning) {
-            printError('LM Studio server is not running. Start LM Studio and load a model first.');
-            printInfo('Or switch to another provider: mylocalcli config --provider ollama');
-            return;
-        }
-        printSuccess('Connected to LM Studio');
-    } else if (providerName === 'ollama') {
-        const isRunning = await provider.isServerRunning();
-        if (!isRunning) {
-            printError('Ollama is not running. Start Ollama first with: ollama serve');
-            printInfo('Or switch to OpenRouter: mylocalcli config --provider openrouter');
-            return;
-        }
-        printSuccess('Connected to Ollama');
-    } else if (providerName === 'openrouter') {
-        const apiKey = getApiKey('openrouter');
-        if (!apiKey) {
-            printError('OpenRouter API key not set!');
-            printInfo('Get your free key at: https://openrouter.ai/keys');
-            printInfo('Then run: mylocalcli config --key YOUR_API_KEY');
-            return;
-        }
-        printSuccess('Using OpenRouter');
-    } else if (providerName === 'openai') {
-        const apiKey = getApiKey('openai');
-        if (!apiKey) {
-            printError('OpenAI API key not set!');
-            printInfo('Get your key at: https://platform.openai.com/api-keys');
-            printInfo('Then run: mylocalcli config --key YOUR_API_KEY');
-            return;
-        }
-        printSuccess('Using OpenAI');
-    } else if (providerName === 'groq') {
-        const apiKey = getApiKey('groq');
-        if (!apiKey) {
-            printError('Groq API key not set!');
-            printInfo('Get your key at: https://console.groq.com/keys');
-            printInfo('Then run: mylocalcli config --key YOUR_API_KEY');
-            return;
-        }
-        printSuccess('Using Groq');
+    // Check if provider is available (or one of its fallbacks)
+    const status = await checkProviderChain(provider);
+    if (!status.ok) {
+        printError(status.error);
+        status.hints.forEach(hint => printInfo(hint));
+        return;
+    }
+    if (status.name !== providerName) {
+        printWarning(status.message);
+    } else if (status.message) {
+        printSuccess(status.message);
     }
 
     // Conversation history
     let messages = [];
 
+    // Files included in full every turn and kept through compaction (/pin)
+    const pinnedFiles = [];
+
+    // Tokens used by model calls in this session (/usage)
+    const usageTotals = createUsageTotals();
+
     // Load existing session if provided
     if (options.loadSession) {
         const existing = await loadConversation(options.loadSession);
@@ -150,19 +277,66 @@ export async function startChat(options = {}) {
         printInfo('Tool calling enabled. I can read/write files and run commands.');
     }
 
+    // Permission mode for the session (/mode or Shift+Tab to switch)
+    const projectAllowed = await loadProjectAllowedTools(cwd);
+    const policy = createPermissionPolicy({
+        mode: options.permissionMode,
+        approvedTools: projectAllowed.length > 0 ? new Set(projectAllowed) : null,
+        cwd
+    });
+    if (!Object.values(PERMISSION_MODES).includes(policy.mode)) {
+        printWarning(`Unknown permission mode "${policy.mode}" - using ask`);
+        policy.mode = PERMISSION_MODES.ASK;
+    }
+    if (policy.mode !== PERMISSION_MODES.ASK) {
+        printInfo(`Permission mode: ${policy.mode} - ${PERMISSION_MODE_DESCRIPTIONS[policy.mode]}`);
+    }
+    if (projectAllowed.length > 0) {
+        printInfo(`Always allowed in this project: ${projectAllowed.join(', ')}`);
+    }
+
+    // One shell for the whole chat when persistentShell is on (/shell on|off|reset)
+    const shellSession = createShellSession(cwd, { enabled: getSetting('persistentShell') === true });
+
     // Load custom commands from user directories
     await loadCustomCommands(cwd);
 
+    // Register safety hooks plus any from ~/.mylocalcli/hooks.json and .mylocalcli/hooks.json
+    await initializeHooks(cwd, { policy });
+
+    // Plugins register their commands, agents, skills and hooks
+    const plugins = await loadPlugins(cwd);
+    const enabledPlugins = plugins.filter(p => p.enabled);
+    if (enabledPlugins.length > 0) {
+        printInfo(`Loaded ${enabledPlugins.length} plugin(s): ${enabledPlugins.map(p => p.name).join(', ')}`);
+    }
+    await executeHooks(HOOK_EVENTS.SESSION_START, { cwd, sessionId });
+
     // Main loop
     while (true) {
         try {
             // Use enhanced input with history and tab completion
-            const input = await promptWithPrefix('You');
+            // The tag shows the permission mode and the shell session's directory
+            const promptTag = () => [
+                policy.mode === PERMISSION_MODES.ASK ? '' : policy.mode,
+                shellSession.enabled ? `sh:${formatShellCwd(shellSession)}` : ''
+            ].filter(Boolean).join(' ');
+            const input = await promptWithPrefix('You', {
+                tag: promptTag(),
+                onShiftTab: () => {
+                    cyclePermissionMode(policy);
+                    return promptTag();
+                }
+            });
 
             const trimmedInput = input.trim();
 
             if (!trimmedInput) continue;
 
+            // Tool allowlist for this turn (set by custom commands and agents)
+            let allowedTools = null;
+            let userPrompt = trimmedInput;
+
             // Handle slash commands using the new command system
             if (trimmedInput.startsWith('/')) {
                 const commandCtx = {
@@ -171,6 +345,11 @@ export async function startChat(options = {}) {
                     messages,
                     cwd,
                     sessionId,
+                    enableTools,
+                    pinnedFiles,
+                    policy,
+                    shellSession,
+                    usage: usageTotals,
                     model: getModel(providerName),
                     PROVIDERS,
                     printProvidersList,
@@ -188,206 +367,112 @@ export async function startChat(options = {}) {
                 // Handle injected prompts from custom commands
                 if (result && result.type === 'inject') {
                     // Treat the command prompt as a user message to the AI
-                    const commandPrompt = result.prompt;
-                    messages.push({ role: 'user', content: commandPrompt });
-                    await saveMessage(sessionId, { role: 'user', content: commandPrompt });
+                    userPrompt = result.prompt;
+                    allowedTools = resolveAllowedTools(result.allowedTools);
+                    if (allowedTools) {
+                        printInfo(`Tools limited to: ${[...allowedTools].join(', ') || 'none'}`);
+                    }
                     // Don't continue - let it fall through to send to AI
                 } else {
                     continue;
                 }
-            } else {
-                // Regular user message
-                messages.push({ role: 'user', content: trimmedInput });
-                await saveMessage(sessionId, { role: 'user', content: trimmedInput });
             }
 
-            // Get context
-            const context = await getRelevantContext(cwd, trimmedInput);
-
-            // Load project configuration (MYLOCALCLI.md)
-            const projectConfig = await loadProjectConfig(cwd);
-
-            // Load skills and get relevant skill context based on project files
-            await loadSkills(cwd);
-            const projectFiles = context.relevantFiles?.map(f => f.path) || [];
-            const skillContext = getSkillContext(projectFiles);
-
-            // Build system message with tools info
-            let systemContent = `You are MyLocalCLI, a powerful AI coding assistant.
-Working directory: ${cwd}
-Project type: ${context.projectType || 'unknown'}
-
-You can help with coding tasks, explain code, debug issues, and more.`;
-
-            // Inject project configuration if available
-            if (projectConfig) {
-                systemContent += formatProjectConfigForPrompt(projectConfig);
+            // UserPromptSubmit hooks can block or rewrite the prompt
+            const promptHook = await executeHooks(HOOK_EVENTS.USER_PROMPT, { prompt: userPrompt, cwd, sessionId });
+            if (!promptHook.allowed) {
+                printWarning(`Prompt blocked by hook: ${promptHook.message}`);
+                continue;
             }
-
-            // Inject relevant skills based on project context
-            if (skillContext) {
-                systemContent += '\n\n' + skillContext;
+            userPrompt = promptHook.modified ?? userPrompt;
+
+            // @file and @dir/ mentions are attached to the message
+            const expanded = await expandMentions(userPrompt, {
+                cwd,
+                model: provider.model,
+                budgetTokens: Math.floor(getProviderCapabilities(provider, providerName).contextWindow * ATTACHMENT_BUDGET_SHARE)
+            });
+            for (const warning of expanded.warnings) {
+                printWarning(warning);
             }
-
-            if (enableTools) {
-                systemContent += `
-
-## TOOL USAGE INSTRUCTIONS
-
-You have access to tools to interact with files, run commands, and more.
-
-**TO USE A TOOL, YOU MUST OUTPUT THIS EXACT FORMAT:**
-
-\`\`\`json
-{
-  "tool": "TOOL_NAME",
-  "arguments": {
-    "argument_name": "value"
-  }
-}
-\`\`\`
-
-**CRITICAL RULES:**
-1. Output the JSON inside a code block with \`\`\`json
-2. Use ONLY the exact tool names listed below
-3. Wait for my response after each tool call before continuing
-4. Do NOT add any text inside the JSON code block - only the JSON object
-
-## AVAILABLE TOOLS (26)
-
-FILE TOOLS:
-- write_file(path, content) - Create or overwrite a file
-- read_file(path) - Read file contents
-- edit_file(path, old_content, new_content) - Replace text in file
-- multi_edit_file(path, edits[]) - Multiple replacements at once
-- append_file(path, content) - Add content to end of file
-- delete_file(path) - Delete a file
-- copy_file(source, destination) - Copy file
-- move_file(source, destination) - Move/rename file
-- file_info(path) - Get file metadata
-- read_lines(path, start, end) - Read specific line range
-- insert_at_line(path, line, content) - Insert at line number
-
-DIRECTORY TOOLS:
-- list_directory(path) - List files and folders
-- create_directory(path) - Create directory
-- tree(path, depth) - Show directory tree
-
-SEARCH TOOLS:
-- search_files(pattern) - Find files by glob pattern
-- grep(pattern, path, include) - Search text in files
-- find_replace(find, replace, path) - Find and replace text
-- codebase_search(query) - Semantic code search
-
-COMMAND TOOLS:
-- run_command(command) - Execute shell command
-
-GIT TOOLS:
-- git_status() - Get git status
-- git_diff(staged) - Get git diff
-- git_log(count) - Show commit history
-- git_commit(message) - Create commit
-
-OTHER TOOLS:
-- web_fetch(url) - Fetch URL content
-- todo_write(todos[]) - Manage task list
-- ask_user(question, options) - Ask user a question
-
-## EXAMPLES
-
-To create an HTML file:
-\`\`\`json
-{
-  "tool": "write_file",
-  "arguments": {
-    "path": "index.html",
-    "content": "<!DOCTYPE html>\\n<html>\\n<head><title>Hello</title></head>\\n<body><h1>Hello World</h1></body>\\n</html>"
-  }
-}
-\`\`\`
-
-To list directory:
-\`\`\`json
-{
-  "tool": "list_directory",
-  "arguments": {
-    "path": "."
-  }
-}
-\`\`\`
-
-To run a command:
-\`\`\`json
-{
-  "tool": "run_command",
-  "arguments": {
-    "command": "npm install"
-  }
-}
-\`\`\`
-
-After I execute the tool, I will tell you the result. Then continue with your next step.`;
+            if (expanded.attachments.length > 0) {
+                printInfo(`📎 Attached ${expanded.attachments.map(a => a.path).join(', ')} (~${expanded.tokens.toLocaleString()} tokens)`);
             }
-
-            if (context.relevantFiles && context.relevantFiles.length > 0) {
-                systemContent += '\n\n--- RELEVANT FILES ---\n';
-                for (const file of context.relevantFiles.slice(0, 3)) {
-                    systemContent += `\n### ${file.path}\n\`\`\`${file.language}\n${file.content.slice(0, 2000)}\n\`\`\``;
-                }
+            if (expanded.overBudget) {
+                const { send } = await inquirer.prompt([{
+                    type: 'confirm',
+                    name: 'send',
+                    message: 'The attachments may not fit in the context window. Send anyway?',
+                    default: false
+                }]);
+                if (!send) continue;
             }
 
-            // Show thinking spinner
-            const spinner = thinkingSpinner();
-            spinner.start();
-
-            try {
-                // Stream response
-                let fullResponse = '';
-                spinner.stop();
-                printAssistantStart();
-
-                const messagesWithSystem = [
-                    { role: 'system', content: systemContent },
-                    ...messages
-                ];
-
-                for await (const chunk of provider.stream(messagesWithSystem, {})) {
-                    printAssistantChunk(chunk);
-                    fullResponse += chunk;
+            messages.push({ role: 'user', content: expanded.content });
+            await saveMessage(sessionId, { role: 'user', content: expanded.content });
+
+            // Plan mode only offers the read-only tools
+            const turnTools = getModeAllowedTools(policy, allowedTools);
+            const planMode = policy.mode === PERMISSION_MODES.PLAN;
+
+            const { sections, tools, contextWindow, compactThreshold, breakdown } = await measureContext({
+                cwd,
+                provider,
+                providerName,
+                messages,
+                enableTools,
+                allowedTools: turnTools,
+                pinnedFiles,
+                query: userPrompt,
+                planMode
+            });
+
+            // Summarize older turns before the context window overflows
+            if (needsCompaction(breakdown, compactThreshold)) {
+                printWarning(`Context is ${Math.round(breakdown.usage * 100)}% full - summarizing older turns...`);
+                const compacted = await compactConversation(provider, messages, { sessionId });
+                if (compacted.success) {
+                    addUsage(usageTotals, compacted.usage);
+                    printInfo(`Compacted ${compacted.removed} messages (~${compacted.tokensBefore.toLocaleString()} → ~${compacted.tokensAfter.toLocaleString()} tokens)`);
+                } else {
+                    printWarning(compacted.error);
                 }
+            }
 
-                printAssistantEnd();
-
-                // Check for tool calls
-                if (enableTools) {
-                    const toolCalls = parseToolCalls(fullResponse);
-
-                    for (const toolCall of toolCalls) {
-                        printInfo(`🔧 Tool: ${toolCall.name}`);
-                        const result = await executeTool(toolCall.name, toolCall.arguments, cwd);
-
-                        if (result.success) {
-                            // Add tool result to messages and continue conversation
-                            const toolResultMsg = `Tool ${toolCall.name} executed successfully.`;
-                            if (result.content) {
-                                messages.push({ role: 'assistant', content: fullResponse });
-                                messages.push({ role: 'user', content: `[Tool Result]\n${result.content.slice(0, 3000)}` });
-                            }
-                        } else {
-                            printError(`Tool failed: ${result.error}`);
-                        }
-                    }
-                }
+            const systemContent = joinPromptSections(sections);
+
+            // Run the agent loop until the model stops calling tools
+            // Files changed during this turn are snapshotted for /undo
+            const checkpoint = createCheckpoint(cwd, { prompt: userPrompt, sessionId });
+
+            const loopResult = await runAgentLoop(provider, messages, {
+                systemContent,
+                cwd,
+                sessionId,
+                enableTools,
+                allowedTools: turnTools,
+                policy,
+                checkpoint,
+                turn: createTurnState(),
+                shellSession,
+                maxIterations: options.maxIterations,
+                maxTurnTokens: options.maxTurnTokens
+            });
+            printStopSummary(loopResult);
+            loopResult.usage.forEach(record => addUsage(usageTotals, record));
+            if (provider.lastProvider !== providerName) {
+                console.log(colors.muted(`  ↳ Answered by ${PROVIDERS[provider.lastProvider]?.name || provider.lastProvider} (fallback for ${PROVIDERS[providerName]?.name || providerName})`));
+            }
 
-                // Save assistant message
-                messages.push({ role: 'assistant', content: fullResponse });
-                await saveMessage(sessionId, { role: 'assistant', content: fullResponse });
+            const usage = getContextBreakdown({ sections, messages, tools, model: provider.model, contextWindow });
+            showContextStatus(messages.length, usage.total, contextWindow);
 
-            } catch (error) {
-                spinner.stop();
-                printError(error.message);
+            if (checkpoint.files.length > 0) {
+                console.log(colors.muted(`  ↺ Checkpoint ${checkpoint.id} (${checkpoint.files.length} file${checkpoint.files.length === 1 ? '' : 's'}) - /undo to revert`));
             }
 
+            await executeHooks(HOOK_EVENTS.STOP, { cwd, sessionId, stopReason: loopResult.stopReason });
+
         } catch (error) {
             if (error.name === 'ExitPromptError') {
                 // User pressed Ctrl+C
@@ -397,7 +482,11 @@ After I execute the tool, I will tell you the result. Then continue with your ne
         }
     }
 
+    await executeHooks(HOOK_EVENTS.SESSION_END, { cwd, sessionId });
+    await killAllProcesses();
+    closeShellSession(shellSession);
+
     console.log('\n' + colors.muted('Goodbye! 👋\n'));
 }
 
-export default { startChat, createProvider };
+export default { startChat, createProvider, createProviderChain, checkProvider, checkProviderChain, findLocalServers };
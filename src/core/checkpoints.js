@@ -0,0 +1,290 @@
+// MyLocalCLI - Checkpoints
+// Snapshots files before tools change them so a whole turn can be undone
+
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { getSetting } from '../config/settings.js';
+
+export const DEFAULT_MAX_CHECKPOINTS = 50;
+
+/**
+ * Checkpoint (one per user turn)
+ * @typedef {Object} Checkpoint
+ * @property {string} id - Sortable id (timestamp + random suffix)
+ * @property {string} cwd - Project directory the checkpoint belongs to
+ * @property {string} createdAt - ISO timestamp
+ * @property {string} prompt - Start of the prompt that started the turn
+ * @property {string|null} sessionId - Chat session
+ * @property {Array<{path: string, existed: boolean, directory?: boolean, blob?: string, mode?: number}>} files - Snapshotted files
+ *           (a directory that doesn't exist yet, like a move destination, has directory: true)
+ * @property {string[]} tools - Tools that triggered snapshots
+ */
+
+/**
+ * Get the checkpoint store for a project
+ */
+export function getCheckpointsDir(cwd) {
+    return path.join(cwd, '.mylocalcli', 'checkpoints');
+}
+
+// Ids are strictly increasing so checkpoints sort in creation order
+let lastStamp = 0;
+function generateCheckpointId() {
+    const now = Math.max(Date.now(), lastStamp + 1);
+    lastStamp = now;
+    const stamp = new Date(now).toISOString().replace(/[-:T.Z]/g, '');
+    return `${stamp}-${crypto.randomBytes(2).toString('hex')}`;
+}
+
+/**
+ * Start a checkpoint for a turn
+ * Nothing is written to disk until the first file is snapshotted.
+ * @param {string} cwd - Project directory
+ * @param {Object} [options]
+ * @param {string} [options.prompt] - Prompt that started the turn
+ * @param {string} [options.sessionId] - Chat session
+ * @returns {Checkpoint}
+ */
+export function createCheckpoint(cwd, options = {}) {
+    return {
+        id: generateCheckpointId(),
+        cwd,
+        createdAt: new Date().toISOString(),
+        prompt: (options.prompt || '').slice(0, 200),
+        sessionId: options.sessionId || null,
+        files: [],
+        tools: []
+    };
+}
+
+// Expand directories into the files they contain
+async function collectFiles(target) {
+    let stats;
+    try {
+        stats = await fs.stat(target);
+    } catch {
+        return [target];
+    }
+    if (!stats.isDirectory()) return [target];
+
+    const files = [];
+    const entries = await fs.readdir(target, { withFileTypes: true });
+    for (const entry of entries) {
+        files.push(...await collectFiles(path.join(target, entry.name)));
+    }
+    return files;
+}
+
+// Store paths relative to the project when they are inside it
+function toStoredPath(cwd, filePath) {
+    const relative = path.relative(cwd, filePath);
+    return relative.startsWith('..') || path.isAbsolute(relative) ? filePath : relative;
+}
+
+async function writeManifest(checkpoint) {
+    const dir = path.join(getCheckpointsDir(checkpoint.cwd), checkpoint.id);
+    await fs.writeFile(path.join(dir, 'manifest.json'), JSON.stringify(checkpoint, null, 2));
+}
+
+// Create the store (kept out of git) and the checkpoint directory
+async function initCheckpointDir(checkpoint) {
+    const root = getCheckpointsDir(checkpoint.cwd);
+    await fs.mkdir(path.join(root, checkpoint.id, 'files'), { recursive: true });
+    await fs.writeFile(path.join(root, '.gitignore'), '*\n');
+    await pruneCheckpoints(checkpoint.cwd, (getSetting('maxCheckpoints') || DEFAULT_MAX_CHECKPOINTS) - 1, checkpoint.id);
+}
+
+/**
+ * Snapshot files before a tool changes them
+ * Each file is saved once per checkpoint, so the snapshot is always the
+ * state from before the turn. Files that do not exist yet are recorded
+ * so restoring deletes them.
+ *
+ * @param {Checkpoint} checkpoint - Current turn's checkpoint
+ * @param {Array<string|{path: string, directory: boolean}>} filePaths - Absolute paths (directories
+ *        are expanded); `directory: true` marks a directory the tool is about to create
+ * @param {string} [toolName] - Tool about to run
+ */
+export async function snapshotFiles(checkpoint, filePaths, toolName) {
+    const storeDir = getCheckpointsDir(checkpoint.cwd);
+    const known = new Set(checkpoint.files.map(f => path.resolve(checkpoint.cwd, f.path)));
+    const isNew = checkpoint.files.length === 0 && checkpoint.tools.length === 0;
+    let changed = false;
+
+    for (const item of filePaths) {
+        const target = typeof item === 'string' ? item : item.path;
+        for (const filePath of await collectFiles(path.resolve(checkpoint.cwd, target))) {
+            if (known.has(filePath) || filePath.startsWith(storeDir + path.sep)) continue;
+            known.add(filePath);
+
+            if (isNew && !changed) {
+                await initCheckpointDir(checkpoint);
+            }
+            changed = true;
+
+            const entry = { path: toStoredPath(checkpoint.cwd, filePath), existed: false };
+            try {
+                const stats = await fs.stat(filePath);
+                const blob = path.join('files', String(checkpoint.files.length));
+                await fs.copyFile(filePath, path.join(storeDir, checkpoint.id, blob));
+                entry.existed = true;
+                entry.blob = blob;
+                entry.mode = stats.mode & 0o777;
+            } catch {
+                // File doesn't exist yet - restoring removes it
+                if (item.directory) entry.directory = true;
+            }
+            checkpoint.files.push(entry);
+        }
+    }
+
+    if (changed) {
+        if (toolName && !checkpoint.tools.includes(toolName)) {
+            checkpoint.tools.push(toolName);
+        }
+        await writeManifest(checkpoint);
+    }
+}
+
+/**
+ * List saved checkpoints, newest first
+ * @param {string} cwd - Project directory
+ * @returns {Promise<Checkpoint[]>}
+ */
+export async function listCheckpoints(cwd) {
+    const root = getCheckpointsDir(cwd);
+    let entries;
+    try {
+        entries = await fs.readdir(root, { withFileTypes: true });
+    } catch {
+        return [];
+    }
+
+    const checkpoints = [];
+    for (const entry of entries) {
+        if (!entry.isDirectory()) continue;
+        try {
+            const content = await fs.readFile(path.join(root, entry.name, 'manifest.json'), 'utf-8');
+            checkpoints.push({ ...JSON.parse(content), cwd });
+        } catch {
+            // Incomplete checkpoint - skip
+        }
+    }
+
+    return checkpoints.sort((a, b) => b.id.localeCompare(a.id));
+}
+
+/**
+ * Find a checkpoint by id or unique id prefix
+ */
+export async function getCheckpoint(cwd, id) {
+    const checkpoints = await listCheckpoints(cwd);
+    const exact = checkpoints.find(cp => cp.id === id);
+    if (exact) return exact;
+    const matches = checkpoints.filter(cp => cp.id.startsWith(id));
+    return matches.length === 1 ? matches[0] : null;
+}
+
+// Put every file in a checkpoint back the way it was
+// A file that fails doesn't stop the others; it is reported instead.
+async function applyCheckpoint(checkpoint) {
+    const dir = path.join(getCheckpointsDir(checkpoint.cwd), checkpoint.id);
+    const restored = [];
+    const failed = [];
+
+    for (const file of checkpoint.files) {
+        const target = path.resolve(checkpoint.cwd, file.path);
+        try {
+            if (file.existed) {
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.copyFile(path.join(dir, file.blob), target);
+                if (file.mode) await fs.chmod(target, file.mode);
+            } else {
+                await fs.rm(target, { force: true, recursive: Boolean(file.directory) });
+            }
+            restored.push(file.path);
+        } catch (error) {
+            failed.push({ path: file.path, error: error.message });
+        }
+    }
+
+    return { restored, failed };
+}
+
+/**
+ * Restore the project to how it was before a checkpoint's turn
+ * Later checkpoints are reverted first (newest to oldest), then all of
+ * them are removed from the store. Files that can't be restored are
+ * reported and the checkpoints are kept, so the restore can be run again
+ * once the problem is fixed.
+ *
+ * @param {string} cwd - Project directory
+ * @param {string} id - Checkpoint id or unique prefix
+ * @returns {Promise<{success: boolean, error?: string, restored?: string[], failed?: Array<{path: string, error: string}>, reverted?: string[]}>}
+ */
+export async function restoreCheckpoint(cwd, id) {
+    const checkpoints = await listCheckpoints(cwd);
+    const target = await getCheckpoint(cwd, id);
+    if (!target) {
+        return { success: false, error: `Checkpoint not found: ${id}` };
+    }
+
+    const toRevert = checkpoints.slice(0, checkpoints.findIndex(cp => cp.id === target.id) + 1);
+    const restored = new Set();
+    const failed = [];
+
+    for (const checkpoint of toRevert) {
+        const result = await applyCheckpoint(checkpoint);
+        result.restored.forEach(file => restored.add(file));
+        failed.push(...result.failed);
+    }
+
+    if (failed.length > 0) {
+        return {
+            success: false,
+            error: `Restore failed for ${failed.map(f => `${f.path} (${f.error})`).join(', ')}`,
+            restored: [...restored],
+            failed
+        };
+    }
+
+    for (const checkpoint of toRevert) {
+        await fs.rm(path.join(getCheckpointsDir(cwd), checkpoint.id), { recursive: true, force: true });
+    }
+
+    return { success: true, restored: [...restored], reverted: toRevert.map(cp => cp.id) };
+}
+
+/**
+ * Revert the most recent turn
+ * @param {string} cwd - Project directory
+ */
+export async function undoLastCheckpoint(cwd) {
+    const [latest] = await listCheckpoints(cwd);
+    if (!latest) {
+        return { success: false, error: 'Nothing to undo' };
+    }
+    return restoreCheckpoint(cwd, latest.id);
+}
+
+/**
+ * Delete the oldest checkpoints beyond a limit
+ */
+async function pruneCheckpoints(cwd, keep, excludeId = null) {
+    const checkpoints = (await listCheckpoints(cwd)).filter(cp => cp.id !== excludeId);
+    for (const checkpoint of checkpoints.slice(Math.max(keep, 0))) {
+        await fs.rm(path.join(getCheckpointsDir(cwd), checkpoint.id), { recursive: true, force: true });
+    }
+}
+
+export default {
+    getCheckpointsDir,
+    createCheckpoint,
+    snapshotFiles,
+    listCheckpoints,
+    getCheckpoint,
+    restoreCheckpoint,
+    undoLastCheckpoint,
+    DEFAULT_MAX_CHECKPOINTS
+};
@@ -0,0 +1,285 @@
+// MyLocalCLI - Command Rules
+// Classifies each part of a shell command as safe, needing approval, needing confirmation or denied
+
+import path from 'path';
+import { parseShellCommand } from '../utils/shell.js';
+import { loadProjectSettings } from './permissions.js';
+
+/**
+ * How a command is treated, from least to most restricted
+ * - safe: runs without asking
+ * - ask: unknown command, runs once run_command is approved (prompt, mode or --allow-tools)
+ * - confirm: always asks, even when approved; only --yolo runs it without a user
+ * - deny: never runs
+ */
+export const COMMAND_LEVELS = {
+    SAFE: 'safe',
+    ASK: 'ask',
+    CONFIRM: 'confirm',
+    DENY: 'deny'
+};
+
+const LEVEL_ORDER = [COMMAND_LEVELS.SAFE, COMMAND_LEVELS.ASK, COMMAND_LEVELS.CONFIRM, COMMAND_LEVELS.DENY];
+
+/**
+ * Built-in rules
+ * A rule is the command name followed by the words that must come next
+ * (`*` matches any characters) and flags that must appear anywhere.
+ * Single-letter flags also match inside combined flags: "rm -r" matches
+ * `rm -rf`, and `rm -R`/`--recursive` too (see FLAG_SYNONYMS). The most
+ * restrictive matching rule wins.
+ */
+export const DEFAULT_COMMAND_RULES = {
+    safe: [
+        'ls', 'dir', 'pwd', 'cd', 'echo', 'printf', 'cat', 'type', 'head', 'tail', 'less', 'more',
+        'grep', 'rg', 'ag', 'find', 'findstr', 'which', 'where', 'whoami', 'date', 'env', 'printenv',
+        'wc', 'file', 'stat', 'tree', 'du', 'df', 'diff', 'true', 'false', 'test', '[',
+        'node --version', 'npm --version', 'python --version', 'python3 --version',
+        'git status', 'git log', 'git branch', 'git diff', 'git show', 'git remote -v',
+        'npm list', 'npm ls', 'pip list', 'pip show'
+    ],
+    confirm: [
+        'rm -r', 'rmdir', 'del /s', 'rd /s', 'rmdir /s', 'format',
+        'chmod 777', 'chmod -R', 'chown -R', 'dd', 'sudo', 'su', 'doas',
+        'curl', 'wget', 'kill -9', 'killall', 'pkill', 'taskkill',
+        'find -delete', 'find -exec', 'find -execdir', 'find -ok',
+        'git push --force', 'git push -f', 'git reset --hard', 'git clean', 'git branch -D',
+        'npm publish', 'eval', 'exec'
+    ],
+    deny: [
+        'rm -r -f /', 'rm -r -f ~', 'rm -r -f ~/', 'rm --no-preserve-root',
+        'mkfs', 'mkfs.*', 'fdisk', 'shutdown', 'reboot', 'halt', 'poweroff'
+    ]
+};
+
+// Commands that run another command given as their arguments
+const WRAPPER_COMMANDS = new Set(['env', 'nice', 'nohup', 'time', 'command', 'exec', 'timeout', 'xargs', 'sudo', 'doas']);
+
+// Flags that mean the same thing, per command
+const FLAG_SYNONYMS = {
+    rm: [['-r', '-R', '--recursive'], ['-f', '--force']]
+};
+
+// Options whose value is the next word, so the value isn't taken for a subcommand
+const OPTION_ARGUMENTS = {
+    git: ['-C', '-c', '--git-dir', '--work-tree', '--namespace', '--config-env'],
+    npm: ['-C', '--prefix', '-w', '--workspace']
+};
+
+// Shells whose -c argument is another command line
+const SHELL_COMMANDS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+
+// Redirecting output here writes nothing
+const HARMLESS_TARGETS = /^(\/dev\/null|\/dev\/stdout|\/dev\/stderr|&?[0-2]|-|nul)$/i;
+
+// Writing straight to a disk device
+const DEVICE_TARGET = /^\/dev\/(sd|hd|nvme|disk|mmcblk|xvd)/;
+
+// Fork bombs don't parse into anything recognizable
+const FORK_BOMB = /:\s*\(\s*\)\s*\{\s*:\s*\|\s*:\s*&\s*\}/;
+
+function globToRegex(word) {
+    return new RegExp('^' + word.replace(/[.+?^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*') + '$');
+}
+
+/**
+ * Compile a rule string
+ * @param {string} rule - e.g. "git push --force"
+ * @returns {{source: string, words: RegExp[], flags: string[]}}
+ */
+export function compileCommandRule(rule) {
+    const parts = rule.trim().split(/\s+/).filter(Boolean);
+    const words = [];
+    const flags = [];
+    for (const part of parts) {
+        // The first part is always the command, even "[" or "-"
+        if (words.length > 0 && part.startsWith('-')) flags.push(part);
+        else words.push(globToRegex(part));
+    }
+    return { source: rule.trim(), words, flags };
+}
+
+function hasSpelling(argv, flag) {
+    if (/^-[A-Za-z]$/.test(flag)) {
+        return argv.some(arg => arg === flag || (/^-[A-Za-z]+$/.test(arg) && arg.includes(flag[1])));
+    }
+    return argv.includes(flag);
+}
+
+function hasFlag(argv, flag) {
+    const spellings = FLAG_SYNONYMS[argv[0]]?.find(group => group.includes(flag)) || [flag];
+    return spellings.some(spelling => hasSpelling(argv, spelling));
+}
+
+function matchesRule(rule, argv) {
+    const optionArguments = OPTION_ARGUMENTS[argv[0]] || [];
+    const words = argv.filter((arg, i) => i === 0 || (!arg.startsWith('-') && !optionArguments.includes(argv[i - 1])));
+    if (words.length < rule.words.length) return false;
+    if (!rule.words.every((regex, i) => regex.test(words[i]))) return false;
+    return rule.flags.every(flag => hasFlag(argv, flag));
+}
+
+/**
+ * Compile a rule set ({safe, confirm, deny} lists of strings)
+ */
+export function compileCommandRules(rules = {}) {
+    const compile = (list) => (Array.isArray(list) ? list : []).filter(r => typeof r === 'string' && r.trim()).map(compileCommandRule);
+    return {
+        safe: compile(rules.safe),
+        confirm: compile(rules.confirm),
+        deny: compile(rules.deny)
+    };
+}
+
+/**
+ * Load the rules for a project
+ * Rules under "commands" in .mylocalcli/settings.json are checked before
+ * the built-in ones, so a project can mark `make` safe or deny `docker`.
+ * @param {string} cwd - Project directory
+ * @returns {Promise<Array>} Rule sets in the order they are checked
+ */
+export async function loadCommandRules(cwd) {
+    const settings = await loadProjectSettings(cwd);
+    return [compileCommandRules(settings.commands), compileCommandRules(DEFAULT_COMMAND_RULES)];
+}
+
+// Level a rule set gives argv (null when no rule matches)
+function classifyArgv(argv, ruleSets) {
+    for (const rules of ruleSets) {
+        for (const level of [COMMAND_LEVELS.DENY, COMMAND_LEVELS.CONFIRM, COMMAND_LEVELS.SAFE]) {
+            const rule = rules[level].find(r => matchesRule(r, argv));
+            if (rule) return { level, rule: rule.source };
+        }
+    }
+    return null;
+}
+
+// Skip wrappers (env FOO=1, nice -n 5, timeout 10 ...) to the real command
+function unwrap(argv) {
+    let rest = argv;
+    while (rest.length > 1 && WRAPPER_COMMANDS.has(path.basename(rest[0]))) {
+        rest = rest.slice(1);
+        while (rest.length > 1 && (rest[0].startsWith('-') || /^[A-Za-z_]\w*=/.test(rest[0]) || /^\d+[smhd]?$/.test(rest[0]))) {
+            rest = rest.slice(1);
+        }
+    }
+    return rest;
+}
+
+/**
+ * Classify one simple command
+ * @returns {{level: string, reason: string}}
+ */
+function classifyCommand(command, ruleSets) {
+    const results = [];
+    const argv = [...command.argv];
+    if (argv.length > 0) argv[0] = path.basename(argv[0]);
+
+    if (argv.length > 0) {
+        const match = classifyArgv(argv, ruleSets);
+        if (match) {
+            results.push({ level: match.level, reason: `matches ${match.level} rule "${match.rule}"` });
+        }
+
+        // A wrapper is only as safe as the command it runs
+        const inner = unwrap(argv);
+        if (inner !== argv) {
+            const innerMatch = classifyArgv([path.basename(inner[0]), ...inner.slice(1)], ruleSets);
+            results.push(innerMatch
+                ? { level: innerMatch.level, reason: `runs "${inner.join(' ')}", which matches ${innerMatch.level} rule "${innerMatch.rule}"` }
+                : { level: COMMAND_LEVELS.ASK, reason: `runs "${inner.join(' ')}", which is not a known safe command` });
+        }
+
+        if (!match && inner === argv) {
+            results.push({ level: COMMAND_LEVELS.ASK, reason: 'is not a known safe command' });
+        }
+        if (command.hasSubstitution || /^\$/.test(command.argv[0])) {
+            results.push({ level: COMMAND_LEVELS.ASK, reason: 'builds its arguments from a substitution or variable' });
+        }
+    }
+
+    for (const redirect of command.redirects) {
+        const writes = redirect.op.includes('>') && !(redirect.op === '>&' && HARMLESS_TARGETS.test(redirect.target));
+        if (DEVICE_TARGET.test(redirect.target) && redirect.op.includes('>')) {
+            results.push({ level: COMMAND_LEVELS.DENY, reason: `writes directly to the device ${redirect.target}` });
+        } else if (writes && !HARMLESS_TARGETS.test(redirect.target)) {
+            results.push({ level: COMMAND_LEVELS.ASK, reason: `writes to ${redirect.target || 'a file'}` });
+        }
+    }
+
+    // Assignments alone are harmless; their substitutions are checked on their own
+    if (results.length === 0) return { level: COMMAND_LEVELS.SAFE, reason: 'only sets variables' };
+    return results.reduce((worst, result) => LEVEL_ORDER.indexOf(result.level) > LEVEL_ORDER.indexOf(worst.level) ? result : worst);
+}
+
+/**
+ * Analyzed part of a command line
+ * @typedef {Object} CommandComponent
+ * @property {string} text - The part as written
+ * @property {string} level - One of COMMAND_LEVELS
+ * @property {string} reason - Why it got that level
+ */
+
+/**
+ * Analyze a command line
+ * Every simple command (pipeline stages, list items, subshells, command
+ * substitutions and `sh -c` scripts) is classified on its own, and the
+ * command as a whole gets the most restrictive level.
+ *
+ * @param {string} command - Command line
+ * @param {Array} [ruleSets] - From loadCommandRules (default: built-in rules)
+ * @returns {{level: string, components: CommandComponent[], trigger: CommandComponent|null}}
+ *          trigger is the first component with the overall level (null when safe)
+ */
+export function analyzeCommand(command, ruleSets = [compileCommandRules(DEFAULT_COMMAND_RULES)]) {
+    const components = [];
+
+    if (FORK_BOMB.test(command)) {
+        components.push({ text: command.trim(), level: COMMAND_LEVELS.DENY, reason: 'is a fork bomb' });
+    }
+
+    const visit = (line, depth) => {
+        for (const parsed of parseShellCommand(line)) {
+            components.push({ text: parsed.text, ...classifyCommand(parsed, ruleSets) });
+
+            // sh -c "..." runs its argument as another command line
+            const shellIndex = parsed.argv.findIndex((arg, i) => i === 0 && SHELL_COMMANDS.has(path.basename(arg)));
+            const scriptIndex = parsed.argv.indexOf('-c');
+            if (shellIndex === 0 && scriptIndex > 0 && parsed.argv[scriptIndex + 1] && depth < 3) {
+                visit(parsed.argv[scriptIndex + 1], depth + 1);
+            }
+        }
+    };
+    visit(command, 0);
+
+    if (components.length === 0) {
+        return { level: COMMAND_LEVELS.SAFE, components, trigger: null };
+    }
+
+    const level = components.reduce((worst, c) => LEVEL_ORDER.indexOf(c.level) > LEVEL_ORDER.indexOf(worst) ? c.level : worst, COMMAND_LEVELS.SAFE);
+    const trigger = level === COMMAND_LEVELS.SAFE ? null : components.find(c => c.level === level);
+    return { level, components, trigger };
+}
+
+/**
+ * Explain why a command needs a prompt (or is blocked)
+ * @param {{components: CommandComponent[]}} analysis - From analyzeCommand
+ * @param {string} level - Components at this level are listed
+ * @returns {string}
+ */
+export function describeAnalysis(analysis, level) {
+    return analysis.components
+        .filter(c => c.level === level)
+        .map(c => `"${c.text}" ${c.reason}`)
+        .join('; ');
+}
+
+export default {
+    COMMAND_LEVELS,
+    DEFAULT_COMMAND_RULES,
+    compileCommandRule,
+    compileCommandRules,
+    loadCommandRules,
+    analyzeCommand,
+    describeAnalysis
+};
@@ -7,6 +7,17 @@ import os from 'os';
 import { printInfo, printError, printSuccess, printWarning, colors } from '../ui/terminal.js';
 import { getAllAgents, getAgent, printAgentsList, createAgentContext, loadAgents } from '../agents/agent.js';
 import { getAllSkills, printSkillsList, loadSkills, getSkillContext } from '../skills/skill.js';
+import { getAllPlugins, enablePlugin, disablePlugin } from '../plugins/loader.js';
+import { listCheckpoints, getCheckpoint, restoreCheckpoint, undoLastCheckpoint } from './checkpoints.js';
+import { listProcesses, formatProcess, PROCESS_STATUS } from './processes.js';
+import { closeShellSession, resetShellSession, SHELL_SESSION_SUPPORTED } from './shell-session.js';
+import { confirmAction, setPermissionMode, PERMISSION_MODES, PERMISSION_MODE_DESCRIPTIONS } from './permissions.js';
+import { measureContext, compactConversation } from './compaction.js';
+import { isToolResultMessage } from './tool-results.js';
+import { addUsage, formatUsageReport } from './usage.js';
+import { getProviderCapabilities, describeModelCapabilities } from '../config/models.js';
+import { getDeniedReason } from '../utils/ignore.js';
+import { formatTokenCount } from '../ui/input.js';
 
 // Built-in commands registry
 const BUILTIN_COMMANDS = new Map();
@@ -49,6 +60,18 @@ export function registerCustomCommand(command) {
     }
 }
 
+/**
+ * Unregister a custom command and its aliases
+ */
+export function unregisterCustomCommand(name) {
+    const command = CUSTOM_COMMANDS.get(name);
+    if (!command) return false;
+    for (const [key, value] of CUSTOM_COMMANDS) {
+        if (value === command) CUSTOM_COMMANDS.delete(key);
+    }
+    return true;
+}
+
 /**
  * Get a command by name
  */
@@ -266,6 +289,21 @@ registerCommand({
 
         console.log(colors.secondary('\n  TOOLS:'));
         console.log('    /tools          - List all available tools');
+        console.log('    /mode [mode]    - Permission mode: ask, accept-edits, plan, bypass (Shift+Tab cycles)');
+        console.log('    /ps             - List background processes');
+        console.log('    /shell [on|off|reset] - Persistent shell session (keeps cd and exports)');
+
+        console.log(colors.secondary('\n  CONTEXT:'));
+        console.log('    /context        - Show what fills the context window');
+        console.log('    /usage          - Tokens used and estimated cost this session');
+        console.log('    /compact [focus] - Summarize older turns now');
+        console.log('    /pin <file>     - Always include a file (kept through compaction)');
+        console.log('    /unpin <file>   - Stop including a pinned file');
+
+        console.log(colors.secondary('\n  CHECKPOINTS:'));
+        console.log('    /undo           - Revert file changes from the last turn');
+        console.log('    /checkpoints    - List saved checkpoints');
+        console.log('    /restore <id>   - Restore files to before a checkpoint');
 
         console.log(colors.secondary('\n  HISTORY:'));
         console.log('    /history        - List saved conversations');
@@ -277,6 +315,10 @@ registerCommand({
         console.log('    /agents         - List available agents');
         console.log('    /agent <name>   - Use a specific agent');
 
+        console.log(colors.secondary('\n  PLUGINS:'));
+        console.log('    /plugins        - List installed plugins');
+        console.log('    /plugin enable|disable <name> - Turn a plugin on or off');
+
         // Show custom commands if any
         const customCmds = [...CUSTOM_COMMANDS.values()].filter((v, i, a) =>
             a.findIndex(c => c.name === v.name) === i
@@ -320,6 +362,9 @@ registerCommand({
     handler: async (args, raw, ctx) => {
         printInfo(`Provider: ${ctx.providerName}`);
         printInfo(`Model: ${ctx.model || 'default'}`);
+        if (ctx.provider) {
+            printInfo(`Capabilities: ${describeModelCapabilities(getProviderCapabilities(ctx.provider, ctx.providerName))}`);
+        }
         printInfo(`Working Directory: ${ctx.cwd}`);
         printInfo(`Session: ${ctx.sessionId?.slice(0, 8)}...`);
         return null;
@@ -374,7 +419,7 @@ registerCommand({
     name: 'tools',
     description: 'List available AI tools',
     handler: async (args, raw, ctx) => {
-        console.log('\n' + colors.primary('━━━ Available Tools (26) ━━━') + '\n');
+        console.log('\n' + colors.primary('━━━ Available Tools (29) ━━━') + '\n');
 
         console.log(colors.secondary('  FILE OPERATIONS (11):'));
         console.log('    read_file       - Read file contents');
@@ -398,10 +443,13 @@ registerCommand({
         console.log('    search_files    - Search by glob pattern');
         console.log('    grep            - Search text in files');
         console.log('    find_replace    - Find and replace text');
-        console.log('    codebase_search - Fuzzy code search');
+        console.log('    codebase_search - Semantic code search');
 
-        console.log(colors.secondary('\n  COMMANDS (1):'));
-        console.log('    run_command     - Execute shell command');
+        console.log(colors.secondary('\n  COMMANDS (4):'));
+        console.log('    run_command     - Execute shell command (optionally in the background)');
+        console.log('    process_output  - Read background process output');
+        console.log('    process_list    - List background processes');
+        console.log('    process_kill    - Stop a background process');
 
         console.log(colors.secondary('\n  GIT (4):'));
         console.log('    git_status      - Show git status');
@@ -421,6 +469,132 @@ registerCommand({
     }
 });
 
+// /context - Show the context window breakdown
+registerCommand({
+    name: 'context',
+    description: 'Show what fills the context window',
+    handler: async (args, raw, ctx) => {
+        const lastPrompt = [...ctx.messages].reverse().find(m => m.role === 'user' && !isToolResultMessage(m));
+        const { breakdown, contextWindow, capabilities, compactThreshold } = await measureContext({
+            cwd: ctx.cwd,
+            provider: ctx.provider,
+            providerName: ctx.providerName,
+            messages: ctx.messages,
+            enableTools: ctx.enableTools,
+            pinnedFiles: ctx.pinnedFiles,
+            query: lastPrompt?.content || ''
+        });
+
+        console.log('\n' + colors.primary(`━━━ Context (${ctx.provider.model}) ━━━`) + '\n');
+        for (const part of breakdown.parts) {
+            console.log(`  ${part.label.padEnd(32)} ${part.tokens.toLocaleString().padStart(9)} tokens`);
+        }
+        console.log('\n  ' + formatTokenCount(breakdown.total, contextWindow));
+        console.log(colors.muted(`  Model: ${describeModelCapabilities(capabilities)}`));
+        console.log(colors.muted(`  Older turns are compacted automatically at ${Math.round(compactThreshold * 100)}%. Use /compact to do it now.`));
+        if (ctx.pinnedFiles?.length > 0) {
+            console.log(colors.muted(`  Pinned: ${ctx.pinnedFiles.join(', ')}`));
+        }
+        console.log();
+        return null;
+    }
+});
+
+// /usage - Tokens used this session
+registerCommand({
+    name: 'usage',
+    aliases: ['cost'],
+    description: 'Show tokens used and estimated cost this session',
+    handler: async (args, raw, ctx) => {
+        if (!ctx.usage) {
+            printInfo('Usage is only tracked in chat');
+            return null;
+        }
+        console.log(formatUsageReport(ctx.usage, 'Token usage (this session)'));
+        console.log(colors.muted('  Run `mlc usage --since 7d` for earlier sessions.') + '\n');
+        return null;
+    }
+});
+
+// /compact - Summarize older turns
+registerCommand({
+    name: 'compact',
+    description: 'Summarize older turns to free up context',
+    argumentHint: '[focus]',
+    handler: async (args, raw, ctx) => {
+        printInfo('Summarizing older turns...');
+        const result = await compactConversation(ctx.provider, ctx.messages, { instructions: raw || '', sessionId: ctx.sessionId });
+        if (!result.success) {
+            printWarning(result.error);
+            return null;
+        }
+        if (ctx.usage) addUsage(ctx.usage, result.usage);
+        printSuccess(`Compacted ${result.removed} messages (~${result.tokensBefore.toLocaleString()} → ~${result.tokensAfter.toLocaleString()} tokens)`);
+        return null;
+    }
+});
+
+// /pin - Always include a file in the context
+registerCommand({
+    name: 'pin',
+    description: 'Always include a file in the context',
+    argumentHint: '<file>',
+    handler: async (args, raw, ctx) => {
+        if (!args[0]) {
+            if (ctx.pinnedFiles.length === 0) {
+                printInfo('No pinned files. Usage: /pin <file>');
+            } else {
+                ctx.pinnedFiles.forEach(file => console.log(`  📌 ${file}`));
+            }
+            return null;
+        }
+
+        for (const file of args) {
+            const filePath = path.resolve(ctx.cwd, file);
+            const stats = await fs.stat(filePath).catch(() => null);
+            if (!stats?.isFile()) {
+                printError(`Not a file: ${file}`);
+                continue;
+            }
+            const denied = getDeniedReason(ctx.cwd, filePath);
+            if (denied) {
+                printError(denied);
+                continue;
+            }
+            const relative = path.relative(ctx.cwd, filePath);
+            if (!ctx.pinnedFiles.includes(relative)) {
+                ctx.pinnedFiles.push(relative);
+            }
+            printSuccess(`Pinned ${relative}`);
+        }
+        return null;
+    }
+});
+
+// /unpin - Stop including a pinned file
+registerCommand({
+    name: 'unpin',
+    description: 'Stop including a pinned file',
+    argumentHint: '<file|all>',
+    handler: async (args, raw, ctx) => {
+        if (args[0] === 'all') {
+            ctx.pinnedFiles.length = 0;
+            printSuccess('Unpinned all files');
+            return null;
+        }
+        for (const file of args) {
+            const index = ctx.pinnedFiles.indexOf(path.relative(ctx.cwd, path.resolve(ctx.cwd, file)));
+            if (index === -1) {
+                printWarning(`Not pinned: ${file}`);
+            } else {
+                ctx.pinnedFiles.splice(index, 1);
+                printSuccess(`Unpinned ${file}`);
+            }
+        }
+        return null;
+    }
+});
+
 // /history - List conversations
 registerCommand({
     name: 'history',
@@ -505,6 +679,199 @@ registerCommand({
     }
 });
 
+// /mode - Show or switch the permission mode
+registerCommand({
+    name: 'mode',
+    aliases: ['permissions'],
+    description: 'Show or switch the permission mode',
+    argumentHint: '[ask|accept-edits|plan|bypass]',
+    handler: async (args, raw, ctx) => {
+        if (!ctx.policy) {
+            printInfo('Permission modes are only available in chat');
+            return null;
+        }
+
+        if (!args[0]) {
+            console.log('\n' + colors.primary('━━━ Permission Modes ━━━') + '\n');
+            for (const mode of Object.values(PERMISSION_MODES)) {
+                const marker = mode === ctx.policy.mode ? colors.success('●') : ' ';
+                console.log(`  ${marker} ${mode.padEnd(13)} ${colors.muted(PERMISSION_MODE_DESCRIPTIONS[mode])}`);
+            }
+            const allowed = [...(ctx.policy.approvedTools || [])];
+            if (allowed.length > 0) {
+                console.log('\n' + colors.muted(`  Always allowed: ${allowed.join(', ')}`));
+            }
+            console.log('\n' + colors.muted('  Use /mode <name> or press Shift+Tab to switch') + '\n');
+            return null;
+        }
+
+        const result = setPermissionMode(ctx.policy, args[0].toLowerCase());
+        if (!result.success) {
+            printError(result.error);
+            return null;
+        }
+        printSuccess(`Permission mode: ${ctx.policy.mode} - ${PERMISSION_MODE_DESCRIPTIONS[ctx.policy.mode]}`);
+        return null;
+    }
+});
+
+// /ps - List background processes
+registerCommand({
+    name: 'ps',
+    aliases: ['processes'],
+    description: 'List background processes',
+    handler: async () => {
+        const processes = listProcesses();
+        if (processes.length === 0) {
+            printInfo('No background processes. They are started with run_command and background: true.');
+            return null;
+        }
+
+        console.log('\n' + colors.primary('━━━ Background Processes ━━━') + '\n');
+        for (const info of processes) {
+            const line = `  ${formatProcess(info)}`;
+            console.log(info.status === PROCESS_STATUS.RUNNING ? line : colors.muted(line));
+        }
+        console.log('\n' + colors.muted('  Running processes are stopped when the session ends') + '\n');
+        return null;
+    }
+});
+
+// /shell - Persistent shell session
+registerCommand({
+    name: 'shell',
+    description: 'Show, switch or reset the persistent shell session',
+    argumentHint: '[on|off|reset]',
+    handler: async (args, raw, ctx) => {
+        const session = ctx.shellSession;
+        if (!session) {
+            printInfo('The persistent shell is only available in chat');
+            return null;
+        }
+
+        switch ((args[0] || '').toLowerCase()) {
+            case '':
+                if (session.enabled) {
+                    printInfo(`Persistent shell: on (${session.shell}) in ${session.cwd}`);
+                } else {
+                    printInfo('Persistent shell: off - each command runs in a new shell. Use /shell on to keep cd and exports between commands.');
+                }
+                return null;
+            case 'on':
+                if (!SHELL_SESSION_SUPPORTED) {
+                    printError('The persistent shell needs a POSIX shell and is not available on Windows');
+                    return null;
+                }
+                session.enabled = true;
+                printSuccess(`Persistent shell on in ${session.cwd}`);
+                return null;
+            case 'off':
+                closeShellSession(session);
+                session.enabled = false;
+                printSuccess('Persistent shell off - each command runs in a new shell');
+                return null;
+            case 'reset':
+                resetShellSession(session);
+                printSuccess(`Shell reset - back in ${session.cwd} with a clean environment`);
+                return null;
+            default:
+                printError(`Unknown option: ${args[0]}. Use /shell [on|off|reset]`);
+                return null;
+        }
+    }
+});
+
+// Files put back by /undo or /restore (also listed when some of them failed)
+function printRestored(files = []) {
+    for (const file of files) {
+        console.log(colors.muted(`    ↺ ${file}`));
+    }
+}
+
+// /undo - Revert the last turn's file changes
+registerCommand({
+    name: 'undo',
+    description: 'Revert file changes from the last turn',
+    handler: async (args, raw, ctx) => {
+        const result = await undoLastCheckpoint(ctx.cwd);
+        if (!result.success) {
+            printRestored(result.restored);
+            (result.failed ? printError : printInfo)(result.error);
+            return null;
+        }
+        for (const file of result.restored) {
+            console.log(colors.muted(`    ↺ ${file}`));
+        }
+        printSuccess(`Reverted ${result.restored.length} file(s) from checkpoint ${result.reverted[0]}`);
+        return null;
+    }
+});
+
+// /checkpoints - List checkpoints
+registerCommand({
+    name: 'checkpoints',
+    description: 'List saved checkpoints',
+    handler: async (args, raw, ctx) => {
+        const checkpoints = await listCheckpoints(ctx.cwd);
+        if (checkpoints.length === 0) {
+            printInfo('No checkpoints yet. They are created when tools change files.');
+            return null;
+        }
+
+        console.log('\n' + colors.primary('━━━ Checkpoints (newest first) ━━━') + '\n');
+        for (const cp of checkpoints.slice(0, 20)) {
+            const when = new Date(cp.createdAt).toLocaleString();
+            const prompt = cp.prompt ? cp.prompt.split('\n')[0].slice(0, 60) : '(no prompt)';
+            console.log(`  ${colors.primary(cp.id)}  ${colors.muted(when)}`);
+            console.log(`    ${prompt}`);
+            console.log(`    ${colors.muted(`${cp.files.length} file(s) via ${cp.tools.join(', ')}`)}`);
+        }
+        console.log('\n' + colors.muted('  Use /restore <id> to go back to before a checkpoint') + '\n');
+        return null;
+    }
+});
+
+// /restore - Restore files to before a checkpoint
+registerCommand({
+    name: 'restore',
+    description: 'Restore files to before a checkpoint',
+    argumentHint: '<id>',
+    handler: async (args, raw, ctx) => {
+        if (!args[0]) {
+            printInfo('Usage: /restore <checkpoint-id>');
+            printInfo('Type /checkpoints to see available checkpoints');
+            return null;
+        }
+
+        const target = await getCheckpoint(ctx.cwd, args[0]);
+        if (!target) {
+            printError(`Checkpoint not found: ${args[0]}`);
+            return null;
+        }
+
+        // Restoring an older checkpoint also reverts every turn after it
+        const newer = (await listCheckpoints(ctx.cwd)).filter(cp => cp.id > target.id);
+        if (newer.length > 0) {
+            printWarning(`This also reverts ${newer.length} later checkpoint(s).`);
+            if (!await confirmAction('Continue?', { default: false })) {
+                return null;
+            }
+        }
+
+        const result = await restoreCheckpoint(ctx.cwd, target.id);
+        if (!result.success) {
+            printRestored(result.restored);
+            printError(result.error);
+            return null;
+        }
+        for (const file of result.restored) {
+            console.log(colors.muted(`    ↺ ${file}`));
+        }
+        printSuccess(`Restored ${result.restored.length} file(s) to before ${target.id}`);
+        return null;
+    }
+});
+
 // /agents - List agents
 registerCommand({
     name: 'agents',
@@ -612,9 +979,65 @@ registerCommand({
     }
 });
 
+// /plugins - List plugins
+registerCommand({
+    name: 'plugins',
+    description: 'List installed plugins',
+    handler: async () => {
+        const plugins = getAllPlugins();
+        console.log('\n' + colors.primary('━━━ Plugins ━━━') + '\n');
+
+        if (plugins.length === 0) {
+            console.log('  ' + colors.muted('No plugins installed'));
+            console.log('  ' + colors.muted('Add plugins to ~/.mylocalcli/plugins/ or .mylocalcli/plugins/') + '\n');
+            return null;
+        }
+
+        for (const plugin of plugins) {
+            const status = plugin.enabled ? colors.success('enabled') : colors.muted('disabled');
+            console.log(`  ${colors.primary(plugin.name)} ${colors.muted('v' + plugin.version)} - ${status}`);
+            if (plugin.description) {
+                console.log(`    ${colors.muted(plugin.description)}`);
+            }
+            const hookCount = Object.values(plugin.hooks?.hooks || plugin.hooks || {})
+                .reduce((sum, list) => sum + (Array.isArray(list) ? list.length : 0), 0);
+            console.log(`    ${colors.muted(`${plugin.commands.length} commands, ${plugin.agents.length} agents, ${plugin.skills.length} skills, ${hookCount} hooks`)}`);
+            console.log();
+        }
+
+        console.log(colors.muted('  Use /plugin enable|disable <name> to turn plugins on or off') + '\n');
+        return null;
+    }
+});
+
+// /plugin - Enable or disable a plugin
+registerCommand({
+    name: 'plugin',
+    description: 'Enable or disable a plugin',
+    argumentHint: 'enable|disable <name>',
+    handler: async (args) => {
+        const [action, name] = args;
+        if (!['enable', 'disable'].includes(action) || !name) {
+            printInfo('Usage: /plugin enable|disable <name>');
+            return null;
+        }
+
+        const ok = action === 'enable' ? enablePlugin(name) : disablePlugin(name);
+        if (!ok) {
+            printError(`Plugin not found: ${name}`);
+            printInfo('Type /plugins to see installed plugins');
+            return null;
+        }
+
+        printSuccess(`Plugin ${name} ${action}d`);
+        return null;
+    }
+});
+
 export default {
     registerCommand,
     registerCustomCommand,
+    unregisterCustomCommand,
     getCommand,
     getAllCommands,
     parseCommand,
@@ -0,0 +1,228 @@
+// MyLocalCLI - Context Compaction
+// Measures what fills the context window and summarizes older turns when it gets full
+
+import { estimateTokens, estimateMessagesTokens } from './tokens.js';
+import { buildPromptSections } from './prompt.js';
+import { getToolDefinitions } from './tools.js';
+import { getSetting } from '../config/settings.js';
+import { getProviderCapabilities } from '../config/models.js';
+import { isToolResultMessage } from './tool-results.js';
+import { stripThinking } from './loop.js';
+import { saveUsage } from '../utils/history.js';
+
+// Compact once the estimate passes this share of the context window
+export const DEFAULT_COMPACT_THRESHOLD = 0.8;
+
+// Most of the context window kept free for the response
+const MAX_RESPONSE_RESERVE_SHARE = 0.25;
+
+// User turns kept word for word after compacting
+export const DEFAULT_KEEP_RECENT_TURNS = 2;
+
+// Marks the message that replaces compacted turns
+export const SUMMARY_PREFIX = '[Summary of the earlier conversation]';
+
+// Longest tool result quoted in the transcript sent for summarizing
+const MAX_TRANSCRIPT_RESULT_CHARS = 2000;
+
+const SUMMARY_INSTRUCTIONS = `You are compacting a coding assistant conversation so it fits in the context window.
+Write a concise summary that lets the assistant continue the work without the original messages.
+Keep: the user's goals and constraints, decisions made, files read or changed (with paths),
+important code facts, commands run and their outcomes, errors still unresolved, and what was
+about to happen next. Drop greetings, repeated file contents and tool output that no longer matters.
+Reply with the summary only.`;
+
+/**
+ * Measure what the next request will send
+ * @param {Object} options
+ * @param {{base: string, pinnedFiles: string, relevantFiles: string}} options.sections - System prompt sections
+ * @param {Array} options.messages - Conversation history
+ * @param {Array} [options.tools] - Tool definitions sent natively (if any)
+ * @param {string} [options.model] - Model id (picks the token estimator)
+ * @param {number} options.contextWindow - Model context window
+ * @returns {{parts: Array<{label: string, tokens: number}>, total: number, contextWindow: number, usage: number}}
+ */
+export function getContextBreakdown(options) {
+    const { sections, messages, tools = [], model, contextWindow } = options;
+
+    const parts = [
+        { label: 'System prompt', tokens: estimateTokens(sections.base, model) },
+        { label: 'Pinned files', tokens: estimateTokens(sections.pinnedFiles, model) },
+        { label: 'Relevant files', tokens: estimateTokens(sections.relevantFiles, model) },
+        { label: 'Tool definitions', tokens: tools.length ? estimateTokens(JSON.stringify(tools), model) : 0 },
+        { label: `Conversation (${messages.length} messages)`, tokens: estimateMessagesTokens(messages, model) }
+    ];
+    const total = parts.reduce((sum, part) => sum + part.tokens, 0);
+
+    return { parts, total, contextWindow, usage: contextWindow ? total / contextWindow : 0 };
+}
+
+/**
+ * Build this turn's system prompt sections and measure the whole context
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.provider - LLM provider
+ * @param {string} options.providerName - Provider id (for the context window)
+ * @param {Array} options.messages - Conversation history
+ * @param {boolean} [options.enableTools] - Whether tools are offered
+ * @param {Set<string>|null} [options.allowedTools] - Tool allowlist
+ * @param {string[]} [options.pinnedFiles] - Pinned file paths
+ * @param {string} [options.query] - User input used to pick relevant files
+ * @param {boolean} [options.planMode] - Add the plan mode instructions
+ * @returns {Promise<{sections: Object, tools: Array, contextWindow: number, capabilities: import('../config/models.js').ModelCapabilities, compactThreshold: number, breakdown: Object}>}
+ */
+export async function measureContext(options) {
+    const { cwd, provider, providerName, messages, enableTools = true, allowedTools = null, pinnedFiles = [], query = '', planMode = false } = options;
+    const sections = await buildPromptSections({ cwd, provider, enableTools, allowedTools, pinnedFiles, query, planMode });
+    const tools = enableTools && provider.supportsNativeTools?.() === true ? getToolDefinitions(allowedTools) : [];
+    const capabilities = getProviderCapabilities(provider, providerName);
+    const contextWindow = capabilities.contextWindow;
+    const breakdown = getContextBreakdown({ sections, messages, tools, model: provider.model, contextWindow });
+    return { sections, tools, contextWindow, capabilities, compactThreshold: getCompactThreshold(capabilities), breakdown };
+}
+
+/**
+ * Share of the context window at which to compact
+ * Room for the model's response is kept free (up to a quarter of the
+ * window), so a model with a small window compacts earlier than the
+ * `compactThreshold` setting says.
+ *
+ * @param {import('../config/models.js').ModelCapabilities} capabilities
+ * @param {number} [threshold] - Configured threshold
+ * @returns {number}
+ */
+export function getCompactThreshold(capabilities, threshold = getSetting('compactThreshold') || DEFAULT_COMPACT_THRESHOLD) {
+    const reserve = Math.min(capabilities.maxOutput, capabilities.contextWindow * MAX_RESPONSE_RESERVE_SHARE);
+    return Math.min(threshold, 1 - reserve / capabilities.contextWindow);
+}
+
+/**
+ * Whether the context is full enough to compact
+ */
+export function needsCompaction(breakdown, threshold = getSetting('compactThreshold') || DEFAULT_COMPACT_THRESHOLD) {
+    return breakdown.usage >= threshold;
+}
+
+/**
+ * Find where the recent turns start
+ * Cuts only at prompts the user wrote (text-mode tool results are user
+ * messages too), so tool calls stay with their results.
+ * @returns {number} Index of the first kept message (0 = nothing to compact)
+ */
+export function findCompactionSplit(messages, keepRecentTurns = DEFAULT_KEEP_RECENT_TURNS) {
+    const turnStarts = [];
+    messages.forEach((message, i) => {
+        if (message.role === 'user' && !isToolResultMessage(message)) turnStarts.push(i);
+    });
+    if (turnStarts.length <= keepRecentTurns) return 0;
+    return keepRecentTurns > 0 ? turnStarts[turnStarts.length - keepRecentTurns] : messages.length;
+}
+
+// Render messages as plain text for the summarizer
+function formatTranscript(messages) {
+    return messages.map(message => {
+        if (message.role === 'tool') {
+            const content = String(message.content || '');
+            const clipped = content.length > MAX_TRANSCRIPT_RESULT_CHARS
+                ? content.slice(0, MAX_TRANSCRIPT_RESULT_CHARS) + '\n... [truncated]'
+                : content;
+            return `TOOL RESULT:\n${clipped}`;
+        }
+        let text = `${message.role.toUpperCase()}:\n${message.content || ''}`;
+        for (const call of message.tool_calls || []) {
+            text += `\n[called ${call.function?.name}(${call.function?.arguments})]`;
+        }
+        return text;
+    }).join('\n\n');
+}
+
+/**
+ * Summarize older turns with the model and replace them in place
+ * The system prompt is rebuilt every turn (with pinned files), so only the
+ * conversation needs compacting. The most recent turns are kept as-is.
+ *
+ * @param {Object} provider - LLM provider used to write the summary
+ * @param {Array} messages - Conversation history (mutated in place)
+ * @param {Object} [options]
+ * @param {number} [options.keepRecentTurns] - User turns to keep verbatim
+ * @param {string} [options.instructions] - Extra focus for the summary (from /compact)
+ * @param {string} [options.sessionId] - Session to save the summary call's token usage to
+ * @returns {Promise<{success: boolean, error?: string, removed?: number, summary?: string, tokensBefore?: number, tokensAfter?: number, usage?: import('./usage.js').UsageRecord}>}
+ */
+export async function compactConversation(provider, messages, options = {}) {
+    const keepRecentTurns = options.keepRecentTurns ?? DEFAULT_KEEP_RECENT_TURNS;
+    const split = findCompactionSplit(messages, keepRecentTurns);
+    if (split === 0) {
+        return { success: false, error: 'Not enough conversation to compact yet' };
+    }
+
+    const older = messages.slice(0, split);
+    const tokensBefore = estimateMessagesTokens(messages, provider.model);
+
+    let instructions = SUMMARY_INSTRUCTIONS;
+    if (options.instructions) {
+        instructions += `\n\nPay particular attention to: ${options.instructions}`;
+    }
+
+    const request = [
+        { role: 'system', content: instructions },
+        { role: 'user', content: formatTranscript(older) }
+    ];
+    let summary = '';
+    let reportedUsage = null;
+    try {
+        for await (const chunk of provider.stream(request)) {
+            if (typeof chunk === 'string') summary += chunk;
+            else if (chunk.type === 'usage') reportedUsage = chunk.usage;
+            // A reconnect or fallback starts the summary over
+            else if (chunk.type === 'retry' || chunk.type === 'fallback') summary = '';
+        }
+    } catch (error) {
+        return { success: false, error: `Could not summarize: ${error.message}` };
+    }
+
+    // Completion tokens include the reasoning, the summary doesn't
+    const generated = summary;
+    if (getProviderCapabilities(provider).reasoning === 'think-tags') {
+        summary = stripThinking(summary);
+    }
+    summary = summary.trim();
+    if (!summary) {
+        return { success: false, error: 'The model returned an empty summary' };
+    }
+
+    messages.splice(0, split, { role: 'user', content: `${SUMMARY_PREFIX}\n\n${summary}` });
+
+    const usage = {
+        provider: provider.lastProvider || null,
+        model: provider.model,
+        promptTokens: reportedUsage?.promptTokens ?? estimateMessagesTokens(request, provider.model),
+        completionTokens: reportedUsage?.completionTokens ?? estimateTokens(generated, provider.model),
+        estimated: !reportedUsage
+    };
+    // Saved so `mlc usage` counts the summary like /usage does
+    if (options.sessionId) {
+        await saveUsage(options.sessionId, usage);
+    }
+
+    return {
+        success: true,
+        removed: older.length,
+        summary,
+        tokensBefore,
+        tokensAfter: estimateMessagesTokens(messages, provider.model),
+        usage
+    };
+}
+
+export default {
+    getContextBreakdown,
+    measureContext,
+    getCompactThreshold,
+    needsCompaction,
+    findCompactionSplit,
+    compactConversation,
+    DEFAULT_COMPACT_THRESHOLD,
+    DEFAULT_KEEP_RECENT_TURNS,
+    SUMMARY_PREFIX
+};
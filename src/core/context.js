@@ -1,6 +1,8 @@
+import fs from 'fs/promises';
 import path from 'path';
 import { listDirectory, searchFiles, readFile, getFileExtension, getLanguageFromExtension } from '../utils/files.js';
 import { isGitRepo, getGitInfo } from '../utils/git.js';
+import { updateRepoMap, rankFiles } from './repomap.js';
 
 // Codebase context builder
 export async function buildContext(cwd) {
@@ -30,7 +32,15 @@ export async function buildContext(cwd) {
     return context;
 }
 
+// Project type from marker files in the project root (no tree walk)
 async function detectProjectType(cwd) {
+    let entries;
+    try {
+        entries = await fs.readdir(cwd);
+    } catch {
+        return 'unknown';
+    }
+
     const detectors = [
         { file: 'package.json', type: 'nodejs' },
         { file: 'requirements.txt', type: 'python' },
@@ -46,8 +56,7 @@ async function detectProjectType(cwd) {
     ];
 
     for (const detector of detectors) {
-        const files = await searchFiles(`**/${detector.file}`, cwd);
-        if (files.length > 0) {
+        if (entries.some(name => name === detector.file || name.endsWith(detector.file))) {
             return detector.type;
         }
     }
@@ -75,15 +84,25 @@ async function getImportantFiles(cwd, projectType) {
     return [...new Set(files)].slice(0, 10);
 }
 
+/**
+ * Pick the files most relevant to a prompt
+ * Files are ranked from the repo map (symbols, keywords and import graph);
+ * the project's important files (README, manifest) fill any remaining slots.
+ */
 export async function getRelevantContext(cwd, query) {
-    // Find files that might be relevant to the query
-    const context = await buildContext(cwd);
-    const relevantFiles = [];
+    const projectType = await detectProjectType(cwd);
+    const context = {
+        currentDir: cwd,
+        projectType,
+        files: await getImportantFiles(cwd, projectType)
+    };
 
-    // Extract potential file names or patterns from query
-    const patterns = extractPatterns(query);
+    const repoMap = await updateRepoMap(cwd);
+    const relevantFiles = rankFiles(repoMap, query || '').map(ranked => path.join(cwd, ranked.path));
 
-    for (const pattern of patterns) {
+    // Quoted names the index doesn't cover (e.g. "notes.txt")
+    for (const pattern of extractPatterns(query || '')) {
+        if (relevantFiles.length >= 10) break;
         const files = await searchFiles(`**/*${pattern}*`, cwd);
         relevantFiles.push(...files.slice(0, 3));
     }
@@ -0,0 +1,246 @@
+// MyLocalCLI - Embeddings
+// On-disk vector index of code chunks, embedded with the provider's embedding model
+
+import fs from 'fs/promises';
+import path from 'path';
+import { updateRepoMap, getIndexDir } from './repomap.js';
+import { chunkBySymbols } from '../utils/symbols.js';
+
+// Bump when the index format changes so old indexes are rebuilt
+export const EMBEDDING_INDEX_VERSION = 1;
+
+// Chunks sent per embeddings request
+export const EMBED_BATCH_SIZE = 32;
+
+// Longest chunk text sent for embedding (embedding models have small context windows)
+const MAX_EMBED_CHARS = 3000;
+
+// Loaded indexes, keyed by project directory
+const embeddingIndexes = new Map();
+
+/**
+ * Something that turns texts into vectors
+ * @typedef {Object} Embedder
+ * @property {string} id - Embedding model id (the index is rebuilt when it changes)
+ * @property {function(string[]): Promise<number[][]>} embed - One vector per text
+ */
+
+/**
+ * Embedder backed by a provider's embedding model
+ * @param {Object} provider - LLM provider instance
+ * @returns {Embedder|null} null when the provider has no embedding model
+ */
+export function createEmbedder(provider) {
+    if (!provider?.embeddingModel || typeof provider.embed !== 'function') return null;
+    return {
+        id: provider.embeddingModel,
+        embed: (texts) => provider.embed(texts)
+    };
+}
+
+/**
+ * Cosine similarity of two vectors
+ */
+export function cosineSimilarity(a, b) {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < Math.min(a.length, b.length); i++) {
+        dot += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+// Vectors are stored as base64 float32 to keep the index small
+function encodeVector(vector) {
+    return Buffer.from(new Float32Array(vector).buffer).toString('base64');
+}
+
+function decodeVector(encoded) {
+    // Copy into a fresh buffer - Float32Array needs 4-byte alignment
+    return new Float32Array(new Uint8Array(Buffer.from(encoded, 'base64')).buffer);
+}
+
+function getEmbeddingIndexPath(cwd) {
+    return path.join(getIndexDir(cwd), 'embeddings.json');
+}
+
+/**
+ * Load the embedding index from disk (or start an empty one)
+ */
+export async function loadEmbeddingIndex(cwd) {
+    if (embeddingIndexes.has(cwd)) return embeddingIndexes.get(cwd);
+
+    let index = { version: EMBEDDING_INDEX_VERSION, model: null, files: {} };
+    try {
+        const saved = JSON.parse(await fs.readFile(getEmbeddingIndexPath(cwd), 'utf-8'));
+        if (saved.version === EMBEDDING_INDEX_VERSION) {
+            for (const entry of Object.values(saved.files)) {
+                for (const chunk of entry.chunks) chunk.vector = decodeVector(chunk.vector);
+            }
+            index = saved;
+        }
+    } catch {
+        // No index yet
+    }
+    embeddingIndexes.set(cwd, index);
+    return index;
+}
+
+async function saveEmbeddingIndex(cwd, index) {
+    const files = {};
+    for (const [file, entry] of Object.entries(index.files)) {
+        files[file] = { ...entry, chunks: entry.chunks.map(chunk => ({ ...chunk, vector: encodeVector(chunk.vector) })) };
+    }
+
+    const dir = getIndexDir(cwd);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, '.gitignore'), '*\n');
+    await fs.writeFile(getEmbeddingIndexPath(cwd), JSON.stringify({ ...index, files }));
+}
+
+// Text sent to the embedding model: where the chunk lives, then its source
+function embeddingText(file, chunk) {
+    const header = chunk.symbol ? `${file} - ${chunk.symbol}` : file;
+    return `${header}\n${chunk.text}`.slice(0, MAX_EMBED_CHARS);
+}
+
+/**
+ * Bring the embedding index up to date
+ * Uses the repo map to find files that changed since they were embedded;
+ * only their chunks are sent to the embedding model. Switching embedding
+ * models rebuilds the index. Progress is saved even if a request fails.
+ *
+ * @param {string} cwd - Project directory
+ * @param {Embedder} embedder - Embedding model
+ * @param {Object} [options]
+ * @param {function(number, number): void} [options.onProgress] - Called with (embedded, total) chunks
+ * @returns {Promise<{version: number, model: string, files: Object}>}
+ * @throws When the embedding model fails
+ */
+export async function updateEmbeddingIndex(cwd, embedder, options = {}) {
+    const map = await updateRepoMap(cwd);
+    const index = await loadEmbeddingIndex(cwd);
+    let changed = false;
+
+    if (index.model !== embedder.id) {
+        index.model = embedder.id;
+        index.files = {};
+        changed = true;
+    }
+
+    for (const file of Object.keys(index.files)) {
+        if (!map.files[file]) {
+            delete index.files[file];
+            changed = true;
+        }
+    }
+
+    // Chunk every file that is new or changed since it was embedded
+    const pending = [];
+    for (const [file, entry] of Object.entries(map.files)) {
+        const existing = index.files[file];
+        if (existing && existing.mtime === entry.mtime && existing.size === entry.size) continue;
+
+        let content;
+        try {
+            content = await fs.readFile(path.join(cwd, file), 'utf-8');
+        } catch {
+            continue;
+        }
+        const chunks = chunkBySymbols(content, entry.language, entry.symbols);
+        pending.push({ file, entry: { mtime: entry.mtime, size: entry.size, chunks: [] }, chunks });
+    }
+
+    const queue = pending.flatMap(item => item.chunks.map(chunk => ({ item, chunk })));
+    try {
+        for (let i = 0; i < queue.length; i += EMBED_BATCH_SIZE) {
+            const batch = queue.slice(i, i + EMBED_BATCH_SIZE);
+            const vectors = await embedder.embed(batch.map(({ item, chunk }) => embeddingText(item.file, chunk)));
+            if (!Array.isArray(vectors) || vectors.length !== batch.length) {
+                throw new Error(`Expected ${batch.length} embeddings, got ${vectors?.length ?? 0}`);
+            }
+
+            batch.forEach(({ item, chunk }, j) => {
+                item.entry.chunks.push({ start: chunk.start, end: chunk.end, symbol: chunk.symbol, vector: vectors[j] });
+                // A file joins the index once all of its chunks are embedded
+                if (item.entry.chunks.length === item.chunks.length) {
+                    index.files[item.file] = item.entry;
+                    changed = true;
+                }
+            });
+            options.onProgress?.(Math.min(i + EMBED_BATCH_SIZE, queue.length), queue.length);
+        }
+
+        // Files with nothing worth embedding are recorded so they aren't re-read
+        for (const item of pending) {
+            if (item.chunks.length === 0) {
+                index.files[item.file] = item.entry;
+                changed = true;
+            }
+        }
+    } finally {
+        if (changed) {
+            try {
+                await saveEmbeddingIndex(cwd, index);
+            } catch {
+                // Read-only project - keep the index in memory
+            }
+        }
+    }
+
+    return index;
+}
+
+/**
+ * Find the chunks closest to a query vector
+ * @param {Object} index - Index from updateEmbeddingIndex
+ * @param {number[]} queryVector - Embedded query
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum results to return
+ * @param {Set<string>|null} [options.files] - Only search these files
+ * @param {function(string): boolean} [options.filter] - Leave out files this returns false for
+ * @returns {Array<{file: string, start: number, end: number, symbol: string|null, score: number}>}
+ */
+export function searchEmbeddingIndex(index, queryVector, options = {}) {
+    const { limit = 10, files = null, filter = null } = options;
+    const results = [];
+
+    for (const [file, entry] of Object.entries(index.files)) {
+        if (files && !files.has(file)) continue;
+        if (filter && !filter(file)) continue;
+        for (const chunk of entry.chunks) {
+            results.push({
+                file,
+                start: chunk.start,
+                end: chunk.end,
+                symbol: chunk.symbol,
+                score: cosineSimilarity(queryVector, chunk.vector)
+            });
+        }
+    }
+
+    return results
+        .sort((a, b) => b.score - a.score)
+        .slice(0, limit);
+}
+
+/**
+ * Forget loaded indexes so the next update reads them from disk
+ */
+export function resetEmbeddingCache() {
+    embeddingIndexes.clear();
+}
+
+export default {
+    createEmbedder,
+    cosineSimilarity,
+    loadEmbeddingIndex,
+    updateEmbeddingIndex,
+    searchEmbeddingIndex,
+    resetEmbeddingCache,
+    EMBEDDING_INDEX_VERSION,
+    EMBED_BATCH_SIZE
+};
@@ -1,6 +1,9 @@
 import { spawn } from 'child_process';
-import inquirer from 'inquirer';
 import { printCommand, printWarning, printError, printSuccess, colors } from '../ui/terminal.js';
+import { confirmAction } from './permissions.js';
+import { analyzeCommand, describeAnalysis, loadCommandRules, COMMAND_LEVELS } from './command-rules.js';
+import { startBackgroundProcess } from './processes.js';
+import { runInShellSession } from './shell-session.js';
 
 // Cross-platform command translation map (Unix -> Windows)
 const UNIX_TO_WINDOWS_COMMANDS = {
@@ -56,38 +59,6 @@ const WINDOWS_TO_UNIX_COMMANDS = {
     'taskkill': 'kill'
 };
 
-// Safe command executor
-const DANGEROUS_COMMANDS = [
-    'rm -rf',
-    'rm -r',
-    'rmdir',
-    'del /s',
-    'rd /s',
-    'format',
-    'mkfs',
-    'dd if=',
-    ':(){:|:&};:',
-    'chmod -R 777',
-    'chmod 777',
-    '> /dev/sda',
-    'mv /* ',
-    'wget',
-    'curl',
-    'sudo',
-    'su ',
-    'shutdown',
-    'reboot',
-    'kill -9',
-    'killall'
-];
-
-const SAFE_COMMANDS = [
-    'ls', 'dir', 'pwd', 'cd', 'echo', 'cat', 'type', 'head', 'tail',
-    'grep', 'find', 'which', 'where', 'whoami', 'date', 'env',
-    'node --version', 'npm --version', 'python --version', 'git status',
-    'git log', 'git branch', 'git diff', 'npm list', 'pip list'
-];
-
 /**
  * Translate a command for cross-platform compatibility
  * @param {string} command - The command to translate
@@ -131,14 +102,23 @@ function translateCommand(command, toWindows = true) {
     return null;
 }
 
-export function isDangerousCommand(command) {
-    const lowerCmd = command.toLowerCase();
-    return DANGEROUS_COMMANDS.some(dangerous => lowerCmd.includes(dangerous));
+/**
+ * Whether a command needs explicit confirmation (or is denied)
+ * @param {string} command - Command line
+ * @param {Array} [ruleSets] - From loadCommandRules (default: built-in rules)
+ */
+export function isDangerousCommand(command, ruleSets) {
+    const { level } = analyzeCommand(command, ruleSets);
+    return level === COMMAND_LEVELS.CONFIRM || level === COMMAND_LEVELS.DENY;
 }
 
-export function isSafeCommand(command) {
-    const lowerCmd = command.toLowerCase().trim();
-    return SAFE_COMMANDS.some(safe => lowerCmd.startsWith(safe));
+/**
+ * Whether every part of a command is known to be safe
+ * @param {string} command - Command line
+ * @param {Array} [ruleSets] - From loadCommandRules (default: built-in rules)
+ */
+export function isSafeCommand(command, ruleSets) {
+    return analyzeCommand(command, ruleSets).level === COMMAND_LEVELS.SAFE;
 }
 
 export async function executeCommand(command, options = {}) {
@@ -146,6 +126,9 @@ export async function executeCommand(command, options = {}) {
         cwd = process.cwd(),
         requireConfirmation = true,
         timeout = 30000,
+        policy = null,
+        background = false,
+        session = null,
         _isRetry = false  // Internal flag to prevent infinite retry loops
     } = options;
 
@@ -161,37 +144,66 @@ export async function executeCommand(command, options = {}) {
         }
     }
 
-    // Check for dangerous commands
-    if (isDangerousCommand(finalCommand)) {
-        printWarning('This command appears to be potentially dangerous.');
-        const { proceed } = await inquirer.prompt([{
-            type: 'confirm',
-            name: 'proceed',
-            message: 'Are you absolutely sure you want to run this command?',
-            default: false
-        }]);
+    // Each part of the command is checked against the project and built-in rules
+    const analysis = analyzeCommand(finalCommand, await loadCommandRules(cwd));
 
-        if (!proceed) {
-            return { success: false, error: 'Command cancelled by user' };
-        }
+    if (analysis.level === COMMAND_LEVELS.DENY) {
+        return { success: false, error: `Command blocked: ${describeAnalysis(analysis, COMMAND_LEVELS.DENY)}` };
     }
 
-    // Confirm before running
-    if (requireConfirmation && !isSafeCommand(finalCommand)) {
+    // Nobody to ask in non-interactive runs: only --yolo may run commands that
+    // need confirmation, and unapproved commands must be known-safe
+    const interactive = !policy || policy.interactive;
+
+    if (analysis.level === COMMAND_LEVELS.CONFIRM) {
+        const reason = describeAnalysis(analysis, COMMAND_LEVELS.CONFIRM);
+        if (!interactive) {
+            if (!policy.autoApprove) {
+                return { success: false, error: `Command needs confirmation, which is not possible in non-interactive mode (use --yolo to allow): ${reason}` };
+            }
+        } else {
+            printCommand(finalCommand);
+            printWarning(`This command needs confirmation: ${reason}`);
+            const proceed = await confirmAction('Are you absolutely sure you want to run this command?', { default: false });
+
+            if (!proceed) {
+                return { success: false, error: 'Command cancelled by user' };
+            }
+        }
+    } else if (requireConfirmation && analysis.level === COMMAND_LEVELS.ASK) {
+        const reason = describeAnalysis(analysis, COMMAND_LEVELS.ASK);
+        if (!interactive) {
+            return {
+                success: false,
+                error: `Command needs approval, which is not possible in non-interactive mode. Allow it with --allow-tools run_command or --yolo. (${reason})`
+            };
+        }
+
         printCommand(finalCommand);
-        const { proceed } = await inquirer.prompt([{
-            type: 'confirm',
-            name: 'proceed',
-            message: 'Run this command?',
-            default: true
-        }]);
+        console.log(colors.muted(`  Needs approval: ${reason}`));
+        const proceed = await confirmAction('Run this command?', { default: true, policy, toolName: 'run_command' });
 
         if (!proceed) {
             return { success: false, error: 'Command cancelled by user' };
         }
     }
 
-    const result = await runCommand(finalCommand, cwd, timeout);
+    // Background commands have no timeout; the agent checks on them with the process tools
+    if (background) {
+        const started = startBackgroundProcess(finalCommand, { cwd: session?.enabled ? session.cwd : cwd });
+        printSuccess(`Started in the background as ${started.id} (pid ${started.pid})`);
+        return {
+            success: true,
+            id: started.id,
+            pid: started.pid,
+            message: `Running in the background as ${started.id}. Use process_output to read its output and process_kill to stop it.`
+        };
+    }
+
+    // A persistent session keeps cd and exported variables between commands
+    const result = session?.enabled
+        ? reportResult(await runInShellSession(session, finalCommand, { timeout }))
+        : await runCommand(finalCommand, cwd, timeout);
 
     // If command failed and we haven't retried yet, try translating and retry
     if (!result.success && !_isRetry) {
@@ -212,6 +224,16 @@ export async function executeCommand(command, options = {}) {
     return result;
 }
 
+// Print the outcome of a command like runCommand does
+function reportResult(result) {
+    if (result.success) {
+        printSuccess('Command completed successfully');
+    } else if (result.exitCode !== undefined && result.exitCode !== null && result.error?.startsWith('Exit code')) {
+        printError(`Command failed with exit code ${result.exitCode}`);
+    }
+    return result;
+}
+
 /**
  * Internal function to actually run the command
  */
@@ -0,0 +1,302 @@
+// MyLocalCLI - Agent Loop
+// Feeds tool results back to the model until it answers without tool calls
+
+import { executeTool, parseToolCalls, getToolDefinitions } from './tools.js';
+import { serializeToolCalls } from '../providers/base.js';
+import { buildToolResultMessages } from './tool-results.js';
+import { saveMessage } from '../utils/history.js';
+import { getSetting } from '../config/settings.js';
+import { getProviderCapabilities, getResponseTokenLimit } from '../config/models.js';
+import { estimateTokens, estimateMessageTokens, estimateMessagesTokens } from './tokens.js';
+import { thinkingSpinner } from '../ui/spinner.js';
+import {
+    printAssistantStart,
+    printAssistantChunk,
+    printAssistantEnd,
+    printInfo,
+    printError,
+    printWarning,
+    colors
+} from '../ui/terminal.js';
+
+export const DEFAULT_MAX_ITERATIONS = 25;
+export const DEFAULT_MAX_TURN_TOKENS = 100000;
+
+/**
+ * Remove <think>...</think> blocks that reasoning models write before the answer
+ * An unclosed block (the response ended while thinking) is removed too.
+ */
+export function stripThinking(text) {
+    return text.replace(/<think>[\s\S]*?(<\/think>|$)/g, '').trim();
+}
+
+/**
+ * Reasons the agent loop can stop
+ */
+export const STOP_REASONS = {
+    COMPLETED: 'completed',
+    MAX_ITERATIONS: 'max_iterations',
+    TOKEN_BUDGET: 'token_budget',
+    ERROR: 'error'
+};
+
+/**
+ * Describe why the loop stopped
+ */
+export function describeStopReason(result) {
+    switch (result.stopReason) {
+        case STOP_REASONS.COMPLETED:
+            return `completed in ${result.iterations} step${result.iterations === 1 ? '' : 's'}`;
+        case STOP_REASONS.MAX_ITERATIONS:
+            return `reached the limit of ${result.maxIterations} iterations`;
+        case STOP_REASONS.TOKEN_BUDGET:
+            return `used ~${result.tokensUsed.toLocaleString()} of the ${result.maxTurnTokens.toLocaleString()} token budget for this turn`;
+        case STOP_REASONS.ERROR:
+            return `an error occurred: ${result.error}`;
+        default:
+            return result.stopReason;
+    }
+}
+
+/**
+ * Describe why a streamed response started over
+ * @param {{type: string, provider?: string, from?: string, to?: string, error: string}} chunk
+ */
+export function describeRestart(chunk) {
+    if (chunk.type === 'fallback') {
+        return `${chunk.from} failed (${chunk.error}) - answering with ${chunk.to}`;
+    }
+    return `Connection to ${chunk.provider} dropped (${chunk.error}) - reconnecting`;
+}
+
+/**
+ * Print a summary line for a finished turn
+ */
+export function printStopSummary(result) {
+    if (result.stopReason === STOP_REASONS.COMPLETED) {
+        // Only worth mentioning when the model actually used tools
+        if (result.toolCallCount > 0) {
+            console.log(colors.muted(`  ✓ Done: ${describeStopReason(result)}, ${result.toolCallCount} tool call${result.toolCallCount === 1 ? '' : 's'}, ~${result.tokensUsed.toLocaleString()} tokens`));
+        }
+        return;
+    }
+
+    printWarning(`Stopped because ${describeStopReason(result)}.`);
+    if (result.stopReason !== STOP_REASONS.ERROR) {
+        printInfo('Type "continue" to let the agent keep going.');
+    }
+}
+
+/**
+ * Run the agent loop for one user turn
+ * Streams a response, executes any tool calls, sends the results back and
+ * repeats until the model replies without tool calls or a limit is hit.
+ *
+ * @param {Object} provider - LLM provider instance
+ * @param {Array} messages - Conversation history (mutated in place)
+ * @param {Object} options - Loop options
+ * @param {string} options.systemContent - System prompt for this turn
+ * @param {string} options.cwd - Working directory for tools
+ * @param {string} [options.sessionId] - Session to persist messages to
+ * @param {boolean} [options.enableTools] - Whether tool calls are executed
+ * @param {Set<string>|null} [options.allowedTools] - Tools this turn may use (null = all)
+ * @param {Array} [options.tools] - Tool definitions sent to native-calling providers
+ * @param {Object} [options.policy] - Permission policy passed to every tool call
+ * @param {Object} [options.checkpoint] - Checkpoint that snapshots files before tools change them
+ * @param {Object} [options.turn] - Review state shared by this turn's tool calls ("apply all")
+ * @param {Object} [options.shellSession] - Persistent shell that run_command uses when enabled
+ * @param {boolean} [options.stream] - Print the response as it streams (default true)
+ * @param {number} [options.maxIterations] - Maximum model calls per turn
+ * @param {number} [options.maxTurnTokens] - Token budget per turn
+ * @returns {Promise<{stopReason: string, iterations: number, tokensUsed: number, toolCallCount: number, toolCalls: Array, finalResponse: string, usage: import('./usage.js').UsageRecord[]}>}
+ *          usage has one record per model call (saved with the assistant message)
+ */
+export async function runAgentLoop(provider, messages, options = {}) {
+    const {
+        systemContent,
+        cwd = process.cwd(),
+        sessionId = null,
+        enableTools = true,
+        allowedTools = null,
+        policy = null,
+        checkpoint = null,
+        turn = null,
+        shellSession = null,
+        stream = true
+    } = options;
+    const tools = options.tools || getToolDefinitions(allowedTools);
+    const maxIterations = options.maxIterations || getSetting('maxIterations') || DEFAULT_MAX_ITERATIONS;
+    const maxTurnTokens = options.maxTurnTokens || getSetting('maxTurnTokens') || DEFAULT_MAX_TURN_TOKENS;
+
+    const result = {
+        stopReason: STOP_REASONS.COMPLETED,
+        iterations: 0,
+        tokensUsed: 0,
+        toolCallCount: 0,
+        toolCalls: [],
+        finalResponse: '',
+        usage: [],
+        maxIterations,
+        maxTurnTokens
+    };
+
+    // usage is only saved to history, not sent back to the model
+    const persist = async (message, usage = null) => {
+        messages.push(message);
+        if (sessionId) {
+            await saveMessage(sessionId, usage ? { ...message, usage } : message);
+        }
+    };
+
+    while (true) {
+        if (result.iterations >= maxIterations) {
+            result.stopReason = STOP_REASONS.MAX_ITERATIONS;
+            break;
+        }
+        if (result.tokensUsed >= maxTurnTokens) {
+            result.stopReason = STOP_REASONS.TOKEN_BUDGET;
+            break;
+        }
+
+        result.iterations++;
+
+        const messagesWithSystem = [
+            { role: 'system', content: systemContent },
+            ...messages
+        ];
+
+        // Send tool definitions when the provider supports native calling;
+        // this can flip to false mid-turn if the server rejects them
+        const nativeTools = enableTools && provider.supportsNativeTools?.() === true;
+        const capabilities = getProviderCapabilities(provider);
+        const promptTokens = estimateMessagesTokens(messagesWithSystem, provider.model) + (nativeTools ? estimateTokens(JSON.stringify(tools), provider.model) : 0);
+        const streamOptions = {
+            maxTokens: getResponseTokenLimit(capabilities, promptTokens),
+            ...(nativeTools ? { tools } : {})
+        };
+
+        // Stream response
+        let fullResponse = '';
+        const nativeCalls = [];
+        let reportedUsage = null;
+        const spinner = thinkingSpinner();
+        if (stream) spinner.start();
+
+        try {
+            let started = false;
+            for await (const chunk of provider.stream(messagesWithSystem, streamOptions)) {
+                if (typeof chunk !== 'string') {
+                    if (chunk.type === 'tool_calls') nativeCalls.push(...chunk.toolCalls);
+                    if (chunk.type === 'usage') reportedUsage = chunk.usage;
+                    if (chunk.type === 'retry' || chunk.type === 'fallback') {
+                        // The response starts over (reconnected or another provider took over)
+                        fullResponse = '';
+                        nativeCalls.length = 0;
+                        reportedUsage = null;
+                        spinner.stop();
+                        if (started) printAssistantEnd();
+                        started = false;
+                        printWarning(describeRestart(chunk));
+                        if (stream) spinner.start();
+                    }
+                    continue;
+                }
+                fullResponse += chunk;
+                if (!stream) continue;
+                if (!started) {
+                    spinner.stop();
+                    printAssistantStart();
+                    started = true;
+                }
+                printAssistantChunk(chunk);
+            }
+            spinner.stop();
+            if (started) printAssistantEnd();
+        } catch (error) {
+            spinner.stop();
+            if (stream) printError(error.message);
+            result.stopReason = STOP_REASONS.ERROR;
+            result.error = error.message;
+            break;
+        }
+
+        // Reasoning isn't part of the answer: it's not sent back, and tool
+        // calls it considers aren't run
+        if (capabilities.reasoning === 'think-tags') {
+            fullResponse = stripThinking(fullResponse);
+        }
+
+        result.tokensUsed += estimateTokens(fullResponse, provider.model);
+        result.finalResponse = fullResponse;
+
+        // Structured tool calls win; the text formats are the fallback
+        const isNative = nativeCalls.length > 0;
+        const toolCalls = !enableTools ? [] : isNative ? nativeCalls : parseToolCalls(fullResponse);
+
+        const assistantMessage = { role: 'assistant', content: fullResponse };
+        if (isNative) {
+            assistantMessage.tool_calls = serializeToolCalls(nativeCalls);
+            result.tokensUsed += estimateTokens(JSON.stringify(assistantMessage.tool_calls), provider.model);
+        }
+
+        // Token counts from the server, or an estimate when it sent none
+        const usage = {
+            provider: provider.lastProvider || null,
+            model: provider.model,
+            promptTokens: reportedUsage?.promptTokens ?? promptTokens,
+            completionTokens: reportedUsage?.completionTokens ?? estimateMessageTokens(assistantMessage, provider.model),
+            estimated: !reportedUsage
+        };
+        result.usage.push(usage);
+        await persist(assistantMessage, usage);
+
+        if (toolCalls.length === 0) {
+            result.stopReason = STOP_REASONS.COMPLETED;
+            break;
+        }
+
+        // Execute every tool call and send the results back
+        const executed = [];
+        for (const toolCall of toolCalls) {
+            printInfo(`🔧 Tool: ${toolCall.name}`);
+            const startedAt = Date.now();
+            let toolResult;
+            try {
+                toolResult = await executeTool(toolCall.name, toolCall.arguments, cwd, { allowedTools, sessionId, policy, checkpoint, turn, provider, shellSession });
+            } catch (error) {
+                // Ctrl+C at a confirmation prompt cancels the tool, not the session
+                if (error.name !== 'ExitPromptError') throw error;
+                toolResult = { success: false, error: 'Cancelled by user' };
+            }
+            if (!toolResult.success) {
+                printError(`Tool failed: ${toolResult.error}`);
+            }
+            result.toolCallCount++;
+            result.toolCalls.push({
+                name: toolCall.name,
+                arguments: toolCall.arguments,
+                success: Boolean(toolResult.success),
+                ...(toolResult.success ? {} : { error: toolResult.error }),
+                durationMs: Date.now() - startedAt
+            });
+            executed.push({ toolCall, result: toolResult });
+        }
+
+        for (const message of buildToolResultMessages(executed, { native: isNative })) {
+            result.tokensUsed += estimateTokens(message.content, provider.model);
+            await persist(message);
+        }
+    }
+
+    return result;
+}
+
+export default {
+    runAgentLoop,
+    stripThinking,
+    describeStopReason,
+    printStopSummary,
+    STOP_REASONS,
+    DEFAULT_MAX_ITERATIONS,
+    DEFAULT_MAX_TURN_TOKENS
+};
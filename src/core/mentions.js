@@ -0,0 +1,212 @@
+// MyLocalCLI - Mentions
+// Expands @file, @file:10-80 and @dir/ mentions in chat input into attached content
+
+import fs from 'fs/promises';
+import path from 'path';
+import { listDirectory } from '../utils/files.js';
+import { createIgnoreMatcher, getDeniedReason } from '../utils/ignore.js';
+import { estimateTokens } from './tokens.js';
+import { getSetting } from '../config/settings.js';
+
+// Files larger than this are not read at all, even for a line range
+export const MAX_MENTION_FILE_BYTES = 2 * 1024 * 1024;
+
+// Directory listings stop after this many entries
+export const MAX_DIRECTORY_ENTRIES = 200;
+
+// Warn when attachments take more than this share of the context window
+export const ATTACHMENT_BUDGET_SHARE = 0.5;
+
+// @ at the start of the input or after whitespace (so emails don't match)
+const MENTION_PATTERN = /(^|\s)@([^\s@]+)/g;
+
+// Punctuation that ends a sentence rather than a path
+const TRAILING_PUNCTUATION = /[.,;!?)\]}'"`]+$/;
+
+/**
+ * Mention found in the input
+ * @typedef {Object} Mention
+ * @property {string} raw - Text as typed (e.g. "@src/app.js:10-80")
+ * @property {string} path - Path without the line range
+ * @property {number|null} startLine - First line to attach
+ * @property {number|null} endLine - Last line to attach
+ */
+
+/**
+ * Find @ mentions in chat input
+ * @param {string} input - User input
+ * @returns {Mention[]}
+ */
+export function parseMentions(input) {
+    const mentions = [];
+    const seen = new Set();
+
+    for (const match of input.matchAll(MENTION_PATTERN)) {
+        const raw = match[2].replace(TRAILING_PUNCTUATION, '');
+        if (!raw || seen.has(raw)) continue;
+        seen.add(raw);
+
+        const range = raw.match(/^(.+?):(\d+)(?:-(\d+))?$/);
+        mentions.push({
+            raw: '@' + raw,
+            path: range ? range[1] : raw,
+            startLine: range ? Number(range[2]) : null,
+            endLine: range ? Number(range[3] || range[2]) : null
+        });
+    }
+
+    return mentions;
+}
+
+// Render a directory as an indented tree
+async function formatDirectory(dirPath, matcher) {
+    const lines = [];
+    let skipped = 0;
+
+    const walk = (items, depth) => {
+        for (const item of items) {
+            if (lines.length >= MAX_DIRECTORY_ENTRIES) {
+                skipped++;
+                continue;
+            }
+            lines.push('  '.repeat(depth) + item.name + (item.type === 'directory' ? '/' : ''));
+            if (item.children) walk(item.children, depth + 1);
+        }
+    };
+    walk(await listDirectory(dirPath, { recursive: true, maxDepth: 2, matcher }), 0);
+
+    if (skipped > 0) lines.push(`... ${skipped} more entries`);
+    return lines.join('\n') || '(empty directory)';
+}
+
+// Read the attached part of a file, applying the size guards
+async function readAttachment(filePath, mention, maxChars) {
+    const buffer = await fs.readFile(filePath);
+    if (buffer.subarray(0, 8000).includes(0)) {
+        return { error: 'looks like a binary file' };
+    }
+
+    let lines = buffer.toString('utf-8').split(/\r?\n/);
+    const { startLine } = mention;
+    let { endLine } = mention;
+    if (startLine !== null) {
+        if (startLine < 1 || startLine > lines.length || endLine < startLine) {
+            return { error: `line range ${startLine}-${endLine} is outside the file (${lines.length} lines)` };
+        }
+        endLine = Math.min(endLine, lines.length);
+        lines = lines.slice(startLine - 1, endLine);
+    }
+
+    let content = lines.join('\n');
+    let truncated = false;
+    if (content.length > maxChars) {
+        content = content.slice(0, maxChars) + '\n... [truncated]';
+        truncated = true;
+    }
+    return { content, startLine, endLine, truncated };
+}
+
+/**
+ * Expand @ mentions into attachments appended to the message
+ * Files are attached in full (or the given line range), directories as a
+ * listing. Paths in .mylocalcliignore are refused. Each file is capped at
+ * the maxFileSize setting, binary and very large files are skipped, and a
+ * warning is raised when the attachments would take more than the budget.
+ *
+ * @param {string} input - User input
+ * @param {Object} options
+ * @param {string} options.cwd - Directory mentions are relative to
+ * @param {string} [options.model] - Model id (for token estimates)
+ * @param {number} [options.budgetTokens] - Tokens the attachments may use
+ * @returns {Promise<{content: string, attachments: Array, warnings: string[], tokens: number, overBudget: boolean}>}
+ */
+export async function expandMentions(input, options) {
+    const { cwd, model, budgetTokens = 0 } = options;
+    const maxChars = getSetting('maxFileSize') || 100000;
+    const matcher = createIgnoreMatcher(cwd);
+    const attachments = [];
+    const warnings = [];
+    let text = '';
+
+    for (const mention of parseMentions(input)) {
+        const fullPath = path.resolve(cwd, mention.path);
+        const displayPath = path.relative(cwd, fullPath) || '.';
+
+        let stats;
+        try {
+            stats = await fs.stat(fullPath);
+        } catch {
+            // Only complain about things that look like paths (not @decorators or @handles)
+            if (/[./\\]/.test(mention.path)) {
+                warnings.push(`${mention.raw}: no such file or directory`);
+            }
+            continue;
+        }
+
+        const denied = getDeniedReason(cwd, fullPath, matcher);
+        if (denied) {
+            warnings.push(`${mention.raw}: ${denied}`);
+            continue;
+        }
+
+        if (stats.isDirectory()) {
+            const listing = await formatDirectory(fullPath, matcher);
+            text += `\n### ${displayPath}/ (directory)\n\`\`\`\n${listing}\n\`\`\`\n`;
+            attachments.push({ path: displayPath, type: 'directory' });
+            continue;
+        }
+
+        if (stats.size > MAX_MENTION_FILE_BYTES) {
+            warnings.push(`${mention.raw}: file is too large to attach (${Math.round(stats.size / 1024)} KB)`);
+            continue;
+        }
+
+        let attachment;
+        try {
+            attachment = await readAttachment(fullPath, mention, maxChars);
+        } catch (error) {
+            warnings.push(`${mention.raw}: ${error.message}`);
+            continue;
+        }
+        if (attachment.error) {
+            warnings.push(`${mention.raw}: ${attachment.error}`);
+            continue;
+        }
+        if (attachment.truncated) {
+            warnings.push(`${mention.raw}: truncated to ${maxChars.toLocaleString()} characters - attach a line range (e.g. ${mention.raw}:1-200) for the rest`);
+        }
+
+        const range = attachment.startLine !== null ? ` (lines ${attachment.startLine}-${attachment.endLine})` : '';
+        const language = path.extname(fullPath).slice(1);
+        text += `\n### ${displayPath}${range}\n\`\`\`${language}\n${attachment.content}\n\`\`\`\n`;
+        attachments.push({
+            path: displayPath,
+            type: 'file',
+            startLine: attachment.startLine,
+            endLine: attachment.endLine,
+            truncated: attachment.truncated
+        });
+    }
+
+    const tokens = text ? estimateTokens(text, model) : 0;
+    const overBudget = budgetTokens > 0 && tokens > budgetTokens;
+    if (overBudget) {
+        warnings.push(`Attachments are ~${tokens.toLocaleString()} tokens, more than the ~${budgetTokens.toLocaleString()} available for them`);
+    }
+
+    return {
+        content: text ? `${input}\n\n--- ATTACHED FILES ---\n${text}` : input,
+        attachments,
+        warnings,
+        tokens,
+        overBudget
+    };
+}
+
+export default {
+    parseMentions,
+    expandMentions,
+    MAX_MENTION_FILE_BYTES,
+    MAX_DIRECTORY_ENTRIES,
+    ATTACHMENT_BUDGET_SHARE
+};
@@ -0,0 +1,326 @@
+// MyLocalCLI - Permission Policy
+// Decides which tool calls may run without asking, and what happens when nobody can be asked
+
+import inquirer from 'inquirer';
+import fs from 'fs/promises';
+import path from 'path';
+
+// Tools that only read state and never prompt
+export const READ_ONLY_TOOLS = [
+    'read_file',
+    'read_lines',
+    'file_info',
+    'list_directory',
+    'tree',
+    'search_files',
+    'grep',
+    'codebase_search',
+    'git_status',
+    'git_diff',
+    'git_log',
+    'web_fetch',
+    'process_output',
+    'process_list'
+];
+
+// Tools that ask for confirmation before changing anything
+export const APPROVAL_TOOLS = [
+    'write_file',
+    'edit_file',
+    'multi_edit_file',
+    'insert_at_line',
+    'append_file',
+    'find_replace',
+    'delete_file',
+    'move_file',
+    'copy_file',
+    'git_commit',
+    'run_command'
+];
+
+// Tools that only change files (auto-applied in accept-edits mode)
+export const EDIT_TOOLS = [
+    'write_file',
+    'edit_file',
+    'multi_edit_file',
+    'insert_at_line',
+    'append_file',
+    'find_replace',
+    'create_directory'
+];
+
+/**
+ * Session permission modes (cycled in this order by /mode and Shift+Tab)
+ */
+export const PERMISSION_MODES = {
+    ASK: 'ask',
+    ACCEPT_EDITS: 'accept-edits',
+    PLAN: 'plan',
+    BYPASS: 'bypass'
+};
+
+export const PERMISSION_MODE_DESCRIPTIONS = {
+    [PERMISSION_MODES.ASK]: 'Confirm edits and commands',
+    [PERMISSION_MODES.ACCEPT_EDITS]: 'Apply file edits without asking, confirm commands',
+    [PERMISSION_MODES.PLAN]: 'Read-only: explore and write a plan, change nothing',
+    [PERMISSION_MODES.BYPASS]: 'Run every tool without asking (dangerous commands still confirm)'
+};
+
+// Tools available in plan mode
+const PLAN_MODE_TOOLS = [...READ_ONLY_TOOLS, 'ask_user', 'todo_write'];
+
+// Project settings file (per-tool "always allow" answers)
+export const PROJECT_SETTINGS_FILE = path.join('.mylocalcli', 'settings.json');
+
+/**
+ * Permission policy
+ * @typedef {Object} PermissionPolicy
+ * @property {boolean} interactive - Whether the user can be prompted
+ * @property {boolean} autoApprove - Approve every tool call (including dangerous commands)
+ * @property {Set<string>|null} approvedTools - Tools that run without asking
+ * @property {boolean} readOnly - Only read-only tools may run
+ * @property {string} mode - One of PERMISSION_MODES (changed during a chat session)
+ * @property {string|null} cwd - Project whose settings store "always allow" answers
+ */
+
+/**
+ * Create a permission policy
+ * @param {Object} [options]
+ * @param {boolean} [options.interactive] - Whether prompts are possible (default true)
+ * @param {boolean} [options.autoApprove] - Approve everything
+ * @param {Set<string>|null} [options.approvedTools] - Pre-approved tool names
+ * @param {boolean} [options.readOnly] - Restrict to read-only tools
+ * @param {string} [options.mode] - Starting permission mode (default ask)
+ * @param {string} [options.cwd] - Project directory for "always allow in this project"
+ * @returns {PermissionPolicy}
+ */
+export function createPermissionPolicy(options = {}) {
+    return {
+        interactive: options.interactive !== false,
+        autoApprove: Boolean(options.autoApprove),
+        approvedTools: options.approvedTools || null,
+        readOnly: Boolean(options.readOnly),
+        mode: options.mode || PERMISSION_MODES.ASK,
+        cwd: options.cwd || null
+    };
+}
+
+/**
+ * Switch a policy to another mode
+ * @param {PermissionPolicy} policy - Policy to change
+ * @param {string} mode - One of PERMISSION_MODES
+ * @returns {{success: boolean, error?: string}}
+ */
+export function setPermissionMode(policy, mode) {
+    const modes = Object.values(PERMISSION_MODES);
+    if (!modes.includes(mode)) {
+        return { success: false, error: `Unknown mode "${mode}". Use one of: ${modes.join(', ')}` };
+    }
+    policy.mode = mode;
+    return { success: true };
+}
+
+/**
+ * Switch a policy to the next mode (for the keyboard shortcut)
+ * @param {PermissionPolicy} policy - Policy to change
+ * @returns {string} The new mode
+ */
+export function cyclePermissionMode(policy) {
+    const modes = Object.values(PERMISSION_MODES);
+    policy.mode = modes[(modes.indexOf(policy.mode) + 1) % modes.length];
+    return policy.mode;
+}
+
+/**
+ * Narrow a turn's tool allowlist to what the current mode exposes
+ * @param {PermissionPolicy|null} policy - Active policy
+ * @param {Set<string>|null} allowedTools - Allowlist from a command or agent (null = all)
+ * @returns {Set<string>|null}
+ */
+export function getModeAllowedTools(policy, allowedTools) {
+    if (policy?.mode !== PERMISSION_MODES.PLAN) return allowedTools;
+    return new Set(PLAN_MODE_TOOLS.filter(tool => !allowedTools || allowedTools.has(tool)));
+}
+
+/**
+ * Read the project's .mylocalcli/settings.json ({} when missing or invalid)
+ * @param {string} cwd - Project directory
+ * @returns {Promise<Object>}
+ */
+export async function loadProjectSettings(cwd) {
+    try {
+        return JSON.parse(await fs.readFile(path.join(cwd, PROJECT_SETTINGS_FILE), 'utf-8'));
+    } catch {
+        return {};
+    }
+}
+
+/**
+ * Tools the user always allowed in a project
+ * Read from permissions.allow in .mylocalcli/settings.json.
+ * @param {string} cwd - Project directory
+ * @returns {Promise<string[]>}
+ */
+export async function loadProjectAllowedTools(cwd) {
+    const settings = await loadProjectSettings(cwd);
+    const allow = settings.permissions?.allow;
+    return Array.isArray(allow) ? allow.filter(tool => typeof tool === 'string') : [];
+}
+
+/**
+ * Remember that a tool may always run in a project
+ * Other keys in .mylocalcli/settings.json are kept.
+ * @param {string} cwd - Project directory
+ * @param {string} toolName - Tool to allow
+ */
+export async function saveProjectAllowedTool(cwd, toolName) {
+    const settings = await loadProjectSettings(cwd);
+    const allow = new Set(settings.permissions?.allow || []);
+    allow.add(toolName);
+    settings.permissions = { ...settings.permissions, allow: [...allow] };
+
+    const file = path.join(cwd, PROJECT_SETTINGS_FILE);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, JSON.stringify(settings, null, 2) + '\n');
+}
+
+/**
+ * Check a tool call against a policy before it runs
+ * @param {string} toolName - Tool being called
+ * @param {PermissionPolicy|null} policy - Active policy (null = interactive defaults)
+ * @returns {{allowed: boolean, approved: boolean, error?: string}}
+ *          `approved` means the tool may skip its confirmation prompt
+ */
+export function checkToolPermission(toolName, policy) {
+    if (!policy) {
+        return { allowed: true, approved: false };
+    }
+
+    if (policy.readOnly && !READ_ONLY_TOOLS.includes(toolName)) {
+        return {
+            allowed: false,
+            approved: false,
+            error: `Tool "${toolName}" is not available in read-only mode`
+        };
+    }
+    if (policy.mode === PERMISSION_MODES.PLAN && !PLAN_MODE_TOOLS.includes(toolName)) {
+        return {
+            allowed: false,
+            approved: false,
+            error: `Tool "${toolName}" is not available in plan mode. Finish the plan; the user switches modes to carry it out.`
+        };
+    }
+
+    const approved = policy.autoApprove ||
+        policy.mode === PERMISSION_MODES.BYPASS ||
+        (policy.mode === PERMISSION_MODES.ACCEPT_EDITS && EDIT_TOOLS.includes(toolName)) ||
+        Boolean(policy.approvedTools?.has(toolName));
+
+    if (!policy.interactive && !approved) {
+        if (toolName === 'ask_user') {
+            return {
+                allowed: false,
+                approved: false,
+                error: 'No user is available to answer. Make a reasonable assumption, state it, and continue.'
+            };
+        }
+        // run_command still runs known-safe commands without approval
+        if (APPROVAL_TOOLS.includes(toolName) && toolName !== 'run_command') {
+            return {
+                allowed: false,
+                approved: false,
+                error: `Tool "${toolName}" needs approval, which is not possible in non-interactive mode. Allow it with --allow-tools ${toolName} or --yolo.`
+            };
+        }
+    }
+
+    return { allowed: true, approved };
+}
+
+/**
+ * Choices for "always allow" answers to a tool's prompt
+ * @param {string} toolName - Tool being confirmed
+ * @param {PermissionPolicy|null} policy - Active policy (needs a cwd for the project choice)
+ * @returns {Array<{name: string, value: string}>}
+ */
+export function getAlwaysAllowChoices(toolName, policy) {
+    if (!toolName || !policy) return [];
+    return [
+        { name: `Yes, always allow ${toolName} this session`, value: 'session' },
+        ...(policy.cwd ? [{ name: `Yes, always allow ${toolName} in this project`, value: 'project' }] : [])
+    ];
+}
+
+/**
+ * Record an "always allow" answer on the policy (and in the project settings)
+ * @param {string} scope - 'session' or 'project'
+ * @param {string} toolName - Tool to allow
+ * @param {PermissionPolicy} policy - Active policy
+ */
+export async function rememberToolApproval(scope, toolName, policy) {
+    policy.approvedTools = new Set([...(policy.approvedTools || []), toolName]);
+    if (scope === 'project' && policy.cwd) {
+        await saveProjectAllowedTool(policy.cwd, toolName);
+    }
+}
+
+/**
+ * Ask the user to confirm an action, honoring the policy
+ * Non-interactive policies never prompt: the action is declined. With a
+ * tool name the user can also allow the tool for the session or project.
+ * @param {string} message - Confirmation question
+ * @param {Object} [options]
+ * @param {boolean} [options.default] - Default answer
+ * @param {PermissionPolicy|null} [options.policy] - Active policy
+ * @param {string} [options.toolName] - Tool asking (offers "always allow")
+ * @returns {Promise<boolean>}
+ */
+export async function confirmAction(message, options = {}) {
+    const { policy = null, toolName = null } = options;
+    if (policy && !policy.interactive) {
+        return false;
+    }
+
+    const alwaysChoices = getAlwaysAllowChoices(toolName, policy);
+    if (alwaysChoices.length > 0) {
+        const { answer } = await inquirer.prompt([{
+            type: 'list',
+            name: 'answer',
+            message,
+            default: (options.default ?? true) ? 'yes' : 'no',
+            choices: [{ name: 'Yes', value: 'yes' }, ...alwaysChoices, { name: 'No', value: 'no' }]
+        }]);
+        if (answer === 'session' || answer === 'project') {
+            await rememberToolApproval(answer, toolName, policy);
+        }
+        return answer !== 'no';
+    }
+
+    const { proceed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'proceed',
+        message,
+        default: options.default ?? true
+    }]);
+    return proceed;
+}
+
+export default {
+    READ_ONLY_TOOLS,
+    APPROVAL_TOOLS,
+    EDIT_TOOLS,
+    PERMISSION_MODES,
+    PERMISSION_MODE_DESCRIPTIONS,
+    PROJECT_SETTINGS_FILE,
+    createPermissionPolicy,
+    loadProjectSettings,
+    setPermissionMode,
+    cyclePermissionMode,
+    getModeAllowedTools,
+    loadProjectAllowedTools,
+    saveProjectAllowedTool,
+    checkToolPermission,
+    getAlwaysAllowChoices,
+    rememberToolApproval,
+    confirmAction
+};
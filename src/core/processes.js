@@ -0,0 +1,236 @@
+// MyLocalCLI - Background Processes
+// Runs long-lived commands (dev servers, watchers, slow test suites) the agent can check on later
+
+import { spawn } from 'child_process';
+
+// Output kept per process; older output is dropped first
+export const DEFAULT_OUTPUT_LIMIT = 100000;
+
+// Time a process gets to exit after SIGTERM before it is killed
+const KILL_GRACE_MS = 2000;
+
+export const PROCESS_STATUS = {
+    RUNNING: 'running',
+    EXITED: 'exited',
+    KILLED: 'killed'
+};
+
+// Processes started this session, by id
+const processes = new Map();
+let nextId = 1;
+
+/**
+ * Background process
+ * @typedef {Object} BackgroundProcess
+ * @property {string} id - Id the agent uses (bg1, bg2, ...)
+ * @property {number} pid - OS process id
+ * @property {string} command - Command line
+ * @property {string} cwd - Working directory
+ * @property {string} status - One of PROCESS_STATUS
+ * @property {number|null} exitCode - Exit code once it has exited
+ * @property {Date} startedAt
+ * @property {Date|null} endedAt
+ */
+
+/**
+ * Ring buffer of process output
+ * Positions count every character ever written, so readers can ask for
+ * "everything since position N" even after older output was dropped.
+ */
+function createOutputBuffer(limit) {
+    let text = '';
+    let dropped = 0;
+
+    return {
+        write(chunk) {
+            text += chunk;
+            if (text.length > limit) {
+                dropped += text.length - limit;
+                text = text.slice(text.length - limit);
+            }
+        },
+        read(since = 0) {
+            const start = Math.max(since, dropped);
+            return {
+                output: text.slice(start - dropped),
+                skipped: start - since,
+                next: dropped + text.length
+            };
+        }
+    };
+}
+
+function summarize(entry) {
+    const { id, pid, command, cwd, status, exitCode, startedAt, endedAt } = entry;
+    return { id, pid, command, cwd, status, exitCode, startedAt, endedAt };
+}
+
+/**
+ * Start a command in the background
+ * stdout and stderr are interleaved into one buffer. On Unix the command
+ * gets its own process group so killing it also stops its children.
+ *
+ * @param {string} command - Command line
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {number} [options.outputLimit] - Characters of output to keep
+ * @returns {BackgroundProcess}
+ */
+export function startBackgroundProcess(command, options = {}) {
+    const { cwd = process.cwd(), outputLimit = DEFAULT_OUTPUT_LIMIT } = options;
+    const isWindows = process.platform === 'win32';
+
+    const proc = spawn(isWindows ? 'cmd' : '/bin/sh', [isWindows ? '/c' : '-c', command], {
+        cwd,
+        env: { ...process.env },
+        stdio: ['ignore', 'pipe', 'pipe'],
+        detached: !isWindows
+    });
+
+    const entry = {
+        id: `bg${nextId++}`,
+        pid: proc.pid,
+        command,
+        cwd,
+        status: PROCESS_STATUS.RUNNING,
+        exitCode: null,
+        startedAt: new Date(),
+        endedAt: null,
+        proc,
+        buffer: createOutputBuffer(outputLimit)
+    };
+
+    proc.stdout.on('data', (data) => entry.buffer.write(data.toString()));
+    proc.stderr.on('data', (data) => entry.buffer.write(data.toString()));
+
+    proc.on('error', (error) => {
+        entry.buffer.write(`${error.message}\n`);
+        if (entry.status === PROCESS_STATUS.RUNNING) {
+            entry.status = PROCESS_STATUS.EXITED;
+            entry.endedAt = new Date();
+        }
+    });
+
+    proc.on('close', (code) => {
+        if (entry.status === PROCESS_STATUS.RUNNING) {
+            entry.status = PROCESS_STATUS.EXITED;
+        }
+        entry.exitCode = code;
+        entry.endedAt = new Date();
+    });
+
+    processes.set(entry.id, entry);
+    return summarize(entry);
+}
+
+/**
+ * Read a process's output
+ * @param {string} id - Process id
+ * @param {number} [since] - Position returned as `next` by the previous read (0 = from the start)
+ * @returns {{success: boolean, error?: string, output?: string, next?: number, skipped?: number}}
+ *          skipped counts characters after `since` that were already dropped from the buffer
+ */
+export function getProcessOutput(id, since = 0) {
+    const entry = processes.get(id);
+    if (!entry) {
+        return { success: false, error: `No background process with id ${id}. Use process_list to see them.` };
+    }
+    return { success: true, ...summarize(entry), ...entry.buffer.read(Math.max(0, since || 0)) };
+}
+
+/**
+ * List the processes started this session
+ * @returns {BackgroundProcess[]}
+ */
+export function listProcesses() {
+    return [...processes.values()].map(summarize);
+}
+
+// Signal a process and, on Unix, the rest of its group
+function signal(entry, sig) {
+    try {
+        if (process.platform === 'win32') {
+            spawn('taskkill', ['/pid', String(entry.pid), '/T', '/F'], { stdio: 'ignore' });
+        } else {
+            process.kill(-entry.pid, sig);
+        }
+    } catch {
+        // Already gone
+    }
+}
+
+/**
+ * Stop a background process (SIGTERM, then SIGKILL if it doesn't exit)
+ * @param {string} id - Process id
+ * @returns {Promise<{success: boolean, error?: string}>}
+ */
+export async function killProcess(id) {
+    const entry = processes.get(id);
+    if (!entry) {
+        return { success: false, error: `No background process with id ${id}. Use process_list to see them.` };
+    }
+    if (entry.status !== PROCESS_STATUS.RUNNING) {
+        return { success: true, ...summarize(entry), message: `Process ${id} already ${entry.status}` };
+    }
+
+    entry.status = PROCESS_STATUS.KILLED;
+    const { proc } = entry;
+    const exited = new Promise(resolve => {
+        if (proc.exitCode !== null || proc.signalCode !== null) resolve();
+        else proc.once('exit', resolve);
+    });
+    const waitForExit = (ms) => {
+        let timer;
+        return Promise.race([
+            exited.then(() => true),
+            new Promise(resolve => { timer = setTimeout(() => resolve(false), ms); })
+        ]).finally(() => clearTimeout(timer));
+    };
+
+    signal(entry, 'SIGTERM');
+    if (!(await waitForExit(KILL_GRACE_MS))) {
+        signal(entry, 'SIGKILL');
+        await waitForExit(KILL_GRACE_MS);
+    }
+    entry.endedAt = entry.endedAt || new Date();
+
+    return { success: true, ...summarize(entry) };
+}
+
+/**
+ * One-line description of a process: id, status, pid, run time and command
+ * @param {BackgroundProcess} info - From listProcesses
+ * @returns {string}
+ */
+export function formatProcess(info) {
+    const seconds = Math.round(((info.endedAt || new Date()) - info.startedAt) / 1000);
+    const elapsed = seconds < 60 ? `${seconds}s` : `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    const status = info.status === PROCESS_STATUS.EXITED ? `exited (${info.exitCode})` : info.status;
+    return `${info.id}  ${status}  pid ${info.pid}  ${elapsed}  ${info.command}`;
+}
+
+/**
+ * Stop every running background process (at the end of a session)
+ */
+export async function killAllProcesses() {
+    const running = [...processes.values()].filter(entry => entry.status === PROCESS_STATUS.RUNNING);
+    await Promise.all(running.map(entry => killProcess(entry.id)));
+}
+
+// Don't leave children behind if the CLI exits without ending the session
+process.on('exit', () => {
+    for (const entry of processes.values()) {
+        if (entry.status === PROCESS_STATUS.RUNNING) signal(entry, 'SIGKILL');
+    }
+});
+
+export default {
+    DEFAULT_OUTPUT_LIMIT,
+    PROCESS_STATUS,
+    startBackgroundProcess,
+    getProcessOutput,
+    listProcesses,
+    killProcess,
+    formatProcess,
+    killAllProcesses
+};
@@ -0,0 +1,259 @@
+// MyLocalCLI - System Prompt
+// Builds the system message sent with every agent turn
+
+import { loadProjectConfig, formatProjectConfigForPrompt } from '../config/project.js';
+import { getRelevantContext } from './context.js';
+import { loadSkills, getSkillContext } from '../skills/skill.js';
+import { readFile } from '../utils/files.js';
+import { createIgnoreMatcher } from '../utils/ignore.js';
+import path from 'path';
+
+// Tool protocol for models without native function calling
+const TEXT_TOOL_INSTRUCTIONS = `
+
+## TOOL USAGE INSTRUCTIONS
+
+You have access to tools to interact with files, run commands, and more.
+
+**TO USE A TOOL, YOU MUST OUTPUT THIS EXACT FORMAT:**
+
+\`\`\`json
+{
+  "tool": "TOOL_NAME",
+  "arguments": {
+    "argument_name": "value"
+  }
+}
+\`\`\`
+
+**CRITICAL RULES:**
+1. Output the JSON inside a code block with \`\`\`json
+2. Use ONLY the exact tool names listed below
+3. Wait for my response after each tool call before continuing
+4. Do NOT add any text inside the JSON code block - only the JSON object
+
+## AVAILABLE TOOLS (26)
+
+FILE TOOLS:
+- write_file(path, content) - Create or overwrite a file
+- read_file(path) - Read file contents
+- edit_file(path, old_content, new_content) - Replace text in file
+- multi_edit_file(path, edits[]) - Multiple replacements at once
+- append_file(path, content) - Add content to end of file
+- delete_file(path) - Delete a file
+- copy_file(source, destination) - Copy file
+- move_file(source, destination) - Move/rename file
+- file_info(path) - Get file metadata
+- read_lines(path, start, end) - Read specific line range
+- insert_at_line(path, line, content) - Insert at line number
+
+DIRECTORY TOOLS:
+- list_directory(path) - List files and folders
+- create_directory(path) - Create directory
+- tree(path, depth) - Show directory tree
+
+SEARCH TOOLS:
+- search_files(pattern) - Find files by glob pattern
+- grep(pattern, path, include) - Search text in files
+- find_replace(find, replace, path) - Find and replace text
+- codebase_search(query) - Semantic code search
+
+COMMAND TOOLS:
+- run_command(command, background) - Execute shell command (background: true for servers and watchers)
+- process_output(id, since) - Read a background process's output
+- process_list() - List background processes
+- process_kill(id) - Stop a background process
+
+GIT TOOLS:
+- git_status() - Get git status
+- git_diff(staged) - Get git diff
+- git_log(count) - Show commit history
+- git_commit(message) - Create commit
+
+OTHER TOOLS:
+- web_fetch(url) - Fetch URL content
+- todo_write(todos[]) - Manage task list
+- ask_user(question, options) - Ask user a question
+
+## EXAMPLES
+
+To create an HTML file:
+\`\`\`json
+{
+  "tool": "write_file",
+  "arguments": {
+    "path": "index.html",
+    "content": "<!DOCTYPE html>\\n<html>\\n<head><title>Hello</title></head>\\n<body><h1>Hello World</h1></body>\\n</html>"
+  }
+}
+\`\`\`
+
+To list directory:
+\`\`\`json
+{
+  "tool": "list_directory",
+  "arguments": {
+    "path": "."
+  }
+}
+\`\`\`
+
+To run a command:
+\`\`\`json
+{
+  "tool": "run_command",
+  "arguments": {
+    "command": "npm install"
+  }
+}
+\`\`\`
+
+After I execute the tool, I will send the result back in a block like
+<tool_result name="TOOL_NAME" status="success">...</tool_result>
+(status is "error" when the tool failed - read the error and adjust). Then continue with your next step.
+When the task is complete, reply with your final answer and no tool call.`;
+
+// Short note for models that receive the tool schemas natively
+const NATIVE_TOOL_INSTRUCTIONS = `
+
+## TOOL USAGE
+
+You have access to tools to interact with files, run commands, and more.
+Call them through the provided function-calling interface. After each call
+I will send you the result; then continue with your next step.
+When the task is complete, reply with your final answer and no tool call.`;
+
+// Plan mode: explore read-only, then answer with a plan instead of changes
+const PLAN_MODE_INSTRUCTIONS = `
+
+## PLAN MODE
+
+The user has switched to plan mode. You may only use read-only tools: do NOT
+write files, edit code or run commands. Investigate what you need, then reply
+with a concrete, numbered implementation plan: the files to change, what to
+change in each, and how to verify the result. The user will review the plan
+and switch modes before anything is carried out.`;
+
+// Cap on a single pinned file, so one huge file can't fill the window
+const MAX_PINNED_FILE_CHARS = 50000;
+
+/**
+ * Render pinned files (re-read every turn so edits are picked up)
+ */
+async function formatPinnedFiles(cwd, pinnedFiles) {
+    let text = '';
+    const matcher = createIgnoreMatcher(cwd);
+    for (const file of pinnedFiles) {
+        if (matcher.isDenied(path.resolve(cwd, file))) continue;
+        const result = await readFile(path.resolve(cwd, file));
+        if (!result.success) continue;
+        const content = result.content.length > MAX_PINNED_FILE_CHARS
+            ? result.content.slice(0, MAX_PINNED_FILE_CHARS) + '\n... [truncated]'
+            : result.content;
+        const language = path.extname(file).slice(1);
+        text += `\n### ${file}\n\`\`\`${language}\n${content}\n\`\`\``;
+    }
+    return text ? '\n\n--- PINNED FILES ---\n' + text : '';
+}
+
+/**
+ * Build the system prompt for one turn, split into the parts that are
+ * measured separately by /context
+ * Includes project config (MYLOCALCLI.md), matching skills, tool instructions,
+ * pinned files and the most relevant files for the query.
+ *
+ * @param {Object} options
+ * @param {string} options.cwd - Working directory
+ * @param {Object} options.provider - LLM provider (decides native vs text tool instructions)
+ * @param {boolean} [options.enableTools] - Whether tool instructions are included
+ * @param {Set<string>|null} [options.allowedTools] - Tool allowlist for this turn
+ * @param {string} [options.query] - User input used to pick relevant files
+ * @param {string[]} [options.pinnedFiles] - Files always included in full
+ * @param {boolean} [options.planMode] - Ask for a plan instead of changes
+ * @returns {Promise<{base: string, pinnedFiles: string, relevantFiles: string}>}
+ */
+export async function buildPromptSections(options) {
+    const { cwd, provider, enableTools = true, allowedTools = null, query = '', pinnedFiles = [], planMode = false } = options;
+
+    // Get context
+    const context = await getRelevantContext(cwd, query);
+
+    // Load project configuration (MYLOCALCLI.md)
+    const projectConfig = await loadProjectConfig(cwd);
+
+    // Load skills and get relevant skill context based on project files
+    await loadSkills(cwd);
+    const projectFiles = context.relevantFiles?.map(f => f.path) || [];
+    const skillContext = getSkillContext(projectFiles);
+
+    // Build system message with tools info
+    let systemContent = `You are MyLocalCLI, a powerful AI coding assistant.
+Working directory: ${cwd}
+Project type: ${context.projectType || 'unknown'}
+
+You can help with coding tasks, explain code, debug issues, and more.`;
+
+    // Inject project configuration if available
+    if (projectConfig) {
+        systemContent += formatProjectConfigForPrompt(projectConfig);
+    }
+
+    // Inject relevant skills based on project context
+    if (skillContext) {
+        systemContent += '\n\n' + skillContext;
+    }
+
+    if (enableTools) {
+        // Models with native function calling get the schemas with the
+        // request; everyone else needs the text protocol spelled out
+        systemContent += provider.supportsNativeTools?.()
+            ? NATIVE_TOOL_INSTRUCTIONS
+            : TEXT_TOOL_INSTRUCTIONS;
+
+        if (allowedTools) {
+            systemContent += `\n\n**For this task you may ONLY use these tools:** ${[...allowedTools].join(', ') || 'none'}. Any other tool call will be rejected.`;
+        }
+    }
+
+    if (planMode) {
+        systemContent += PLAN_MODE_INSTRUCTIONS;
+    }
+
+    // Pinned files are already in full, so don't repeat them as relevant files
+    const pinned = new Set(pinnedFiles.map(file => path.resolve(cwd, file)));
+    const relevant = (context.relevantFiles || [])
+        .filter(file => !pinned.has(path.resolve(cwd, file.path)))
+        .slice(0, 3);
+
+    let relevantFiles = '';
+    if (relevant.length > 0) {
+        relevantFiles = '\n\n--- RELEVANT FILES ---\n';
+        for (const file of relevant) {
+            relevantFiles += `\n### ${file.path}\n\`\`\`${file.language}\n${file.content.slice(0, 2000)}\n\`\`\``;
+        }
+    }
+
+    return {
+        base: systemContent,
+        pinnedFiles: await formatPinnedFiles(cwd, pinnedFiles),
+        relevantFiles
+    };
+}
+
+/**
+ * Join prompt sections into the system message
+ */
+export function joinPromptSections(sections) {
+    return sections.base + sections.pinnedFiles + sections.relevantFiles;
+}
+
+/**
+ * Build the system prompt for one turn
+ * @param {Object} options - See buildPromptSections
+ * @returns {Promise<string>}
+ */
+export async function buildSystemPrompt(options) {
+    return joinPromptSections(await buildPromptSections(options));
+}
+
+export default { buildSystemPrompt, buildPromptSections, joinPromptSections };
@@ -0,0 +1,385 @@
+// MyLocalCLI - Repository Map
+// Persistent index of files, symbols and import edges, used to pick context for a prompt
+
+import fs from 'fs/promises';
+import path from 'path';
+import { glob } from 'glob';
+import { getFileExtension, getLanguageFromExtension } from '../utils/files.js';
+import { createIgnoreMatcher } from '../utils/ignore.js';
+import { extractSymbols, extractImports, extractKeywords, splitTerms } from '../utils/symbols.js';
+import { getSetting } from '../config/settings.js';
+
+// Bump when the entry format changes so old indexes are rebuilt
+export const REPO_MAP_VERSION = 1;
+
+// Cap on indexed files, so huge trees don't stall every prompt
+export const MAX_INDEXED_FILES = 5000;
+
+// Extensions with no entry in getLanguageFromExtension
+const EXTRA_LANGUAGES = {
+    '.mjs': 'javascript',
+    '.cjs': 'javascript',
+    '.vue': 'javascript',
+    '.svelte': 'javascript',
+    '.toml': 'toml'
+};
+
+// Not worth indexing even though they have a known extension
+const SKIPPED_EXTENSIONS = new Set(['.txt', '.lock']);
+
+// Generated files that are rarely in .gitignore but never worth indexing
+const SKIPPED_FILES = /\.min\.(js|css)$/;
+
+// Ranking weights
+const SYMBOL_WEIGHT = 3;
+const EXPORTED_SYMBOL_BONUS = 1.5;
+const PATH_WEIGHT = 2;
+const KEYWORD_WEIGHT = 1;
+const MENTION_SCORE = 20;
+const NEIGHBOR_WEIGHT = 0.3;
+
+// Loaded maps, so each prompt only re-reads files that changed
+const repoMaps = new Map();
+
+/**
+ * Indexed file
+ * @typedef {Object} RepoMapEntry
+ * @property {number} mtime - Modification time when indexed
+ * @property {number} size - Size when indexed
+ * @property {string} language - Language name
+ * @property {import('../utils/symbols.js').FileSymbol[]} symbols - Definitions
+ * @property {string[]} imports - Imported modules as written
+ * @property {string[]} dependencies - Indexed files this file imports
+ * @property {Object<string, number>} keywords - Most frequent terms
+ */
+
+/**
+ * Get the index directory for a project
+ */
+export function getIndexDir(cwd) {
+    return path.join(cwd, '.mylocalcli', 'index');
+}
+
+function getRepoMapPath(cwd) {
+    return path.join(getIndexDir(cwd), 'repomap.json');
+}
+
+function languageFor(file) {
+    if (SKIPPED_FILES.test(file)) return null;
+    const ext = getFileExtension(file);
+    if (SKIPPED_EXTENSIONS.has(ext)) return null;
+    if (EXTRA_LANGUAGES[ext]) return EXTRA_LANGUAGES[ext];
+    const language = getLanguageFromExtension(ext);
+    return language === 'text' ? null : language;
+}
+
+/**
+ * Load the repo map from disk (or start an empty one)
+ */
+export async function loadRepoMap(cwd) {
+    if (repoMaps.has(cwd)) return repoMaps.get(cwd);
+
+    let map = { version: REPO_MAP_VERSION, updatedAt: null, files: {} };
+    try {
+        const saved = JSON.parse(await fs.readFile(getRepoMapPath(cwd), 'utf-8'));
+        if (saved.version === REPO_MAP_VERSION) map = saved;
+    } catch {
+        // No index yet
+    }
+    repoMaps.set(cwd, map);
+    return map;
+}
+
+async function saveRepoMap(cwd, map) {
+    const dir = getIndexDir(cwd);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, '.gitignore'), '*\n');
+    await fs.writeFile(getRepoMapPath(cwd), JSON.stringify(map));
+}
+
+// Lookup tables for resolving imports to indexed files
+function buildLookup(files) {
+    const stems = new Map();
+    const byBasename = new Map();
+
+    const add = (stem, file) => {
+        if (!stems.has(stem)) stems.set(stem, file);
+        const base = stem.split('/').pop();
+        if (!byBasename.has(base)) byBasename.set(base, []);
+        byBasename.get(base).push(stem);
+    };
+
+    for (const file of files) {
+        const stem = file.slice(0, file.length - path.posix.extname(file).length);
+        add(stem, file);
+        // index.js, __init__.py and mod.rs stand for their directory
+        if (/\/(index|__init__|mod)$/.test(stem)) {
+            add(stem.slice(0, stem.lastIndexOf('/')), file);
+        }
+    }
+
+    return { files: new Set(files), stems, byBasename };
+}
+
+// Find an indexed file whose path ends with the given segments
+function matchSuffix(lookup, segments) {
+    for (let end = segments.length; end > 0; end--) {
+        const suffix = segments.slice(0, end).join('/');
+        const base = segments[end - 1];
+        for (const stem of lookup.byBasename.get(base) || []) {
+            if (stem === suffix || stem.endsWith('/' + suffix)) {
+                return lookup.stems.get(stem);
+            }
+        }
+    }
+    return null;
+}
+
+function matchPath(lookup, target) {
+    const normalized = path.posix.normalize(target);
+    if (lookup.files.has(normalized)) return normalized;
+    const stem = normalized.slice(0, normalized.length - path.posix.extname(normalized).length);
+    return lookup.stems.get(stem) || lookup.stems.get(normalized) || null;
+}
+
+/**
+ * Resolve an import to an indexed file (null for packages and unknowns)
+ */
+function resolveImport(spec, fromFile, language, lookup) {
+    const dir = path.posix.dirname(fromFile);
+
+    switch (language) {
+        case 'javascript':
+        case 'typescript': {
+            if (spec.startsWith('.')) return matchPath(lookup, path.posix.join(dir, spec));
+            // Common path aliases for src/
+            if (/^[@~]\//.test(spec)) return matchPath(lookup, 'src/' + spec.slice(2));
+            return null;
+        }
+        case 'python': {
+            const dots = spec.match(/^\.*/)[0].length;
+            const rest = spec.slice(dots).split('.').filter(Boolean);
+            if (dots > 0) {
+                let base = dir;
+                for (let i = 1; i < dots; i++) base = path.posix.dirname(base);
+                return matchPath(lookup, path.posix.join(base, ...rest));
+            }
+            return matchSuffix(lookup, rest);
+        }
+        case 'rust': {
+            const segments = spec.split('::');
+            if (segments.length === 1) return matchPath(lookup, path.posix.join(dir, spec));
+            if (segments[0] === 'super') return matchSuffix(lookup, [path.posix.basename(path.posix.dirname(dir)), ...segments.slice(1)]);
+            return matchSuffix(lookup, segments.filter(s => !['crate', 'self'].includes(s)));
+        }
+        case 'c':
+        case 'cpp':
+        case 'ruby':
+            return matchPath(lookup, path.posix.join(dir, spec)) || matchSuffix(lookup, spec.replace(/\.\w+$/, '').split('/'));
+        default:
+            return matchSuffix(lookup, spec.split(/[./\\]/).filter(Boolean));
+    }
+}
+
+// Resolve every file's imports into dependency edges
+function linkImports(map) {
+    const lookup = buildLookup(Object.keys(map.files));
+    for (const [file, entry] of Object.entries(map.files)) {
+        const dependencies = new Set();
+        for (const spec of entry.imports) {
+            const target = resolveImport(spec, file, entry.language, lookup);
+            if (target && target !== file) dependencies.add(target);
+        }
+        entry.dependencies = [...dependencies];
+    }
+}
+
+/**
+ * Index a single file's content
+ * @returns {RepoMapEntry}
+ */
+export function indexFile(content, language, stats = {}) {
+    return {
+        mtime: stats.mtime || 0,
+        size: stats.size || content.length,
+        language,
+        symbols: extractSymbols(content, language),
+        imports: extractImports(content, language),
+        dependencies: [],
+        keywords: extractKeywords(content)
+    };
+}
+
+/**
+ * Bring the repo map up to date
+ * Only files whose mtime or size changed are re-read; deleted files and files
+ * excluded by .gitignore or .mylocalcliignore are dropped.
+ * The map is saved under .mylocalcli/index when anything changed.
+ *
+ * @param {string} cwd - Project directory
+ * @returns {Promise<{version: number, updatedAt: string, files: Object<string, RepoMapEntry>}>}
+ */
+export async function updateRepoMap(cwd) {
+    const map = await loadRepoMap(cwd);
+    const maxFileSize = getSetting('maxFileSize') || 100000;
+
+    let candidates;
+    try {
+        candidates = await glob('**/*', { cwd, nodir: true, ignore: createIgnoreMatcher(cwd).globIgnore, posix: true });
+    } catch {
+        return map;
+    }
+
+    const seen = new Set();
+    let changed = false;
+
+    for (const file of candidates.sort()) {
+        if (seen.size >= MAX_INDEXED_FILES) break;
+        const language = languageFor(file);
+        if (!language) continue;
+
+        let stats;
+        try {
+            stats = await fs.stat(path.join(cwd, file));
+        } catch {
+            continue;
+        }
+        if (stats.size > maxFileSize) continue;
+        seen.add(file);
+
+        const existing = map.files[file];
+        if (existing && existing.mtime === stats.mtimeMs && existing.size === stats.size) continue;
+
+        try {
+            const content = await fs.readFile(path.join(cwd, file), 'utf-8');
+            map.files[file] = indexFile(content, language, { mtime: stats.mtimeMs, size: stats.size });
+            changed = true;
+        } catch {
+            // Unreadable - leave it out
+        }
+    }
+
+    for (const file of Object.keys(map.files)) {
+        if (!seen.has(file)) {
+            delete map.files[file];
+            changed = true;
+        }
+    }
+
+    if (changed || !map.updatedAt) {
+        linkImports(map);
+        map.updatedAt = new Date().toISOString();
+        try {
+            await saveRepoMap(cwd, map);
+        } catch {
+            // Read-only project - keep the index in memory
+        }
+    }
+
+    return map;
+}
+
+/**
+ * Files that import each file (reverse dependency edges)
+ */
+function getImporters(map) {
+    const importers = {};
+    for (const [file, entry] of Object.entries(map.files)) {
+        for (const dependency of entry.dependencies || []) {
+            (importers[dependency] ||= []).push(file);
+        }
+    }
+    return importers;
+}
+
+// File names or paths written in the prompt (e.g. "auth.js", src/db/user.py)
+function extractMentions(query) {
+    return (query.match(/[\w./-]+\.[A-Za-z]{1,5}\b/g) || []).map(m => m.replace(/^\.\//, ''));
+}
+
+/**
+ * Rank indexed files by how well they match a prompt
+ * Files score on query terms found in their symbols (exported ones count
+ * more), path and frequent keywords, weighted by how rare each term is.
+ * Files next to a match in the import graph get a share of its score.
+ *
+ * @param {Object} map - Repo map from updateRepoMap
+ * @param {string} query - User prompt
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum files to return
+ * @returns {Array<{path: string, score: number}>}
+ */
+export function rankFiles(map, query, options = {}) {
+    const { limit = 10 } = options;
+    const terms = [...new Set(splitTerms(query || ''))];
+    const mentions = extractMentions(query || '');
+    const files = Object.entries(map.files);
+    if (files.length === 0 || (terms.length === 0 && mentions.length === 0)) return [];
+
+    // Terms each file offers, by where they appear
+    const profiles = files.map(([file, entry]) => {
+        const symbolTerms = new Map();
+        for (const symbol of entry.symbols) {
+            for (const term of splitTerms(symbol.name)) {
+                symbolTerms.set(term, Math.max(symbolTerms.get(term) || 0, symbol.exported ? EXPORTED_SYMBOL_BONUS : 1));
+            }
+        }
+        return { file, entry, symbolTerms, pathTerms: new Set(splitTerms(file)) };
+    });
+
+    // Rare terms say more than ones every file has
+    const idf = {};
+    for (const term of terms) {
+        const df = profiles.filter(p => p.symbolTerms.has(term) || p.pathTerms.has(term) || p.entry.keywords[term]).length;
+        idf[term] = Math.log(1 + files.length / (df || 1));
+    }
+
+    const base = {};
+    for (const { file, entry, symbolTerms, pathTerms } of profiles) {
+        let score = 0;
+        for (const term of terms) {
+            let weight = 0;
+            if (symbolTerms.has(term)) weight += SYMBOL_WEIGHT * symbolTerms.get(term);
+            if (pathTerms.has(term)) weight += PATH_WEIGHT;
+            if (entry.keywords[term]) weight += KEYWORD_WEIGHT * Math.min(1, Math.log(1 + entry.keywords[term]) / Math.log(6));
+            score += weight * idf[term];
+        }
+        if (mentions.some(m => file === m || file.endsWith('/' + m))) {
+            score += MENTION_SCORE;
+        }
+        if (score > 0) base[file] = score;
+    }
+
+    // Graph proximity: imports and importers of a match share in its score
+    const importers = getImporters(map);
+    const scores = { ...base };
+    for (const [file, score] of Object.entries(base)) {
+        const neighbors = new Set([...(map.files[file].dependencies || []), ...(importers[file] || [])]);
+        for (const neighbor of neighbors) {
+            scores[neighbor] = (scores[neighbor] || 0) + score * NEIGHBOR_WEIGHT;
+        }
+    }
+
+    return Object.entries(scores)
+        .map(([file, score]) => ({ path: file, score: Math.round(score * 100) / 100 }))
+        .sort((a, b) => b.score - a.score || a.path.localeCompare(b.path))
+        .slice(0, limit);
+}
+
+/**
+ * Forget loaded maps so the next update reads the index from disk
+ */
+export function resetRepoMapCache() {
+    repoMaps.clear();
+}
+
+export default {
+    getIndexDir,
+    loadRepoMap,
+    updateRepoMap,
+    indexFile,
+    rankFiles,
+    resetRepoMapCache,
+    REPO_MAP_VERSION,
+    MAX_INDEXED_FILES
+};
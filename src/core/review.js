@@ -0,0 +1,158 @@
+// MyLocalCLI - Change Review
+// Shows the diff for a proposed file change and asks whether to apply it
+
+import inquirer from 'inquirer';
+import { createUnifiedDiff, colorizeDiff, diffStats, truncateDiff } from '../utils/diff.js';
+import { editInEditor } from '../utils/editor.js';
+import { printWarning, colors } from '../ui/terminal.js';
+import { getAlwaysAllowChoices, rememberToolApproval } from './permissions.js';
+
+// Longest diff printed before asking (the full diff still goes to the model)
+const MAX_DISPLAY_LINES = 80;
+
+// Longest diff returned to the model in a tool result
+export const MAX_RESULT_DIFF_LINES = 200;
+
+export const REVIEW_ACTIONS = {
+    APPLY: 'apply',
+    REJECT: 'reject',
+    EDIT: 'edit',
+    APPLY_ALL: 'apply_all'
+};
+
+/**
+ * Per-turn review state, shared by every tool call in one user turn
+ * @typedef {Object} TurnState
+ * @property {boolean} applyAll - The user chose "apply all" for the rest of the turn
+ */
+
+/**
+ * Create the review state for a new turn
+ * @returns {TurnState}
+ */
+export function createTurnState() {
+    return { applyAll: false };
+}
+
+/**
+ * A proposed change to one file
+ * @typedef {Object} FileChange
+ * @property {string} path - Path shown in the diff headers
+ * @property {string|null} oldContent - Current content (null if the file doesn't exist)
+ * @property {string} newContent - Proposed content
+ */
+
+function buildDiff(changes) {
+    return changes
+        .map(change => createUnifiedDiff(change.oldContent, change.newContent, { path: change.path }))
+        .join('');
+}
+
+function printDiff(diff) {
+    if (!diff) {
+        console.log(colors.muted('  (no changes)'));
+        return;
+    }
+    const { added, removed } = diffStats(diff);
+    console.log(colors.muted(`  +${added} -${removed}`));
+    console.log(colorizeDiff(truncateDiff(diff, MAX_DISPLAY_LINES)));
+}
+
+/**
+ * Show the diff for proposed changes and ask what to do with them
+ * Approved calls (and the rest of a turn after "apply all") still print the
+ * diff but don't prompt. Non-interactive policies decline.
+ *
+ * @param {FileChange[]} changes - Proposed changes
+ * @param {Object} [options]
+ * @param {string} [options.message] - Prompt message
+ * @param {boolean} [options.autoApprove] - Apply without asking
+ * @param {Object} [options.policy] - Active permission policy
+ * @param {TurnState} [options.turn] - Current turn's review state
+ * @param {boolean} [options.defaultApply] - Whether "apply" is the default choice (default true)
+ * @param {string} [options.toolName] - Tool proposing the change (offers "always allow")
+ * @returns {Promise<{approved: boolean, changes: FileChange[], diff: string, edited: boolean}>}
+ *          `changes` carries any edits the user made in $EDITOR
+ */
+export async function reviewChanges(changes, options = {}) {
+    const { autoApprove = false, policy = null, turn = null, defaultApply = true, toolName = null } = options;
+    // Editing only makes sense for a single file
+    const canEdit = changes.length === 1;
+    let current = changes;
+    let edited = false;
+
+    while (true) {
+        const diff = buildDiff(current);
+        printDiff(diff);
+
+        if (autoApprove || turn?.applyAll) {
+            return { approved: true, changes: current, diff, edited };
+        }
+        if (policy && !policy.interactive) {
+            return { approved: false, changes: current, diff, edited };
+        }
+
+        const { action } = await inquirer.prompt([{
+            type: 'list',
+            name: 'action',
+            message: options.message || 'Apply this change?',
+            default: defaultApply ? REVIEW_ACTIONS.APPLY : REVIEW_ACTIONS.REJECT,
+            choices: [
+                { name: 'Apply', value: REVIEW_ACTIONS.APPLY },
+                { name: 'Reject', value: REVIEW_ACTIONS.REJECT },
+                ...(canEdit ? [{ name: 'Edit in $EDITOR', value: REVIEW_ACTIONS.EDIT }] : []),
+                ...(turn ? [{ name: 'Apply all for this turn', value: REVIEW_ACTIONS.APPLY_ALL }] : []),
+                ...getAlwaysAllowChoices(toolName, policy)
+            ]
+        }]);
+
+        switch (action) {
+            case 'session':
+            case 'project':
+                await rememberToolApproval(action, toolName, policy);
+                return { approved: true, changes: current, diff, edited };
+            case REVIEW_ACTIONS.APPLY_ALL:
+                turn.applyAll = true;
+                return { approved: true, changes: current, diff, edited };
+            case REVIEW_ACTIONS.APPLY:
+                return { approved: true, changes: current, diff, edited };
+            case REVIEW_ACTIONS.REJECT:
+                return { approved: false, changes: current, diff, edited };
+            case REVIEW_ACTIONS.EDIT: {
+                const result = await editInEditor(current[0].newContent, { filename: current[0].path });
+                if (!result.success) {
+                    printWarning(result.error);
+                } else if (result.content !== current[0].newContent) {
+                    current = [{ ...current[0], newContent: result.content }];
+                    edited = true;
+                }
+                // Show the updated diff and ask again
+                break;
+            }
+        }
+    }
+}
+
+/**
+ * Build the tool result for a reviewed change
+ * The diff goes back to the model so it knows exactly what was written.
+ */
+export function reviewResult(review, fields = {}) {
+    if (!review.approved) {
+        return { success: false, error: 'Cancelled: the user rejected this change' };
+    }
+    return {
+        success: true,
+        ...fields,
+        ...(review.edited ? { note: 'The user edited your proposed change before applying it. The diff shows what was written.' } : {}),
+        diff: truncateDiff(review.diff, MAX_RESULT_DIFF_LINES)
+    };
+}
+
+export default {
+    createTurnState,
+    reviewChanges,
+    reviewResult,
+    REVIEW_ACTIONS,
+    MAX_RESULT_DIFF_LINES
+};
@@ -0,0 +1,228 @@
+// MyLocalCLI - Headless Mode
+// One-shot `mlc run "<prompt>"` for scripts, Makefiles, git hooks and CI
+
+import { createProviderChain, checkProviderChain } from './chat.js';
+import { runAgentLoop, describeStopReason, STOP_REASONS } from './loop.js';
+import { buildSystemPrompt } from './prompt.js';
+import { createCheckpoint } from './checkpoints.js';
+import { killAllProcesses } from './processes.js';
+import { createShellSession, closeShellSession } from './shell-session.js';
+import { summarizeUsage } from './usage.js';
+import { resolveAllowedTools } from './tools.js';
+import { createPermissionPolicy, READ_ONLY_TOOLS } from './permissions.js';
+import { initializeHooks, executeHooks, HOOK_EVENTS } from '../hooks/executor.js';
+import { loadPlugins } from '../plugins/loader.js';
+import { getProvider, getModel, getSetting } from '../config/settings.js';
+import { generateSessionId } from '../utils/history.js';
+import { printError, printInfo, printWarning } from '../ui/terminal.js';
+
+/**
+ * Process exit codes for `mlc run`
+ */
+export const EXIT_CODES = {
+    SUCCESS: 0,       // The agent finished the task
+    ERROR: 1,         // Provider error, or the prompt was blocked by a hook
+    USAGE: 2,         // Bad arguments, no prompt, or the provider is not ready
+    INCOMPLETE: 3     // Stopped at the iteration or token limit
+};
+
+export const OUTPUT_FORMATS = ['text', 'json'];
+
+/**
+ * Read all of stdin (used when no prompt argument is given)
+ * @returns {Promise<string>}
+ */
+export async function readStdin(stream = process.stdin) {
+    if (stream.isTTY) return '';
+    let data = '';
+    stream.setEncoding('utf-8');
+    for await (const chunk of stream) {
+        data += chunk;
+    }
+    return data;
+}
+
+/**
+ * Map an agent loop result to an exit code
+ */
+export function exitCodeFor(loopResult) {
+    switch (loopResult.stopReason) {
+        case STOP_REASONS.COMPLETED:
+            return EXIT_CODES.SUCCESS;
+        case STOP_REASONS.MAX_ITERATIONS:
+        case STOP_REASONS.TOKEN_BUDGET:
+            return EXIT_CODES.INCOMPLETE;
+        default:
+            return EXIT_CODES.ERROR;
+    }
+}
+
+/**
+ * Send console output to stderr so stdout only carries the answer
+ * @returns {Function} Restores the original console methods
+ */
+function redirectConsoleToStderr() {
+    const { log, info } = console;
+    console.log = (...args) => console.error(...args);
+    console.info = (...args) => console.error(...args);
+    return () => {
+        console.log = log;
+        console.info = info;
+    };
+}
+
+/**
+ * Run one prompt through the agent loop without any interactive prompts
+ * Tool calls that would need confirmation are refused unless approved by
+ * `allowTools` or `yolo`, so the process never waits for input.
+ *
+ * @param {string} prompt - Task for the agent
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Working directory
+ * @param {Object} [options.provider] - Provider instance (defaults to the configured one)
+ * @param {string} [options.providerName] - Provider to use instead of the configured one
+ * @param {string} [options.model] - Model override
+ * @param {string|string[]} [options.allowTools] - Tools that run without approval
+ * @param {boolean} [options.yolo] - Approve every tool call, including dangerous commands
+ * @param {boolean} [options.readOnly] - Only offer and allow read-only tools
+ * @param {boolean} [options.enableTools] - Whether tools are available at all
+ * @param {string} [options.output] - 'text' (answer only) or 'json' (answer plus tool log)
+ * @param {number} [options.maxIterations] - Maximum agent steps
+ * @param {number} [options.maxTurnTokens] - Token budget
+ * @param {Function} [options.write] - Writes to stdout (for tests)
+ * @returns {Promise<number>} Exit code
+ */
+export async function runHeadless(prompt, options = {}) {
+    const {
+        cwd = process.cwd(),
+        output = 'text',
+        enableTools = true,
+        write = (text) => process.stdout.write(text)
+    } = options;
+
+    // Progress goes to stderr; stdout only carries the answer or JSON
+    const restoreConsole = redirectConsoleToStderr();
+    const shellSession = createShellSession(cwd, { enabled: getSetting('persistentShell') === true });
+
+    try {
+        const report = (data) => {
+            if (output === 'json') {
+                write(JSON.stringify(data, null, 2) + '\n');
+            } else if (data.answer) {
+                write(data.answer.endsWith('\n') ? data.answer : data.answer + '\n');
+            }
+        };
+
+        if (!OUTPUT_FORMATS.includes(output)) {
+            printError(`Unknown output format: ${output} (use ${OUTPUT_FORMATS.join(' or ')})`);
+            return EXIT_CODES.USAGE;
+        }
+
+        if (!prompt || !prompt.trim()) {
+            const error = 'No prompt given. Pass it as an argument or pipe it on stdin.';
+            printError(error);
+            report({ success: false, exitCode: EXIT_CODES.USAGE, error, toolCalls: [] });
+            return EXIT_CODES.USAGE;
+        }
+
+        const providerName = options.providerName || getProvider();
+        const provider = options.provider || createProviderChain(providerName);
+        if (options.model) {
+            provider.model = options.model;
+        }
+
+        if (!options.provider) {
+            const status = await checkProviderChain(provider);
+            if (!status.ok) {
+                printError(status.error);
+                status.hints.forEach(hint => printInfo(hint));
+                report({ success: false, exitCode: EXIT_CODES.USAGE, error: status.error, toolCalls: [] });
+                return EXIT_CODES.USAGE;
+            }
+            if (status.name !== providerName) printWarning(status.message);
+        }
+
+        const allowedTools = options.readOnly ? new Set(READ_ONLY_TOOLS) : null;
+        const policy = createPermissionPolicy({
+            interactive: false,
+            autoApprove: options.yolo,
+            approvedTools: resolveAllowedTools(options.allowTools),
+            readOnly: options.readOnly
+        });
+
+        const sessionId = generateSessionId();
+
+        await initializeHooks(cwd, { policy });
+        await loadPlugins(cwd);
+        await executeHooks(HOOK_EVENTS.SESSION_START, { cwd, sessionId });
+
+        const promptHook = await executeHooks(HOOK_EVENTS.USER_PROMPT, { prompt, cwd, sessionId });
+        if (!promptHook.allowed) {
+            const error = `Prompt blocked by hook: ${promptHook.message}`;
+            printError(error);
+            report({ success: false, exitCode: EXIT_CODES.ERROR, error, toolCalls: [] });
+            return EXIT_CODES.ERROR;
+        }
+        const userPrompt = promptHook.modified ?? prompt;
+
+        const systemContent = await buildSystemPrompt({
+            cwd,
+            provider,
+            enableTools,
+            allowedTools,
+            query: userPrompt
+        });
+
+        const messages = [{ role: 'user', content: userPrompt }];
+        const result = await runAgentLoop(provider, messages, {
+            systemContent,
+            cwd,
+            enableTools,
+            allowedTools,
+            policy,
+            checkpoint: createCheckpoint(cwd, { prompt: userPrompt, sessionId }),
+            shellSession,
+            stream: false,
+            maxIterations: options.maxIterations,
+            maxTurnTokens: options.maxTurnTokens
+        });
+
+        await executeHooks(HOOK_EVENTS.STOP, { cwd, sessionId, stopReason: result.stopReason });
+        await executeHooks(HOOK_EVENTS.SESSION_END, { cwd, sessionId });
+
+        const exitCode = exitCodeFor(result);
+        if (exitCode === EXIT_CODES.ERROR) {
+            printError(result.error || describeStopReason(result));
+        } else if (exitCode === EXIT_CODES.INCOMPLETE) {
+            printWarning(`Stopped because ${describeStopReason(result)}.`);
+        }
+
+        report({
+            success: exitCode === EXIT_CODES.SUCCESS,
+            exitCode,
+            stopReason: result.stopReason,
+            answer: result.finalResponse,
+            ...(result.error ? { error: result.error } : {}),
+            provider: provider.lastProvider || providerName,
+            model: provider.model || getModel(providerName),
+            iterations: result.iterations,
+            tokensUsed: result.tokensUsed,
+            usage: summarizeUsage(result.usage),
+            toolCalls: result.toolCalls
+        });
+
+        return exitCode;
+    } finally {
+        await killAllProcesses();
+        closeShellSession(shellSession);
+        restoreConsole();
+    }
+}
+
+export default {
+    runHeadless,
+    readStdin,
+    exitCodeFor,
+    EXIT_CODES,
+    OUTPUT_FORMATS
+};
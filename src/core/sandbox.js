@@ -0,0 +1,203 @@
+// MyLocalCLI - Path Sandbox
+// Keeps file tools inside the project (plus allowed roots) and guards protected paths
+
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { compileIgnorePattern } from '../utils/ignore.js';
+import { loadProjectConfig } from '../config/project.js';
+import { getSetting } from '../config/settings.js';
+import { confirmAction } from './permissions.js';
+import { printWarning } from '../ui/terminal.js';
+
+// Need confirmation even inside the project (override with protectedPaths in MYLOCALCLI.md)
+export const DEFAULT_PROTECTED_PATHS = [
+    '.env*',
+    '*.pem',
+    '*.key',
+    '.git/'
+];
+
+// Paths the user already allowed this session
+const approvedPaths = new Set();
+
+/**
+ * Path policy for a project
+ * @typedef {Object} PathPolicy
+ * @property {string[]} roots - Real paths tools may use freely (the project first)
+ * @property {Array} protectedRules - Compiled protectedPaths patterns
+ */
+
+// Expand ~ and resolve a configured root against the project
+function resolveRoot(root, cwd) {
+    const expanded = root === '~' || root.startsWith('~/') ? path.join(os.homedir(), root.slice(1)) : root;
+    return realpath(path.resolve(cwd, expanded));
+}
+
+/**
+ * Resolve symlinks in a path, including paths that don't exist yet
+ * The deepest existing ancestor is resolved and the rest appended, so a new
+ * file in a symlinked directory is checked against the directory's target.
+ * @param {string} filePath - Absolute path
+ * @returns {string}
+ */
+export function realpath(filePath) {
+    let existing = filePath;
+    const rest = [];
+    while (true) {
+        try {
+            return path.join(fs.realpathSync(existing), ...rest);
+        } catch {
+            const parent = path.dirname(existing);
+            if (parent === existing) return filePath;
+            rest.unshift(path.basename(existing));
+            existing = parent;
+        }
+    }
+}
+
+function isInside(filePath, root) {
+    const rel = path.relative(root, filePath);
+    return rel === '' || (!rel.startsWith('..') && !path.isAbsolute(rel));
+}
+
+/**
+ * Load the path policy for a project
+ * Extra roots come from `allowedPaths` in MYLOCALCLI.md frontmatter and the
+ * allowedPaths setting. `protectedPaths` in the frontmatter replaces the
+ * default protected patterns.
+ * @param {string} cwd - Project directory
+ * @returns {Promise<PathPolicy>}
+ */
+export async function loadPathPolicy(cwd) {
+    const project = await loadProjectConfig(cwd);
+    const meta = project?.meta || {};
+    const asList = (value) => Array.isArray(value) ? value : (typeof value === 'string' && value ? [value] : []);
+
+    const extraRoots = [...asList(meta.allowedPaths), ...asList(getSetting('allowedPaths'))];
+    const protectedPaths = meta.protectedPaths !== undefined ? asList(meta.protectedPaths) : DEFAULT_PROTECTED_PATHS;
+
+    return {
+        roots: [realpath(path.resolve(cwd)), ...extraRoots.map(root => resolveRoot(root, cwd))],
+        protectedRules: protectedPaths.map(pattern => compileIgnorePattern(pattern)).filter(Boolean)
+    };
+}
+
+// Whether a path inside a root matches a protected pattern (or sits in a protected directory)
+function isProtected(rules, root, filePath) {
+    const rel = path.relative(root, filePath).split(path.sep).join('/');
+    if (!rel) return false;
+
+    const segments = rel.split('/');
+    for (let i = 1; i <= segments.length; i++) {
+        const sub = segments.slice(0, i).join('/');
+        let isDirectory = i < segments.length;
+        if (!isDirectory) {
+            try {
+                isDirectory = fs.statSync(filePath).isDirectory();
+            } catch {
+                isDirectory = false;
+            }
+        }
+
+        let protectedMatch = false;
+        for (const rule of rules) {
+            if (rule.dirOnly && !isDirectory) continue;
+            if (rule.regex.test(sub)) protectedMatch = !rule.negate;
+        }
+        if (protectedMatch) return true;
+    }
+    return false;
+}
+
+/**
+ * Check one path against a path policy
+ * @param {string} cwd - Project directory
+ * @param {string} filePath - Path as given to the tool
+ * @param {PathPolicy} pathPolicy - Policy from loadPathPolicy
+ * @returns {{allowed: boolean, realPath: string, reason?: string}}
+ *          reason explains why the path needs confirmation
+ */
+export function checkPath(cwd, filePath, pathPolicy) {
+    const realPath = realpath(path.resolve(cwd, filePath));
+    const root = pathPolicy.roots.find(r => isInside(realPath, r));
+
+    if (!root) {
+        return { allowed: false, realPath, reason: 'is outside the project' };
+    }
+    if (isProtected(pathPolicy.protectedRules, root, realPath)) {
+        return { allowed: false, realPath, reason: 'is a protected path' };
+    }
+    return { allowed: true, realPath };
+}
+
+/**
+ * Check the path arguments of a tool call, asking about paths outside the sandbox
+ * Paths outside the project and allowed roots, and protected paths, need
+ * confirmation. Non-interactive runs refuse them. Approvals last for the session.
+ *
+ * @param {string} toolName - Tool being called
+ * @param {string[]} paths - Path arguments of the call
+ * @param {string} cwd - Project directory
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Active permission policy
+ * @returns {Promise<string|null>} Error message, or null when every path may be used
+ */
+export async function enforcePathPolicy(toolName, paths, cwd, options = {}) {
+    const { policy = null } = options;
+    if (paths.length === 0) return null;
+
+    const pathPolicy = await loadPathPolicy(cwd);
+    for (const filePath of paths) {
+        const check = checkPath(cwd, filePath, pathPolicy);
+        if (check.allowed || approvedPaths.has(check.realPath)) continue;
+
+        const displayPath = check.realPath.startsWith(os.homedir() + path.sep)
+            ? '~' + check.realPath.slice(os.homedir().length)
+            : check.realPath;
+
+        if (policy && !policy.interactive) {
+            return `Access denied: ${displayPath} ${check.reason}. Add it to allowedPaths (or protectedPaths) in MYLOCALCLI.md to allow it.`;
+        }
+
+        printWarning(`${toolName} wants to access ${displayPath}, which ${check.reason}`);
+        if (!(await confirmAction('Allow access for this session?', { default: false, policy }))) {
+            return `Access denied: ${displayPath} ${check.reason} and the user declined access`;
+        }
+        approvedPaths.add(check.realPath);
+    }
+    return null;
+}
+
+/**
+ * Build a check for the files search tools may show
+ * Search results would otherwise reveal protected files and files outside
+ * the sandbox without the confirmation reading them needs, so those are
+ * left out (unless they were approved this session).
+ * @param {string} cwd - Project directory
+ * @returns {Promise<function(string): boolean>} Takes a path (relative to cwd or absolute)
+ */
+export async function createPathFilter(cwd) {
+    const pathPolicy = await loadPathPolicy(cwd);
+    return (filePath) => {
+        const check = checkPath(cwd, filePath, pathPolicy);
+        return check.allowed || approvedPaths.has(check.realPath);
+    };
+}
+
+/**
+ * Forget the paths approved this session
+ */
+export function resetPathApprovals() {
+    approvedPaths.clear();
+}
+
+export default {
+    DEFAULT_PROTECTED_PATHS,
+    realpath,
+    loadPathPolicy,
+    checkPath,
+    enforcePathPolicy,
+    createPathFilter,
+    resetPathApprovals
+};
@@ -0,0 +1,132 @@
+// MyLocalCLI - Codebase Search
+// Semantic search over code chunks, with a BM25 keyword ranker as the fallback
+
+import fs from 'fs/promises';
+import path from 'path';
+import { updateRepoMap } from './repomap.js';
+import { updateEmbeddingIndex, searchEmbeddingIndex } from './embeddings.js';
+import { chunkBySymbols, splitTerms } from '../utils/symbols.js';
+import { rankBM25 } from '../utils/bm25.js';
+
+/**
+ * Search methods
+ */
+export const SEARCH_METHODS = {
+    EMBEDDINGS: 'embeddings',
+    BM25: 'bm25'
+};
+
+// Lines of each result shown to the model
+export const PREVIEW_LINES = 15;
+
+// Embedding models that failed this session, so each search doesn't retry them
+const unavailableEmbedders = new Map();
+
+/**
+ * Search result
+ * @typedef {Object} SearchResult
+ * @property {string} file - Path relative to the project
+ * @property {number} start - First line of the chunk
+ * @property {number} end - Last line of the chunk
+ * @property {string|null} symbol - Definition the chunk starts with
+ * @property {number} score - Similarity (embeddings) or BM25 score
+ * @property {string} preview - First lines of the chunk
+ */
+
+// Rank chunks by keyword overlap with the query
+async function searchKeywords(cwd, query, options) {
+    const { limit, files, filter } = options;
+    const map = await updateRepoMap(cwd);
+
+    const chunks = [];
+    const documents = [];
+    for (const [file, entry] of Object.entries(map.files)) {
+        if (files && !files.has(file)) continue;
+        if (filter && !filter(file)) continue;
+        let content;
+        try {
+            content = await fs.readFile(path.join(cwd, file), 'utf-8');
+        } catch {
+            continue;
+        }
+        const pathTerms = splitTerms(file);
+        for (const chunk of chunkBySymbols(content, entry.language, entry.symbols)) {
+            chunks.push({ file, start: chunk.start, end: chunk.end, symbol: chunk.symbol });
+            documents.push([...pathTerms, ...splitTerms(chunk.text)]);
+        }
+    }
+
+    return rankBM25(documents, splitTerms(query), { limit })
+        .map(({ index, score }) => ({ ...chunks[index], score }));
+}
+
+// Attach the first lines of each chunk
+async function addPreviews(cwd, results) {
+    const contents = new Map();
+    for (const result of results) {
+        if (!contents.has(result.file)) {
+            try {
+                contents.set(result.file, (await fs.readFile(path.join(cwd, result.file), 'utf-8')).split(/\r?\n/));
+            } catch {
+                contents.set(result.file, []);
+            }
+        }
+        const lines = contents.get(result.file).slice(result.start - 1, result.end);
+        result.preview = lines.slice(0, PREVIEW_LINES).join('\n') +
+            (lines.length > PREVIEW_LINES ? `\n... (${lines.length - PREVIEW_LINES} more lines)` : '');
+        result.score = Math.round(result.score * 1000) / 1000;
+    }
+    return results;
+}
+
+/**
+ * Search the codebase for chunks matching a query
+ * Uses the embedding index when an embedder is given and working; otherwise
+ * (or when the embedding model fails) ranks chunks with BM25.
+ *
+ * @param {string} cwd - Project directory
+ * @param {string} query - What to look for
+ * @param {Object} [options]
+ * @param {import('./embeddings.js').Embedder|null} [options.embedder] - Embedding model
+ * @param {Set<string>|null} [options.files] - Only search these files (relative paths)
+ * @param {function(string): boolean} [options.filter] - Leave out files (relative paths) this returns false for
+ * @param {number} [options.limit] - Maximum results
+ * @param {function(number, number): void} [options.onProgress] - Embedding progress
+ * @returns {Promise<{method: string, results: SearchResult[], note?: string}>}
+ */
+export async function searchCodebase(cwd, query, options = {}) {
+    const { embedder = null, files = null, filter = null, limit = 10, onProgress } = options;
+    let note;
+
+    if (embedder && !unavailableEmbedders.has(embedder.id)) {
+        try {
+            const index = await updateEmbeddingIndex(cwd, embedder, { onProgress });
+            const [queryVector] = await embedder.embed([query]);
+            const results = searchEmbeddingIndex(index, queryVector, { limit, files, filter });
+            return { method: SEARCH_METHODS.EMBEDDINGS, results: await addPreviews(cwd, results) };
+        } catch (error) {
+            unavailableEmbedders.set(embedder.id, error.message);
+        }
+    }
+
+    if (embedder && unavailableEmbedders.has(embedder.id)) {
+        note = `Embedding model "${embedder.id}" is unavailable (${unavailableEmbedders.get(embedder.id)}); used keyword search instead`;
+    }
+
+    const results = await searchKeywords(cwd, query, { limit, files, filter });
+    return { method: SEARCH_METHODS.BM25, results: await addPreviews(cwd, results), ...(note && { note }) };
+}
+
+/**
+ * Retry embedding models that failed earlier in the session
+ */
+export function resetUnavailableEmbedders() {
+    unavailableEmbedders.clear();
+}
+
+export default {
+    searchCodebase,
+    resetUnavailableEmbedders,
+    SEARCH_METHODS,
+    PREVIEW_LINES
+};
@@ -0,0 +1,261 @@
+// MyLocalCLI - Persistent Shell Session
+// One long-lived shell per chat so cd, exports and activated environments carry over between commands
+
+import { spawn } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import { colors } from '../ui/terminal.js';
+
+// Sessions need a POSIX shell; Windows keeps running each command on its own
+export const SHELL_SESSION_SUPPORTED = process.platform !== 'win32';
+
+// Sessions with a running shell, stopped if the CLI exits
+const liveSessions = new Set();
+
+/**
+ * Shell session
+ * @typedef {Object} ShellSession
+ * @property {boolean} enabled - Whether run_command uses the session (/shell on|off)
+ * @property {string} projectDir - Directory a reset goes back to
+ * @property {string} cwd - Shell's working directory after the last command
+ * @property {string} shell - Shell binary
+ * @property {Object|null} proc - Running shell (started with the first command)
+ */
+
+/**
+ * Create a shell session for a chat
+ * The shell itself starts with the first command.
+ * @param {string} cwd - Project directory
+ * @param {Object} [options]
+ * @param {boolean} [options.enabled] - Use it for run_command (default true)
+ * @param {string} [options.shell] - Shell binary (default bash, or sh without it)
+ * @returns {ShellSession}
+ */
+export function createShellSession(cwd, options = {}) {
+    const { enabled = true, shell = fs.existsSync('/bin/bash') ? '/bin/bash' : '/bin/sh' } = options;
+    return { enabled: enabled && SHELL_SESSION_SUPPORTED, projectDir: cwd, cwd, shell, proc: null };
+}
+
+// Quote a string for the shell
+function shellQuote(text) {
+    return '\'' + text.replace(/'/g, '\'\\\'\'') + '\'';
+}
+
+function startShell(session) {
+    if (!fs.existsSync(session.cwd)) session.cwd = session.projectDir;
+
+    const proc = spawn(session.shell, [], {
+        cwd: session.cwd,
+        env: { ...process.env },
+        stdio: ['pipe', 'pipe', 'pipe'],
+        detached: true
+    });
+    const forget = () => {
+        if (session.proc === proc) session.proc = null;
+        liveSessions.delete(session);
+    };
+    proc.stdin.on('error', () => {});
+    proc.on('error', forget);
+    proc.on('exit', forget);
+
+    session.proc = proc;
+    liveSessions.add(session);
+    return proc;
+}
+
+function killShell(session) {
+    const proc = session.proc;
+    if (!proc) return;
+    session.proc = null;
+    liveSessions.delete(session);
+    try {
+        // The shell leads its own process group, so this also stops what it runs
+        process.kill(-proc.pid, 'SIGKILL');
+    } catch {
+        // Already gone
+    }
+}
+
+/**
+ * Run a command in the session's shell
+ * The command is eval'd in the shell (so `cd` and `export` stick) with stdin
+ * from /dev/null. A sentinel line with a random marker follows its output and
+ * carries the exit code and the new working directory. A command that runs
+ * past the timeout kills the shell; the next command starts a fresh one in
+ * the last known directory.
+ *
+ * @param {ShellSession} session - From createShellSession
+ * @param {string} command - Command line
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds before the command is stopped
+ * @param {boolean} [options.echo] - Print output as it arrives (default true)
+ * @returns {Promise<{success: boolean, stdout: string, stderr: string, exitCode?: number, cwd: string, error?: string}>}
+ */
+export function runInShellSession(session, command, options = {}) {
+    const { timeout = 30000, echo = true } = options;
+
+    return new Promise((resolve) => {
+        let proc;
+        try {
+            proc = session.proc || startShell(session);
+        } catch (error) {
+            resolve({ success: false, error: error.message, stdout: '', stderr: '', cwd: session.cwd });
+            return;
+        }
+
+        const marker = `__MLC_${crypto.randomBytes(8).toString('hex')}__`;
+        const streams = {
+            stdout: { text: '', printed: 0, end: -1, write: (t) => process.stdout.write(colors.muted(t)) },
+            stderr: { text: '', printed: 0, end: -1, write: (t) => process.stderr.write(colors.error(t)) }
+        };
+        let exitCode = null;
+        let finished = false;
+
+        // Print what is certainly output, holding back anything that could be the start of the sentinel
+        const flush = (stream) => {
+            if (!echo) return;
+            const end = stream.end >= 0 ? stream.end : Math.max(stream.printed, stream.text.length - marker.length - 1);
+            if (end > stream.printed) {
+                stream.write(stream.text.slice(stream.printed, end));
+                stream.printed = end;
+            }
+        };
+
+        const finish = (result) => {
+            if (finished) return;
+            finished = true;
+            clearTimeout(timer);
+            proc.stdout.off('data', onStdout);
+            proc.stderr.off('data', onStderr);
+            proc.off('close', onExit);
+            proc.off('error', onError);
+            for (const stream of Object.values(streams)) {
+                if (stream.end < 0) stream.end = stream.text.length;
+                flush(stream);
+            }
+            resolve({
+                ...result,
+                stdout: streams.stdout.text.slice(0, streams.stdout.end),
+                stderr: streams.stderr.text.slice(0, streams.stderr.end),
+                cwd: session.cwd
+            });
+        };
+
+        const checkDone = () => {
+            if (streams.stdout.end < 0 || streams.stderr.end < 0) return;
+            finish(exitCode === 0
+                ? { success: true, exitCode }
+                : { success: false, error: `Exit code: ${exitCode}`, exitCode });
+        };
+
+        const onStdout = (data) => {
+            const stream = streams.stdout;
+            stream.text += data.toString();
+            const index = stream.text.indexOf(`\n${marker}`);
+            if (index >= 0) {
+                const line = stream.text.slice(index + marker.length + 1).split('\n')[0];
+                const match = line.match(/^(\d+):(.*)$/);
+                if (match && stream.text.length > index + marker.length + 1 + line.length) {
+                    stream.end = index;
+                    exitCode = parseInt(match[1], 10);
+                    if (match[2]) session.cwd = match[2];
+                }
+            }
+            flush(stream);
+            checkDone();
+        };
+
+        const onStderr = (data) => {
+            const stream = streams.stderr;
+            stream.text += data.toString();
+            const index = stream.text.indexOf(`\n${marker}\n`);
+            if (index >= 0) stream.end = index;
+            flush(stream);
+            checkDone();
+        };
+
+        // `exit` (or a fatal error) ends the shell; the next command starts a new one.
+        // Waits for 'close' so output still in the pipes is read first.
+        const onExit = (code) => {
+            finish({
+                success: false,
+                error: `The shell exited${code !== null ? ` with code ${code}` : ''}. The next command starts a new shell in ${session.cwd}.`,
+                exitCode: code
+            });
+        };
+
+        const onError = (error) => {
+            finish({ success: false, error: error.message });
+        };
+
+        const timer = setTimeout(() => {
+            killShell(session);
+            finish({
+                success: false,
+                error: `Command timed out after ${Math.round(timeout / 1000)}s. The shell was stopped; the next command starts a new one in ${session.cwd} (variables set earlier are lost).`
+            });
+        }, timeout);
+
+        proc.stdout.on('data', onStdout);
+        proc.stderr.on('data', onStderr);
+        proc.once('close', onExit);
+        proc.once('error', onError);
+
+        proc.stdin.write([
+            `eval ${shellQuote(command)} < /dev/null`,
+            '__mlc_status=$?',
+            `printf '\\n${marker}%s:%s\\n' "$__mlc_status" "$(pwd)"`,
+            `printf '\\n${marker}\\n' >&2`,
+            ''
+        ].join('\n'));
+    });
+}
+
+/**
+ * Stop the shell and go back to the project directory
+ * @param {ShellSession} session
+ */
+export function resetShellSession(session) {
+    killShell(session);
+    session.cwd = session.projectDir;
+}
+
+/**
+ * Stop the shell (at the end of a chat)
+ * @param {ShellSession} session
+ */
+export function closeShellSession(session) {
+    killShell(session);
+}
+
+/**
+ * Short form of the session's directory for the prompt
+ * Relative to the project inside it, ~ for the home directory outside it.
+ * @param {ShellSession} session
+ * @returns {string}
+ */
+export function formatShellCwd(session) {
+    const rel = path.relative(session.projectDir, session.cwd);
+    if (rel === '') return '.';
+    if (!rel.startsWith('..') && !path.isAbsolute(rel)) return rel;
+
+    const home = os.homedir();
+    return session.cwd === home || session.cwd.startsWith(home + path.sep)
+        ? '~' + session.cwd.slice(home.length)
+        : session.cwd;
+}
+
+process.on('exit', () => {
+    for (const session of liveSessions) killShell(session);
+});
+
+export default {
+    SHELL_SESSION_SUPPORTED,
+    createShellSession,
+    runInShellSession,
+    resetShellSession,
+    closeShellSession,
+    formatShellCwd
+};
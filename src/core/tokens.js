@@ -0,0 +1,91 @@
+// MyLocalCLI - Token Estimation
+// Approximates tokenizer output per model family without shipping tokenizers
+
+/**
+ * Tokenizer profiles: average characters per token for words, and digits
+ * per token for numbers. Larger vocabularies pack more text into a token.
+ */
+export const TOKENIZER_PROFILES = {
+    o200k: { charsPerToken: 4.4, digitsPerToken: 3 },     // gpt-4o, gpt-4.1, o-series
+    cl100k: { charsPerToken: 4, digitsPerToken: 3 },      // gpt-4, gpt-3.5, llama 3, qwen
+    claude: { charsPerToken: 3.6, digitsPerToken: 1 },
+    sentencepiece: { charsPerToken: 3.2, digitsPerToken: 1 }, // llama 2, mistral, phi-3, gemma
+    default: { charsPerToken: 3.8, digitsPerToken: 2 }
+};
+
+const PROFILE_PATTERNS = [
+    { pattern: /gpt-4o|gpt-4\.1|\bo[134](-mini)?\b/, profile: 'o200k' },
+    { pattern: /gpt-4|gpt-3\.5|llama-?3|qwen|deepseek/, profile: 'cl100k' },
+    { pattern: /claude/, profile: 'claude' },
+    { pattern: /llama-?2|codellama|mistral|mixtral|phi|gemma/, profile: 'sentencepiece' }
+];
+
+// Extra tokens for each chat message (role and separators)
+const MESSAGE_OVERHEAD = 4;
+
+// Words (with a leading space), numbers, punctuation runs, whitespace runs
+const PIECE_PATTERN = / ?\p{L}+| ?\p{N}+| ?[^\s\p{L}\p{N}]+|\s+/gu;
+
+/**
+ * Pick the tokenizer profile for a model id
+ */
+export function getTokenizerProfile(model) {
+    const id = (model || '').toLowerCase();
+    const match = PROFILE_PATTERNS.find(p => p.pattern.test(id));
+    return TOKENIZER_PROFILES[match ? match.profile : 'default'];
+}
+
+/**
+ * Estimate the number of tokens in a string
+ * @param {string} text - Text to measure
+ * @param {string} [model] - Model id (selects the tokenizer profile)
+ * @returns {number}
+ */
+export function estimateTokens(text, model) {
+    if (!text) return 0;
+    const profile = getTokenizerProfile(model);
+    let tokens = 0;
+
+    for (const [piece] of String(text).matchAll(PIECE_PATTERN)) {
+        const body = piece.trimStart();
+        if (!body) {
+            // Whitespace: runs of spaces merge, each newline mostly costs one
+            tokens += Math.max(1, (piece.match(/\n/g) || []).length);
+        } else if (/^\p{L}/u.test(body)) {
+            tokens += Math.ceil(body.length / profile.charsPerToken);
+        } else if (/^\p{N}/u.test(body)) {
+            tokens += Math.ceil(body.length / profile.digitsPerToken);
+        } else {
+            // Punctuation and symbols rarely merge beyond pairs
+            tokens += Math.ceil(body.length / 2);
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Estimate the tokens a chat message takes up, including tool calls
+ */
+export function estimateMessageTokens(message, model) {
+    let tokens = MESSAGE_OVERHEAD + estimateTokens(message.content, model);
+    if (message.tool_calls) {
+        tokens += estimateTokens(JSON.stringify(message.tool_calls), model);
+    }
+    return tokens;
+}
+
+/**
+ * Estimate the tokens for a list of chat messages
+ */
+export function estimateMessagesTokens(messages, model) {
+    return messages.reduce((sum, message) => sum + estimateMessageTokens(message, model), 0);
+}
+
+export default {
+    TOKENIZER_PROFILES,
+    getTokenizerProfile,
+    estimateTokens,
+    estimateMessageTokens,
+    estimateMessagesTokens
+};
@@ -0,0 +1,165 @@
+// MyLocalCLI - Tool Result Protocol
+// Turns the result objects returned by executeTool into messages for the model
+
+// Default cap on the text sent back for a single tool result
+export const DEFAULT_MAX_RESULT_LENGTH = 12000;
+
+// Fields that are bookkeeping rather than output
+const INTERNAL_FIELDS = new Set(['success', 'error']);
+
+/**
+ * Format a list_directory item tree
+ */
+function formatItems(items, indent = '') {
+    const lines = [];
+    for (const item of items) {
+        if (item.type === 'directory') {
+            lines.push(`${indent}${item.name}/`);
+            if (item.children?.length) {
+                lines.push(formatItems(item.children, indent + '  '));
+            }
+        } else {
+            const size = item.size !== undefined ? ` (${item.size} bytes)` : '';
+            lines.push(`${indent}${item.name}${size}`);
+        }
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Render a single result field as text
+ */
+function formatField(key, value) {
+    if (value === undefined || value === null) return null;
+
+    switch (key) {
+        case 'content':
+        case 'diff':
+            return key === 'diff' && value === '' ? 'diff: (no changes)' : String(value);
+        case 'stdout':
+        case 'stderr':
+            return value === '' ? null : `${key}:\n${value}`;
+        case 'items':
+            return value.length === 0 ? '(empty directory)' : formatItems(value);
+        case 'files':
+            return value.length === 0 ? 'No files found' : `files (${value.length}):\n${value.join('\n')}`;
+        case 'hookFeedback':
+            return `Hook feedback: ${value}`;
+        case 'matches':
+        case 'results':
+        case 'lines':
+        case 'processes':
+            // Already rendered into `content` by the tools that return these
+            return null;
+        default:
+            if (value instanceof Date) {
+                return `${key}: ${value.toISOString()}`;
+            }
+            if (typeof value === 'object') {
+                return `${key}: ${JSON.stringify(value)}`;
+            }
+            return `${key}: ${value}`;
+    }
+}
+
+/**
+ * Cap a result so one noisy tool can't flood the context
+ */
+function truncate(text, maxLength) {
+    if (text.length <= maxLength) return text;
+    const omitted = text.length - maxLength;
+    return `${text.slice(0, maxLength)}\n... [truncated ${omitted} characters]`;
+}
+
+/**
+ * Serialize any executeTool result into plain text for the model.
+ * Errors are included (with any partial output) so the model can recover.
+ *
+ * @param {string} toolName - Name of the tool that ran
+ * @param {Object} result - Result object from executeTool
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] - Maximum characters to keep
+ * @returns {string}
+ */
+export function serializeToolResult(toolName, result, options = {}) {
+    const { maxLength = DEFAULT_MAX_RESULT_LENGTH } = options;
+    const parts = [];
+
+    if (!result || typeof result !== 'object') {
+        return truncate(String(result ?? ''), maxLength);
+    }
+
+    if (!result.success) {
+        parts.push(`Error: ${result.error || 'Tool failed'}`);
+    }
+
+    // `content` first, then everything else in the order the tool returned it
+    const keys = Object.keys(result).filter(key => !INTERNAL_FIELDS.has(key));
+    keys.sort((a, b) => (a === 'content' ? -1 : b === 'content' ? 1 : 0));
+
+    for (const key of keys) {
+        const text = formatField(key, result[key]);
+        if (text !== null) parts.push(text);
+    }
+
+    if (parts.length === 0) {
+        parts.push(`${toolName} completed successfully.`);
+    }
+
+    return truncate(parts.join('\n'), maxLength);
+}
+
+/**
+ * Format a result as the tagged text block used with text tool calling
+ */
+export function formatToolResultBlock(toolCall, result, options = {}) {
+    const status = result?.success ? 'success' : 'error';
+    const body = serializeToolResult(toolCall.name, result, options);
+    return `<tool_result name="${toolCall.name}" status="${status}">\n${body}\n</tool_result>`;
+}
+
+/**
+ * Whether a message reports text-mode tool results (a `user` message the
+ * user didn't write)
+ */
+export function isToolResultMessage(message) {
+    return message.role === 'user' && typeof message.content === 'string' && message.content.startsWith('<tool_result ');
+}
+
+/**
+ * Build the conversation messages that report tool results back to the model.
+ * Native-calling providers get one `tool` message per call id; everyone else
+ * gets a single user message with a tagged block per call.
+ *
+ * @param {Array<{toolCall: Object, result: Object}>} entries - Executed calls
+ * @param {Object} [options]
+ * @param {boolean} [options.native] - Whether the calls came from native tool calling
+ * @param {number} [options.maxLength] - Per-result character cap
+ * @returns {Array<Object>} Messages to append to the history
+ */
+export function buildToolResultMessages(entries, options = {}) {
+    const { native = false } = options;
+
+    if (native) {
+        return entries.map(({ toolCall, result }) => ({
+            role: 'tool',
+            tool_call_id: toolCall.id,
+            content: serializeToolResult(toolCall.name, result, options)
+        }));
+    }
+
+    if (entries.length === 0) return [];
+
+    return [{
+        role: 'user',
+        content: entries.map(({ toolCall, result }) => formatToolResultBlock(toolCall, result, options)).join('\n\n')
+    }];
+}
+
+export default {
+    serializeToolResult,
+    formatToolResultBlock,
+    isToolResultMessage,
+    buildToolResultMessages,
+    DEFAULT_MAX_RESULT_LENGTH
+};
@@ -1,6 +1,16 @@
 import { readFile, writeFile, listDirectory, searchFiles, getFileStats } from '../utils/files.js';
+import { createIgnoreMatcher, getDeniedReason } from '../utils/ignore.js';
 import { executeCommand } from './executor.js';
+import { getProcessOutput, listProcesses, killProcess, formatProcess } from './processes.js';
 import { getGitInfo, getGitDiff } from '../utils/git.js';
+import { grepFiles, GREP_OUTPUT_MODES, DEFAULT_GREP_LIMIT } from '../utils/grep.js';
+import { executeHooks, HOOK_EVENTS } from '../hooks/executor.js';
+import { checkToolPermission, confirmAction } from './permissions.js';
+import { enforcePathPolicy, createPathFilter } from './sandbox.js';
+import { snapshotFiles } from './checkpoints.js';
+import { reviewChanges, reviewResult } from './review.js';
+import { searchCodebase, SEARCH_METHODS } from './search.js';
+import { createEmbedder, EMBED_BATCH_SIZE } from './embeddings.js';
 import { printInfo, printWarning, printSuccess, printCode, colors } from '../ui/terminal.js';
 import inquirer from 'inquirer';
 import path from 'path';
@@ -87,16 +97,54 @@ export const TOOLS = [
         type: 'function',
         function: {
             name: 'run_command',
-            description: 'Execute a shell command.',
+            description: 'Execute a shell command. Commands are stopped after 30 seconds unless started with background: true.',
             parameters: {
                 type: 'object',
                 properties: {
-                    command: { type: 'string', description: 'Command to run' }
+                    command: { type: 'string', description: 'Command to run' },
+                    background: { type: 'boolean', description: 'Run in the background (dev servers, watchers, slow test suites) and return a process id' }
                 },
                 required: ['command']
             }
         }
     },
+    {
+        type: 'function',
+        function: {
+            name: 'process_output',
+            description: 'Read the output of a background process started with run_command. Pass the returned next value as since to get only new output.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', description: 'Process id (e.g. "bg1")' },
+                    since: { type: 'number', description: 'Output position to read from (default: 0, the start)' }
+                },
+                required: ['id']
+            }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'process_list',
+            description: 'List background processes started this session with their status.',
+            parameters: { type: 'object', properties: {}, required: [] }
+        }
+    },
+    {
+        type: 'function',
+        function: {
+            name: 'process_kill',
+            description: 'Stop a background process and its children.',
+            parameters: {
+                type: 'object',
+                properties: {
+                    id: { type: 'string', description: 'Process id (e.g. "bg1")' }
+                },
+                required: ['id']
+            }
+        }
+    },
     {
         type: 'function',
         function: {
@@ -124,13 +172,25 @@ export const TOOLS = [
         type: 'function',
         function: {
             name: 'grep',
-            description: 'Search for text in files using regex or string pattern.',
+            description: 'Search file contents with a regular expression (or literal text with fixed_strings). Skips binary and ignored files. Results are paged: pass the returned nextOffset as offset to see more.',
             parameters: {
                 type: 'object',
                 properties: {
-                    pattern: { type: 'string', description: 'Search pattern (text or regex)' },
-                    path: { type: 'string', description: 'File or directory to search in' },
-                    include: { type: 'string', description: 'File pattern to include (e.g., "*.js")' }
+                    pattern: { type: 'string', description: 'Regular expression to search for (e.g. "function\\s+\\w+")' },
+                    path: { type: 'string', description: 'File or directory to search in (default: current)' },
+                    include: { type: 'string', description: 'File pattern to include (e.g., "*.js")' },
+                    fixed_strings: { type: 'boolean', description: 'Treat the pattern as literal text, not a regex' },
+                    case_insensitive: { type: 'boolean', description: 'Ignore case when matching' },
+                    context: { type: 'number', description: 'Lines of context to show before and after each match' },
+                    before_context: { type: 'number', description: 'Lines of context before each match (overrides context)' },
+                    after_context: { type: 'number', description: 'Lines of context after each match (overrides context)' },
+                    output_mode: {
+                        type: 'string',
+                        enum: ['content', 'files_with_matches', 'count'],
+                        description: 'content: matching lines (default), files_with_matches: file paths only, count: matches per file'
+                    },
+                    offset: { type: 'number', description: 'Results to skip (for paging)' },
+                    limit: { type: 'number', description: `Results to return (default: ${DEFAULT_GREP_LIMIT})` }
                 },
                 required: ['pattern']
             }
@@ -387,7 +447,7 @@ export const TOOLS = [
         type: 'function',
         function: {
             name: 'codebase_search',
-            description: 'Search the codebase for code snippets matching a query. Uses fuzzy/semantic matching.',
+            description: 'Search the codebase for functions, classes and sections matching a query. Uses semantic (embedding) search, or keyword ranking when no embedding model is available.',
             parameters: {
                 type: 'object',
                 properties: {
@@ -420,9 +480,218 @@ export const TOOLS = [
     }
 ];
 
+// Claude Code style tool names mapped to MyLocalCLI tools
+export const TOOL_ALIASES = {
+    Read: ['read_file', 'read_lines', 'file_info'],
+    Write: ['write_file', 'create_directory'],
+    Edit: ['edit_file', 'multi_edit_file', 'insert_at_line', 'append_file'],
+    MultiEdit: ['multi_edit_file'],
+    NotebookEdit: ['edit_file'],
+    Bash: ['run_command'],
+    BashOutput: ['process_output', 'process_list'],
+    KillShell: ['process_kill'],
+    Grep: ['grep'],
+    Glob: ['search_files'],
+    LS: ['list_directory', 'tree'],
+    WebFetch: ['web_fetch'],
+    TodoWrite: ['todo_write'],
+    AskUserQuestion: ['ask_user']
+};
+
+/**
+ * Resolve an allowed-tools list (from a command or agent) to tool names.
+ * Accepts MyLocalCLI names, Claude-style names (Read, Write, Bash) and
+ * Claude-style scoped entries like `Bash(git:*)`, which map to the whole tool.
+ *
+ * @param {string[]|string|null} allowed - Allowlist; a comma-separated string is split
+ * @returns {Set<string>|null} Allowed tool names, or null when unrestricted
+ */
+export function resolveAllowedTools(allowed) {
+    if (!allowed) return null;
+    const entries = Array.isArray(allowed) ? allowed : String(allowed).split(',');
+    const names = entries.map(entry => String(entry).trim()).filter(Boolean);
+    if (names.length === 0) return null;
+
+    const known = new Set(TOOLS.map(t => t.function.name));
+    const resolved = new Set();
+
+    for (const name of names) {
+        const base = name.replace(/\(.*\)$/, '').trim();
+        if (known.has(base)) {
+            resolved.add(base);
+        } else if (TOOL_ALIASES[base]) {
+            TOOL_ALIASES[base].forEach(tool => resolved.add(tool));
+        } else {
+            const alias = Object.keys(TOOL_ALIASES).find(key => key.toLowerCase() === base.toLowerCase());
+            if (alias) TOOL_ALIASES[alias].forEach(tool => resolved.add(tool));
+        }
+    }
+
+    return resolved;
+}
+
+/**
+ * Get the tool definitions advertised to the model
+ * @param {Set<string>|null} allowedTools - Resolved allowlist (null = all tools)
+ */
+export function getToolDefinitions(allowedTools = null) {
+    if (!allowedTools) return TOOLS;
+    return TOOLS.filter(tool => allowedTools.has(tool.function.name));
+}
+
 // Execute a tool by name
 export async function executeTool(toolName, args, cwd, options = {}) {
-    const { autoApprove = false, showDiff = true } = options;
+    const { allowedTools = null } = options;
+
+    // Enforce the per-turn allowlist even if the model calls a tool it was never shown
+    if (allowedTools && !allowedTools.has(toolName)) {
+        const allowedList = [...allowedTools].join(', ') || 'none';
+        return {
+            success: false,
+            error: `Tool "${toolName}" is not allowed here. Allowed tools: ${allowedList}`
+        };
+    }
+
+    // The permission policy decides what may run without a prompt
+    const permission = checkToolPermission(toolName, options.policy);
+    if (!permission.allowed) {
+        return { success: false, error: permission.error };
+    }
+
+    // Paths listed in .mylocalcliignore are off limits to every tool
+    const paths = await getAccessedPaths(toolName, args || {}, cwd);
+    const denied = getDeniedPath(paths, cwd);
+    if (denied) {
+        return { success: false, error: denied };
+    }
+    const outsideSandbox = await enforcePathPolicy(toolName, paths, cwd, { policy: options.policy });
+    if (outsideSandbox) {
+        return { success: false, error: outsideSandbox };
+    }
+
+    // PreToolUse hooks can block the call or rewrite its arguments
+    const hookContext = { toolName, toolAliases: getToolAliases(toolName), cwd, sessionId: options.sessionId };
+    const pre = await executeHooks(HOOK_EVENTS.PRE_TOOL_USE, { ...hookContext, toolInput: args || {} });
+    if (!pre.allowed) {
+        return { success: false, error: `Blocked by hook: ${pre.message}` };
+    }
+    const toolArgs = pre.modified || args || {};
+    if (pre.modified) {
+        const pathsAfterHook = await getAccessedPaths(toolName, toolArgs, cwd);
+        const deniedAfterHook = getDeniedPath(pathsAfterHook, cwd) ||
+            await enforcePathPolicy(toolName, pathsAfterHook, cwd, { policy: options.policy });
+        if (deniedAfterHook) {
+            return { success: false, error: deniedAfterHook };
+        }
+    }
+
+    // Save the files this call may change so the turn can be undone
+    if (options.checkpoint) {
+        const paths = await getModifiedPaths(toolName, toolArgs, cwd);
+        if (paths.length > 0) {
+            await snapshotFiles(options.checkpoint, paths, toolName);
+        }
+    }
+
+    const result = await runTool(toolName, toolArgs, cwd, {
+        ...options,
+        autoApprove: options.autoApprove || permission.approved
+    });
+
+    // PostToolUse hooks see the result; a deny is reported back to the model
+    const post = await executeHooks(HOOK_EVENTS.POST_TOOL_USE, { ...hookContext, toolInput: toolArgs, toolResult: result });
+    if (!post.allowed) {
+        return { ...result, hookFeedback: post.message };
+    }
+    return result;
+}
+
+/**
+ * Get the files a tool call may modify (for checkpoints)
+ * run_command is not covered: its effects can't be known in advance.
+ * @returns {Promise<Array<string|{path: string, directory: boolean}>>}
+ */
+async function getModifiedPaths(toolName, args, cwd) {
+    const resolvePath = (p) => path.isAbsolute(p) ? p : path.join(cwd, p);
+
+    switch (toolName) {
+        case 'write_file':
+        case 'edit_file':
+        case 'multi_edit_file':
+        case 'insert_at_line':
+        case 'append_file':
+        case 'delete_file':
+            return args.path ? [resolvePath(args.path)] : [];
+        case 'move_file': {
+            const source = args.source ? resolvePath(args.source) : null;
+            const destination = args.destination ? resolvePath(args.destination) : null;
+            // A directory's destination doesn't exist yet, so say what it will be
+            const movesDirectory = source && await fs.stat(source).then(stats => stats.isDirectory(), () => false);
+            return [source, destination && movesDirectory ? { path: destination, directory: true } : destination].filter(Boolean);
+        }
+        case 'copy_file':
+            return args.destination ? [resolvePath(args.destination)] : [];
+        case 'find_replace': {
+            if (!args.find) return [];
+            const files = await searchFiles(args.include || '**/*', resolvePath(args.path || '.'));
+            const find = args.find.replace(/\r\n/g, '\n');
+            const affected = [];
+            for (const file of files) {
+                const content = await readFile(file);
+                if (content.success && content.content.replace(/\r\n/g, '\n').includes(find)) {
+                    affected.push(file);
+                }
+            }
+            return affected;
+        }
+        default:
+            return [];
+    }
+}
+
+// Path arguments of a tool call
+function getPathArgs(args) {
+    return [args.path, args.source, args.destination].filter(p => typeof p === 'string' && p);
+}
+
+/**
+ * Get the paths a tool call reads or writes
+ * find_replace picks its files with a glob, so the files it would change
+ * are checked like path arguments.
+ */
+async function getAccessedPaths(toolName, args, cwd) {
+    const paths = getPathArgs(args);
+    if (toolName === 'find_replace') {
+        paths.push(...await getModifiedPaths(toolName, args, cwd));
+    }
+    return paths;
+}
+
+/**
+ * Check the paths of a tool call against .mylocalcliignore
+ * @returns {string|null} Error message, or null when every path is allowed
+ */
+function getDeniedPath(paths, cwd) {
+    if (paths.length === 0) return null;
+
+    const matcher = createIgnoreMatcher(cwd);
+    for (const p of paths) {
+        const reason = getDeniedReason(cwd, p, matcher);
+        if (reason) return reason;
+    }
+    return null;
+}
+
+/**
+ * Get the Claude-style names that map to a tool (used by hook matchers)
+ */
+export function getToolAliases(toolName) {
+    return Object.keys(TOOL_ALIASES).filter(alias => TOOL_ALIASES[alias].includes(toolName));
+}
+
+// Run a tool implementation
+async function runTool(toolName, args, cwd, options = {}) {
+    const { autoApprove = false, policy = null, turn = null, shellSession = null } = options;
     const resolvePath = (p) => path.isAbsolute(p) ? p : path.join(cwd, p);
 
     switch (toolName) {
@@ -441,24 +710,24 @@ export async function executeTool(toolName, args, cwd, options = {}) {
             const existing = await readFile(filePath);
             const lineCount = args.content.split(/\r?\n/).length;
 
-            // Show concise progress instead of code content
+            // Summary line; the diff is shown before applying
             if (existing.success) {
                 console.log(colors.warning(`📝 Modifying: ${args.path} (${lineCount} lines)...`));
             } else {
                 console.log(colors.success(`📄 Creating: ${args.path} (${lineCount} lines)...`));
             }
 
-            if (!autoApprove) {
-                const { proceed } = await inquirer.prompt([{
-                    type: 'confirm', name: 'proceed', message: 'Apply?', default: true
-                }]);
-                if (!proceed) return { success: false, error: 'Cancelled' };
-            }
+            const review = await reviewChanges(
+                [{ path: args.path, oldContent: existing.success ? existing.content : null, newContent: args.content }],
+                { autoApprove, policy, turn, toolName }
+            );
+            if (!review.approved) return reviewResult(review);
 
             await fs.mkdir(path.dirname(filePath), { recursive: true });
-            const result = await writeFile(filePath, args.content);
-            if (result.success) printSuccess(`✅ Written: ${args.path}`);
-            return result;
+            const result = await writeFile(filePath, review.changes[0].newContent);
+            if (!result.success) return result;
+            printSuccess(`✅ Written: ${args.path}`);
+            return reviewResult(review);
         }
 
         case 'edit_file': {
@@ -500,21 +769,11 @@ export async function executeTool(toolName, args, cwd, options = {}) {
                     resultContent = resultContent.replace(/\n/g, '\r\n');
                 }
 
-                // Show concise progress instead of diff
                 const oldLineCount = normalizedOldContent.split('\n').length;
                 const newLineCount = normalizedNewContent.split('\n').length;
                 console.log(colors.warning(`📝 Editing: ${args.path} (${oldLineCount} → ${newLineCount} lines)...`));
 
-                if (!autoApprove) {
-                    const { proceed } = await inquirer.prompt([{
-                        type: 'confirm', name: 'proceed', message: 'Apply?', default: true
-                    }]);
-                    if (!proceed) return { success: false, error: 'Cancelled' };
-                }
-
-                const result = await writeFile(filePath, resultContent);
-                if (result.success) printSuccess(`✅ Edited: ${args.path}`);
-                return result;
+                return await applyReviewedEdit(filePath, args.path, content, resultContent, { autoApprove, policy, turn, toolName });
             }
 
             // Try with normalized whitespace (convert multiple spaces/tabs to single space)
@@ -553,20 +812,10 @@ export async function executeTool(toolName, args, cwd, options = {}) {
                         resultContent = resultContent.replace(/\n/g, '\r\n');
                     }
 
-                    // Show concise progress instead of diff
                     const newLineCount = normalizedNewContent.split('\n').length;
                     console.log(colors.warning(`📝 Editing (fuzzy): ${args.path} at line ${startIdx + 1} (${oldLines.length} → ${newLineCount} lines)...`));
 
-                    if (!autoApprove) {
-                        const { proceed } = await inquirer.prompt([{
-                            type: 'confirm', name: 'proceed', message: 'Apply?', default: true
-                        }]);
-                        if (!proceed) return { success: false, error: 'Cancelled' };
-                    }
-
-                    const result = await writeFile(filePath, resultContent);
-                    if (result.success) printSuccess(`✅ Edited: ${args.path}`);
-                    return result;
+                    return await applyReviewedEdit(filePath, args.path, content, resultContent, { autoApprove, policy, turn, toolName });
                 }
             }
 
@@ -590,20 +839,58 @@ export async function executeTool(toolName, args, cwd, options = {}) {
 
         case 'list_directory': {
             const dirPath = resolvePath(args.path || '.');
-            const items = await listDirectory(dirPath, { recursive: args.recursive });
+            const items = await listDirectory(dirPath, { recursive: args.recursive, matcher: createIgnoreMatcher(cwd) });
             printInfo(`📁 Listed: ${args.path || '.'} (${items.length} items)`);
             return { success: true, items };
         }
 
         case 'search_files': {
-            const files = await searchFiles(args.pattern, cwd);
+            const allowed = await createPathFilter(cwd);
+            const files = (await searchFiles(args.pattern, cwd)).filter(allowed);
             printInfo(`🔍 Found ${files.length} files`);
             return { success: true, files: files.map(f => path.relative(cwd, f)) };
         }
 
         case 'run_command': {
             printInfo(`🖥️ Running: ${args.command}`);
-            return await executeCommand(args.command, { cwd, requireConfirmation: !autoApprove });
+            return await executeCommand(args.command, {
+                cwd,
+                requireConfirmation: !autoApprove,
+                policy,
+                background: args.background === true,
+                session: shellSession
+            });
+        }
+
+        case 'process_output': {
+            const result = getProcessOutput(args.id, args.since);
+            if (!result.success) return result;
+            const skipped = result.skipped > 0 ? `[${result.skipped} earlier characters were dropped]\n` : '';
+            return {
+                success: true,
+                id: result.id,
+                status: result.status,
+                exitCode: result.exitCode,
+                content: skipped + (result.output || '(no new output)'),
+                next: result.next
+            };
+        }
+
+        case 'process_list': {
+            const processes = listProcesses();
+            return {
+                success: true,
+                processes,
+                content: processes.length === 0
+                    ? 'No background processes.'
+                    : processes.map(formatProcess).join('\n')
+            };
+        }
+
+        case 'process_kill': {
+            const result = await killProcess(args.id);
+            if (result.success) printInfo(`🛑 Stopped: ${args.id}`);
+            return result;
         }
 
         case 'git_status': {
@@ -620,30 +907,39 @@ export async function executeTool(toolName, args, cwd, options = {}) {
         // NEW TOOLS
         case 'grep': {
             try {
-                // Cross-platform grep implementation using JS
-                const searchPath = resolvePath(args.path || '.');
-                const pattern = args.include || '**/*';
-                const files = await searchFiles(pattern, searchPath);
-                const matches = [];
-
-                for (const file of files.slice(0, 50)) {
-                    try {
-                        const content = await readFile(file);
-                        if (content.success) {
-                            const lines = content.content.split(/\r?\n/);
-                            lines.forEach((line, i) => {
-                                if (line.includes(args.pattern)) {
-                                    matches.push(`${path.relative(cwd, file)}:${i + 1}: ${line.trim()}`);
-                                }
-                            });
-                        }
-                    } catch (e) {
-                        // Skip files that can't be read
-                    }
+                const context = args.context || 0;
+                const result = await grepFiles({
+                    pattern: args.pattern,
+                    cwd,
+                    path: args.path,
+                    include: args.include,
+                    fixedStrings: args.fixed_strings,
+                    ignoreCase: args.case_insensitive,
+                    before: args.before_context ?? context,
+                    after: args.after_context ?? context,
+                    mode: args.output_mode,
+                    offset: args.offset,
+                    limit: args.limit,
+                    filter: await createPathFilter(cwd)
+                });
+
+                const offset = args.offset || 0;
+                const nextOffset = result.hasMore ? offset + result.entries.length : null;
+                let content = result.entries.join(result.separator) || 'No matches found.';
+                if (nextOffset !== null) {
+                    content += `\n\n[More results available - call grep again with offset: ${nextOffset}]`;
                 }
 
-                printInfo(`🔍 Grep: ${matches.length} matches`);
-                return { success: true, matches: matches.slice(0, 50), content: matches.slice(0, 50).join('\n') };
+                printInfo(`🔍 Grep: ${result.entries.length}${result.hasMore ? '+' : ''} results`);
+                return {
+                    success: true,
+                    mode: args.output_mode || GREP_OUTPUT_MODES.CONTENT,
+                    engine: result.engine,
+                    matches: result.entries,
+                    content,
+                    hasMore: result.hasMore,
+                    nextOffset
+                };
             } catch (e) {
                 return { success: false, error: e.message };
             }
@@ -652,7 +948,7 @@ export async function executeTool(toolName, args, cwd, options = {}) {
         case 'tree': {
             const dirPath = resolvePath(args.path || '.');
             const maxDepth = args.depth || 3;
-            const tree = await buildTree(dirPath, maxDepth, 0, cwd);
+            const tree = await buildTree(dirPath, maxDepth, 0, createIgnoreMatcher(cwd));
             printInfo(`🌳 Tree: ${args.path || '.'}`);
             return { success: true, content: tree };
         }
@@ -662,7 +958,6 @@ export async function executeTool(toolName, args, cwd, options = {}) {
                 const searchPath = resolvePath(args.path || '.');
                 const pattern = args.include || '**/*';
                 const files = await searchFiles(pattern, searchPath);
-                let count = 0;
 
                 // Normalize find/replace for line ending compatibility
                 const normalizedFind = args.find.replace(/\r\n/g, '\n');
@@ -670,14 +965,8 @@ export async function executeTool(toolName, args, cwd, options = {}) {
 
                 console.log('\n' + colors.warning(`Find: "${args.find}" → Replace: "${args.replace}"`));
 
-                if (!autoApprove) {
-                    const { proceed } = await inquirer.prompt([{
-                        type: 'confirm', name: 'proceed',
-                        message: `Replace in ${files.length} files?`, default: false
-                    }]);
-                    if (!proceed) return { success: false, error: 'Cancelled' };
-                }
-
+                // Work out every change first so the whole diff can be reviewed
+                const changes = [];
                 for (const file of files) {
                     const content = await readFile(file);
                     if (content.success) {
@@ -690,13 +979,35 @@ export async function executeTool(toolName, args, cwd, options = {}) {
                             if (hasCRLF) {
                                 newContent = newContent.replace(/\n/g, '\r\n');
                             }
-                            await writeFile(file, newContent);
-                            count++;
+                            changes.push({
+                                file,
+                                path: path.relative(cwd, file).split(path.sep).join('/'),
+                                oldContent: content.content,
+                                newContent
+                            });
                         }
                     }
                 }
-                printSuccess(`✅ Replaced in ${count} files`);
-                return { success: true, filesModified: count };
+
+                if (changes.length === 0) {
+                    return { success: true, filesModified: 0 };
+                }
+
+                const review = await reviewChanges(changes, {
+                    message: `Replace in ${changes.length} file${changes.length === 1 ? '' : 's'}?`,
+                    autoApprove,
+                    policy,
+                    turn,
+                    toolName,
+                    defaultApply: false
+                });
+                if (!review.approved) return reviewResult(review);
+
+                for (const change of review.changes) {
+                    await writeFile(change.file, change.newContent);
+                }
+                printSuccess(`✅ Replaced in ${changes.length} files`);
+                return reviewResult(review, { filesModified: changes.length });
             } catch (e) {
                 return { success: false, error: e.message };
             }
@@ -714,11 +1025,8 @@ export async function executeTool(toolName, args, cwd, options = {}) {
                 const filePath = resolvePath(args.path);
                 console.log('\n' + colors.error(`🗑️ Delete: ${args.path}`));
 
-                if (!autoApprove) {
-                    const { proceed } = await inquirer.prompt([{
-                        type: 'confirm', name: 'proceed', message: 'Delete?', default: false
-                    }]);
-                    if (!proceed) return { success: false, error: 'Cancelled' };
+                if (!autoApprove && !(await confirmAction('Delete?', { default: false, policy, toolName }))) {
+                    return { success: false, error: 'Cancelled' };
                 }
 
                 await fs.rm(filePath, { recursive: true });
@@ -733,6 +1041,12 @@ export async function executeTool(toolName, args, cwd, options = {}) {
             try {
                 const source = resolvePath(args.source);
                 const dest = resolvePath(args.destination);
+                console.log('\n' + colors.warning(`📦 Move: ${args.source} → ${args.destination}`));
+
+                if (!autoApprove && !(await confirmAction('Move?', { policy, toolName }))) {
+                    return { success: false, error: 'Cancelled' };
+                }
+
                 // Ensure destination directory exists
                 await fs.mkdir(path.dirname(dest), { recursive: true });
                 await fs.rename(source, dest);
@@ -747,6 +1061,12 @@ export async function executeTool(toolName, args, cwd, options = {}) {
             try {
                 const source = resolvePath(args.source);
                 const dest = resolvePath(args.destination);
+                console.log('\n' + colors.warning(`📋 Copy: ${args.source} → ${args.destination}`));
+
+                if (!autoApprove && !(await confirmAction('Copy?', { policy, toolName }))) {
+                    return { success: false, error: 'Cancelled' };
+                }
+
                 // Ensure destination directory exists
                 await fs.mkdir(path.dirname(dest), { recursive: true });
                 await fs.copyFile(source, dest);
@@ -779,6 +1099,13 @@ export async function executeTool(toolName, args, cwd, options = {}) {
         case 'append_file': {
             try {
                 const filePath = resolvePath(args.path);
+                const lineCount = args.content.split(/\r?\n/).length;
+                console.log('\n' + colors.warning(`📝 Append: ${args.path} (${lineCount} lines)`));
+
+                if (!autoApprove && !(await confirmAction('Append?', { policy, toolName }))) {
+                    return { success: false, error: 'Cancelled' };
+                }
+
                 // Create directory if it doesn't exist
                 await fs.mkdir(path.dirname(filePath), { recursive: true });
                 await fs.appendFile(filePath, args.content);
@@ -804,23 +1131,21 @@ export async function executeTool(toolName, args, cwd, options = {}) {
                 const normalizedInsert = args.content.replace(/\r\n/g, '\n');
                 lines.splice(args.line - 1, 0, normalizedInsert);
 
-                if (!autoApprove) {
-                    const { proceed } = await inquirer.prompt([{
-                        type: 'confirm', name: 'proceed',
-                        message: `Insert at line ${args.line}?`, default: true
-                    }]);
-                    if (!proceed) return { success: false, error: 'Cancelled' };
-                }
-
                 let resultContent = lines.join('\n');
                 // Restore original line endings
                 if (hasCRLF) {
                     resultContent = resultContent.replace(/\n/g, '\r\n');
                 }
 
-                await writeFile(filePath, resultContent);
+                const review = await reviewChanges(
+                    [{ path: args.path, oldContent: fileContent.content, newContent: resultContent }],
+                    { message: `Insert at line ${args.line}?`, autoApprove, policy, turn, toolName }
+                );
+                if (!review.approved) return reviewResult(review);
+
+                await writeFile(filePath, review.changes[0].newContent);
                 printSuccess(`📝 Inserted at line ${args.line}: ${args.path}`);
-                return { success: true };
+                return reviewResult(review);
             } catch (e) {
                 return { success: false, error: `Failed to insert: ${e.message}` };
             }
@@ -856,11 +1181,8 @@ export async function executeTool(toolName, args, cwd, options = {}) {
         case 'git_commit': {
             console.log('\n' + colors.warning(`📝 Commit: "${args.message}"`));
 
-            if (!autoApprove) {
-                const { proceed } = await inquirer.prompt([{
-                    type: 'confirm', name: 'proceed', message: 'Commit?', default: true
-                }]);
-                if (!proceed) return { success: false, error: 'Cancelled' };
+            if (!autoApprove && !(await confirmAction('Commit?', { default: true, policy, toolName }))) {
+                return { success: false, error: 'Cancelled' };
             }
 
             try {
@@ -955,16 +1277,16 @@ export async function executeTool(toolName, args, cwd, options = {}) {
 
                 console.log(colors.warning(`📝 Multi-edit: ${args.path} (${editCount}/${args.edits.length} edits)...`));
 
-                if (!autoApprove) {
-                    const { proceed } = await inquirer.prompt([{
-                        type: 'confirm', name: 'proceed', message: 'Apply all edits?', default: true
-                    }]);
-                    if (!proceed) return { success: false, error: 'Cancelled' };
-                }
+                const review = await reviewChanges(
+                    [{ path: args.path, oldContent: existing.content, newContent: content }],
+                    { message: 'Apply all edits?', autoApprove, policy, turn, toolName }
+                );
+                if (!review.approved) return reviewResult(review);
 
-                const result = await writeFile(filePath, content);
-                if (result.success) printSuccess(`✅ Applied ${editCount} edits to: ${args.path}`);
-                return { success: true, editsApplied: editCount };
+                const result = await writeFile(filePath, review.changes[0].newContent);
+                if (!result.success) return result;
+                printSuccess(`✅ Applied ${editCount} edits to: ${args.path}`);
+                return reviewResult(review, { editsApplied: editCount });
             } catch (e) {
                 return { success: false, error: e.message };
             }
@@ -972,55 +1294,37 @@ export async function executeTool(toolName, args, cwd, options = {}) {
 
         case 'codebase_search': {
             try {
-                const pattern = args.file_pattern || '**/*.{js,ts,py,java,go,rs,c,cpp,h,jsx,tsx,vue,svelte,md}';
-                const maxResults = args.max_results || 10;
-                const files = await searchFiles(pattern, cwd);
-                const results = [];
-                const queryLower = args.query.toLowerCase();
-                const queryWords = queryLower.split(/\s+/);
-
-                for (const file of files.slice(0, 100)) {
-                    try {
-                        const content = await readFile(file);
-                        if (!content.success) continue;
-
-                        const lines = content.content.split(/\r?\n/);
-                        const relativePath = path.relative(cwd, file);
-
-                        for (let i = 0; i < lines.length; i++) {
-                            const line = lines[i];
-                            const lineLower = line.toLowerCase();
-
-                            // Check if line contains query or query words
-                            const matchScore = queryWords.reduce((score, word) => {
-                                return score + (lineLower.includes(word) ? 1 : 0);
-                            }, 0);
-
-                            if (matchScore > 0 || lineLower.includes(queryLower)) {
-                                results.push({
-                                    file: relativePath,
-                                    line: i + 1,
-                                    content: line.trim().slice(0, 200),
-                                    score: matchScore
-                                });
-                            }
+                // file_pattern narrows the search to matching files
+                const files = args.file_pattern
+                    ? new Set((await searchFiles(args.file_pattern, cwd)).map(f => path.relative(cwd, f).split(path.sep).join('/')))
+                    : null;
+
+                const search = await searchCodebase(cwd, args.query, {
+                    embedder: createEmbedder(options.provider),
+                    files,
+                    filter: await createPathFilter(cwd),
+                    limit: args.max_results || 10,
+                    onProgress: (done, total) => {
+                        if (done === total || done % (EMBED_BATCH_SIZE * 10) === 0) {
+                            printInfo(`🧮 Embedded ${done}/${total} chunks`);
                         }
-                    } catch (e) {
-                        // Skip unreadable files
                     }
-                }
+                });
 
-                // Sort by score and limit results
-                results.sort((a, b) => b.score - a.score);
-                const topResults = results.slice(0, maxResults);
+                if (search.note) printWarning(search.note);
+                printInfo(`🔍 ${search.method === SEARCH_METHODS.EMBEDDINGS ? 'Semantic' : 'Keyword'} search: ${search.results.length} results`);
 
-                printInfo(`🔍 Found ${results.length} matches, showing top ${topResults.length}`);
+                const content = search.results.map(r =>
+                    `${r.file}:${r.start}-${r.end}${r.symbol ? ` (${r.symbol})` : ''} [score ${r.score}]\n${r.preview}`
+                ).join('\n\n');
 
-                const content = topResults.map(r =>
-                    `${r.file}:${r.line}: ${r.content}`
-                ).join('\n');
-
-                return { success: true, results: topResults, content };
+                return {
+                    success: true,
+                    method: search.method,
+                    results: search.results,
+                    content: content || 'No matches found',
+                    ...(search.note && { note: search.note })
+                };
             } catch (e) {
                 return { success: false, error: e.message };
             }
@@ -1061,13 +1365,15 @@ export async function executeTool(toolName, args, cwd, options = {}) {
 }
 
 // Helper: Build tree structure
-async function buildTree(dir, maxDepth, currentDepth, cwd, prefix = '') {
+async function buildTree(dir, maxDepth, currentDepth, matcher, prefix = '') {
     if (currentDepth >= maxDepth) return prefix + '...\n';
 
     let result = '';
     try {
-        const items = await fs.readdir(dir);
-        const filtered = items.filter(i => !i.startsWith('.') && i !== 'node_modules');
+        const items = await fs.readdir(dir, { withFileTypes: true });
+        const filtered = items
+            .filter(i => !i.name.startsWith('.') && !matcher.isIgnored(path.join(dir, i.name), i.isDirectory()))
+            .map(i => i.name);
 
         for (let i = 0; i < filtered.length && i < 30; i++) {
             const item = filtered[i];
@@ -1080,7 +1386,7 @@ async function buildTree(dir, maxDepth, currentDepth, cwd, prefix = '') {
 
             if (stats.isDirectory()) {
                 const newPrefix = prefix + (isLast ? '    ' : '│   ');
-                result += await buildTree(itemPath, maxDepth, currentDepth + 1, cwd, newPrefix);
+                result += await buildTree(itemPath, maxDepth, currentDepth + 1, matcher, newPrefix);
             }
         }
     } catch (e) { }
@@ -1094,22 +1400,15 @@ function formatBytes(bytes) {
     return (bytes / (1024 * 1024)).toFixed(1) + ' MB';
 }
 
-// Generate simple diff
-function generateDiff(oldContent, newContent) {
-    const oldLines = oldContent.split('\n');
-    const newLines = newContent.split('\n');
-    const diff = [];
+// Review an edit_file change, then write it
+async function applyReviewedEdit(filePath, displayPath, oldContent, newContent, options) {
+    const review = await reviewChanges([{ path: displayPath, oldContent, newContent }], options);
+    if (!review.approved) return reviewResult(review);
 
-    const maxLines = Math.max(oldLines.length, newLines.length);
-    for (let i = 0; i < maxLines; i++) {
-        if (oldLines[i] === undefined) diff.push(`+ ${newLines[i]}`);
-        else if (newLines[i] === undefined) diff.push(`- ${oldLines[i]}`);
-        else if (oldLines[i] !== newLines[i]) {
-            diff.push(`- ${oldLines[i]}`);
-            diff.push(`+ ${newLines[i]}`);
-        }
-    }
-    return diff.slice(0, 30).join('\n') + (diff.length > 30 ? '\n... (truncated)' : '');
+    const result = await writeFile(filePath, review.changes[0].newContent);
+    if (!result.success) return result;
+    printSuccess(`✅ Edited: ${displayPath}`);
+    return reviewResult(review);
 }
 
 // Parse tool calls from AI response - handles multiple formats
@@ -1206,4 +1505,4 @@ export function parseToolCalls(response) {
     return toolCalls;
 }
 
-export default { TOOLS, executeTool, parseToolCalls };
+export default { TOOLS, TOOL_ALIASES, executeTool, parseToolCalls, resolveAllowedTools, getToolDefinitions, getToolAliases };
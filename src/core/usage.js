@@ -0,0 +1,188 @@
+// MyLocalCLI - Token Usage
+// Running token totals per session, their estimated cost, and usage reports from saved history
+
+import { estimateCost } from '../config/pricing.js';
+import { PROVIDERS } from '../config/providers.js';
+import { listConversations, loadConversation } from '../utils/history.js';
+import { colors } from '../ui/terminal.js';
+
+/**
+ * Token usage of one model call (saved with the assistant message)
+ * @typedef {Object} UsageRecord
+ * @property {string|null} provider - Provider that answered
+ * @property {string} model - Model id
+ * @property {number} promptTokens - Tokens sent
+ * @property {number} completionTokens - Tokens generated
+ * @property {boolean} estimated - Counted locally because the server reported no usage
+ */
+
+/**
+ * Create empty usage totals
+ * @returns {{requests: number, promptTokens: number, completionTokens: number, byModel: Object}}
+ */
+export function createUsageTotals() {
+    return { requests: 0, promptTokens: 0, completionTokens: 0, byModel: {} };
+}
+
+/**
+ * Add a model call to the totals
+ * @param {Object} totals - From createUsageTotals
+ * @param {UsageRecord} record
+ */
+export function addUsage(totals, record) {
+    const key = `${record.provider || ''}/${record.model}`;
+    const entry = totals.byModel[key] || (totals.byModel[key] = {
+        provider: record.provider,
+        model: record.model,
+        requests: 0,
+        promptTokens: 0,
+        completionTokens: 0,
+        estimated: false
+    });
+    for (const target of [totals, entry]) {
+        target.requests++;
+        target.promptTokens += record.promptTokens;
+        target.completionTokens += record.completionTokens;
+    }
+    if (record.estimated) entry.estimated = true;
+    return totals;
+}
+
+/**
+ * Estimated cost of the totals
+ * @param {Object} totals - From createUsageTotals
+ * @returns {{cost: number, unpriced: string[]}} USD, and the models without a known price
+ */
+export function getUsageCost(totals) {
+    let cost = 0;
+    const unpriced = [];
+    for (const entry of Object.values(totals.byModel)) {
+        const entryCost = estimateCost(entry.provider, entry.model, entry);
+        if (entryCost === null) unpriced.push(entry.model);
+        else cost += entryCost;
+    }
+    return { cost, unpriced };
+}
+
+/**
+ * Sum usage records into plain numbers (the `usage` field of `mlc run` JSON output)
+ * @param {UsageRecord[]} records
+ * @returns {{promptTokens: number, completionTokens: number, estimated: boolean, cost: number|null}}
+ *          cost in USD, null when a model's price is unknown
+ */
+export function summarizeUsage(records) {
+    const totals = createUsageTotals();
+    records.forEach(record => addUsage(totals, record));
+    const { cost, unpriced } = getUsageCost(totals);
+    return {
+        promptTokens: totals.promptTokens,
+        completionTokens: totals.completionTokens,
+        estimated: records.some(record => record.estimated),
+        cost: unpriced.length > 0 ? null : cost
+    };
+}
+
+function formatCost(cost) {
+    if (cost === null) return colors.muted('price unknown');
+    if (cost === 0) return colors.muted('free');
+    return `$${cost.toFixed(cost < 1 ? 4 : 2)}`;
+}
+
+/**
+ * Format totals as a table: one row per model, then the total
+ * Counts that include estimates are marked with ~.
+ * @param {Object} totals - From createUsageTotals
+ * @param {string} title - Report heading
+ * @returns {string}
+ */
+export function formatUsageReport(totals, title) {
+    const lines = ['', colors.primary(`━━━ ${title} ━━━`), ''];
+    const entries = Object.values(totals.byModel);
+    if (entries.length === 0) {
+        lines.push(colors.muted('  No model calls yet'), '');
+        return lines.join('\n');
+    }
+
+    const row = (label, entry, cost) => {
+        const mark = entry.estimated ? '~' : ' ';
+        const calls = `${entry.requests} ${entry.requests === 1 ? 'call' : 'calls'}`;
+        return `  ${label.padEnd(36)} ${calls.padStart(9)} ${mark}${entry.promptTokens.toLocaleString().padStart(11)} in ${mark}${entry.completionTokens.toLocaleString().padStart(9)} out   ${formatCost(cost)}`;
+    };
+
+    for (const entry of entries) {
+        const providerLabel = PROVIDERS[entry.provider]?.name || entry.provider;
+        const label = providerLabel ? `${entry.model} (${providerLabel})` : entry.model;
+        lines.push(row(label, entry, estimateCost(entry.provider, entry.model, entry)));
+    }
+
+    const { cost, unpriced } = getUsageCost(totals);
+    const estimated = entries.some(entry => entry.estimated);
+    lines.push(colors.muted('  ' + '─'.repeat(86)));
+    lines.push(row('Total', { ...totals, estimated }, unpriced.length === entries.length ? null : cost));
+
+    if (estimated) {
+        lines.push(colors.muted('  ~ includes estimates for servers that did not report token usage'));
+    }
+    if (unpriced.length > 0 && unpriced.length < entries.length) {
+        lines.push(colors.muted(`  The total leaves out ${unpriced.join(', ')} (price unknown; set modelPrices to include them)`));
+    }
+    lines.push('');
+    return lines.join('\n');
+}
+
+/**
+ * Parse a --since value: a duration back from now (30m, 12h, 7d, 2w) or a date
+ * @param {string} value
+ * @param {number} [now] - Current time in ms
+ * @returns {Date|null} null when the value can't be read
+ */
+export function parseSince(value, now = Date.now()) {
+    const match = String(value).trim().match(/^(\d+)\s*([mhdw])$/i);
+    if (match) {
+        const unit = { m: 60e3, h: 3600e3, d: 86400e3, w: 7 * 86400e3 }[match[2].toLowerCase()];
+        return new Date(now - parseInt(match[1], 10) * unit);
+    }
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : new Date(date);
+}
+
+/**
+ * Add up the usage saved in conversation history
+ * @param {Date|null} [since] - Only count model calls after this time
+ * @returns {Promise<{totals: Object, conversations: number}>}
+ */
+export async function collectHistoryUsage(since = null) {
+    const totals = createUsageTotals();
+    let conversations = 0;
+
+    for (const summary of await listConversations()) {
+        if (since && new Date(summary.modified) < since) continue;
+        const conversation = await loadConversation(summary.id);
+        // Assistant messages carry their call's usage; compaction calls are listed separately
+        const records = [
+            ...(conversation?.messages || [])
+                .filter(message => message.role === 'assistant' && message.usage)
+                .map(message => ({ ...message.usage, timestamp: message.timestamp })),
+            ...(conversation?.usage || [])
+        ];
+        let counted = false;
+        for (const record of records) {
+            if (since && new Date(record.timestamp) < since) continue;
+            addUsage(totals, record);
+            counted = true;
+        }
+        if (counted) conversations++;
+    }
+
+    return { totals, conversations };
+}
+
+export default {
+    createUsageTotals,
+    addUsage,
+    getUsageCost,
+    summarizeUsage,
+    formatUsageReport,
+    parseSince,
+    collectHistoryUsage
+};
@@ -2,11 +2,13 @@
 // Event-driven hook execution inspired by Claude Code
 
 import { exec } from 'child_process';
-import { promisify } from 'util';
+import crypto from 'crypto';
+import fs from 'fs/promises';
 import path from 'path';
-import { printInfo, printWarning, colors } from '../ui/terminal.js';
-
-const execAsync = promisify(exec);
+import os from 'os';
+import { printWarning, printInfo } from '../ui/terminal.js';
+import { getSetting, setSetting } from '../config/settings.js';
+import { confirmAction } from '../core/permissions.js';
 
 /**
  * Hook event types
@@ -75,8 +77,30 @@ export function registerPluginHooks(hooksConfig, pluginName) {
     }
 }
 
+/**
+ * Remove every hook registered by a plugin
+ * @param {string} pluginName - Name of the plugin
+ */
+export function unregisterPluginHooks(pluginName) {
+    for (const event of Object.keys(HOOKS)) {
+        HOOKS[event] = HOOKS[event].filter(hook => hook.plugin !== pluginName);
+    }
+}
+
+/**
+ * Check whether a hook applies to a tool
+ * Matchers are tested against the tool name and its Claude-style aliases.
+ */
+function matchesTool(hook, context) {
+    if (!hook.matcher || !context.toolName) return true;
+    const names = [context.toolName, ...(context.toolAliases || [])];
+    return names.some(name => hook.matcher.test(name));
+}
+
 /**
  * Execute hooks for an event
+ * `modify` decisions are applied in order, so later hooks see earlier changes:
+ * tool events merge `modified` into the tool input, prompt events replace the prompt.
  * @param {string} event - Event type
  * @param {Object} context - Event context (tool name, args, etc.)
  * @returns {Promise<{allowed: boolean, message?: string, modified?: Object}>}
@@ -84,13 +108,12 @@ export function registerPluginHooks(hooksConfig, pluginName) {
 export async function executeHooks(event, context) {
     const hooks = HOOKS[event] || [];
     let result = { allowed: true };
+    context = { ...context, event };
 
     for (const hook of hooks) {
         // Check matcher for tool-related events
-        if (hook.matcher && context.toolName) {
-            if (!hook.matcher.test(context.toolName)) {
-                continue;
-            }
+        if (!matchesTool(hook, context)) {
+            continue;
         }
 
         try {
@@ -104,8 +127,18 @@ export async function executeHooks(event, context) {
                 break;
             } else if (hookResult.decision === HOOK_DECISIONS.WARN) {
                 printWarning(`⚠️  ${hookResult.systemMessage || 'Hook warning'}`);
-            } else if (hookResult.decision === HOOK_DECISIONS.MODIFY) {
-                result.modified = hookResult.modified;
+            } else if (hookResult.decision === HOOK_DECISIONS.MODIFY && hookResult.modified !== undefined) {
+                if (context.toolInput && typeof hookResult.modified === 'object') {
+                    context.toolInput = { ...context.toolInput, ...hookResult.modified };
+                    result.modified = context.toolInput;
+                } else if (context.prompt !== undefined) {
+                    context.prompt = typeof hookResult.modified === 'string'
+                        ? hookResult.modified
+                        : hookResult.modified.prompt ?? context.prompt;
+                    result.modified = context.prompt;
+                } else {
+                    result.modified = hookResult.modified;
+                }
             }
         } catch (error) {
             console.error(`Hook execution error:`, error.message);
@@ -132,58 +165,90 @@ async function executeHook(hook, context) {
     return { decision: HOOK_DECISIONS.ALLOW };
 }
 
+/**
+ * Run a shell command with the given text on stdin
+ * Resolves with the exit code instead of rejecting on failure.
+ */
+function runHookCommand(command, input, options) {
+    return new Promise((resolve) => {
+        const child = exec(command, options, (error, stdout, stderr) => {
+            resolve({
+                code: error ? (typeof error.code === 'number' ? error.code : null) : 0,
+                timedOut: Boolean(error?.killed),
+                stdout: stdout || '',
+                stderr: stderr || ''
+            });
+        });
+        // The hook may exit without reading its input
+        child.stdin.on('error', () => {});
+        child.stdin.end(input);
+    });
+}
+
 /**
  * Execute a command-based hook (bash script)
+ * The event is sent as JSON on stdin. Exit code 2 denies; JSON on stdout can
+ * allow, deny or modify via `hookSpecificOutput.permissionDecision`.
  */
 async function executeCommandHook(hook, context) {
     const timeout = hook.timeout || 30000;
 
-    try {
-        // Prepare input as JSON
-        const input = JSON.stringify({
-            event: context.event,
-            tool_name: context.toolName,
-            tool_input: context.toolInput,
-            cwd: context.cwd
-        });
+    // Prepare input as JSON
+    const input = JSON.stringify({
+        event: context.event,
+        session_id: context.sessionId,
+        tool_name: context.toolName,
+        tool_input: context.toolInput,
+        tool_response: context.toolResult,
+        prompt: context.prompt,
+        stop_reason: context.stopReason,
+        cwd: context.cwd
+    });
 
-        // Execute command with input on stdin
-        const { stdout, stderr } = await execAsync(hook.command, {
-            timeout,
-            input,
-            cwd: context.cwd,
-            env: { ...process.env, MYLOCALCLI_HOOK: 'true' }
-        });
+    const { code, timedOut, stdout, stderr } = await runHookCommand(hook.command, input, {
+        timeout,
+        cwd: context.cwd,
+        env: {
+            ...process.env,
+            MYLOCALCLI_HOOK: 'true',
+            MYLOCALCLI_HOOK_EVENT: context.event || '',
+            MYLOCALCLI_TOOL_NAME: context.toolName || '',
+            MYLOCALCLI_FILE_PATH: context.toolInput?.path || ''
+        }
+    });
 
-        // Parse hook output
+    // Exit code 2 = deny
+    if (code === 2) {
         try {
-            const result = JSON.parse(stdout.trim());
+            const result = JSON.parse(stderr);
             return {
-                decision: result.hookSpecificOutput?.permissionDecision || HOOK_DECISIONS.ALLOW,
-                systemMessage: result.systemMessage,
-                modified: result.modified
+                decision: result.hookSpecificOutput?.permissionDecision || HOOK_DECISIONS.DENY,
+                systemMessage: result.systemMessage
             };
-        } catch (e) {
-            // Non-JSON output - treat as allow
-            return { decision: HOOK_DECISIONS.ALLOW, output: stdout };
-        }
-    } catch (error) {
-        // Exit code 2 = deny
-        if (error.code === 2 && error.stderr) {
-            try {
-                const result = JSON.parse(error.stderr);
-                return {
-                    decision: result.hookSpecificOutput?.permissionDecision || HOOK_DECISIONS.DENY,
-                    systemMessage: result.systemMessage
-                };
-            } catch (e) {
-                return { decision: HOOK_DECISIONS.DENY, systemMessage: error.stderr };
-            }
+        } catch {
+            return { decision: HOOK_DECISIONS.DENY, systemMessage: stderr.trim() || undefined };
         }
+    }
+
+    if (code !== 0) {
         // Other errors - allow but log
-        console.error(`Hook command error:`, error.message);
+        console.error(`Hook command error:`, timedOut ? `timed out after ${timeout}ms` : (stderr.trim() || `exit code ${code}`));
         return { decision: HOOK_DECISIONS.ALLOW };
     }
+
+    // Parse hook output
+    try {
+        const result = JSON.parse(stdout.trim());
+        const blocked = result.decision === 'block';
+        return {
+            decision: result.hookSpecificOutput?.permissionDecision || (blocked ? HOOK_DECISIONS.DENY : HOOK_DECISIONS.ALLOW),
+            systemMessage: result.systemMessage || result.reason,
+            modified: result.modified
+        };
+    } catch {
+        // Non-JSON output - treat as allow
+        return { decision: HOOK_DECISIONS.ALLOW, output: stdout };
+    }
 }
 
 /**
@@ -238,6 +303,93 @@ export function clearHooks() {
     }
 }
 
+/**
+ * Load hooks from a hooks.json file
+ * Accepts `{ "hooks": { "PreToolUse": [...] } }` or the events at the top level.
+ * @param {string} filePath - Path to hooks.json
+ * @param {string} source - Label recorded on each hook
+ * @param {Object} [options]
+ * @param {function(Object, string): Promise<boolean>} [options.trust] - Decides whether the parsed hooks may be registered
+ * @returns {Promise<boolean>} Whether the file was found and loaded
+ */
+export async function loadHooksFile(filePath, source, options = {}) {
+    let content;
+    try {
+        content = await fs.readFile(filePath, 'utf-8');
+    } catch {
+        return false;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(content);
+    } catch (error) {
+        printWarning(`Invalid hooks file ${filePath}: ${error.message}`);
+        return false;
+    }
+
+    const hooksConfig = config.hooks || config;
+    if (options.trust && !(await options.trust(hooksConfig, content))) {
+        return false;
+    }
+    registerPluginHooks(hooksConfig, source);
+    return true;
+}
+
+/**
+ * Ask whether a project's hooks may run, remembering the answer
+ * A cloned repository could otherwise run its commands as soon as mlc
+ * starts. The answer is kept per project and asked again when the file
+ * changes. Non-interactive runs only run hooks trusted before.
+ * @param {string} cwd - Project directory
+ * @param {Object} hooksConfig - Parsed hooks by event
+ * @param {string} content - The hooks.json text the answer applies to
+ * @param {Object|null} policy - Active permission policy
+ * @returns {Promise<boolean>}
+ */
+async function trustProjectHooks(cwd, hooksConfig, content, policy) {
+    const project = path.resolve(cwd);
+    const hash = crypto.createHash('sha256').update(content).digest('hex');
+    const decisions = getSetting('trustedProjectHooks') || {};
+    if (decisions[project]?.hash === hash) {
+        return decisions[project].trusted === true;
+    }
+
+    if (policy && !policy.interactive) {
+        printWarning('Skipping .mylocalcli/hooks.json: this project\'s hooks are not trusted yet. Run mlc here once to review them.');
+        return false;
+    }
+
+    printWarning('This project defines hooks in .mylocalcli/hooks.json:');
+    for (const [event, eventHooks] of Object.entries(hooksConfig)) {
+        for (const hookList of Array.isArray(eventHooks) ? eventHooks : []) {
+            for (const hook of hookList.hooks || [hookList]) {
+                printInfo(`  ${event}: ${hook.command || hook.pattern || hook.type}`);
+            }
+        }
+    }
+    const trusted = await confirmAction('Trust and run these hooks in this project?', { default: false, policy });
+    setSetting('trustedProjectHooks', { ...decisions, [project]: { hash, trusted } });
+    return trusted;
+}
+
+/**
+ * Reset hooks and register the defaults plus user and project hooks
+ * (~/.mylocalcli/hooks.json, then .mylocalcli/hooks.json in the project
+ * once the user trusts it)
+ * @param {string} cwd - Project directory
+ * @param {Object} [options]
+ * @param {Object} [options.policy] - Active permission policy
+ */
+export async function initializeHooks(cwd, options = {}) {
+    clearHooks();
+    registerDefaultHooks();
+    await loadHooksFile(path.join(os.homedir(), '.mylocalcli', 'hooks.json'), 'user');
+    await loadHooksFile(path.join(cwd, '.mylocalcli', 'hooks.json'), 'project', {
+        trust: (hooksConfig, content) => trustProjectHooks(cwd, hooksConfig, content, options.policy || null)
+    });
+}
+
 // ========================================
 // BUILT-IN SAFETY HOOKS
 // ========================================
@@ -279,8 +431,11 @@ export default {
     HOOK_DECISIONS,
     registerHook,
     registerPluginHooks,
+    unregisterPluginHooks,
     executeHooks,
     getHooksForEvent,
     clearHooks,
+    loadHooksFile,
+    initializeHooks,
     registerDefaultHooks
 };
@@ -6,8 +6,11 @@
 import { Command } from 'commander';
 import inquirer from 'inquirer';
 import chalk from 'chalk';
-import { startChat } from './core/chat.js';
-import { PROVIDERS } from './config/providers.js';
+import { startChat, createProvider, findLocalServers } from './core/chat.js';
+import { runHeadless, readStdin } from './core/run.js';
+import { collectHistoryUsage, formatUsageReport, parseSince } from './core/usage.js';
+import { PROVIDERS, LOCAL_PROVIDERS, KNOWN_MODELS } from './config/providers.js';
+import { getModelCapabilities, describeModelCapabilities } from './config/models.js';
 import {
     getProvider,
     setProvider,
@@ -22,6 +25,7 @@ import {
 import { LMStudioProvider } from './providers/lmstudio.js';
 import { OllamaProvider } from './providers/ollama.js';
 import { OpenRouterProvider } from './providers/openrouter.js';
+import { describeCapabilities } from './providers/local.js';
 import {
     listConversations,
     deleteConversation,
@@ -48,6 +52,15 @@ const __dirname = path.dirname(fileURLToPath(import.meta.url));
 // Read version from package.json
 const packageJson = JSON.parse(await fs.readFile(path.join(__dirname, '..', 'package.json'), 'utf-8'));
 
+// Model picker choices for a hosted provider, with what each model can do
+function knownModelChoices(providerName) {
+    return KNOWN_MODELS[providerName].map(m => {
+        const capabilities = getModelCapabilities(providerName, m.id);
+        const context = `${Math.round(capabilities.contextWindow / 1024)}K context`;
+        return { name: `${m.name}${m.recommended ? ' (Recommended)' : ''} ${chalk.gray(`- ${context}`)}`, value: m.id };
+    });
+}
+
 const program = new Command();
 
 program
@@ -59,10 +72,13 @@ program
 program
     .command('chat', { isDefault: true })
     .description('Start interactive chat (default)')
-    .option('-p, --provider <provider>', 'Provider to use (lmstudio, ollama, openrouter, openai, groq, custom)')
+    .option('-p, --provider <provider>', 'Provider to use (lmstudio, ollama, llamacpp, vllm, localai, jan, openrouter, openai, anthropic, groq, custom)')
     .option('-m, --model <model>', 'Model to use')
     .option('--no-tools', 'Disable tool calling')
     .option('-l, --load <sessionId>', 'Load a previous conversation')
+    .option('--max-iterations <n>', 'Maximum agent steps per turn', (v) => parseInt(v, 10))
+    .option('--max-turn-tokens <n>', 'Token budget per turn', (v) => parseInt(v, 10))
+    .option('--mode <mode>', 'Permission mode: ask, accept-edits, plan or bypass')
     .action(async (options) => {
         if (options.provider) {
             setProvider(options.provider);
@@ -73,10 +89,47 @@ program
         await startChat({
             cwd: process.cwd(),
             enableTools: options.tools !== false,
-            loadSession: options.load
+            loadSession: options.load,
+            maxIterations: options.maxIterations,
+            maxTurnTokens: options.maxTurnTokens,
+            permissionMode: options.mode
         });
     });
 
+// Headless one-shot command
+program
+    .command('run [prompt...]')
+    .description('Run one prompt non-interactively (reads stdin when no prompt is given)')
+    .option('-p, --provider <provider>', 'Provider to use for this run')
+    .option('-m, --model <model>', 'Model to use for this run')
+    .option('--allow-tools <tools>', 'Tools that run without approval (e.g. "edit_file,Bash")')
+    .option('--yolo', 'Approve every tool call, including dangerous commands')
+    .option('--read-only', 'Only allow tools that read (no edits or commands)')
+    .option('--no-tools', 'Disable tool calling')
+    .option('-o, --output <format>', 'Output format: text or json', 'text')
+    .option('--max-iterations <n>', 'Maximum agent steps', (v) => parseInt(v, 10))
+    .option('--max-turn-tokens <n>', 'Token budget', (v) => parseInt(v, 10))
+    .action(async (promptWords, options) => {
+        let prompt = promptWords.join(' ');
+        if (!prompt || prompt === '-') {
+            prompt = await readStdin();
+        }
+
+        const exitCode = await runHeadless(prompt, {
+            cwd: process.cwd(),
+            providerName: options.provider,
+            model: options.model,
+            allowTools: options.allowTools,
+            yolo: options.yolo,
+            readOnly: options.readOnly,
+            enableTools: options.tools !== false,
+            output: options.output,
+            maxIterations: options.maxIterations,
+            maxTurnTokens: options.maxTurnTokens
+        });
+        process.exit(exitCode);
+    });
+
 // Initialize/configure command
 program
     .command('init')
@@ -89,18 +142,43 @@ program
         await new Promise(resolve => setTimeout(resolve, 300));
 
         try {
+            // Look for local servers so running ones can be offered first
+            const searchSpinner = createSpinner('Looking for local servers...');
+            searchSpinner.start();
+            const running = await findLocalServers();
+            if (running.length > 0) {
+                searchSpinner.succeed(`Found ${running.map(server => PROVIDERS[server.name].name).join(', ')}`);
+            } else {
+                searchSpinner.info('No local servers found on the usual ports');
+            }
+
+            const providerChoices = [
+                { name: 'LM Studio (Local LLM)', value: 'lmstudio' },
+                { name: 'Ollama (Local LLM)', value: 'ollama' },
+                { name: 'llama.cpp server (Local LLM)', value: 'llamacpp' },
+                { name: 'vLLM (Local LLM server)', value: 'vllm' },
+                { name: 'LocalAI (Local LLM server)', value: 'localai' },
+                { name: 'Jan (Local LLM app)', value: 'jan' },
+                { name: 'OpenRouter (Free models available)', value: 'openrouter' },
+                { name: 'OpenAI API', value: 'openai' },
+                { name: 'Anthropic (Claude, or a compatible gateway)', value: 'anthropic' },
+                { name: 'Groq (Ultra-fast)', value: 'groq' },
+                { name: 'Custom OpenAI-compatible endpoint', value: 'custom' }
+            ];
+            const runningChoices = running.map(server => {
+                const choice = providerChoices.find(c => c.value === server.name);
+                const models = server.models.length === 1 ? '1 model' : `${server.models.length} models`;
+                return { ...choice, name: `${choice.name} - running at ${server.baseUrl}, ${models}` };
+            });
+
             // Select provider - using rawlist for numbered options (more compatible)
             const { provider } = await inquirer.prompt([{
                 type: 'rawlist',
                 name: 'provider',
                 message: 'Select your AI provider (enter number):',
                 choices: [
-                    { name: 'LM Studio (Local LLM)', value: 'lmstudio' },
-                    { name: 'Ollama (Local LLM)', value: 'ollama' },
-                    { name: 'OpenRouter (Free models available)', value: 'openrouter' },
-                    { name: 'OpenAI API', value: 'openai' },
-                    { name: 'Groq (Ultra-fast)', value: 'groq' },
-                    { name: 'Custom OpenAI-compatible endpoint', value: 'custom' }
+                    ...runningChoices,
+                    ...providerChoices.filter(c => !running.some(server => server.name === c.value))
                 ]
             }]);
 
@@ -186,6 +264,59 @@ program
                     spinner.warn('Ollama is not running. Start it with: ollama serve');
                 }
 
+            } else if (LOCAL_PROVIDERS.includes(provider)) {
+                // llama.cpp, vLLM, LocalAI and Jan
+                const { name, startHint } = PROVIDERS[provider];
+                const server = running.find(s => s.name === provider);
+                const { endpoint, apiKey } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'endpoint',
+                        message: `${name} endpoint:`,
+                        default: server?.baseUrl || getBaseUrl(provider)
+                    },
+                    {
+                        type: 'password',
+                        name: 'apiKey',
+                        message: 'API key (if the server requires one):',
+                        mask: '*'
+                    }
+                ]);
+
+                setCustomEndpoint(provider, endpoint);
+                if (apiKey) setApiKey(provider, apiKey);
+
+                // Test connection
+                const spinner = createSpinner(`Testing connection to ${name}...`);
+                spinner.start();
+
+                const localProvider = createProvider(provider);
+                const isRunning = await localProvider.isServerRunning();
+
+                if (isRunning) {
+                    spinner.succeed(`Connected to ${name}!`);
+
+                    const models = await localProvider.listModels();
+                    if (models.length > 0) {
+                        const { model } = models.length === 1 ? { model: models[0].id } : await inquirer.prompt([{
+                            type: 'list',
+                            name: 'model',
+                            message: 'Select a model:',
+                            choices: models.map(m => ({
+                                name: m.contextLength ? `${m.name} (${Math.round(m.contextLength / 1024)}K context)` : m.name,
+                                value: m.id
+                            }))
+                        }]);
+                        setModel(provider, model);
+                        localProvider.model = model;
+                    }
+
+                    const details = describeCapabilities(await localProvider.detectCapabilities());
+                    if (details) printInfo(`Detected: ${details}`);
+                } else {
+                    spinner.warn(`${name} is not running. ${startHint}`);
+                }
+
             } else if (provider === 'openrouter') {
                 console.log(chalk.gray('\nGet your free API key at: https://openrouter.ai/keys\n'));
 
@@ -231,16 +362,49 @@ program
                     type: 'list',
                     name: 'model',
                     message: 'Select a model:',
-                    choices: [
-                        { name: 'GPT-4o Mini (Recommended)', value: 'gpt-4o-mini' },
-                        { name: 'GPT-4o', value: 'gpt-4o' },
-                        { name: 'GPT-4 Turbo', value: 'gpt-4-turbo' },
-                        { name: 'GPT-3.5 Turbo', value: 'gpt-3.5-turbo' }
-                    ]
+                    choices: knownModelChoices('openai')
                 }]);
 
                 setModel('openai', model);
 
+            } else if (provider === 'anthropic') {
+                console.log(chalk.gray('\nGet your API key at: https://console.anthropic.com/settings/keys\n'));
+
+                const { endpoint, apiKey } = await inquirer.prompt([
+                    {
+                        type: 'input',
+                        name: 'endpoint',
+                        message: 'API endpoint (change it for a gateway):',
+                        default: getBaseUrl('anthropic')
+                    },
+                    {
+                        type: 'password',
+                        name: 'apiKey',
+                        message: 'Anthropic API key:',
+                        mask: '*'
+                    }
+                ]);
+
+                setCustomEndpoint('anthropic', endpoint);
+                if (apiKey) {
+                    setApiKey('anthropic', apiKey);
+                }
+
+                // Offer what the endpoint serves (a gateway may have other models)
+                const models = await createProvider('anthropic').listModels();
+                const { model } = await inquirer.prompt([{
+                    type: 'list',
+                    name: 'model',
+                    message: 'Select a model:',
+                    choices: models.length > 0 ? models.map(m => ({ name: m.name, value: m.id })) : [
+                        { name: 'Claude Sonnet 4 (Recommended)', value: 'claude-sonnet-4-0' },
+                        { name: 'Claude Opus 4', value: 'claude-opus-4-0' },
+                        { name: 'Claude 3.5 Haiku', value: 'claude-3-5-haiku-latest' }
+                    ]
+                }]);
+
+                setModel('anthropic', model);
+
             } else if (provider === 'groq') {
                 console.log(chalk.gray('\nGet your API key at: https://console.groq.com/keys\n'));
 
@@ -259,12 +423,7 @@ program
                     type: 'list',
                     name: 'model',
                     message: 'Select a model:',
-                    choices: [
-                        { name: 'Llama 3.3 70B (Recommended)', value: 'llama-3.3-70b-versatile' },
-                        { name: 'Llama 3.1 70B', value: 'llama-3.1-70b-versatile' },
-                        { name: 'Mixtral 8x7B', value: 'mixtral-8x7b-32768' },
-                        { name: 'Gemma 2 9B', value: 'gemma2-9b-it' }
-                    ]
+                    choices: knownModelChoices('groq')
                 }]);
 
                 setModel('groq', model);
@@ -382,19 +541,12 @@ program
             } else if (provider === 'openrouter') {
                 const or = new OpenRouterProvider({});
                 models = or.getFreeModels();
-            } else if (provider === 'groq') {
-                models = [
-                    { id: 'llama-3.3-70b-versatile', name: 'Llama 3.3 70B', owned_by: 'Meta' },
-                    { id: 'llama-3.1-70b-versatile', name: 'Llama 3.1 70B', owned_by: 'Meta' },
-                    { id: 'mixtral-8x7b-32768', name: 'Mixtral 8x7B', owned_by: 'Mistral' },
-                    { id: 'gemma2-9b-it', name: 'Gemma 2 9B', owned_by: 'Google' }
-                ];
             } else {
-                models = [
-                    { id: 'gpt-4o-mini', name: 'GPT-4o Mini', owned_by: 'OpenAI' },
-                    { id: 'gpt-4o', name: 'GPT-4o', owned_by: 'OpenAI' },
-                    { id: 'gpt-3.5-turbo', name: 'GPT-3.5 Turbo', owned_by: 'OpenAI' }
-                ];
+                const known = KNOWN_MODELS[provider] || KNOWN_MODELS.openai;
+                models = known.map(m => ({
+                    ...m,
+                    details: describeModelCapabilities(getModelCapabilities(provider, m.id))
+                }));
             }
 
             spinner.stop();
@@ -476,6 +628,25 @@ program
         }
     });
 
+// Usage report command
+program
+    .command('usage')
+    .description('Report tokens used and estimated cost from saved conversations')
+    .option('-s, --since <when>', 'Only count calls since a duration (30m, 12h, 7d, 2w) or a date', '30d')
+    .action(async (options) => {
+        const since = parseSince(options.since);
+        if (!since) {
+            printError(`Can't read --since "${options.since}". Use a duration like 7d or a date like 2024-06-01.`);
+            process.exit(2);
+        }
+
+        const { totals, conversations } = await collectHistoryUsage(since);
+        console.log(formatUsageReport(totals, `Token usage since ${since.toLocaleString()}`));
+        if (conversations > 0) {
+            printInfo(`${conversations} conversation${conversations === 1 ? '' : 's'}. Costs are estimates from list prices.`);
+        }
+    });
+
 // Web UI command
 program
     .command('web')
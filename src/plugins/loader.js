@@ -4,7 +4,11 @@
 import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
-import { registerCustomCommand, parseCommandFile } from '../core/commands.js';
+import { registerCustomCommand, unregisterCustomCommand, getCommand, parseCommandFile } from '../core/commands.js';
+import { registerAgent, unregisterAgent, getAgent, parseAgentFile } from '../agents/agent.js';
+import { registerSkill, unregisterSkill, getSkill, parseSkillFile } from '../skills/skill.js';
+import { registerPluginHooks, unregisterPluginHooks } from '../hooks/executor.js';
+import { getSetting, setSetting } from '../config/settings.js';
 
 /**
  * Plugin metadata structure
@@ -35,8 +39,17 @@ function getPluginLocations(cwd) {
     ];
 }
 
+/**
+ * Names of plugins the user has disabled (persisted in config)
+ */
+function getDisabledPlugins() {
+    return getSetting('disabledPlugins') || [];
+}
+
 /**
  * Discover and load all plugins
+ * Enabled plugins have their commands, agents, skills and hooks registered
+ * in the live registries, tagged with the plugin name.
  * @param {string} cwd - Current working directory
  */
 export async function loadPlugins(cwd) {
@@ -52,7 +65,7 @@ export async function loadPlugins(cwd) {
                     await loadPlugin(pluginPath);
                 }
             }
-        } catch (error) {
+        } catch {
             // Directory doesn't exist - that's fine
         }
     }
@@ -73,7 +86,7 @@ export async function loadPlugin(pluginPath) {
         try {
             const manifestContent = await fs.readFile(manifestPath, 'utf-8');
             manifest = { ...manifest, ...JSON.parse(manifestContent) };
-        } catch (error) {
+        } catch {
             // No manifest file - use defaults
         }
 
@@ -87,7 +100,7 @@ export async function loadPlugin(pluginPath) {
             agents: [],
             skills: [],
             hooks: null,
-            enabled: true
+            enabled: !getDisabledPlugins().includes(manifest.name)
         };
 
         // Load commands
@@ -101,11 +114,10 @@ export async function loadPlugin(pluginPath) {
                     if (command) {
                         command.plugin = plugin.name;
                         plugin.commands.push(command);
-                        registerCustomCommand(command);
                     }
                 }
             }
-        } catch (error) {
+        } catch {
             // No commands directory
         }
 
@@ -123,7 +135,7 @@ export async function loadPlugin(pluginPath) {
                     }
                 }
             }
-        } catch (error) {
+        } catch {
             // No agents directory
         }
 
@@ -134,19 +146,17 @@ export async function loadPlugin(pluginPath) {
             for (const entry of skillDirs) {
                 if (entry.isDirectory()) {
                     const skillPath = path.join(skillsDir, entry.name, 'SKILL.md');
-                    try {
-                        const skill = await parseSkillFile(skillPath);
-                        if (skill) {
-                            skill.plugin = plugin.name;
-                            skill.root = path.join(skillsDir, entry.name);
-                            plugin.skills.push(skill);
-                        }
-                    } catch (error) {
-                        // SKILL.md not found
+                    const skill = await parseSkillFile(skillPath);
+                    if (skill) {
+                        skill.plugin = plugin.name;
+                        skill.root = path.join(skillsDir, entry.name);
+                        skill.isBuiltin = false;
+                        skill.isCustom = true;
+                        plugin.skills.push(skill);
                     }
                 }
             }
-        } catch (error) {
+        } catch {
             // No skills directory
         }
 
@@ -157,11 +167,20 @@ export async function loadPlugin(pluginPath) {
             plugin.hooks = JSON.parse(hooksContent);
             // Replace ${PLUGIN_ROOT} with actual path
             plugin.hooks = replacePluginRoot(plugin.hooks, pluginPath);
-        } catch (error) {
+        } catch {
             // No hooks file
         }
 
+        // Reloading a plugin replaces what it registered before
+        const previous = PLUGINS.get(plugin.name);
+        if (previous?.enabled) {
+            unregisterPlugin(previous);
+        }
+
         PLUGINS.set(plugin.name, plugin);
+        if (plugin.enabled) {
+            registerPlugin(plugin);
+        }
         return plugin;
 
     } catch (error) {
@@ -171,97 +190,44 @@ export async function loadPlugin(pluginPath) {
 }
 
 /**
- * Parse an agent markdown file
+ * Register a plugin's contributions in the live registries
  */
-async function parseAgentFile(filePath) {
-    try {
-        const content = await fs.readFile(filePath, 'utf-8');
-        const frontmatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
-
-        const meta = {};
-        let body = content;
-
-        if (frontmatterMatch) {
-            const frontmatter = frontmatterMatch[1];
-            body = content.slice(frontmatterMatch[0].length).trim();
-
-            for (const line of frontmatter.split('\n')) {
-                const colonIdx = line.indexOf(':');
-                if (colonIdx > 0) {
-                    const key = line.slice(0, colonIdx).trim();
-                    let value = line.slice(colonIdx + 1).trim();
-                    if ((value.startsWith('"') && value.endsWith('"')) ||
-                        (value.startsWith("'") && value.endsWith("'"))) {
-                        value = value.slice(1, -1);
-                    }
-                    // Handle arrays
-                    if (value.startsWith('[') && value.endsWith(']')) {
-                        try {
-                            value = JSON.parse(value);
-                        } catch (e) {
-                            // Keep as string
-                        }
-                    }
-                    meta[key] = value;
-                }
-            }
-        }
-
-        return {
-            name: meta.name || path.basename(filePath, '.md'),
-            description: meta.description || '',
-            model: meta.model || 'inherit',
-            tools: meta.tools || [],
-            color: meta.color || 'cyan',
-            prompt: body,
-            source: filePath
-        };
-    } catch (error) {
-        console.error(`Failed to parse agent file ${filePath}:`, error.message);
-        return null;
+function registerPlugin(plugin) {
+    for (const command of plugin.commands) {
+        registerCustomCommand(command);
+    }
+    for (const agent of plugin.agents) {
+        registerAgent(agent);
+    }
+    for (const skill of plugin.skills) {
+        registerSkill(skill);
+    }
+    if (plugin.hooks) {
+        registerPluginHooks(plugin.hooks.hooks || plugin.hooks, plugin.name);
     }
 }
 
 /**
- * Parse a skill SKILL.md file
+ * Remove a plugin's contributions from the live registries
+ * Entries that were since overridden by another source are left alone.
  */
-async function parseSkillFile(filePath) {
-    try {
-        const content = await fs.readFile(filePath, 'utf-8');
-        const frontmatterMatch = content.match(/^---\r?\n([\s\S]*?)\r?\n---/);
-
-        const meta = {};
-        let body = content;
-
-        if (frontmatterMatch) {
-            const frontmatter = frontmatterMatch[1];
-            body = content.slice(frontmatterMatch[0].length).trim();
-
-            for (const line of frontmatter.split('\n')) {
-                const colonIdx = line.indexOf(':');
-                if (colonIdx > 0) {
-                    const key = line.slice(0, colonIdx).trim();
-                    let value = line.slice(colonIdx + 1).trim();
-                    if ((value.startsWith('"') && value.endsWith('"')) ||
-                        (value.startsWith("'") && value.endsWith("'"))) {
-                        value = value.slice(1, -1);
-                    }
-                    meta[key] = value;
-                }
-            }
+function unregisterPlugin(plugin) {
+    for (const command of plugin.commands) {
+        if (getCommand(command.name)?.plugin === plugin.name) {
+            unregisterCustomCommand(command.name);
+        }
+    }
+    for (const agent of plugin.agents) {
+        if (getAgent(agent.name)?.plugin === plugin.name) {
+            unregisterAgent(agent.name);
+        }
+    }
+    for (const skill of plugin.skills) {
+        if (getSkill(skill.name)?.plugin === plugin.name) {
+            unregisterSkill(skill.name);
         }
-
-        return {
-            name: meta.name || path.basename(path.dirname(filePath)),
-            description: meta.description || '',
-            version: meta.version || '1.0.0',
-            content: body,
-            source: filePath
-        };
-    } catch (error) {
-        console.error(`Failed to parse skill file ${filePath}:`, error.message);
-        return null;
     }
+    unregisterPluginHooks(plugin.name);
 }
 
 /**
@@ -339,7 +305,7 @@ export function getAllHooks() {
 
     for (const plugin of PLUGINS.values()) {
         if (plugin.enabled && plugin.hooks) {
-            for (const [event, eventHooks] of Object.entries(plugin.hooks)) {
+            for (const [event, eventHooks] of Object.entries(plugin.hooks.hooks || plugin.hooks)) {
                 if (hooks[event]) {
                     if (Array.isArray(eventHooks)) {
                         hooks[event].push(...eventHooks.map(h => ({ ...h, plugin: plugin.name })));
@@ -353,24 +319,41 @@ export function getAllHooks() {
 }
 
 /**
- * Enable a plugin
+ * Persist a plugin's enabled state
+ */
+function saveEnabledState(name, enabled) {
+    const disabled = getDisabledPlugins().filter(n => n !== name);
+    if (!enabled) disabled.push(name);
+    setSetting('disabledPlugins', disabled);
+}
+
+/**
+ * Enable a plugin and register its contributions
  */
 export function enablePlugin(name) {
     const plugin = PLUGINS.get(name);
     if (plugin) {
-        plugin.enabled = true;
+        if (!plugin.enabled) {
+            plugin.enabled = true;
+            registerPlugin(plugin);
+        }
+        saveEnabledState(name, true);
         return true;
     }
     return false;
 }
 
 /**
- * Disable a plugin
+ * Disable a plugin and unregister its contributions
  */
 export function disablePlugin(name) {
     const plugin = PLUGINS.get(name);
     if (plugin) {
-        plugin.enabled = false;
+        if (plugin.enabled) {
+            plugin.enabled = false;
+            unregisterPlugin(plugin);
+        }
+        saveEnabledState(name, false);
         return true;
     }
     return false;
@@ -0,0 +1,246 @@
+import { BaseProvider, parseToolArguments, generateToolCallId } from './base.js';
+
+export const ANTHROPIC_VERSION = '2023-06-01';
+
+// HTTP status matching the error types a stream can end with, so they are retried like HTTP errors
+const STREAM_ERROR_STATUS = { overloaded_error: 529, api_error: 500, rate_limit_error: 429 };
+
+/**
+ * Convert tool definitions from the OpenAI format to Anthropic's
+ * @param {Array} tools - [{ type: 'function', function: { name, description, parameters } }]
+ */
+export function toAnthropicTools(tools) {
+    return tools.map(tool => ({
+        name: tool.function.name,
+        description: tool.function.description,
+        input_schema: tool.function.parameters || { type: 'object', properties: {} }
+    }));
+}
+
+/**
+ * Convert conversation messages (OpenAI format) to an Anthropic request
+ * System messages are joined into `system`; assistant tool_calls become
+ * tool_use blocks and `tool` messages become tool_result blocks in a user
+ * turn. Consecutive messages with the same role are merged, since roles
+ * have to alternate.
+ *
+ * @param {Array} messages
+ * @returns {{system: string, messages: Array}}
+ */
+export function toAnthropicMessages(messages) {
+    const system = [];
+    const converted = [];
+
+    const push = (role, blocks) => {
+        if (blocks.length === 0) return;
+        const last = converted[converted.length - 1];
+        if (last?.role === role) {
+            last.content.push(...blocks);
+        } else {
+            converted.push({ role, content: blocks });
+        }
+    };
+    const textBlocks = (text) => text ? [{ type: 'text', text }] : [];
+
+    for (const message of messages) {
+        if (message.role === 'system') {
+            if (message.content) system.push(message.content);
+        } else if (message.role === 'tool') {
+            push('user', [{ type: 'tool_result', tool_use_id: message.tool_call_id, content: message.content || '' }]);
+        } else if (message.role === 'assistant') {
+            push('assistant', [
+                ...textBlocks(message.content),
+                ...(message.tool_calls || []).map(call => ({
+                    type: 'tool_use',
+                    id: call.id,
+                    name: call.function.name,
+                    input: parseToolArguments(call.function.arguments)
+                }))
+            ]);
+        } else {
+            push('user', textBlocks(message.content));
+        }
+    }
+
+    return { system: system.join('\n\n'), messages: converted };
+}
+
+/**
+ * Convert response content blocks to text and normalized tool calls
+ * @param {Array} blocks - Anthropic content blocks
+ * @returns {{content: string, toolCalls: import('./base.js').ToolCall[]}}
+ */
+export function fromAnthropicContent(blocks = []) {
+    return {
+        content: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+        toolCalls: blocks.filter(block => block.type === 'tool_use').map(block => ({
+            id: block.id || generateToolCallId(),
+            name: block.name,
+            arguments: parseToolArguments(block.input)
+        }))
+    };
+}
+
+// Anthropic provider - Messages API (api.anthropic.com or a compatible gateway)
+export class AnthropicProvider extends BaseProvider {
+    constructor(config = {}) {
+        super({
+            baseUrl: config.baseUrl || 'https://api.anthropic.com/v1',
+            apiKey: config.apiKey || process.env.ANTHROPIC_API_KEY || '',
+            model: config.model || 'claude-sonnet-4-0',
+            ...config
+        });
+    }
+
+    headers() {
+        return {
+            'Content-Type': 'application/json',
+            'x-api-key': this.apiKey,
+            'anthropic-version': ANTHROPIC_VERSION
+        };
+    }
+
+    withTools(body, options = {}) {
+        if (options.tools?.length && this.supportsNativeTools()) {
+            body.tools = toAnthropicTools(options.tools);
+            body.tool_choice = { type: 'auto' };
+        }
+        return body;
+    }
+
+    buildRequest(messages, options, stream) {
+        const { system, messages: converted } = toAnthropicMessages(this.formatMessages(messages, options.context));
+        const body = {
+            model: this.model,
+            max_tokens: options.maxTokens || 4096,
+            temperature: options.temperature || 0.7,
+            messages: converted,
+            stream
+        };
+        if (system) body.system = system;
+        return this.withTools(body, options);
+    }
+
+    async chat(messages, options = {}) {
+        const response = await this.postCompletion(`${this.baseUrl}/messages`, this.buildRequest(messages, options, false), this.headers(), 'Anthropic');
+
+        const data = await response.json();
+        const { content, toolCalls } = fromAnthropicContent(data.content);
+        if (!options.tools) return content;
+        return { content, toolCalls };
+    }
+
+    async *stream(messages, options = {}) {
+        const response = await this.postCompletion(`${this.baseUrl}/messages`, this.buildRequest(messages, options, true), this.headers(), 'Anthropic');
+
+        yield* this.readMessageStream(response);
+    }
+
+    /**
+     * Read a Messages API SSE stream.
+     * Yields text deltas as strings; tool_use blocks (with their input JSON
+     * streamed as input_json_delta) are yielded once at the end as
+     * `{ type: 'tool_calls', toolCalls }`, followed by `{ type: 'usage', usage }`.
+     */
+    async *readMessageStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const blocks = [];
+        let buffer = '';
+        const usage = { promptTokens: 0, completionTokens: 0 };
+        let hasUsage = false;
+
+        const flushToolCalls = () => blocks.filter(block => block?.type === 'tool_use').map(block => ({
+            id: block.id || generateToolCallId(),
+            name: block.name,
+            arguments: parseToolArguments(block.json || block.input)
+        }));
+
+        // Input tokens arrive with message_start, the output count with message_delta
+        const readUsage = (counts) => {
+            if (!counts) return;
+            hasUsage = true;
+            if (typeof counts.input_tokens === 'number') {
+                usage.promptTokens = counts.input_tokens + (counts.cache_creation_input_tokens || 0) + (counts.cache_read_input_tokens || 0);
+            }
+            if (typeof counts.output_tokens === 'number') usage.completionTokens = counts.output_tokens;
+        };
+        function* finish() {
+            const toolCalls = flushToolCalls();
+            if (toolCalls.length) yield { type: 'tool_calls', toolCalls };
+            if (hasUsage) yield { type: 'usage', usage };
+        }
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                // The `event:` lines repeat the type that is also in the data
+                if (!line.startsWith('data:')) continue;
+
+                let event;
+                try {
+                    event = JSON.parse(line.slice(5).trim());
+                } catch {
+                    // Skip invalid JSON
+                    continue;
+                }
+
+                if (event.type === 'message_start') {
+                    readUsage(event.message?.usage);
+                } else if (event.type === 'message_delta') {
+                    readUsage(event.usage);
+                } else if (event.type === 'content_block_start') {
+                    blocks[event.index] = { ...event.content_block, json: '' };
+                } else if (event.type === 'content_block_delta') {
+                    const delta = event.delta || {};
+                    if (delta.type === 'text_delta' && delta.text) {
+                        yield delta.text;
+                    } else if (delta.type === 'input_json_delta' && blocks[event.index]) {
+                        blocks[event.index].json += delta.partial_json || '';
+                    }
+                } else if (event.type === 'message_stop') {
+                    yield* finish();
+                    return;
+                } else if (event.type === 'error') {
+                    const type = event.error?.type;
+                    const error = new Error(`Anthropic Error (${type || 'stream'}): ${event.error?.message || 'unknown error'}`);
+                    error.status = STREAM_ERROR_STATUS[type];
+                    throw error;
+                }
+            }
+        }
+
+        yield* finish();
+    }
+
+    async listModels() {
+        try {
+            const response = await fetch(`${this.baseUrl}/models?limit=100`, {
+                headers: this.headers()
+            });
+            if (!response.ok) {
+                throw new Error('Failed to fetch models');
+            }
+            const data = await response.json();
+            return data.data?.map(m => ({
+                id: m.id,
+                name: m.display_name || m.id,
+                owned_by: 'anthropic'
+            })) || [];
+        } catch {
+            return [];
+        }
+    }
+
+    async embed() {
+        throw new Error('The Anthropic API has no embeddings endpoint');
+    }
+}
+
+export default AnthropicProvider;
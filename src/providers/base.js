@@ -1,3 +1,66 @@
+import { withRetry, createHttpError, DEFAULT_MAX_RETRIES } from './retry.js';
+import { getModelCapabilities } from '../config/models.js';
+
+/**
+ * Normalized tool call
+ * @typedef {Object} ToolCall
+ * @property {string} id - Call id assigned by the server (or generated)
+ * @property {string} name - Tool name
+ * @property {Object} arguments - Parsed arguments
+ */
+
+/**
+ * Parse tool call arguments, which servers send as a JSON string or an object
+ */
+export function parseToolArguments(args) {
+    if (!args) return {};
+    if (typeof args === 'object') return args;
+    try {
+        return JSON.parse(args);
+    } catch {
+        return { _raw: args };
+    }
+}
+
+/**
+ * Convert normalized tool calls to the OpenAI `tool_calls` message format
+ * (the format conversation history is stored in)
+ * @param {ToolCall[]} toolCalls
+ */
+export function serializeToolCalls(toolCalls) {
+    return toolCalls.map(call => ({
+        id: call.id,
+        type: 'function',
+        function: {
+            name: call.name,
+            arguments: JSON.stringify(call.arguments || {})
+        }
+    }));
+}
+
+/**
+ * Token counts a server reported for one request
+ * @typedef {Object} TokenUsage
+ * @property {number} promptTokens - Tokens sent (prompt, history and tool definitions)
+ * @property {number} completionTokens - Tokens generated
+ */
+
+/**
+ * Read an OpenAI-style `usage` block
+ * @returns {TokenUsage|null}
+ */
+export function parseUsage(usage) {
+    if (!usage || typeof usage.prompt_tokens !== 'number') return null;
+    return { promptTokens: usage.prompt_tokens, completionTokens: usage.completion_tokens || 0 };
+}
+
+/**
+ * Generate an id for tool calls the server did not name
+ */
+export function generateToolCallId() {
+    return `call_${Date.now().toString(36)}${Math.random().toString(36).substring(2, 8)}`;
+}
+
 // Base provider class for all LLM providers
 export class BaseProvider {
     constructor(config = {}) {
@@ -5,6 +68,46 @@ export class BaseProvider {
         this.apiKey = config.apiKey || '';
         this.model = config.model || 'default';
         this.timeout = config.timeout || 60000;
+        // true, false or 'auto' (try native tools, fall back to text on rejection)
+        this.nativeTools = config.nativeTools ?? 'auto';
+        // Model used by embed() for codebase_search ('' = none)
+        this.embeddingModel = config.embeddingModel || '';
+        // Retries for rate limits, server errors and failed connections
+        this.retries = config.retries ?? DEFAULT_MAX_RETRIES;
+        // Called before each retry wait: {label, attempt, retries, delay, error}
+        this.onRetry = config.onRetry || null;
+    }
+
+    /**
+     * Retry options for withRetry
+     * @param {string} label - Provider label shown in retry notices
+     */
+    retryOptions(label) {
+        return {
+            retries: this.retries,
+            onRetry: this.onRetry ? (info) => this.onRetry({ ...info, label }) : null
+        };
+    }
+
+    /**
+     * Whether tool definitions should be sent with requests
+     * In 'auto' mode, models the registry knows can't call tools get the
+     * text tool format without a rejected request first.
+     */
+    supportsNativeTools() {
+        if (this.nativeTools !== 'auto') return this.nativeTools !== false;
+        return getModelCapabilities(null, this.model).tools !== false;
+    }
+
+    /**
+     * Add tool definitions to a request body when native calling is enabled
+     */
+    withTools(body, options = {}) {
+        if (options.tools?.length && this.supportsNativeTools()) {
+            body.tools = options.tools;
+            body.tool_choice = 'auto';
+        }
+        return body;
     }
 
     async chat(messages, options = {}) {
@@ -19,6 +122,25 @@ export class BaseProvider {
         throw new Error('listModels() must be implemented by subclass');
     }
 
+    /**
+     * Embed texts with the embedding model (OpenAI-compatible /embeddings)
+     * @param {string[]} texts
+     * @returns {Promise<number[][]>} One vector per text
+     */
+    async embed(texts) {
+        if (!this.embeddingModel) {
+            throw new Error('No embedding model configured');
+        }
+        const response = await this.makeRequest('/embeddings', {
+            model: this.embeddingModel,
+            input: texts
+        });
+        const data = await response.json();
+        return (data.data || [])
+            .sort((a, b) => (a.index ?? 0) - (b.index ?? 0))
+            .map(item => item.embedding);
+    }
+
     buildSystemPrompt(context = {}) {
         const parts = [
             'You are LocalCoder, a powerful AI coding assistant running in the terminal.',
@@ -69,19 +191,155 @@ export class BaseProvider {
             headers['Authorization'] = `Bearer ${this.apiKey}`;
         }
 
-        const response = await fetch(`${this.baseUrl}${endpoint}`, {
+        return withRetry(async () => {
+            const response = await fetch(`${this.baseUrl}${endpoint}`, {
+                method: 'POST',
+                headers,
+                body: JSON.stringify(body),
+                signal: AbortSignal.timeout(this.timeout)
+            });
+
+            if (!response.ok) {
+                throw createHttpError('API', response, await response.text());
+            }
+
+            return response;
+        }, this.retryOptions('API'));
+    }
+
+    /**
+     * POST a chat completion request. When the server rejects the tool
+     * definitions in 'auto' mode, native tools are switched off and the
+     * request is retried without them (the text tool format takes over).
+     * Servers that reject `stream_options` get requests without it (usage
+     * is estimated instead).
+     * Rate limits, server errors and failed connections are retried with backoff.
+     */
+    async postCompletion(url, body, headers, label) {
+        const send = (payload) => fetch(url, {
             method: 'POST',
             headers,
-            body: JSON.stringify(body),
-            signal: AbortSignal.timeout(this.timeout)
+            body: JSON.stringify(payload)
         });
+        const withoutTools = () => {
+            const payload = { ...body };
+            delete payload.tools;
+            delete payload.tool_choice;
+            return payload;
+        };
+
+        return withRetry(async () => {
+            // Tools may have been switched off by an earlier attempt
+            let response = await send(body.tools && this.nativeTools === false ? withoutTools() : body);
+            if (response.ok) return response;
+
+            let error = await response.text();
+
+            if (body.stream_options && response.status < 500 && /stream_options/i.test(error)) {
+                delete body.stream_options;
+                response = await send(body.tools && this.nativeTools === false ? withoutTools() : body);
+                if (response.ok) return response;
+                error = await response.text();
+            }
+
+            if (body.tools && this.nativeTools === 'auto' && response.status < 500 && /tool|function/i.test(error)) {
+                this.nativeTools = false;
+                response = await send(withoutTools());
+                if (response.ok) return response;
+                throw createHttpError(label, response, await response.text());
+            }
+
+            throw createHttpError(label, response, error);
+        }, this.retryOptions(label));
+    }
 
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`API Error (${response.status}): ${error}`);
+    /**
+     * Read an OpenAI-style SSE stream.
+     * Yields text chunks as strings; streamed `tool_calls` deltas are
+     * accumulated by index and yielded once at the end as
+     * `{ type: 'tool_calls', toolCalls }`, followed by
+     * `{ type: 'usage', usage }` when the server reported token counts.
+     */
+    async *readChatStream(response) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        const pending = [];
+        let buffer = '';
+        let usage = null;
+
+        const flushToolCalls = () => pending.filter(Boolean).map(call => ({
+            id: call.id || generateToolCallId(),
+            name: call.name,
+            arguments: parseToolArguments(call.arguments)
+        }));
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
+
+            for (const line of lines) {
+                if (!line.startsWith('data: ')) continue;
+
+                const data = line.slice(6).trim();
+                if (data === '[DONE]') {
+                    if (pending.length) yield { type: 'tool_calls', toolCalls: flushToolCalls() };
+                    if (usage) yield { type: 'usage', usage };
+                    return;
+                }
+
+                let parsed;
+                try {
+                    parsed = JSON.parse(data);
+                } catch {
+                    // Skip invalid JSON
+                    continue;
+                }
+
+                // With include_usage the last chunk carries the counts (and no choices)
+                usage = parseUsage(parsed.usage) || usage;
+
+                const delta = parsed.choices?.[0]?.delta;
+                if (delta?.content) {
+                    yield delta.content;
+                }
+
+                for (const toolDelta of delta?.tool_calls || []) {
+                    const index = toolDelta.index ?? pending.length;
+                    const call = pending[index] || (pending[index] = { id: '', name: '', arguments: '' });
+                    if (toolDelta.id) call.id = toolDelta.id;
+                    if (toolDelta.function?.name) call.name += toolDelta.function.name;
+                    if (toolDelta.function?.arguments) {
+                        // Some servers send the arguments as a complete object
+                        call.arguments = typeof toolDelta.function.arguments === 'string'
+                            ? call.arguments + toolDelta.function.arguments
+                            : toolDelta.function.arguments;
+                    }
+                }
+            }
         }
 
-        return response;
+        if (pending.length) yield { type: 'tool_calls', toolCalls: flushToolCalls() };
+        if (usage) yield { type: 'usage', usage };
+    }
+
+    /**
+     * Extract content and tool calls from a non-streaming OpenAI-style response
+     */
+    parseChatResponse(data, options = {}) {
+        const message = data.choices?.[0]?.message || {};
+        const content = message.content || '';
+        if (!options.tools) return content;
+
+        const toolCalls = (message.tool_calls || []).map(call => ({
+            id: call.id || generateToolCallId(),
+            name: call.function?.name,
+            arguments: parseToolArguments(call.function?.arguments)
+        }));
+        return { content, toolCalls };
     }
 }
 
@@ -0,0 +1,19 @@
+import { LocalServerProvider } from './local.js';
+
+// Jan provider - connects to the Jan desktop app's Local API Server
+export class JanProvider extends LocalServerProvider {
+    constructor(config = {}) {
+        super({
+            baseUrl: config.baseUrl || 'http://localhost:1337/v1',
+            model: config.model || 'default',
+            label: 'Jan',
+            ...config
+        });
+    }
+
+    modelContextLength(model) {
+        return model.settings?.ctx_len || model.ctx_len || null;
+    }
+}
+
+export default JanProvider;
@@ -0,0 +1,39 @@
+import { LocalServerProvider } from './local.js';
+
+// llama.cpp provider - connects to llama-server (serves one model, any name works)
+export class LlamaCppProvider extends LocalServerProvider {
+    constructor(config = {}) {
+        super({
+            baseUrl: config.baseUrl || 'http://localhost:8080/v1',
+            model: config.model || 'default',
+            label: 'llama.cpp',
+            ...config
+        });
+    }
+
+    healthUrl() {
+        // 503 while the model is still loading
+        return `${this.rootUrl}/health`;
+    }
+
+    modelContextLength(model) {
+        return model.meta?.n_ctx_train || null;
+    }
+
+    /**
+     * /props has the context size the server was started with (-c) and, with
+     * --jinja, what the chat template supports
+     */
+    async readServerInfo() {
+        const props = await this.fetchJson(`${this.rootUrl}/props`);
+        if (!props) return super.readServerInfo();
+
+        const caps = props.chat_template_caps;
+        return {
+            contextLength: props.default_generation_settings?.n_ctx || props.n_ctx || null,
+            tools: caps ? Boolean(caps.supports_tool_calls ?? caps.supports_tools) : null
+        };
+    }
+}
+
+export default LlamaCppProvider;
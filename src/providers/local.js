@@ -0,0 +1,203 @@
+import { BaseProvider } from './base.js';
+
+/**
+ * Capabilities a local server reports for its loaded model
+ * @typedef {Object} ServerCapabilities
+ * @property {boolean|null} tools - Native tool calling (null = unknown, tried in 'auto' mode)
+ * @property {number|null} contextLength - Context window the model was loaded with
+ * @property {boolean} embeddings - Whether /embeddings answers
+ */
+
+// Short timeout for health checks and probes - local servers answer fast or not at all
+const PROBE_TIMEOUT = 3000;
+
+// OpenAI-compatible local inference server - base for llama.cpp, vLLM, LocalAI and Jan
+export class LocalServerProvider extends BaseProvider {
+    constructor(config = {}) {
+        super(config);
+        // Name used in errors ("llama.cpp Error (500): ...")
+        this.label = config.label || 'Local server';
+        // Filled in by detectCapabilities()
+        this.capabilities = null;
+    }
+
+    /**
+     * Server address without the /v1 suffix (where health and info endpoints live)
+     */
+    get rootUrl() {
+        return this.baseUrl.replace(/\/v1\/?$/, '');
+    }
+
+    /**
+     * Context window reported by the server (null until detected)
+     */
+    get contextLength() {
+        return this.capabilities?.contextLength ?? null;
+    }
+
+    authHeaders() {
+        return this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    }
+
+    async chat(messages, options = {}) {
+        const formattedMessages = this.formatMessages(messages, options.context);
+
+        const response = await this.postCompletion(`${this.baseUrl}/chat/completions`, this.withTools({
+            model: this.model,
+            messages: formattedMessages,
+            temperature: options.temperature || 0.7,
+            max_tokens: options.maxTokens || 4096,
+            stream: false
+        }, options), { 'Content-Type': 'application/json', ...this.authHeaders() }, this.label);
+
+        const data = await response.json();
+        return this.parseChatResponse(data, options);
+    }
+
+    async *stream(messages, options = {}) {
+        const formattedMessages = this.formatMessages(messages, options.context);
+
+        const response = await this.postCompletion(`${this.baseUrl}/chat/completions`, this.withTools({
+            model: this.model,
+            messages: formattedMessages,
+            temperature: options.temperature || 0.7,
+            max_tokens: options.maxTokens || 4096,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, options), { 'Content-Type': 'application/json', ...this.authHeaders() }, this.label);
+
+        yield* this.readChatStream(response);
+    }
+
+    /**
+     * GET a JSON endpoint; null when the server is down or answers with an error
+     */
+    async fetchJson(url) {
+        try {
+            const response = await fetch(url, {
+                headers: this.authHeaders(),
+                signal: AbortSignal.timeout(PROBE_TIMEOUT)
+            });
+            if (!response.ok) return null;
+            return await response.json();
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Raw entries of the server's /models list
+     */
+    async fetchModels() {
+        const data = await this.fetchJson(`${this.baseUrl}/models`);
+        return data?.data || [];
+    }
+
+    /**
+     * Context window of a /models entry (servers that report one override this)
+     */
+    modelContextLength() {
+        return null;
+    }
+
+    async listModels() {
+        return (await this.fetchModels()).map(m => ({
+            id: m.id,
+            name: m.id,
+            owned_by: m.owned_by || 'local',
+            contextLength: this.modelContextLength(m)
+        }));
+    }
+
+    /**
+     * URL that answers 200 once the server is ready
+     */
+    healthUrl() {
+        return `${this.baseUrl}/models`;
+    }
+
+    async isServerRunning() {
+        try {
+            const response = await fetch(this.healthUrl(), {
+                headers: this.authHeaders(),
+                signal: AbortSignal.timeout(PROBE_TIMEOUT)
+            });
+            return response.ok;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Server-specific facts about the loaded model
+     * @returns {Promise<{tools?: boolean|null, contextLength?: number|null}>}
+     */
+    async readServerInfo() {
+        const models = await this.fetchModels();
+        // 'default' stands for whatever model the server has loaded
+        if (this.model === 'default' && models.length) this.model = models[0].id;
+        const model = models.find(m => m.id === this.model) || models[0];
+        return { contextLength: model ? this.modelContextLength(model) : null };
+    }
+
+    /**
+     * Whether the server embeds texts, trying the embedding model (or the
+     * loaded model). A model that works becomes the embedding model when
+     * none is configured.
+     */
+    async probeEmbeddings() {
+        const model = this.embeddingModel || this.model;
+        try {
+            const response = await fetch(`${this.baseUrl}/embeddings`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', ...this.authHeaders() },
+                body: JSON.stringify({ model, input: ['ping'] }),
+                signal: AbortSignal.timeout(PROBE_TIMEOUT)
+            });
+            if (!response.ok) return false;
+            const data = await response.json();
+            if (!Array.isArray(data.data?.[0]?.embedding)) return false;
+        } catch {
+            return false;
+        }
+        if (!this.embeddingModel) this.embeddingModel = model;
+        return true;
+    }
+
+    /**
+     * Ask the server what the loaded model can do
+     * A model known not to call tools switches native tool calling off in
+     * 'auto' mode (the text tool format takes over).
+     * @returns {Promise<ServerCapabilities>}
+     */
+    async detectCapabilities() {
+        // In order: reading the server info may pick the model the probe uses
+        const info = await this.readServerInfo();
+        this.capabilities = {
+            tools: info.tools ?? null,
+            contextLength: info.contextLength || null,
+            embeddings: await this.probeEmbeddings()
+        };
+        if (this.capabilities.tools === false && this.nativeTools === 'auto') {
+            this.nativeTools = false;
+        }
+        return this.capabilities;
+    }
+}
+
+/**
+ * One-line summary of detected capabilities ("32K context, tool calling, embeddings")
+ * @param {ServerCapabilities} capabilities
+ */
+export function describeCapabilities(capabilities) {
+    const parts = [];
+    if (capabilities.contextLength) {
+        parts.push(`${Math.round(capabilities.contextLength / 1024)}K context`);
+    }
+    if (capabilities.tools === true) parts.push('tool calling');
+    if (capabilities.tools === false) parts.push('no tool calling');
+    if (capabilities.embeddings) parts.push('embeddings');
+    return parts.join(', ');
+}
+
+export default LocalServerProvider;
@@ -0,0 +1,27 @@
+import { LocalServerProvider } from './local.js';
+
+// LocalAI provider - OpenAI-compatible server for many model backends
+export class LocalAIProvider extends LocalServerProvider {
+    constructor(config = {}) {
+        super({
+            baseUrl: config.baseUrl || 'http://localhost:8080/v1',
+            model: config.model || 'gpt-4',
+            label: 'LocalAI',
+            ...config
+        });
+    }
+
+    healthUrl() {
+        return `${this.rootUrl}/readyz`;
+    }
+
+    /**
+     * LocalAI implements function calling for every model (with grammars),
+     * but /models doesn't report context sizes
+     */
+    async readServerInfo() {
+        return { contextLength: null, tools: true };
+    }
+}
+
+export default LocalAIProvider;
@@ -1,4 +1,5 @@
-import { BaseProvider } from './base.js';
+import { BaseProvider, parseToolArguments, generateToolCallId } from './base.js';
+import { getContextWindow } from '../config/models.js';
 
 // Ollama provider - another popular local LLM option
 export class OllamaProvider extends BaseProvider {
@@ -10,73 +11,134 @@ export class OllamaProvider extends BaseProvider {
         });
     }
 
-    async chat(messages, options = {}) {
-        const formattedMessages = this.formatMessages(messages, options.context);
-
-        const response = await fetch(`${this.baseUrl}/api/chat`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: this.model,
-                messages: formattedMessages,
-                stream: false,
-                options: {
-                    temperature: options.temperature || 0.7
-                }
-            })
+    /**
+     * Ollama expects tool call arguments as objects rather than JSON strings
+     */
+    formatMessages(messages, context = {}) {
+        return super.formatMessages(messages, context).map(message => {
+            if (!message.tool_calls) return message;
+            return {
+                ...message,
+                tool_calls: message.tool_calls.map(call => ({
+                    function: {
+                        name: call.function.name,
+                        arguments: parseToolArguments(call.function.arguments)
+                    }
+                }))
+            };
         });
+    }
 
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Ollama Error (${response.status}): ${error}`);
+    withTools(body, options = {}) {
+        // Ollama has no tool_choice parameter
+        if (options.tools?.length && this.supportsNativeTools()) {
+            body.tools = options.tools;
         }
+        return body;
+    }
+
+    /**
+     * Generation options
+     * num_ctx loads the model with the context window the rest of the app
+     * plans for; Ollama's own default is much smaller.
+     */
+    requestOptions(options = {}) {
+        return {
+            temperature: options.temperature || 0.7,
+            num_ctx: getContextWindow('ollama', this.model),
+            ...(options.maxTokens ? { num_predict: options.maxTokens } : {})
+        };
+    }
+
+    normalizeToolCalls(toolCalls = []) {
+        return toolCalls.map(call => ({
+            id: call.id || generateToolCallId(),
+            name: call.function?.name,
+            arguments: parseToolArguments(call.function?.arguments)
+        }));
+    }
+
+    async chat(messages, options = {}) {
+        const formattedMessages = this.formatMessages(messages, options.context);
+
+        const response = await this.postCompletion(`${this.baseUrl}/api/chat`, this.withTools({
+            model: this.model,
+            messages: formattedMessages,
+            stream: false,
+            options: this.requestOptions(options)
+        }, options), { 'Content-Type': 'application/json' }, 'Ollama');
 
         const data = await response.json();
-        return data.message?.content || '';
+        const content = data.message?.content || '';
+        if (!options.tools) return content;
+        return { content, toolCalls: this.normalizeToolCalls(data.message?.tool_calls) };
     }
 
     async *stream(messages, options = {}) {
         const formattedMessages = this.formatMessages(messages, options.context);
 
-        const response = await fetch(`${this.baseUrl}/api/chat`, {
-            method: 'POST',
-            headers: { 'Content-Type': 'application/json' },
-            body: JSON.stringify({
-                model: this.model,
-                messages: formattedMessages,
-                stream: true,
-                options: {
-                    temperature: options.temperature || 0.7
-                }
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`Ollama Error (${response.status}): ${error}`);
-        }
+        const response = await this.postCompletion(`${this.baseUrl}/api/chat`, this.withTools({
+            model: this.model,
+            messages: formattedMessages,
+            stream: true,
+            options: this.requestOptions(options)
+        }, options), { 'Content-Type': 'application/json' }, 'Ollama');
 
         const reader = response.body.getReader();
         const decoder = new TextDecoder();
+        const toolCalls = [];
+        let buffer = '';
+        let usage = null;
 
         while (true) {
             const { done, value } = await reader.read();
             if (done) break;
 
-            const chunk = decoder.decode(value, { stream: true });
-            const lines = chunk.split('\n').filter(Boolean);
+            // Buffer partial lines - large tool call payloads span chunks
+            buffer += decoder.decode(value, { stream: true });
+            const lines = buffer.split('\n');
+            buffer = lines.pop() || '';
 
-            for (const line of lines) {
+            for (const line of lines.filter(Boolean)) {
                 try {
                     const parsed = JSON.parse(line);
                     if (parsed.message?.content) {
                         yield parsed.message.content;
                     }
+                    if (parsed.message?.tool_calls) {
+                        toolCalls.push(...this.normalizeToolCalls(parsed.message.tool_calls));
+                    }
+                    // The final line has the token counts
+                    if (parsed.done && typeof parsed.prompt_eval_count === 'number') {
+                        usage = { promptTokens: parsed.prompt_eval_count, completionTokens: parsed.eval_count || 0 };
+                    }
                 } catch (e) {
                     // Skip invalid JSON
                 }
             }
         }
+
+        if (toolCalls.length) {
+            yield { type: 'tool_calls', toolCalls };
+        }
+        if (usage) {
+            yield { type: 'usage', usage };
+        }
+    }
+
+    /**
+     * Embed texts with Ollama's /api/embed endpoint
+     */
+    async embed(texts) {
+        if (!this.embeddingModel) {
+            throw new Error('No embedding model configured');
+        }
+        const response = await this.makeRequest('/api/embed', {
+            model: this.embeddingModel,
+            input: texts
+        });
+        const data = await response.json();
+        return data.embeddings || [];
     }
 
     async listModels() {
@@ -37,25 +37,16 @@ export class OpenRouterProvider extends BaseProvider {
             'X-Title': 'MyLocalCLI'
         };
 
-        const response = await fetch(`${this.baseUrl}/chat/completions`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({
-                model: this.model,
-                messages: formattedMessages,
-                temperature: options.temperature || 0.7,
-                max_tokens: options.maxTokens || 4096,
-                stream: false
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`OpenRouter Error (${response.status}): ${error}`);
-        }
+        const response = await this.postCompletion(`${this.baseUrl}/chat/completions`, this.withTools({
+            model: this.model,
+            messages: formattedMessages,
+            temperature: options.temperature || 0.7,
+            max_tokens: options.maxTokens || 4096,
+            stream: false
+        }, options), headers, 'OpenRouter');
 
         const data = await response.json();
-        return data.choices[0]?.message?.content || '';
+        return this.parseChatResponse(data, options);
     }
 
     async *stream(messages, options = {}) {
@@ -68,52 +59,16 @@ export class OpenRouterProvider extends BaseProvider {
             'X-Title': 'MyLocalCLI'
         };
 
-        const response = await fetch(`${this.baseUrl}/chat/completions`, {
-            method: 'POST',
-            headers,
-            body: JSON.stringify({
-                model: this.model,
-                messages: formattedMessages,
-                temperature: options.temperature || 0.7,
-                max_tokens: options.maxTokens || 4096,
-                stream: true
-            })
-        });
-
-        if (!response.ok) {
-            const error = await response.text();
-            throw new Error(`OpenRouter Error (${response.status}): ${error}`);
-        }
-
-        const reader = response.body.getReader();
-        const decoder = new TextDecoder();
-        let buffer = '';
-
-        while (true) {
-            const { done, value } = await reader.read();
-            if (done) break;
-
-            buffer += decoder.decode(value, { stream: true });
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-                if (line.startsWith('data: ')) {
-                    const data = line.slice(6);
-                    if (data === '[DONE]') return;
+        const response = await this.postCompletion(`${this.baseUrl}/chat/completions`, this.withTools({
+            model: this.model,
+            messages: formattedMessages,
+            temperature: options.temperature || 0.7,
+            max_tokens: options.maxTokens || 4096,
+            stream: true,
+            stream_options: { include_usage: true }
+        }, options), headers, 'OpenRouter');
 
-                    try {
-                        const parsed = JSON.parse(data);
-                        const content = parsed.choices?.[0]?.delta?.content;
-                        if (content) {
-                            yield content;
-                        }
-                    } catch (e) {
-                        // Skip invalid JSON
-                    }
-                }
-            }
-        }
+        yield* this.readChatStream(response);
     }
 
     async listModels() {
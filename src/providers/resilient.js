@@ -0,0 +1,180 @@
+import { isRetryableError, getRetryDelay } from './retry.js';
+
+// Reconnects after a stream breaks before moving on to the next provider
+export const DEFAULT_STREAM_RECONNECTS = 2;
+
+// How long an unreachable provider is skipped before it is tried again
+export const DEFAULT_PROVIDER_COOLDOWN = 60000;
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Provider in a fallback chain
+ * @typedef {Object} ChainEntry
+ * @property {string} name - Provider name ("ollama")
+ * @property {Object} provider - Provider instance
+ */
+
+/**
+ * Wraps a chain of providers (the primary first) behind the provider interface
+ *
+ * Requests go to the first provider that isn't cooling down. A stream that
+ * breaks is reconnected; when a provider can't be reached (after the
+ * request-level retries in BaseProvider), the next one in the chain takes
+ * over and the failed one is skipped for a while.
+ *
+ * stream() yields two extra chunk types so callers can keep the output
+ * consistent. Both mean "discard what this response yielded so far":
+ * - `{ type: 'retry', provider, error }` - reconnecting to the same provider
+ * - `{ type: 'fallback', from, to, error }` - switching to the next provider
+ *
+ * `lastProvider` holds the name of the provider that answered last.
+ */
+export class ResilientProvider {
+    /**
+     * @param {ChainEntry[]} chain - Primary provider first
+     * @param {Object} [options]
+     * @param {number} [options.reconnects] - Reconnects per provider after a broken stream
+     * @param {number} [options.cooldown] - Ms to skip an unreachable provider
+     * @param {function(number): Promise} [options.sleep] - Waits (for tests)
+     */
+    constructor(chain, options = {}) {
+        if (!chain.length) throw new Error('At least one provider is required');
+        this.chain = chain;
+        this.reconnects = options.reconnects ?? DEFAULT_STREAM_RECONNECTS;
+        this.cooldown = options.cooldown ?? DEFAULT_PROVIDER_COOLDOWN;
+        this.sleep = options.sleep || wait;
+        this.downUntil = new Map();
+        this.lastProvider = chain[0].name;
+    }
+
+    /**
+     * Providers to try, in order: those not cooling down, or the whole chain if all are
+     */
+    candidates() {
+        const now = Date.now();
+        const available = this.chain.filter(entry => (this.downUntil.get(entry.name) || 0) <= now);
+        return available.length > 0 ? available : this.chain;
+    }
+
+    // Provider requests go to right now (model, tools and embeddings follow it)
+    get active() {
+        return this.candidates()[0].provider;
+    }
+
+    // Name of the active provider ("ollama")
+    get activeName() {
+        return this.candidates()[0].name;
+    }
+
+    get model() {
+        return this.active.model;
+    }
+
+    // Setting the model (mlc run --model) applies to the primary provider
+    set model(value) {
+        this.chain[0].provider.model = value;
+    }
+
+    get embeddingModel() {
+        return this.active.embeddingModel;
+    }
+
+    get nativeTools() {
+        return this.active.nativeTools;
+    }
+
+    set nativeTools(value) {
+        this.active.nativeTools = value;
+    }
+
+    // Context length the active provider's server reported (local servers)
+    get contextLength() {
+        return this.active.contextLength ?? null;
+    }
+
+    supportsNativeTools() {
+        return this.active.supportsNativeTools?.() ?? false;
+    }
+
+    markDown(name) {
+        this.downUntil.set(name, Date.now() + this.cooldown);
+    }
+
+    async chat(messages, options = {}) {
+        const candidates = this.candidates();
+        let lastError;
+        for (const entry of candidates) {
+            try {
+                const result = await entry.provider.chat(messages, options);
+                this.downUntil.delete(entry.name);
+                this.lastProvider = entry.name;
+                return result;
+            } catch (error) {
+                if (!isRetryableError(error)) throw error;
+                this.markDown(entry.name);
+                lastError = error;
+            }
+        }
+        throw this.describeFailure(candidates, lastError);
+    }
+
+    async *stream(messages, options = {}) {
+        const candidates = this.candidates();
+        let lastError;
+
+        for (let i = 0; i < candidates.length; i++) {
+            const entry = candidates[i];
+            if (i > 0) {
+                yield { type: 'fallback', from: candidates[i - 1].name, to: entry.name, error: lastError.message };
+            }
+
+            for (let reconnect = 0; ; reconnect++) {
+                let yielded = false;
+                try {
+                    for await (const chunk of entry.provider.stream(messages, options)) {
+                        yielded = true;
+                        yield chunk;
+                    }
+                    this.downUntil.delete(entry.name);
+                    this.lastProvider = entry.name;
+                    return;
+                } catch (error) {
+                    if (!isRetryableError(error)) throw error;
+                    lastError = error;
+
+                    // A stream that broke halfway is worth reconnecting; a
+                    // request that failed after its retries is not
+                    if (!yielded || reconnect >= this.reconnects) break;
+                    await this.sleep(getRetryDelay(reconnect + 1));
+                    yield { type: 'retry', provider: entry.name, error: error.message };
+                }
+            }
+            this.markDown(entry.name);
+        }
+
+        throw this.describeFailure(candidates, lastError);
+    }
+
+    // Error for when every provider failed
+    describeFailure(candidates, lastError) {
+        if (candidates.length === 1) return lastError;
+        const error = new Error(`No provider could answer (tried ${candidates.map(c => c.name).join(', ')}): ${lastError.message}`);
+        error.cause = lastError;
+        return error;
+    }
+
+    async embed(texts) {
+        return this.active.embed(texts);
+    }
+
+    async listModels() {
+        return this.active.listModels();
+    }
+
+    async isServerRunning() {
+        return this.active.isServerRunning ? this.active.isServerRunning() : true;
+    }
+}
+
+export default ResilientProvider;
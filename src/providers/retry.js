@@ -0,0 +1,122 @@
+// MyLocalCLI - Request Retries
+// Retries failed provider requests with exponential backoff, honoring Retry-After
+
+export const DEFAULT_MAX_RETRIES = 3;
+
+// First backoff delay; doubles with every attempt
+export const DEFAULT_RETRY_DELAY = 500;
+
+// Longest wait before giving up (a longer Retry-After fails right away)
+export const MAX_RETRY_DELAY = 30000;
+
+// Rate limits, timeouts and server errors are worth another try
+const RETRYABLE_STATUS = new Set([408, 425, 429, 500, 502, 503, 504, 529]);
+
+// Connection failures reported by Node's fetch (in error.cause.code)
+const NETWORK_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EHOSTUNREACH', 'ENETUNREACH',
+    'EAI_AGAIN', 'ENOTFOUND', 'UND_ERR_SOCKET', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_HEADERS_TIMEOUT', 'UND_ERR_BODY_TIMEOUT'
+]);
+
+/**
+ * Create the error thrown for a non-OK response
+ * @param {string} label - Provider label ("OpenRouter")
+ * @param {Response} response - Failed response
+ * @param {string} body - Response text
+ * @returns {Error} With status and retryAfter (ms or null) set
+ */
+export function createHttpError(label, response, body) {
+    const error = new Error(`${label} Error (${response.status}): ${body}`);
+    error.status = response.status;
+    error.retryAfter = parseRetryAfter(response.headers?.get?.('retry-after'));
+    return error;
+}
+
+/**
+ * Parse a Retry-After header (seconds or an HTTP date)
+ * @param {string|null} value - Header value
+ * @param {number} [now] - Current time in ms
+ * @returns {number|null} Milliseconds to wait
+ */
+export function parseRetryAfter(value, now = Date.now()) {
+    if (!value) return null;
+    if (/^\d+(\.\d+)?$/.test(value.trim())) return Math.round(parseFloat(value) * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - now);
+}
+
+/**
+ * Whether an error means the server couldn't be reached or the connection dropped
+ */
+export function isNetworkError(error) {
+    if (!error || error.status) return false;
+    if (error.name === 'TimeoutError') return true;
+    if (NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code)) return true;
+    // fetch reports failed connections and dropped streams as TypeErrors
+    return error.name === 'TypeError' && /fetch failed|terminated|network|socket/i.test(error.message);
+}
+
+/**
+ * Whether a request that failed with this error may succeed if sent again
+ */
+export function isRetryableError(error) {
+    return isNetworkError(error) || RETRYABLE_STATUS.has(error?.status);
+}
+
+/**
+ * Delay before the next attempt: Retry-After when the server sent one,
+ * otherwise exponential backoff with jitter
+ * @param {number} attempt - Attempts made so far (1 = first retry)
+ * @param {number|null} [retryAfter] - Server's Retry-After in ms
+ * @param {number} [baseDelay]
+ */
+export function getRetryDelay(attempt, retryAfter = null, baseDelay = DEFAULT_RETRY_DELAY) {
+    if (retryAfter !== null && retryAfter !== undefined) return retryAfter;
+    const backoff = baseDelay * 2 ** (attempt - 1);
+    return Math.min(MAX_RETRY_DELAY, Math.round(backoff * (0.75 + Math.random() * 0.5)));
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Run a request, retrying retryable failures
+ * @param {function(): Promise<*>} request - Sends the request; throws on failure
+ * @param {Object} [options]
+ * @param {number} [options.retries] - Retries after the first attempt
+ * @param {number} [options.baseDelay] - First backoff delay in ms
+ * @param {function(Object)} [options.onRetry] - Called before waiting: {attempt, retries, delay, error}
+ * @param {function(number): Promise} [options.sleep] - Waits (for tests)
+ */
+export async function withRetry(request, options = {}) {
+    const {
+        retries = DEFAULT_MAX_RETRIES,
+        baseDelay = DEFAULT_RETRY_DELAY,
+        onRetry = null,
+        sleep = wait
+    } = options;
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await request();
+        } catch (error) {
+            if (attempt > retries || !isRetryableError(error)) throw error;
+
+            const delay = getRetryDelay(attempt, error.retryAfter, baseDelay);
+            // Waiting longer than this is worse than failing (and falling back)
+            if (delay > MAX_RETRY_DELAY) throw error;
+
+            onRetry?.({ attempt, retries, delay, error });
+            await sleep(delay);
+        }
+    }
+}
+
+export default {
+    DEFAULT_MAX_RETRIES,
+    createHttpError,
+    parseRetryAfter,
+    isNetworkError,
+    isRetryableError,
+    getRetryDelay,
+    withRetry
+};
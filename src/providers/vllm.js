@@ -0,0 +1,25 @@
+import { LocalServerProvider } from './local.js';
+
+// vLLM provider - OpenAI-compatible server started with `vllm serve <model>`
+// Tool calling depends on --enable-auto-tool-choice, which the server doesn't
+// report, so it is tried in 'auto' mode and switched off if rejected
+export class VLLMProvider extends LocalServerProvider {
+    constructor(config = {}) {
+        super({
+            baseUrl: config.baseUrl || 'http://localhost:8000/v1',
+            model: config.model || 'default',
+            label: 'vLLM',
+            ...config
+        });
+    }
+
+    healthUrl() {
+        return `${this.rootUrl}/health`;
+    }
+
+    modelContextLength(model) {
+        return model.max_model_len || null;
+    }
+}
+
+export default VLLMProvider;
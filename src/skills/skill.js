@@ -170,8 +170,10 @@ async function loadSkillsFromDirectory(dir, options = {}) {
  * @param {string} cwd - Current working directory
  */
 export async function loadSkills(cwd) {
-    // Clear existing skills
-    SKILLS.clear();
+    // Clear existing skills (plugin skills are managed by the plugin loader)
+    for (const [name, skill] of SKILLS) {
+        if (!skill.plugin) SKILLS.delete(name);
+    }
 
     // Load built-in skills
     const builtinCount = await loadSkillsFromDirectory(BUILTIN_SKILLS_DIR, { isBuiltin: true });
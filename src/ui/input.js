@@ -6,6 +6,8 @@ import fs from 'fs/promises';
 import path from 'path';
 import os from 'os';
 import { colors } from './terminal.js';
+import { completePath } from '../utils/files.js';
+import { DEFAULT_CONTEXT_WINDOW } from '../config/models.js';
 
 // History file location
 const HISTORY_DIR = path.join(os.homedir(), '.mylocalcli');
@@ -65,19 +67,31 @@ function getSlashCommands() {
     return [
         '/help', '/exit', '/clear', '/config', '/providers', '/models',
         '/tools', '/history', '/load', '/save', '/export', '/agents',
-        '/agent', '/skills', '/init-config'
+        '/agent', '/skills', '/init-config', '/context', '/usage', '/compact', '/pin', '/unpin', '/mode', '/ps', '/shell'
     ];
 }
 
 /**
  * Tab completion handler
+ * Completes slash commands, agent names and paths after @ (the callback
+ * form lets path completion read the directory asynchronously).
  */
-function completer(line) {
+export function completer(line, callback) {
+    // Path completion for @file and @dir/ mentions
+    const mention = line.match(/(?:^|\s)(@[^\s@]*)$/);
+    if (mention) {
+        completePath(mention[1].slice(1), process.cwd())
+            .then(paths => callback(null, [paths.map(p => '@' + p), mention[1]]))
+            .catch(() => callback(null, [[], mention[1]]));
+        return;
+    }
+
     // Slash command completion
     if (line.startsWith('/')) {
         const commands = getSlashCommands();
         const hits = commands.filter(cmd => cmd.startsWith(line));
-        return [hits.length ? hits : commands, line];
+        callback(null, [hits.length ? hits : commands, line]);
+        return;
     }
 
     // Agent name completion after /agent
@@ -85,10 +99,11 @@ function completer(line) {
         const agents = ['code-reviewer', 'code-explorer', 'test-generator', 'refactorer', 'doc-writer'];
         const partial = line.slice(7); // Remove '/agent '
         const hits = agents.filter(a => a.startsWith(partial)).map(a => '/agent ' + a);
-        return [hits, line];
+        callback(null, [hits, line]);
+        return;
     }
 
-    return [[], line];
+    callback(null, [[], line]);
 }
 
 /**
@@ -179,18 +194,34 @@ export function promptMultiLine(promptText = 'Paste code (end with ``` on new li
 
 /**
  * Prompt with checkmark display
+ * @param {string} [prefix] - Who is typing
+ * @param {Object} [options]
+ * @param {string} [options.tag] - Shown after the prefix (e.g. the permission mode)
+ * @param {Function} [options.onShiftTab] - Called on Shift+Tab; returns the new tag
  */
-export async function promptWithPrefix(prefix = 'You') {
-    // Display the prompt prefix with styling
-    process.stdout.write(`\n${colors.success('✔')} ${colors.user(prefix + ':')} `);
+export async function promptWithPrefix(prefix = 'You', options = {}) {
+    const { onShiftTab = null } = options;
+    const formatPrompt = (tag) => `${colors.success('✔')} ${colors.user(prefix)}${tag ? ' ' + colors.warning(`[${tag}]`) : ''}${colors.user(':')} `;
+
+    process.stdout.write('\n');
 
     return new Promise((resolve) => {
+        // Shift+Tab would otherwise also trigger tab completion
+        let skipCompletion = false;
+
         const rl = readline.createInterface({
             input: process.stdin,
             output: process.stdout,
-            completer: completer,
+            completer: (line, callback) => {
+                if (skipCompletion) {
+                    skipCompletion = false;
+                    callback(null, [[], line]);
+                    return;
+                }
+                completer(line, callback);
+            },
             terminal: true,
-            prompt: ''
+            prompt: formatPrompt(options.tag)
         });
 
         // Pre-populate history
@@ -198,6 +229,18 @@ export async function promptWithPrefix(prefix = 'You') {
             rl.history.unshift(entry);
         });
 
+        // Runs before readline's own handler so the flag is set in time
+        const onKeypress = (str, key) => {
+            if (!onShiftTab || key?.name !== 'tab' || !key.shift) return;
+            skipCompletion = true;
+            rl.setPrompt(formatPrompt(onShiftTab()));
+            rl.prompt(true);
+        };
+        process.stdin.prependListener('keypress', onKeypress);
+        rl.on('close', () => process.stdin.removeListener('keypress', onKeypress));
+
+        rl.prompt();
+
         rl.on('line', (answer) => {
             rl.close();
             if (answer.trim()) {
@@ -216,7 +259,7 @@ export async function promptWithPrefix(prefix = 'You') {
 /**
  * Format token count for display
  */
-export function formatTokenCount(tokens, maxTokens = 128000) {
+export function formatTokenCount(tokens, maxTokens = DEFAULT_CONTEXT_WINDOW) {
     const percentage = Math.round((tokens / maxTokens) * 100);
     let color = colors.success;
     if (percentage > 80) color = colors.error;
@@ -228,7 +271,7 @@ export function formatTokenCount(tokens, maxTokens = 128000) {
 /**
  * Display context window status
  */
-export function showContextStatus(messageCount, estimatedTokens, maxTokens = 128000) {
+export function showContextStatus(messageCount, estimatedTokens, maxTokens = DEFAULT_CONTEXT_WINDOW) {
     const tokenDisplay = formatTokenCount(estimatedTokens, maxTokens);
     console.log(colors.muted(`  📊 ${messageCount} messages ${tokenDisplay}`));
 }
@@ -276,6 +319,7 @@ export default {
     formatTokenCount,
     showContextStatus,
     clearLine,
+    completer,
     startStreamingIndicator,
     stopStreamingIndicator,
     createEnhancedInput
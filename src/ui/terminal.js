@@ -130,7 +130,8 @@ export function printProvidersList(providers, current) {
 export function printModelsList(models) {
     console.log(`\n${colors.primary('Available Models:')}\n`);
     for (const model of models) {
-        console.log(`  ${figures.pointer} ${colors.code(model.id)} ${colors.muted(`(${model.owned_by})`)}`);
+        const details = model.details ? ` ${colors.muted(model.details)}` : '';
+        console.log(`  ${figures.pointer} ${colors.code(model.id)} ${colors.muted(`(${model.owned_by})`)}${details}`);
     }
     console.log();
 }
@@ -0,0 +1,50 @@
+// MyLocalCLI - BM25
+// Keyword ranking for code search when no embedding model is available
+
+// Term frequency saturation and length normalization (the usual defaults)
+const K1 = 1.2;
+const B = 0.75;
+
+/**
+ * Rank documents against a query with Okapi BM25
+ * @param {string[][]} documents - Terms of each document
+ * @param {string[]} queryTerms - Terms of the query
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Maximum results to return
+ * @returns {Array<{index: number, score: number}>} Matching documents, best first
+ */
+export function rankBM25(documents, queryTerms, options = {}) {
+    const { limit = 10 } = options;
+    const terms = [...new Set(queryTerms)];
+    if (documents.length === 0 || terms.length === 0) return [];
+
+    const frequencies = documents.map(doc => {
+        const counts = new Map();
+        for (const term of doc) counts.set(term, (counts.get(term) || 0) + 1);
+        return counts;
+    });
+    const averageLength = documents.reduce((sum, doc) => sum + doc.length, 0) / documents.length || 1;
+
+    const idf = {};
+    for (const term of terms) {
+        const df = frequencies.filter(counts => counts.has(term)).length;
+        idf[term] = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+    }
+
+    const results = [];
+    frequencies.forEach((counts, index) => {
+        const lengthNorm = 1 - B + B * (documents[index].length / averageLength);
+        let score = 0;
+        for (const term of terms) {
+            const tf = counts.get(term);
+            if (tf) score += idf[term] * (tf * (K1 + 1)) / (tf + K1 * lengthNorm);
+        }
+        if (score > 0) results.push({ index, score });
+    });
+
+    return results
+        .sort((a, b) => b.score - a.score || a.index - b.index)
+        .slice(0, limit);
+}
+
+export default { rankBM25 };
@@ -0,0 +1,231 @@
+// MyLocalCLI - Diff
+// Myers line diff rendered as a unified diff (hunk headers + context lines)
+
+import { colors } from '../ui/terminal.js';
+
+export const DEFAULT_CONTEXT_LINES = 3;
+
+// Beyond this many edits the rest of the file is shown as one replacement
+const MAX_EDIT_DISTANCE = 2000;
+
+/**
+ * Split content into lines, keeping each line's terminator
+ * Comparing terminated lines means a missing newline at EOF shows up as a change.
+ */
+function splitLines(content) {
+    if (!content) return [];
+    return content.replace(/\r\n/g, '\n').match(/[^\n]*\n|[^\n]+$/g) || [];
+}
+
+/**
+ * Myers O(ND) shortest edit script between two line arrays
+ * @returns {Array<{type: 'equal'|'delete'|'insert', line: string}>}
+ */
+function myers(a, b) {
+    const n = a.length;
+    const m = b.length;
+    const max = n + m;
+    const offset = max + 1;
+    const v = new Int32Array(2 * max + 3);
+    const trace = [];
+
+    let found = false;
+    for (let d = 0; d <= max && !found; d++) {
+        if (d > MAX_EDIT_DISTANCE) {
+            return [
+                ...a.map(line => ({ type: 'delete', line })),
+                ...b.map(line => ({ type: 'insert', line }))
+            ];
+        }
+
+        // Keep only the diagonals this step can read while backtracking
+        trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+        for (let k = -d; k <= d; k += 2) {
+            let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+                ? v[offset + k + 1]
+                : v[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+                x++;
+                y++;
+            }
+            v[offset + k] = x;
+            if (x >= n && y >= m) {
+                found = true;
+                break;
+            }
+        }
+    }
+
+    // Walk the trace backwards to recover the edit script
+    const ops = [];
+    let x = n;
+    let y = m;
+    for (let d = trace.length - 1; d >= 0; d--) {
+        const snapshot = trace[d];
+        const at = (k) => snapshot[k + d + 1];
+        const k = x - y;
+        const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+        const prevX = at(prevK);
+        const prevY = prevX - prevK;
+
+        while (x > prevX && y > prevY) {
+            ops.push({ type: 'equal', line: a[x - 1] });
+            x--;
+            y--;
+        }
+        if (d > 0) {
+            if (x === prevX) {
+                ops.push({ type: 'insert', line: b[y - 1] });
+            } else {
+                ops.push({ type: 'delete', line: a[x - 1] });
+            }
+        }
+        x = prevX;
+        y = prevY;
+    }
+
+    return ops.reverse();
+}
+
+/**
+ * Compute a line diff
+ * @param {string[]} oldLines - Original lines
+ * @param {string[]} newLines - Updated lines
+ * @returns {Array<{type: 'equal'|'delete'|'insert', line: string}>}
+ */
+export function diffLines(oldLines, newLines) {
+    // Common prefix and suffix don't need the full algorithm
+    let start = 0;
+    while (start < oldLines.length && start < newLines.length && oldLines[start] === newLines[start]) {
+        start++;
+    }
+    let oldEnd = oldLines.length;
+    let newEnd = newLines.length;
+    while (oldEnd > start && newEnd > start && oldLines[oldEnd - 1] === newLines[newEnd - 1]) {
+        oldEnd--;
+        newEnd--;
+    }
+
+    return [
+        ...oldLines.slice(0, start).map(line => ({ type: 'equal', line })),
+        ...myers(oldLines.slice(start, oldEnd), newLines.slice(start, newEnd)),
+        ...oldLines.slice(oldEnd).map(line => ({ type: 'equal', line }))
+    ];
+}
+
+// Render one diff line, flagging a missing newline like git does
+function formatLine(prefix, line) {
+    return line.endsWith('\n')
+        ? prefix + line.slice(0, -1)
+        : `${prefix}${line}\n\\ No newline at end of file`;
+}
+
+/**
+ * Create a unified diff between two versions of a file
+ * @param {string|null} oldContent - Original content (null for a new file)
+ * @param {string|null} newContent - Updated content (null for a deleted file)
+ * @param {Object} [options]
+ * @param {string} [options.path] - File path shown in the headers
+ * @param {number} [options.context] - Context lines around each change
+ * @returns {string} The diff, or '' when nothing changed
+ */
+export function createUnifiedDiff(oldContent, newContent, options = {}) {
+    const { path: filePath = 'file', context = DEFAULT_CONTEXT_LINES } = options;
+    const ops = diffLines(splitLines(oldContent), splitLines(newContent));
+
+    // Line numbers before each op, then group changes that share context
+    let oldIndex = 0;
+    let newIndex = 0;
+    const positioned = ops.map(op => {
+        const entry = { ...op, oldIndex, newIndex };
+        if (op.type !== 'insert') oldIndex++;
+        if (op.type !== 'delete') newIndex++;
+        return entry;
+    });
+
+    const ranges = [];
+    positioned.forEach((op, i) => {
+        if (op.type === 'equal') return;
+        const from = Math.max(0, i - context);
+        const to = Math.min(positioned.length - 1, i + context);
+        const last = ranges[ranges.length - 1];
+        if (last && from <= last.to + 1) {
+            last.to = Math.max(last.to, to);
+        } else {
+            ranges.push({ from, to });
+        }
+    });
+
+    if (ranges.length === 0) return '';
+
+    const lines = [
+        oldContent === null ? '--- /dev/null' : `--- a/${filePath}`,
+        newContent === null ? '+++ /dev/null' : `+++ b/${filePath}`
+    ];
+
+    for (const { from, to } of ranges) {
+        const hunk = positioned.slice(from, to + 1);
+        const oldCount = hunk.filter(op => op.type !== 'insert').length;
+        const newCount = hunk.filter(op => op.type !== 'delete').length;
+        // Empty ranges point at the line before them, as in GNU diff
+        const oldStart = hunk[0].oldIndex + (oldCount > 0 ? 1 : 0);
+        const newStart = hunk[0].newIndex + (newCount > 0 ? 1 : 0);
+
+        lines.push(`@@ -${oldStart},${oldCount} +${newStart},${newCount} @@`);
+        for (const op of hunk) {
+            const prefix = op.type === 'insert' ? '+' : op.type === 'delete' ? '-' : ' ';
+            lines.push(formatLine(prefix, op.line));
+        }
+    }
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Count added and removed lines in a unified diff
+ * @returns {{added: number, removed: number}}
+ */
+export function diffStats(diff) {
+    let added = 0;
+    let removed = 0;
+    for (const line of diff.split('\n')) {
+        if (line.startsWith('+++') || line.startsWith('---')) continue;
+        if (line.startsWith('+')) added++;
+        else if (line.startsWith('-')) removed++;
+    }
+    return { added, removed };
+}
+
+/**
+ * Cap a diff at a number of lines
+ */
+export function truncateDiff(diff, maxLines) {
+    const lines = diff.replace(/\n$/, '').split('\n');
+    if (lines.length <= maxLines) return diff;
+    return lines.slice(0, maxLines).join('\n') + `\n... (${lines.length - maxLines} more diff lines)\n`;
+}
+
+/**
+ * Color a unified diff for the terminal
+ */
+export function colorizeDiff(diff) {
+    return diff.replace(/\n$/, '').split('\n').map(line => {
+        if (line.startsWith('+++') || line.startsWith('---')) return colors.primary.bold(line);
+        if (line.startsWith('@@')) return colors.secondary(line);
+        if (line.startsWith('+')) return colors.success(line);
+        if (line.startsWith('-')) return colors.error(line);
+        if (line.startsWith('\\') || line.startsWith('...')) return colors.muted(line);
+        return line;
+    }).join('\n');
+}
+
+export default {
+    diffLines,
+    createUnifiedDiff,
+    diffStats,
+    truncateDiff,
+    colorizeDiff,
+    DEFAULT_CONTEXT_LINES
+};
@@ -0,0 +1,58 @@
+// MyLocalCLI - External Editor
+// Opens text in the user's $VISUAL / $EDITOR and returns what they saved
+
+import { spawn } from 'child_process';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+
+/**
+ * Get the editor command to use
+ */
+export function getEditorCommand() {
+    return process.env.VISUAL || process.env.EDITOR || (process.platform === 'win32' ? 'notepad' : 'vi');
+}
+
+/**
+ * Edit text in an external editor
+ * The text is written to a temp file (keeping the extension so the editor
+ * can highlight it) and read back once the editor exits. The temp file's
+ * name is fixed: the editor runs through the shell, and the original name
+ * may come from the model.
+ *
+ * @param {string} content - Initial text
+ * @param {Object} [options]
+ * @param {string} [options.filename] - File whose extension the temp file gets
+ * @returns {Promise<{success: boolean, content?: string, error?: string}>}
+ */
+export async function editInEditor(content, options = {}) {
+    const editor = getEditorCommand();
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'mylocalcli-edit-'));
+    const extension = path.extname(options.filename || '');
+    const file = path.join(dir, `change${/^\.\w+$/.test(extension) ? extension : '.txt'}`);
+
+    try {
+        await fs.writeFile(file, content, 'utf-8');
+
+        // Run through the shell so commands like "code --wait" work
+        const code = await new Promise((resolve, reject) => {
+            const child = spawn(`${editor} "${file}"`, { shell: true, stdio: 'inherit' });
+            child.on('error', reject);
+            child.on('close', resolve);
+        });
+
+        if (code !== 0) {
+            return { success: false, error: `Editor "${editor}" exited with code ${code}` };
+        }
+        return { success: true, content: await fs.readFile(file, 'utf-8') };
+    } catch (error) {
+        return { success: false, error: `Could not run editor "${editor}": ${error.message}` };
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
+
+export default {
+    getEditorCommand,
+    editInEditor
+};
@@ -1,6 +1,7 @@
 import fs from 'fs/promises';
 import path from 'path';
 import { glob } from 'glob';
+import { createIgnoreMatcher } from './ignore.js';
 
 // File system utilities
 export async function readFile(filePath) {
@@ -33,23 +34,20 @@ export async function fileExists(filePath) {
 }
 
 export async function listDirectory(dirPath, options = {}) {
-    const { recursive = false, maxDepth = 3 } = options;
+    const { recursive = false, maxDepth = 3, matcher = createIgnoreMatcher(dirPath) } = options;
 
     try {
         const entries = await fs.readdir(dirPath, { withFileTypes: true });
         const items = [];
 
         for (const entry of entries) {
-            // Skip hidden files and common ignore patterns
-            if (entry.name.startsWith('.') ||
-                entry.name === 'node_modules' ||
-                entry.name === '__pycache__' ||
-                entry.name === 'dist' ||
-                entry.name === 'build') {
+            const fullPath = path.join(dirPath, entry.name);
+
+            // Skip hidden files and anything .gitignore or .mylocalcliignore excludes
+            if (entry.name.startsWith('.') || matcher.isIgnored(fullPath, entry.isDirectory())) {
                 continue;
             }
 
-            const fullPath = path.join(dirPath, entry.name);
             const item = {
                 name: entry.name,
                 path: fullPath,
@@ -66,7 +64,8 @@ export async function listDirectory(dirPath, options = {}) {
             if (recursive && entry.isDirectory() && maxDepth > 1) {
                 const subItems = await listDirectory(fullPath, {
                     recursive: true,
-                    maxDepth: maxDepth - 1
+                    maxDepth: maxDepth - 1,
+                    matcher
                 });
                 item.children = subItems;
             }
@@ -82,7 +81,7 @@ export async function searchFiles(pattern, cwd) {
     try {
         const files = await glob(pattern, {
             cwd,
-            ignore: ['node_modules/**', '.git/**', 'dist/**', 'build/**'],
+            ignore: createIgnoreMatcher(cwd).globIgnore,
             nodir: true
         });
         return files.map(f => path.join(cwd, f));
@@ -106,6 +105,33 @@ export async function getFileStats(filePath) {
     }
 }
 
+/**
+ * Complete a partial path typed by the user
+ * Directories end with a separator so completion can continue into them;
+ * hidden entries are only offered once the partial name starts with a dot.
+ * @param {string} partial - Path typed so far (relative to cwd or absolute)
+ * @param {string} cwd - Directory relative paths start from
+ * @returns {Promise<string[]>} Matching paths, as typed plus the rest of the name
+ */
+export async function completePath(partial, cwd) {
+    const sep = partial.includes('\\') && !partial.includes('/') ? '\\' : '/';
+    const cut = Math.max(partial.lastIndexOf('/'), partial.lastIndexOf('\\'));
+    const dirPart = cut >= 0 ? partial.slice(0, cut + 1) : '';
+    const namePart = partial.slice(cut + 1);
+
+    try {
+        const entries = await fs.readdir(path.resolve(cwd, dirPart || '.'), { withFileTypes: true });
+        return entries
+            .filter(entry => entry.name.startsWith(namePart))
+            .filter(entry => namePart.startsWith('.') || !entry.name.startsWith('.'))
+            .filter(entry => entry.name !== 'node_modules' || namePart)
+            .map(entry => dirPart + entry.name + (entry.isDirectory() ? sep : ''))
+            .sort();
+    } catch {
+        return [];
+    }
+}
+
 export function getFileExtension(filePath) {
     return path.extname(filePath).toLowerCase();
 }
@@ -161,6 +187,7 @@ export default {
     listDirectory,
     searchFiles,
     getFileStats,
+    completePath,
     getFileExtension,
     getFileName,
     getLanguageFromExtension
@@ -0,0 +1,311 @@
+// MyLocalCLI - Grep
+// Regex and fixed-string search over a directory tree, using ripgrep when it is installed
+
+import { spawn, spawnSync } from 'child_process';
+import readline from 'readline';
+import fs from 'fs/promises';
+import path from 'path';
+import { globIterate } from 'glob';
+import { createIgnoreMatcher } from './ignore.js';
+
+/**
+ * What a search returns
+ */
+export const GREP_OUTPUT_MODES = {
+    CONTENT: 'content',
+    FILES: 'files_with_matches',
+    COUNT: 'count'
+};
+
+// Results per page when no limit is given
+export const DEFAULT_GREP_LIMIT = 100;
+
+// Matched lines are clipped to this many characters
+const MAX_LINE_LENGTH = 300;
+
+// The built-in engine skips files larger than this (ripgrep has no limit)
+const MAX_FILE_BYTES = 20 * 1024 * 1024;
+
+// Whether rg is on PATH (checked once)
+let ripgrepAvailable = null;
+
+/**
+ * Whether ripgrep is installed
+ */
+export function hasRipgrep() {
+    if (ripgrepAvailable === null) {
+        try {
+            ripgrepAvailable = spawnSync('rg', ['--version'], { stdio: 'ignore', timeout: 5000 }).status === 0;
+        } catch {
+            ripgrepAvailable = false;
+        }
+    }
+    return ripgrepAvailable;
+}
+
+/**
+ * Check for ripgrep again on the next search (after PATH changes)
+ */
+export function resetRipgrepCheck() {
+    ripgrepAvailable = null;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function clip(text) {
+    return text.length > MAX_LINE_LENGTH ? text.slice(0, MAX_LINE_LENGTH) + '…' : text;
+}
+
+// Split a file's selected lines into runs of consecutive lines
+function groupLines(lines) {
+    const groups = [];
+    for (const line of lines) {
+        const group = groups[groups.length - 1];
+        if (group && line.line === group[group.length - 1].line + 1) {
+            group.push(line);
+        } else {
+            groups.push([line]);
+        }
+    }
+    return groups.filter(group => group.some(line => line.match));
+}
+
+/**
+ * Collects results page by page
+ * add() is called once per file with its matching (and context) lines and
+ * returns false once the page is full, so the engines can stop early.
+ */
+function createCollector({ mode, offset, limit, separator, withContext }) {
+    const entries = [];
+    let seen = 0;
+    let hasMore = false;
+
+    const take = (entry) => {
+        if (entries.length >= limit) {
+            hasMore = true;
+            return false;
+        }
+        if (seen++ >= offset) entries.push(entry);
+        return true;
+    };
+
+    return {
+        add(file, lines) {
+            const matchCount = lines.filter(line => line.match).length;
+            if (matchCount === 0) return true;
+
+            if (mode === GREP_OUTPUT_MODES.FILES) return take(file);
+            if (mode === GREP_OUTPUT_MODES.COUNT) return take(`${file}:${matchCount}`);
+
+            // Without context every matching line is its own result
+            const groups = withContext ? groupLines(lines) : lines.map(line => [line]);
+            for (const group of groups) {
+                const text = group
+                    .map(line => `${file}${line.match ? ':' : '-'}${line.line}${line.match ? ':' : '-'}${clip(line.text)}`)
+                    .join('\n');
+                if (!take(text)) return false;
+            }
+            return true;
+        },
+        result() {
+            return { entries, hasMore, separator };
+        }
+    };
+}
+
+// Search with the built-in engine, one file at a time
+async function grepWithNode(search, collector) {
+    const { cwd, searchPath, include, regex, before, after, matcher, filter } = search;
+
+    const stats = await fs.stat(searchPath);
+    const files = stats.isFile()
+        ? [searchPath]
+        : globIterate(include ? (include.includes('/') ? include : `**/${include}`) : '**/*', {
+            cwd: searchPath,
+            nodir: true,
+            absolute: true,
+            ignore: matcher.globIgnore
+        });
+
+    for await (const file of files) {
+        if (filter && !filter(file)) continue;
+        let buffer;
+        try {
+            if ((await fs.stat(file)).size > MAX_FILE_BYTES) continue;
+            buffer = await fs.readFile(file);
+        } catch {
+            continue;
+        }
+        // Binary files have NUL bytes near the start
+        if (buffer.subarray(0, 8000).includes(0)) continue;
+
+        const lines = buffer.toString('utf-8').split(/\r?\n/);
+        const matched = new Set();
+        lines.forEach((line, i) => {
+            if (regex.test(line)) matched.add(i);
+        });
+        if (matched.size === 0) continue;
+
+        const selected = new Set();
+        for (const i of matched) {
+            for (let j = Math.max(0, i - before); j <= Math.min(lines.length - 1, i + after); j++) {
+                selected.add(j);
+            }
+        }
+
+        const fileLines = [...selected].sort((a, b) => a - b)
+            .map(i => ({ line: i + 1, text: lines[i], match: matched.has(i) }));
+        if (!collector.add(path.relative(cwd, file), fileLines)) return;
+    }
+}
+
+// Search with ripgrep's JSON output, streamed file by file
+function grepWithRipgrep(search, collector) {
+    const { cwd, searchPath, pattern, fixedStrings, ignoreCase, include, before, after, matcher, filter } = search;
+
+    const args = ['--json', '--sort', 'path', '--no-require-git'];
+    if (fixedStrings) args.push('--fixed-strings');
+    if (ignoreCase) args.push('--ignore-case');
+    if (before) args.push('--before-context', String(before));
+    if (after) args.push('--after-context', String(after));
+    if (include) args.push('--glob', include);
+    args.push('--regexp', pattern, '--', searchPath);
+
+    return new Promise((resolve, reject) => {
+        const proc = spawn('rg', args, { cwd });
+        let stderr = '';
+        let stopped = false;
+        let current = null;
+
+        proc.stderr.on('data', (data) => { stderr += data.toString(); });
+
+        const rl = readline.createInterface({ input: proc.stdout });
+        rl.on('line', (line) => {
+            if (stopped) return;
+            let event;
+            try {
+                event = JSON.parse(line);
+            } catch {
+                return;
+            }
+
+            const { type, data } = event;
+            if (type === 'begin') {
+                current = { file: data.path?.text, lines: [] };
+            } else if ((type === 'match' || type === 'context') && current && data.lines?.text !== undefined) {
+                current.lines.push({ line: data.line_number, text: data.lines.text.replace(/\r?\n$/, ''), match: type === 'match' });
+            } else if (type === 'end' && current) {
+                // rg knows .gitignore but not .mylocalcliignore or the built-in defaults
+                const file = current.file && path.resolve(cwd, current.file);
+                const keep = file && !matcher.isIgnored(file, false) && (!filter || filter(file));
+                if (keep && !collector.add(path.relative(cwd, file), current.lines)) {
+                    stopped = true;
+                    proc.kill();
+                }
+                current = null;
+            }
+        });
+
+        proc.on('error', reject);
+        proc.on('close', (code) => {
+            // 0 = matches, 1 = no matches, 2 = error (bad pattern, unreadable path)
+            if (stopped || code === 0 || code === 1) resolve();
+            else reject(new Error(stderr.trim() || `rg exited with code ${code}`));
+        });
+    });
+}
+
+/**
+ * Search files for a pattern
+ * Uses ripgrep when it is on PATH and falls back to a built-in engine
+ * (also when rg rejects a pattern JavaScript accepts, like lookarounds).
+ * Both honor .gitignore and .mylocalcliignore, skip binary files and stop
+ * reading as soon as the requested page is full.
+ *
+ * @param {Object} options
+ * @param {string} options.pattern - Regex, or literal text with fixedStrings
+ * @param {string} options.cwd - Project directory (results are relative to it)
+ * @param {string} [options.path] - File or directory to search (default cwd)
+ * @param {string} [options.include] - Glob for file names (e.g. "*.js"; matches at any depth)
+ * @param {boolean} [options.fixedStrings] - Treat the pattern as literal text
+ * @param {boolean} [options.ignoreCase] - Case-insensitive matching
+ * @param {number} [options.before] - Context lines before each match
+ * @param {number} [options.after] - Context lines after each match
+ * @param {string} [options.mode] - One of GREP_OUTPUT_MODES
+ * @param {number} [options.offset] - Results to skip
+ * @param {number} [options.limit] - Results to return
+ * @param {function(string): boolean} [options.filter] - Leave out files (absolute paths) this returns false for
+ * @param {boolean} [options.useRipgrep] - Set false to force the built-in engine
+ * @returns {Promise<{entries: string[], hasMore: boolean, separator: string, engine: string}>}
+ * @throws On an invalid pattern or missing path
+ */
+export async function grepFiles(options) {
+    const {
+        pattern,
+        cwd,
+        include,
+        fixedStrings = false,
+        ignoreCase = false,
+        mode = GREP_OUTPUT_MODES.CONTENT,
+        offset = 0,
+        limit = DEFAULT_GREP_LIMIT,
+        useRipgrep = true
+    } = options;
+    const before = Math.max(0, options.before || 0);
+    const after = Math.max(0, options.after || 0);
+
+    if (!Object.values(GREP_OUTPUT_MODES).includes(mode)) {
+        throw new Error(`Unknown output mode "${mode}". Use one of: ${Object.values(GREP_OUTPUT_MODES).join(', ')}`);
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(fixedStrings ? escapeRegex(pattern) : pattern, ignoreCase ? 'i' : '');
+    } catch (error) {
+        throw new Error(`Invalid regex: ${error.message}`);
+    }
+
+    const search = {
+        cwd,
+        searchPath: path.resolve(cwd, options.path || '.'),
+        pattern,
+        fixedStrings,
+        ignoreCase,
+        include,
+        regex,
+        before,
+        after,
+        matcher: createIgnoreMatcher(cwd),
+        filter: options.filter || null
+    };
+    // Context groups are separated like grep -C output
+    const withContext = before > 0 || after > 0;
+    const separator = mode === GREP_OUTPUT_MODES.CONTENT && withContext ? '\n--\n' : '\n';
+    const newCollector = () => createCollector({ mode, offset: Math.max(0, offset), limit: Math.max(1, limit), separator, withContext });
+
+    await fs.stat(search.searchPath);
+
+    if (useRipgrep && hasRipgrep()) {
+        const collector = newCollector();
+        try {
+            await grepWithRipgrep(search, collector);
+            return { ...collector.result(), engine: 'rg' };
+        } catch {
+            // Fall through to the built-in engine
+        }
+    }
+
+    const collector = newCollector();
+    await grepWithNode(search, collector);
+    return { ...collector.result(), engine: 'node' };
+}
+
+export default {
+    grepFiles,
+    hasRipgrep,
+    resetRipgrepCheck,
+    GREP_OUTPUT_MODES,
+    DEFAULT_GREP_LIMIT
+};
@@ -33,8 +33,8 @@ export async function createConversation(name, metadata = {}) {
     return conversation;
 }
 
-// Save a message to a conversation
-export async function saveMessage(sessionId, message) {
+// Read a conversation, apply a change and write it back
+async function updateConversation(sessionId, change) {
     await ensureHistoryDir();
     const filePath = path.join(HISTORY_DIR, `${sessionId}.json`);
 
@@ -53,16 +53,30 @@ export async function saveMessage(sessionId, message) {
         };
     }
 
-    conversation.messages.push({
-        ...message,
-        timestamp: new Date().toISOString()
-    });
+    change(conversation);
     conversation.modified = new Date().toISOString();
 
     await fs.writeFile(filePath, JSON.stringify(conversation, null, 2));
     return conversation;
 }
 
+// Save a message to a conversation
+export async function saveMessage(sessionId, message) {
+    return updateConversation(sessionId, (conversation) => {
+        conversation.messages.push({
+            ...message,
+            timestamp: new Date().toISOString()
+        });
+    });
+}
+
+// Save token usage of a model call that left no message behind (compaction summaries)
+export async function saveUsage(sessionId, usage) {
+    return updateConversation(sessionId, (conversation) => {
+        conversation.usage = [...(conversation.usage || []), { ...usage, timestamp: new Date().toISOString() }];
+    });
+}
+
 // Load a specific conversation
 export async function loadConversation(sessionId) {
     try {
@@ -158,7 +172,9 @@ export async function exportConversation(sessionId) {
     md += `---\n\n`;
 
     for (const msg of conversation.messages) {
-        const role = msg.role === 'user' ? '👤 **You**' : '🤖 **Assistant**';
+        const role = msg.role === 'user' ? '👤 **You**'
+            : msg.role === 'tool' ? '🔧 **Tool Result**'
+                : '🤖 **Assistant**';
         md += `${role}\n\n${msg.content}\n\n---\n\n`;
     }
 
@@ -188,6 +204,7 @@ export default {
     generateSessionId,
     createConversation,
     saveMessage,
+    saveUsage,
     loadConversation,
     listConversations,
     renameConversation,
@@ -0,0 +1,278 @@
+// MyLocalCLI - Ignore Rules
+// gitignore-style matching for .gitignore files and the project's .mylocalcliignore
+
+import fs from 'fs';
+import path from 'path';
+
+// Paths listed here are hidden from the AI and may not be read or modified
+export const IGNORE_FILE = '.mylocalcliignore';
+
+// Skipped even without a .gitignore (a .gitignore can re-include them with !)
+export const DEFAULT_IGNORE_PATTERNS = [
+    '.git/',
+    'node_modules/',
+    '__pycache__/',
+    '.venv/',
+    'venv/',
+    'dist/',
+    'build/',
+    '**/.mylocalcli/index/',
+    '**/.mylocalcli/checkpoints/'
+];
+
+/**
+ * Compiled ignore rule
+ * @typedef {Object} IgnoreRule
+ * @property {string} base - Directory the rule's file lives in (relative to the root, '' for the root)
+ * @property {RegExp} regex - Matches paths relative to base
+ * @property {boolean} negate - Re-includes matching paths (!pattern)
+ * @property {boolean} dirOnly - Only matches directories (pattern/)
+ * @property {string} source - Pattern as written
+ */
+
+// Translate one path segment of a glob into a regex
+function segmentToRegex(segment) {
+    let source = '';
+    for (let i = 0; i < segment.length; i++) {
+        const char = segment[i];
+        if (char === '\\' && i + 1 < segment.length) {
+            source += escapeRegex(segment[++i]);
+        } else if (char === '*') {
+            while (segment[i + 1] === '*') i++;
+            source += '[^/]*';
+        } else if (char === '?') {
+            source += '[^/]';
+        } else if (char === '[') {
+            const close = segment.indexOf(']', i + 2);
+            if (close === -1) {
+                source += '\\[';
+                continue;
+            }
+            let body = segment.slice(i + 1, close);
+            if (body[0] === '!') body = '^' + body.slice(1);
+            source += `[${body}]`;
+            i = close;
+        } else {
+            source += escapeRegex(char);
+        }
+    }
+    return source;
+}
+
+function escapeRegex(text) {
+    return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Compile one line of a gitignore file
+ * @param {string} line - Line from the file
+ * @param {string} [base] - Directory of the file, relative to the root
+ * @returns {IgnoreRule|null} null for blank lines and comments
+ */
+export function compileIgnorePattern(line, base = '') {
+    // Trailing spaces are ignored unless escaped
+    let pattern = line.replace(/(?<!\\)\s+$/, '');
+    if (!pattern || pattern.startsWith('#')) return null;
+
+    let negate = false;
+    if (pattern.startsWith('!')) {
+        negate = true;
+        pattern = pattern.slice(1);
+    } else if (pattern.startsWith('\\!') || pattern.startsWith('\\#')) {
+        pattern = pattern.slice(1);
+    }
+
+    const dirOnly = pattern.endsWith('/');
+    pattern = pattern.replace(/\/+$/, '');
+    if (!pattern) return null;
+
+    // A slash anywhere but the end anchors the pattern to its file's directory
+    const anchored = pattern.includes('/');
+    pattern = pattern.replace(/^\//, '');
+
+    const segments = pattern.split('/');
+    let source = '';
+    segments.forEach((segment, i) => {
+        const last = i === segments.length - 1;
+        if (segment === '**') {
+            source += last ? '.*' : '(?:.*/)?';
+        } else {
+            source += segmentToRegex(segment) + (last ? '' : '/');
+        }
+    });
+
+    let regex;
+    try {
+        regex = new RegExp(anchored ? `^${source}$` : `^(?:.*/)?${source}$`);
+    } catch {
+        // Malformed pattern (e.g. a bad character class) - git skips these too
+        return null;
+    }
+
+    return {
+        base,
+        regex,
+        negate,
+        dirOnly,
+        source: line.trim()
+    };
+}
+
+/**
+ * Compile the contents of a gitignore file
+ * @param {string} content - File contents
+ * @param {string} [base] - Directory of the file, relative to the root
+ * @returns {IgnoreRule[]}
+ */
+export function parseIgnoreFile(content, base = '') {
+    return content.split(/\r?\n/)
+        .map(line => compileIgnorePattern(line, base))
+        .filter(Boolean);
+}
+
+// Last matching rule wins; undefined when no rule matches
+function evaluate(rules, relPath, isDirectory) {
+    let result;
+    for (const rule of rules) {
+        if (rule.dirOnly && !isDirectory) continue;
+        if (rule.base && !relPath.startsWith(rule.base + '/')) continue;
+        const subject = rule.base ? relPath.slice(rule.base.length + 1) : relPath;
+        if (rule.regex.test(subject)) result = !rule.negate;
+    }
+    return result;
+}
+
+// Directory containing .git above (or at) the start directory
+function findProjectRoot(start) {
+    let dir = path.resolve(start);
+    while (true) {
+        if (fs.existsSync(path.join(dir, '.git'))) return dir;
+        const parent = path.dirname(dir);
+        if (parent === dir) return path.resolve(start);
+        dir = parent;
+    }
+}
+
+function readRules(file, base) {
+    try {
+        return parseIgnoreFile(fs.readFileSync(file, 'utf-8'), base);
+    } catch {
+        return [];
+    }
+}
+
+/**
+ * Ignore matcher for a project
+ * @typedef {Object} IgnoreMatcher
+ * @property {string} root - Project root (nearest directory with .git, or the start directory)
+ * @property {function(string, boolean=): boolean} isIgnored - Hidden from listings and searches
+ * @property {function(string, boolean=): boolean} isDenied - Listed in .mylocalcliignore (never read or modified)
+ * @property {{ignored: Function, childrenIgnored: Function}} globIgnore - `ignore` option for glob
+ */
+
+/**
+ * Create a matcher for the project containing a directory
+ * Rules come from the built-in defaults, .git/info/exclude, every .gitignore
+ * from the root down to the file (deeper files win) and every .mylocalcliignore
+ * on the same path. As in git, a file inside an ignored directory stays ignored
+ * even if a later rule re-includes it. Ignore files are read lazily and cached
+ * for the life of the matcher, so create one per operation.
+ *
+ * @param {string} cwd - Directory inside the project
+ * @returns {IgnoreMatcher}
+ */
+export function createIgnoreMatcher(cwd) {
+    const root = findProjectRoot(cwd);
+    const gitRules = new Map();
+    const denyRules = new Map();
+    const decisions = new Map();
+
+    const baseRules = [
+        ...parseIgnoreFile(DEFAULT_IGNORE_PATTERNS.join('\n')),
+        ...readRules(path.join(root, '.git', 'info', 'exclude'), '')
+    ];
+
+    // Rules that apply inside a directory: its ancestors' files, then its own
+    const rulesFor = (cache, fileName, dirRel, initial) => {
+        if (cache.has(dirRel)) return cache.get(dirRel);
+        const parent = dirRel ? rulesFor(cache, fileName, dirRel.includes('/') ? dirRel.slice(0, dirRel.lastIndexOf('/')) : '', initial) : initial;
+        const own = readRules(path.join(root, dirRel, fileName), dirRel);
+        const rules = own.length ? [...parent, ...own] : parent;
+        cache.set(dirRel, rules);
+        return rules;
+    };
+
+    const toRelative = (filePath) => {
+        const rel = path.relative(root, path.resolve(cwd, filePath)).split(path.sep).join('/');
+        return rel.startsWith('..') || path.isAbsolute(rel) ? null : rel;
+    };
+
+    const isDirectoryOnDisk = (rel) => {
+        try {
+            return fs.statSync(path.join(root, rel)).isDirectory();
+        } catch {
+            return false;
+        }
+    };
+
+    // Check every ancestor directory first - nothing inside an ignored directory can be re-included
+    const check = (kind, filePath, isDirectory) => {
+        const rel = toRelative(filePath);
+        if (!rel) return false;
+
+        const segments = rel.split('/');
+        for (let i = 1; i <= segments.length; i++) {
+            const sub = segments.slice(0, i).join('/');
+            const last = i === segments.length;
+            const dir = last ? (isDirectory ?? isDirectoryOnDisk(sub)) : true;
+            const key = `${kind}:${sub}:${dir}`;
+
+            let decision = decisions.get(key);
+            if (decision === undefined) {
+                const parentRel = segments.slice(0, i - 1).join('/');
+                const rules = kind === 'deny'
+                    ? rulesFor(denyRules, IGNORE_FILE, parentRel, [])
+                    : rulesFor(gitRules, '.gitignore', parentRel, baseRules);
+                decision = evaluate(rules, sub, dir) === true;
+                decisions.set(key, decision);
+            }
+            if (decision) return true;
+        }
+        return false;
+    };
+
+    const isDenied = (filePath, isDirectory) => check('deny', filePath, isDirectory);
+    const isIgnored = (filePath, isDirectory) => check('git', filePath, isDirectory) || isDenied(filePath, isDirectory);
+
+    return {
+        root,
+        isIgnored,
+        isDenied,
+        globIgnore: {
+            ignored: (p) => isIgnored(p.fullpath(), p.isDirectory()),
+            childrenIgnored: (p) => isIgnored(p.fullpath(), true)
+        }
+    };
+}
+
+/**
+ * Error message for a path the AI may not touch (null when allowed)
+ * @param {string} cwd - Project directory
+ * @param {string} filePath - Path to check (absolute or relative to cwd)
+ * @param {IgnoreMatcher} [matcher] - Matcher to reuse
+ * @returns {string|null}
+ */
+export function getDeniedReason(cwd, filePath, matcher = createIgnoreMatcher(cwd)) {
+    if (!matcher.isDenied(filePath)) return null;
+    const displayPath = path.relative(cwd, path.resolve(cwd, filePath)) || filePath;
+    return `Access denied: ${displayPath} is excluded by ${IGNORE_FILE}`;
+}
+
+export default {
+    compileIgnorePattern,
+    parseIgnoreFile,
+    createIgnoreMatcher,
+    getDeniedReason,
+    IGNORE_FILE,
+    DEFAULT_IGNORE_PATTERNS
+};
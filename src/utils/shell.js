@@ -0,0 +1,289 @@
+// MyLocalCLI - Shell Parser
+// Splits a POSIX shell command line into the simple commands it would run
+
+// Control operators that separate commands (longest first)
+const CONTROL_OPERATORS = ['&&', '||', ';;', '|&', ';', '|', '&', '\n'];
+
+// Redirection operators, after an optional fd number (longest first)
+const REDIRECT_OPERATORS = ['&>>', '<<<', '<<-', '>>', '<<', '<>', '>&', '<&', '>|', '&>', '>', '<'];
+
+// Words that group commands rather than run one
+const GROUPING_WORDS = new Set(['{', '}', '!', 'then', 'do', 'else', 'elif', 'fi', 'done', 'esac', 'if', 'while', 'until']);
+
+/**
+ * Redirection on a simple command
+ * @typedef {Object} Redirect
+ * @property {string} op - Operator (">", ">>", "<", "2>&1" is op ">&" with fd "2")
+ * @property {string|null} fd - File descriptor written before the operator
+ * @property {string} target - File or descriptor redirected to
+ */
+
+/**
+ * One simple command in a command line
+ * @typedef {Object} ShellCommand
+ * @property {string[]} argv - Words after quote removal (assignments excluded)
+ * @property {string[]} assignments - Leading NAME=value words
+ * @property {Redirect[]} redirects - Redirections
+ * @property {string} text - Source text of the command
+ * @property {boolean} hasSubstitution - Whether a word contains $(...) or `...`
+ * @property {boolean} hasExpansion - Whether a word expands a variable ($NAME)
+ * @property {string|null} source - 'substitution' for commands inside $(...) or `...`
+ */
+
+// Index just past the ) matching the ( before start, skipping quotes
+function findClosingParen(input, start) {
+    let depth = 1;
+    for (let i = start; i < input.length; i++) {
+        const char = input[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === "'") {
+            const end = input.indexOf("'", i + 1);
+            if (end === -1) return -1;
+            i = end;
+        } else if (char === '"') {
+            i = findClosingQuote(input, i + 1);
+            if (i === -1) return -1;
+        } else if (char === '(') {
+            depth++;
+        } else if (char === ')') {
+            depth--;
+            if (depth === 0) return i + 1;
+        }
+    }
+    return -1;
+}
+
+// Index of the closing double quote, skipping escapes and substitutions
+function findClosingQuote(input, start) {
+    for (let i = start; i < input.length; i++) {
+        const char = input[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '"') {
+            return i;
+        } else if (char === '$' && input[i + 1] === '(') {
+            const end = findClosingParen(input, i + 2);
+            if (end === -1) return -1;
+            i = end - 1;
+        } else if (char === '`') {
+            const end = input.indexOf('`', i + 1);
+            if (end === -1) return -1;
+            i = end;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split a command line into tokens
+ * Words keep track of substitutions (their inner commands are returned
+ * separately) and whether they were quoted.
+ * @returns {{tokens: Array, substitutions: string[]}}
+ */
+function tokenize(input) {
+    const tokens = [];
+    const substitutions = [];
+    const heredocs = [];
+    let i = 0;
+
+    while (i < input.length) {
+        const char = input[i];
+
+        // Here-document bodies start on the line after their operator
+        if (char === '\n' && heredocs.length > 0) {
+            tokens.push({ type: 'op', value: '\n', start: i, end: i + 1 });
+            i++;
+            while (heredocs.length > 0 && i < input.length) {
+                const { delimiter, stripTabs } = heredocs.shift();
+                while (i < input.length) {
+                    const lineEnd = input.indexOf('\n', i) === -1 ? input.length : input.indexOf('\n', i);
+                    const line = input.slice(i, lineEnd);
+                    i = lineEnd + 1;
+                    if ((stripTabs ? line.replace(/^\t+/, '') : line) === delimiter) break;
+                }
+            }
+            continue;
+        }
+
+        if (char === ' ' || char === '\t' || (char === '\\' && input[i + 1] === '\n')) {
+            i += char === '\\' ? 2 : 1;
+            continue;
+        }
+
+        // Comments run to the end of the line
+        if (char === '#') {
+            while (i < input.length && input[i] !== '\n') i++;
+            continue;
+        }
+
+        if (char === '(' || char === ')') {
+            tokens.push({ type: 'op', value: char, start: i, end: i + 1 });
+            i++;
+            continue;
+        }
+
+        // <(...) and >(...) are process substitutions, not redirections
+        const processSubstitution = (char === '<' || char === '>') && input[i + 1] === '(';
+
+        const control = CONTROL_OPERATORS.find(op => input.startsWith(op, i));
+        const fdMatch = input.slice(i).match(/^(\d*)/);
+        const afterFd = i + fdMatch[1].length;
+        const redirect = REDIRECT_OPERATORS.find(op => input.startsWith(op, afterFd));
+        if (redirect && !processSubstitution && !(control && fdMatch[1] === '' && control.length > redirect.length)) {
+            tokens.push({ type: 'redirect', op: redirect, fd: fdMatch[1] || null, start: i, end: afterFd + redirect.length });
+            i = afterFd + redirect.length;
+            continue;
+        }
+        if (control) {
+            tokens.push({ type: 'op', value: control, start: i, end: i + control.length });
+            i += control.length;
+            continue;
+        }
+
+        // A word: runs until unquoted whitespace or an operator
+        const start = i;
+        let value = '';
+        let quoted = false;
+        let hasSubstitution = false;
+        let hasExpansion = false;
+
+        while (i < input.length) {
+            const c = input[i];
+            const substitutionStart = (c === '$' || c === '<' || c === '>') && input[i + 1] === '(' && input[i + 2] !== '(';
+            if (!substitutionStart && (c === ' ' || c === '\t' || c === '\n' || c === ';' || c === '&' || c === '|' || c === '<' || c === '>' || c === '(' || c === ')')) {
+                break;
+            }
+            if (c === '\\') {
+                value += input[i + 1] ?? '';
+                i += 2;
+            } else if (c === "'") {
+                const end = input.indexOf("'", i + 1);
+                const close = end === -1 ? input.length : end;
+                value += input.slice(i + 1, close);
+                quoted = true;
+                i = close + 1;
+            } else if (c === '"') {
+                const end = findClosingQuote(input, i + 1);
+                const close = end === -1 ? input.length : end;
+                const inner = input.slice(i + 1, close);
+                // Substitutions still run inside double quotes
+                for (const match of inner.matchAll(/\$\(|`/g)) {
+                    const innerStart = match.index + match[0].length;
+                    const innerEnd = match[0] === '`' ? inner.indexOf('`', innerStart) : findClosingParen(inner, innerStart) - 1;
+                    if (innerEnd >= innerStart) {
+                        substitutions.push(inner.slice(innerStart, innerEnd));
+                        hasSubstitution = true;
+                    }
+                }
+                if (/\$[\w{]/.test(inner)) hasExpansion = true;
+                value += inner.replace(/\\(["\\$`])/g, '$1');
+                quoted = true;
+                i = close + 1;
+            } else if (c === '$' && input[i + 1] === '(' && input[i + 2] === '(') {
+                // Arithmetic expansion runs no commands
+                const end = findClosingParen(input, i + 2);
+                const close = end === -1 ? input.length : end + 1;
+                value += input.slice(i, close);
+                i = close;
+            } else if (substitutionStart) {
+                const end = findClosingParen(input, i + 2);
+                const close = end === -1 ? input.length : end;
+                substitutions.push(input.slice(i + 2, close - 1));
+                hasSubstitution = true;
+                value += input.slice(i, close);
+                i = close;
+            } else if (c === '`') {
+                const end = input.indexOf('`', i + 1);
+                const close = end === -1 ? input.length : end;
+                substitutions.push(input.slice(i + 1, close));
+                hasSubstitution = true;
+                value += input.slice(i, close + 1);
+                i = close + 1;
+            } else {
+                if (c === '$' && /[\w{]/.test(input[i + 1] || '')) hasExpansion = true;
+                value += c;
+                i++;
+            }
+        }
+
+        tokens.push({ type: 'word', value, quoted, hasSubstitution, hasExpansion, start, end: i });
+
+        // Remember here-documents so their bodies are skipped
+        const previous = tokens[tokens.length - 2];
+        if (previous?.type === 'redirect' && (previous.op === '<<' || previous.op === '<<-')) {
+            heredocs.push({ delimiter: value, stripTabs: previous.op === '<<-' });
+        }
+    }
+
+    return { tokens, substitutions };
+}
+
+/**
+ * Parse a command line into the simple commands it runs
+ * Pipelines, lists (; && || &), subshells, groups, redirections and command
+ * substitutions are all split apart; commands inside $(...), `...` and
+ * <(...) are returned too, marked with source 'substitution'.
+ * This is for safety checks, not execution: it doesn't expand anything.
+ *
+ * @param {string} command - Command line
+ * @returns {ShellCommand[]}
+ */
+export function parseShellCommand(command) {
+    const { tokens, substitutions } = tokenize(command);
+    const commands = [];
+    let current = null;
+
+    const finish = () => {
+        if (current && (current.argv.length > 0 || current.redirects.length > 0 || current.assignments.length > 0)) {
+            current.text = command.slice(current.start, current.end).trim();
+            delete current.start;
+            delete current.end;
+            commands.push(current);
+        }
+        current = null;
+    };
+
+    for (let t = 0; t < tokens.length; t++) {
+        const token = tokens[t];
+        if (token.type === 'op') {
+            finish();
+            continue;
+        }
+
+        if (!current) {
+            // Reserved words that only group or test commands
+            if (token.type === 'word' && !token.quoted && GROUPING_WORDS.has(token.value)) continue;
+            current = { argv: [], assignments: [], redirects: [], hasSubstitution: false, hasExpansion: false, source: null, start: token.start, end: token.end };
+        }
+        current.end = token.end;
+
+        if (token.type === 'redirect') {
+            const target = tokens[t + 1]?.type === 'word' ? tokens[++t] : null;
+            if (target) current.end = target.end;
+            current.redirects.push({ op: token.op, fd: token.fd, target: target ? target.value : '' });
+            continue;
+        }
+
+        if (current.argv.length === 0 && !token.quoted && /^[A-Za-z_][A-Za-z0-9_]*=/.test(token.value)) {
+            current.assignments.push(token.value);
+        } else {
+            current.argv.push(token.value);
+        }
+        if (token.hasSubstitution) current.hasSubstitution = true;
+        if (token.hasExpansion) current.hasExpansion = true;
+    }
+    finish();
+
+    for (const inner of substitutions) {
+        for (const nested of parseShellCommand(inner)) {
+            commands.push({ ...nested, source: 'substitution' });
+        }
+    }
+
+    return commands;
+}
+
+export default {
+    parseShellCommand
+};
@@ -0,0 +1,345 @@
+// MyLocalCLI - Symbol Extraction
+// Lightweight, regex-based outline of a source file: definitions, imports and keywords
+
+/**
+ * Symbol defined in a file
+ * @typedef {Object} FileSymbol
+ * @property {string} name - Identifier
+ * @property {string} kind - function, class, method, variable, type, interface, enum, struct, trait, module
+ * @property {number} line - 1-based line number
+ * @property {boolean} exported - Visible outside the file
+ */
+
+// Definition patterns per language; `exported` decides visibility from the match
+const SYMBOL_RULES = {
+    javascript: [
+        { pattern: /^\s*(export\s+(?:default\s+)?)?(?:async\s+)?function\s*\*?\s*([A-Za-z_$][\w$]*)/, kind: 'function' },
+        { pattern: /^\s*(export\s+(?:default\s+)?)?(?:abstract\s+)?class\s+([A-Za-z_$][\w$]*)/, kind: 'class' },
+        { pattern: /^\s*(export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=\s*(?:async\s*)?(?:function\b|\([^)]*\)\s*=>|[A-Za-z_$][\w$]*\s*=>)/, kind: 'function' },
+        { pattern: /^(export\s+)?(?:const|let|var)\s+([A-Za-z_$][\w$]*)\s*=/, kind: 'variable' },
+        { pattern: /^\s*(export\s+)?interface\s+([A-Za-z_$][\w$]*)/, kind: 'interface' },
+        { pattern: /^\s*(export\s+)?type\s+([A-Za-z_$][\w$]*)\s*(?:<[^>]*>)?\s*=/, kind: 'type' },
+        { pattern: /^\s*(export\s+)?(?:const\s+)?enum\s+([A-Za-z_$][\w$]*)/, kind: 'enum' },
+        { pattern: /^\s+()(?:static\s+)?(?:async\s+)?(?:get\s+|set\s+)?([A-Za-z_$][\w$]*)\s*\([^)]*\)\s*\{/, kind: 'method', skip: /^(if|for|while|switch|catch|function|return)$/ },
+        { pattern: /^\s*(exports|module\.exports)\.([A-Za-z_$][\w$]*)\s*=/, kind: 'function' }
+    ],
+    python: [
+        { pattern: /^()(?:async\s+)?def\s+([A-Za-z_]\w*)/, kind: 'function', exported: name => !name.startsWith('_') },
+        { pattern: /^()class\s+([A-Za-z_]\w*)/, kind: 'class', exported: name => !name.startsWith('_') },
+        { pattern: /^\s+()(?:async\s+)?def\s+([A-Za-z_]\w*)/, kind: 'method', exported: () => false },
+        { pattern: /^()([A-Z][A-Z0-9_]+)\s*=/, kind: 'variable', exported: () => true }
+    ],
+    go: [
+        { pattern: /^()func\s+(?:\([^)]*\)\s*)?([A-Za-z_]\w*)/, kind: 'function', exported: name => /^[A-Z]/.test(name) },
+        { pattern: /^()type\s+([A-Za-z_]\w*)\s+struct/, kind: 'struct', exported: name => /^[A-Z]/.test(name) },
+        { pattern: /^()type\s+([A-Za-z_]\w*)\s+interface/, kind: 'interface', exported: name => /^[A-Z]/.test(name) },
+        { pattern: /^()type\s+([A-Za-z_]\w*)\s+/, kind: 'type', exported: name => /^[A-Z]/.test(name) }
+    ],
+    rust: [
+        { pattern: /^\s*(pub(?:\([^)]*\))?\s+)?(?:async\s+)?(?:unsafe\s+)?fn\s+([A-Za-z_]\w*)/, kind: 'function' },
+        { pattern: /^\s*(pub(?:\([^)]*\))?\s+)?struct\s+([A-Za-z_]\w*)/, kind: 'struct' },
+        { pattern: /^\s*(pub(?:\([^)]*\))?\s+)?enum\s+([A-Za-z_]\w*)/, kind: 'enum' },
+        { pattern: /^\s*(pub(?:\([^)]*\))?\s+)?trait\s+([A-Za-z_]\w*)/, kind: 'trait' },
+        { pattern: /^\s*(pub(?:\([^)]*\))?\s+)?mod\s+([A-Za-z_]\w*)\s*\{/, kind: 'module' }
+    ],
+    java: [
+        { pattern: /^\s*((?:public|protected)\s+)?(?:[\w<>]+\s+)*(?:class|record)\s+([A-Za-z_]\w*)/, kind: 'class' },
+        { pattern: /^\s*((?:public|protected)\s+)?(?:[\w<>]+\s+)*interface\s+([A-Za-z_]\w*)/, kind: 'interface' },
+        { pattern: /^\s*((?:public|protected)\s+)?(?:[\w<>]+\s+)*enum\s+([A-Za-z_]\w*)/, kind: 'enum' },
+        { pattern: /^\s+((?:public|protected)\s+)?(?:(?:private|static|final|abstract|synchronized|override|suspend)\s+)*(?:fun\s+|[\w<>[\],.?]+\s+)([a-z]\w*)\s*\([^;]*$/, kind: 'method', skip: /^(if|for|while|switch|catch|return|new)$/ }
+    ],
+    ruby: [
+        { pattern: /^\s*()def\s+(?:self\.)?([A-Za-z_]\w*[?!]?)/, kind: 'function', exported: () => true },
+        { pattern: /^\s*()class\s+([A-Z]\w*)/, kind: 'class', exported: () => true },
+        { pattern: /^\s*()module\s+([A-Z]\w*)/, kind: 'module', exported: () => true }
+    ],
+    php: [
+        { pattern: /^\s*((?:public\s+)?)(?:static\s+)?function\s+([A-Za-z_]\w*)/, kind: 'function', exported: () => true },
+        { pattern: /^\s*()(?:abstract\s+|final\s+)?class\s+([A-Za-z_]\w*)/, kind: 'class', exported: () => true },
+        { pattern: /^\s*()interface\s+([A-Za-z_]\w*)/, kind: 'interface', exported: () => true }
+    ],
+    c: [
+        { pattern: /^()(?:static\s+|inline\s+|extern\s+)*[A-Za-z_][\w\s*:<>,]*?\b([A-Za-z_]\w*)\s*\([^;]*$/, kind: 'function', exported: () => true, skip: /^(if|for|while|switch|return|sizeof)$/ },
+        { pattern: /^()(?:typedef\s+)?(?:struct|class|enum|union)\s+([A-Za-z_]\w*)\s*[{:]?/, kind: 'struct', exported: () => true }
+    ]
+};
+
+// Languages that share another language's rules
+const RULE_ALIASES = {
+    typescript: 'javascript',
+    kotlin: 'java',
+    scala: 'java',
+    csharp: 'java',
+    swift: 'java',
+    cpp: 'c'
+};
+
+// Import patterns per language; the first capture group is the module
+const IMPORT_RULES = {
+    javascript: [
+        /\bimport\s+(?:[\w*{}\s,$]+\s+from\s+)?['"]([^'"]+)['"]/g,
+        /\bexport\s+(?:\*|\{[^}]*\})\s+from\s+['"]([^'"]+)['"]/g,
+        /\brequire\(\s*['"]([^'"]+)['"]\s*\)/g,
+        /\bimport\(\s*['"]([^'"]+)['"]\s*\)/g
+    ],
+    python: [
+        /^\s*from\s+([.\w]+)\s+import\b/gm,
+        /^\s*import\s+([\w.]+)/gm
+    ],
+    go: [
+        /^\s*import\s+(?:\w+\s+)?"([^"]+)"/gm,
+        /^\s+(?:\w+\s+)?"([^"]+)"\s*$/gm
+    ],
+    rust: [
+        /^\s*(?:pub\s+)?use\s+([\w:]+)/gm,
+        /^\s*(?:pub\s+)?mod\s+(\w+)\s*;/gm
+    ],
+    java: [
+        /^\s*import\s+(?:static\s+)?([\w.]+)/gm,
+        /^\s*using\s+([\w.]+)\s*;/gm
+    ],
+    ruby: [
+        /^\s*require(?:_relative)?\s+['"]([^'"]+)['"]/gm
+    ],
+    php: [
+        /^\s*use\s+([\w\\]+)/gm,
+        /\b(?:require|include)(?:_once)?\s*\(?\s*['"]([^'"]+)['"]/g
+    ],
+    c: [
+        /^\s*#\s*include\s+"([^"]+)"/gm
+    ]
+};
+
+// Words too common in code or questions to say anything about a file
+export const STOP_WORDS = new Set([
+    'the', 'and', 'for', 'with', 'from', 'this', 'that', 'are', 'was', 'were', 'has', 'have', 'had',
+    'not', 'but', 'you', 'your', 'our', 'can', 'how', 'what', 'where', 'when', 'why', 'which', 'who',
+    'does', 'did', 'into', 'out', 'all', 'any', 'use', 'used', 'uses', 'using', 'get', 'set', 'new',
+    'return', 'const', 'let', 'var', 'function', 'class', 'import', 'export', 'default', 'async',
+    'await', 'true', 'false', 'null', 'undefined', 'self', 'def', 'public', 'private', 'static',
+    'void', 'int', 'string', 'number', 'boolean', 'else', 'elif', 'while', 'break', 'continue',
+    'try', 'catch', 'finally', 'throw', 'throws', 'require', 'module', 'exports', 'package', 'struct',
+    'impl', 'pub', 'mut', 'func', 'type', 'interface', 'some', 'there', 'here', 'then', 'them',
+    'they', 'its', 'also', 'just', 'only', 'like', 'make', 'need', 'want', 'code', 'file', 'files'
+]);
+
+/**
+ * Split text into lowercase search terms
+ * Identifiers are split on camelCase and snake_case, and simple plurals
+ * (including acronyms like "JWTs") are folded onto the singular.
+ */
+export function splitTerms(text) {
+    const terms = [];
+    for (const [word] of String(text).matchAll(/[A-Za-z][A-Za-z0-9]*/g)) {
+        const parts = word
+            .replace(/([A-Z]{2,})s$/, '$1')
+            .replace(/([a-z0-9])([A-Z])/g, '$1 $2')
+            .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2')
+            .split(' ');
+        for (const part of parts) {
+            const term = normalizeTerm(part.toLowerCase());
+            if (term.length >= 3 && !STOP_WORDS.has(term)) {
+                terms.push(term);
+            }
+        }
+    }
+    return terms;
+}
+
+// Fold plurals onto the singular
+function normalizeTerm(term) {
+    if (term.length > 4 && term.endsWith('ies')) return term.slice(0, -3) + 'y';
+    if (term.length > 4 && term.endsWith('ses')) return term.slice(0, -2);
+    if (term.length > 3 && term.endsWith('s') && !term.endsWith('ss')) return term.slice(0, -1);
+    return term;
+}
+
+/**
+ * Extract the symbols defined in a file
+ * @param {string} content - File content
+ * @param {string} language - Language from getLanguageFromExtension
+ * @returns {FileSymbol[]}
+ */
+export function extractSymbols(content, language) {
+    const rules = SYMBOL_RULES[RULE_ALIASES[language] || language];
+    if (!rules) return [];
+
+    const symbols = [];
+    const seen = new Set();
+    const lines = content.split(/\r?\n/);
+
+    lines.forEach((line, i) => {
+        for (const rule of rules) {
+            const match = line.match(rule.pattern);
+            if (!match) continue;
+            const name = match[2];
+            if (rule.skip?.test(name)) continue;
+            const key = `${rule.kind}:${name}`;
+            if (!seen.has(key)) {
+                seen.add(key);
+                symbols.push({
+                    name,
+                    kind: rule.kind,
+                    line: i + 1,
+                    exported: rule.exported ? rule.exported(name) : Boolean(match[1])
+                });
+            }
+            break;
+        }
+    });
+
+    // `export { a, b as c }` marks earlier definitions as exported
+    if ((RULE_ALIASES[language] || language) === 'javascript') {
+        for (const [, list] of content.matchAll(/\bexport\s*\{([^}]*)\}(?!\s*from)/g)) {
+            for (const entry of list.split(',')) {
+                const name = entry.trim().split(/\s+as\s+/)[0].trim();
+                const symbol = symbols.find(s => s.name === name);
+                if (symbol) symbol.exported = true;
+            }
+        }
+    }
+
+    return symbols;
+}
+
+// Longest chunk before it is split further
+export const MAX_CHUNK_LINES = 80;
+
+// Chunks shorter than this are merged into the next one (runs of constants, one-liners)
+const MIN_CHUNK_LINES = 5;
+
+// Comments, docstrings and decorators that belong to the definition below them
+const LEADING_LINE = /^\s*(\/\/|\/\*|\*|@|#(?!\s*(?:include|define|import)\b))/;
+
+/**
+ * Chunk of a source file
+ * @typedef {Object} CodeChunk
+ * @property {number} start - First line (1-based)
+ * @property {number} end - Last line (inclusive)
+ * @property {string|null} symbol - Definition or heading the chunk starts with
+ * @property {string} text - Chunk source
+ */
+
+/**
+ * Split a file into chunks along function and class boundaries
+ * Leading comments and decorators stay with the definition they describe,
+ * markdown is split at headings, and chunks longer than MAX_CHUNK_LINES are
+ * split at their methods (or every MAX_CHUNK_LINES lines). Very short
+ * neighbouring chunks are merged.
+ *
+ * @param {string} content - File content
+ * @param {string} language - Language from getLanguageFromExtension
+ * @param {FileSymbol[]} [symbols] - Symbols already extracted from the content
+ * @returns {CodeChunk[]}
+ */
+export function chunkBySymbols(content, language, symbols = extractSymbols(content, language)) {
+    const lines = content.split(/\r?\n/);
+    if (lines[lines.length - 1] === '') lines.pop();
+    if (lines.length === 0) return [];
+
+    const startOf = (line) => {
+        let start = line;
+        while (start > 1 && LEADING_LINE.test(lines[start - 2])) start--;
+        return start;
+    };
+
+    let marks;
+    if (language === 'markdown') {
+        marks = lines.flatMap((line, i) => /^#{1,6}\s/.test(line)
+            ? [{ start: i + 1, name: line.replace(/^#+\s*/, '').trim() }]
+            : []);
+    } else {
+        marks = symbols
+            .filter(s => s.kind !== 'method')
+            .map(s => ({ start: startOf(s.line), name: s.name }));
+    }
+    marks = marks.filter((mark, i) => i === 0 || mark.start > marks[i - 1].start);
+    if (marks.length === 0 || marks[0].start > 1) marks.unshift({ start: 1, name: null });
+
+    // Method starts are where an oversized chunk may be cut
+    const cuts = new Map(symbols
+        .filter(s => s.kind === 'method')
+        .map(s => [startOf(s.line), s.name]));
+
+    const chunks = [];
+    const push = (start, end, symbol) => {
+        const previous = chunks[chunks.length - 1];
+        if (previous && previous.end === start - 1 && previous.end - previous.start + 1 < MIN_CHUNK_LINES && end - previous.start < MAX_CHUNK_LINES) {
+            previous.end = end;
+            previous.symbol ??= symbol;
+        } else {
+            chunks.push({ start, end, symbol });
+        }
+    };
+
+    marks.forEach((mark, i) => {
+        const end = i + 1 < marks.length ? marks[i + 1].start - 1 : lines.length;
+        let start = mark.start;
+        let symbol = mark.name;
+
+        while (end - start + 1 > MAX_CHUNK_LINES) {
+            let cut = start + MAX_CHUNK_LINES;
+            for (let line = cut; line > start; line--) {
+                if (cuts.has(line)) {
+                    cut = line;
+                    break;
+                }
+            }
+            push(start, cut - 1, symbol);
+            start = cut;
+            symbol = cuts.get(cut) || mark.name;
+        }
+        push(start, end, symbol);
+    });
+
+    return chunks
+        .map(chunk => ({ ...chunk, text: lines.slice(chunk.start - 1, chunk.end).join('\n') }))
+        .filter(chunk => chunk.text.trim());
+}
+
+/**
+ * Extract the modules a file imports (as written in the source)
+ * @param {string} content - File content
+ * @param {string} language - Language from getLanguageFromExtension
+ * @returns {string[]}
+ */
+export function extractImports(content, language) {
+    const rules = IMPORT_RULES[RULE_ALIASES[language] || language];
+    if (!rules) return [];
+
+    const imports = new Set();
+    for (const pattern of rules) {
+        for (const match of content.matchAll(pattern)) {
+            imports.add(match[1]);
+        }
+    }
+    return [...imports];
+}
+
+/**
+ * Most frequent terms in a file (identifiers and comment words)
+ * @param {string} content - File content
+ * @param {number} [limit] - Terms to keep
+ * @returns {Object<string, number>} Term counts
+ */
+export function extractKeywords(content, limit = 40) {
+    const counts = new Map();
+    for (const term of splitTerms(content)) {
+        counts.set(term, (counts.get(term) || 0) + 1);
+    }
+    return Object.fromEntries(
+        [...counts.entries()]
+            .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+            .slice(0, limit)
+    );
+}
+
+export default {
+    extractSymbols,
+    extractImports,
+    extractKeywords,
+    chunkBySymbols,
+    splitTerms,
+    STOP_WORDS,
+    MAX_CHUNK_LINES
+};
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { executeTool } from '../src/core/tools.js';
+import {
+    createCheckpoint,
+    listCheckpoints,
+    restoreCheckpoint,
+    undoLastCheckpoint
+} from '../src/core/checkpoints.js';
+
+describe('checkpoints', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-checkpoints-' + Date.now());
+    const read = (file) => fs.readFile(path.join(testDir, file), 'utf-8');
+    const exists = (file) => fs.access(path.join(testDir, file)).then(() => true, () => false);
+    const run = (checkpoint, tool, args) => executeTool(tool, args, testDir, { checkpoint, autoApprove: true });
+
+    beforeEach(async () => {
+        await fs.mkdir(path.join(testDir, 'src'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'src', 'app.js'), 'const a = 1;\n');
+        await fs.writeFile(path.join(testDir, 'README.md'), '# Demo\n');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should undo every change made in a turn', async () => {
+        const checkpoint = createCheckpoint(testDir, { prompt: 'refactor' });
+
+        await run(checkpoint, 'edit_file', { path: 'src/app.js', old_content: '1', new_content: '2' });
+        await run(checkpoint, 'edit_file', { path: 'src/app.js', old_content: '2', new_content: '3' });
+        await run(checkpoint, 'write_file', { path: 'src/new.js', content: 'new' });
+        await run(checkpoint, 'delete_file', { path: 'README.md' });
+        await run(checkpoint, 'move_file', { source: 'src/new.js', destination: 'lib/new.js' });
+
+        expect(checkpoint.files.map(f => f.path).sort()).toEqual(['README.md', 'lib/new.js', 'src/app.js', 'src/new.js']);
+
+        const result = await undoLastCheckpoint(testDir);
+
+        expect(result.success).toBe(true);
+        expect(await read('src/app.js')).toBe('const a = 1;\n');
+        expect(await read('README.md')).toBe('# Demo\n');
+        expect(await exists('src/new.js')).toBe(false);
+        expect(await exists('lib/new.js')).toBe(false);
+        expect(await listCheckpoints(testDir)).toHaveLength(0);
+    });
+
+    it('should undo moving a directory', async () => {
+        const checkpoint = createCheckpoint(testDir, { prompt: 'rename src' });
+        await run(checkpoint, 'move_file', { source: 'src', destination: 'lib' });
+        expect(await read('lib/app.js')).toBe('const a = 1;\n');
+
+        const result = await undoLastCheckpoint(testDir);
+
+        expect(result.success).toBe(true);
+        expect(await read('src/app.js')).toBe('const a = 1;\n');
+        expect(await exists('lib')).toBe(false);
+        expect(await listCheckpoints(testDir)).toHaveLength(0);
+    });
+
+    it('should restore every file it can and keep the checkpoint when one fails', async () => {
+        const checkpoint = createCheckpoint(testDir);
+        await run(checkpoint, 'write_file', { path: 'notes.txt', content: 'new' });
+        await run(checkpoint, 'edit_file', { path: 'src/app.js', old_content: '1', new_content: '2' });
+        // A blob that went missing can't be restored
+        await fs.rm(path.join(testDir, '.mylocalcli', 'checkpoints', checkpoint.id, checkpoint.files[1].blob));
+
+        const result = await undoLastCheckpoint(testDir);
+
+        expect(result.success).toBe(false);
+        expect(result.failed.map(f => f.path)).toEqual(['src/app.js']);
+        expect(result.restored).toEqual(['notes.txt']);
+        expect(await exists('notes.txt')).toBe(false);
+        expect(await listCheckpoints(testDir)).toHaveLength(1);
+    });
+
+    it('should not create a checkpoint when nothing changes', async () => {
+        const checkpoint = createCheckpoint(testDir);
+        await run(checkpoint, 'read_file', { path: 'README.md' });
+
+        expect(await listCheckpoints(testDir)).toHaveLength(0);
+        expect((await undoLastCheckpoint(testDir)).success).toBe(false);
+    });
+
+    it('should snapshot only the files find_replace will change', async () => {
+        const checkpoint = createCheckpoint(testDir);
+        await run(checkpoint, 'find_replace', { find: 'const', replace: 'let' });
+
+        expect(checkpoint.files.map(f => f.path)).toEqual(['src/app.js']);
+    });
+
+    it('should revert later turns when restoring an older checkpoint', async () => {
+        const first = createCheckpoint(testDir, { prompt: 'first' });
+        await run(first, 'append_file', { path: 'README.md', content: 'one\n' });
+
+        const second = createCheckpoint(testDir, { prompt: 'second' });
+        await run(second, 'append_file', { path: 'README.md', content: 'two\n' });
+        await run(second, 'write_file', { path: 'notes.txt', content: 'later' });
+
+        const listed = await listCheckpoints(testDir);
+        expect(listed.map(cp => cp.prompt)).toEqual(['second', 'first']);
+
+        const result = await restoreCheckpoint(testDir, first.id.slice(0, 20));
+
+        expect(result.success).toBe(true);
+        expect(result.reverted).toEqual([second.id, first.id]);
+        expect(await read('README.md')).toBe('# Demo\n');
+        expect(await exists('notes.txt')).toBe(false);
+    });
+
+    it('should keep the checkpoint store out of git', async () => {
+        const checkpoint = createCheckpoint(testDir);
+        await run(checkpoint, 'write_file', { path: 'a.txt', content: 'a' });
+
+        const gitignore = await fs.readFile(path.join(testDir, '.mylocalcli', 'checkpoints', '.gitignore'), 'utf-8');
+        expect(gitignore.trim()).toBe('*');
+    });
+});
@@ -0,0 +1,247 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { estimateTokens, estimateMessagesTokens, getTokenizerProfile, TOKENIZER_PROFILES } from '../src/core/tokens.js';
+import {
+    getContextWindow,
+    getModelCapabilities,
+    getResponseTokenLimit,
+    DEFAULT_LOCAL_CONTEXT_WINDOW,
+    MIN_RESPONSE_TOKENS
+} from '../src/config/models.js';
+import { getSetting, setSetting } from '../src/config/settings.js';
+import {
+    getContextBreakdown,
+    getCompactThreshold,
+    needsCompaction,
+    findCompactionSplit,
+    compactConversation,
+    SUMMARY_PREFIX
+} from '../src/core/compaction.js';
+import { buildPromptSections } from '../src/core/prompt.js';
+
+// Fake provider that returns a fixed summary and records the request
+function summarizingProvider(summary) {
+    return {
+        model: 'llama3.2',
+        calls: [],
+        async *stream(messages) {
+            this.calls.push(messages);
+            yield summary;
+        }
+    };
+}
+
+const conversation = () => [
+    { role: 'user', content: 'Read app.js' },
+    { role: 'assistant', content: '', tool_calls: [{ id: 'c1', type: 'function', function: { name: 'read_file', arguments: '{"path":"app.js"}' } }] },
+    { role: 'tool', tool_call_id: 'c1', content: 'const a = 1;' },
+    { role: 'assistant', content: 'It defines a.' },
+    { role: 'user', content: 'Rename a to b' },
+    { role: 'assistant', content: 'Done.' },
+    { role: 'user', content: 'Now add a test' },
+    { role: 'assistant', content: 'Added.' }
+];
+
+describe('token estimation', () => {
+    it('should count more tokens for small-vocabulary models', () => {
+        const text = 'function validateToken(token) { return jwt.verify(token, secret); }';
+        expect(getTokenizerProfile('mistral-7b-instruct')).toBe(TOKENIZER_PROFILES.sentencepiece);
+        expect(getTokenizerProfile('gpt-4o-mini')).toBe(TOKENIZER_PROFILES.o200k);
+        expect(estimateTokens(text, 'mistral-7b-instruct')).toBeGreaterThan(estimateTokens(text, 'gpt-4o-mini'));
+    });
+
+    it('should stay close to a real tokenizer for English', () => {
+        // cl100k encodes this sentence as 10 tokens
+        expect(estimateTokens('The quick brown fox jumps over the lazy dog.', 'gpt-4')).toBeGreaterThanOrEqual(9);
+        expect(estimateTokens('The quick brown fox jumps over the lazy dog.', 'gpt-4')).toBeLessThanOrEqual(14);
+        expect(estimateTokens('', 'gpt-4')).toBe(0);
+    });
+
+    it('should include tool calls and per-message overhead', () => {
+        const [first, withTools] = conversation();
+        expect(estimateMessagesTokens([withTools])).toBeGreaterThan(estimateMessagesTokens([{ role: 'assistant', content: '' }]));
+        expect(estimateMessagesTokens([first])).toBeGreaterThan(estimateTokens(first.content));
+    });
+});
+
+describe('context windows', () => {
+    it('should look up models by id pattern', () => {
+        expect(getContextWindow('openai', 'gpt-4o-mini')).toBe(128000);
+        expect(getContextWindow('groq', 'llama-3.3-70b-versatile')).toBe(131072);
+        expect(getContextWindow('openrouter', 'mistralai/mistral-7b-instruct')).toBe(32768);
+    });
+
+    it('should assume a small window for unknown local models', () => {
+        expect(getContextWindow('lmstudio', 'local-model')).toBe(DEFAULT_LOCAL_CONTEXT_WINDOW);
+        expect(getContextWindow('vllm', 'my-finetune')).toBe(DEFAULT_LOCAL_CONTEXT_WINDOW);
+        // Local servers don't load a model with the full window it supports
+        expect(getContextWindow('ollama', 'llama3.1:8b')).toBe(DEFAULT_LOCAL_CONTEXT_WINDOW);
+        expect(getContextWindow('ollama', 'llama2')).toBe(4096);
+    });
+
+    it('should prefer the context length the server reported', () => {
+        expect(getContextWindow('llamacpp', 'qwen2.5-coder', 65536)).toBe(65536);
+    });
+});
+
+describe('model capabilities', () => {
+    let savedOverrides;
+
+    beforeEach(() => {
+        savedOverrides = getSetting('modelCapabilities');
+    });
+
+    afterEach(() => {
+        setSetting('modelCapabilities', savedOverrides || {});
+    });
+
+    it('should look up what a model can do', () => {
+        expect(getModelCapabilities('openai', 'gpt-4o-mini')).toEqual({
+            contextWindow: 128000,
+            maxOutput: 16384,
+            tools: true,
+            vision: true,
+            jsonMode: true,
+            reasoning: null
+        });
+        expect(getModelCapabilities('ollama', 'deepseek-r1:14b')).toMatchObject({ tools: false, reasoning: 'think-tags' });
+        // Distills carry their base model's name
+        expect(getModelCapabilities('lmstudio', 'deepseek-r1-distill-qwen-7b')).toMatchObject({ tools: false, reasoning: 'think-tags' });
+        expect(getModelCapabilities('ollama', 'deepseek-r1-distill-llama-8b').reasoning).toBe('think-tags');
+        expect(getModelCapabilities('lmstudio', 'local-model')).toMatchObject({ contextWindow: DEFAULT_LOCAL_CONTEXT_WINDOW, maxOutput: 4096, tools: null });
+        // Never more output than the window holds
+        expect(getModelCapabilities('llamacpp', 'my-model', 2048).maxOutput).toBe(2048);
+    });
+
+    it('should apply local overrides by exact id or pattern', () => {
+        setSetting('modelCapabilities', {
+            'my-*': { tools: false, contextWindow: 16384 },
+            'my-coder': { tools: true },
+            'deepseek-r1:14b': { contextWindow: 131072 }
+        });
+
+        expect(getModelCapabilities('ollama', 'my-coder')).toMatchObject({ tools: true, contextWindow: 16384 });
+        expect(getModelCapabilities('ollama', 'my-chat')).toMatchObject({ tools: false, contextWindow: 16384 });
+        // An override beats what the server reported
+        expect(getContextWindow('ollama', 'deepseek-r1:14b', 32768)).toBe(131072);
+        expect(getModelCapabilities('ollama', 'deepseek-r1:14b').reasoning).toBe('think-tags');
+    });
+
+    it('should fit max_tokens and the compaction threshold to the model', () => {
+        const small = getModelCapabilities('ollama', 'llama2');
+        expect(getResponseTokenLimit(small, 1000)).toBe(2048);
+        expect(getResponseTokenLimit(small, 3000)).toBe(1096);
+        expect(getResponseTokenLimit(small, 4000)).toBe(MIN_RESPONSE_TOKENS);
+
+        // llama2 has 4K of context: a quarter is kept for the response
+        expect(getCompactThreshold(small, 0.8)).toBe(0.75);
+        expect(getCompactThreshold(getModelCapabilities('openai', 'gpt-4o'), 0.8)).toBe(0.8);
+    });
+});
+
+describe('compaction', () => {
+    it('should report each part of the context', () => {
+        const breakdown = getContextBreakdown({
+            sections: { base: 'You are a coding assistant.', pinnedFiles: '', relevantFiles: 'const a = 1;' },
+            messages: conversation(),
+            model: 'gpt-4o',
+            contextWindow: 100
+        });
+
+        expect(breakdown.parts.map(p => p.label)).toEqual([
+            'System prompt',
+            'Pinned files',
+            'Relevant files',
+            'Tool definitions',
+            'Conversation (8 messages)'
+        ]);
+        expect(breakdown.total).toBe(breakdown.parts.reduce((sum, p) => sum + p.tokens, 0));
+        expect(needsCompaction(breakdown, 0.5)).toBe(breakdown.total >= 50);
+    });
+
+    it('should only split at user messages', () => {
+        expect(findCompactionSplit(conversation(), 2)).toBe(4);
+        expect(findCompactionSplit(conversation(), 3)).toBe(0);
+    });
+
+    it('should not count text-mode tool results as turns', () => {
+        const call = (file) => `\`\`\`json\n{"tool":"read_file","arguments":{"path":"${file}"}}\n\`\`\``;
+        const result = (text) => `<tool_result name="read_file" status="success">\n${text}\n</tool_result>`;
+        const messages = [
+            { role: 'user', content: 'Explain a.js and b.js' },
+            { role: 'assistant', content: call('a.js') },
+            { role: 'user', content: result('const a = 1;') },
+            { role: 'assistant', content: call('b.js') },
+            { role: 'user', content: result('const b = 2;') },
+            { role: 'assistant', content: 'Both define a constant.' }
+        ];
+
+        expect(findCompactionSplit(messages, 2)).toBe(0);
+        expect(findCompactionSplit([...messages, { role: 'user', content: 'Thanks' }], 1)).toBe(6);
+    });
+
+    it('should replace older turns with a summary and keep recent turns', async () => {
+        const messages = conversation();
+        const provider = summarizingProvider('User wanted app.js explained; it defines a.');
+
+        const result = await compactConversation(provider, messages, { instructions: 'naming' });
+
+        expect(result.success).toBe(true);
+        expect(result.removed).toBe(4);
+        expect(messages).toHaveLength(5);
+        expect(messages[0].content).toBe(`${SUMMARY_PREFIX}\n\nUser wanted app.js explained; it defines a.`);
+        expect(messages[1].content).toBe('Rename a to b');
+
+        const [system, transcript] = provider.calls[0];
+        expect(system.content).toContain('Pay particular attention to: naming');
+        expect(transcript.content).toContain('[called read_file({"path":"app.js"})]');
+        expect(transcript.content).not.toContain('Rename a to b');
+    });
+
+    it('should drop the reasoning of think-tag models from the summary', async () => {
+        const messages = conversation();
+        const provider = summarizingProvider('<think>What matters here? Probably the rename.</think>\nThe user renamed a.');
+        provider.model = 'qwen3:8b';
+
+        const result = await compactConversation(provider, messages);
+
+        expect(result.summary).toBe('The user renamed a.');
+        expect(messages[0].content).toBe(`${SUMMARY_PREFIX}\n\nThe user renamed a.`);
+    });
+
+    it('should leave the conversation alone when summarizing fails', async () => {
+        const messages = conversation();
+        const result = await compactConversation(summarizingProvider('   '), messages);
+        expect(result.success).toBe(false);
+        expect(messages).toHaveLength(8);
+    });
+});
+
+describe('pinned files', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-context-' + Date.now());
+
+    beforeEach(async () => {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'auth.js'), 'export function validateJwt() {}\n');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should include pinned files in full and not repeat them as relevant files', async () => {
+        const sections = await buildPromptSections({
+            cwd: testDir,
+            provider: {},
+            enableTools: false,
+            pinnedFiles: ['auth.js'],
+            query: 'look at "auth.js"'
+        });
+
+        expect(sections.pinnedFiles).toContain('### auth.js');
+        expect(sections.pinnedFiles).toContain('export function validateJwt() {}');
+        expect(sections.relevantFiles).not.toContain('auth.js');
+    });
+});
@@ -0,0 +1,146 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createUnifiedDiff, diffLines, diffStats, truncateDiff } from '../src/utils/diff.js';
+import { executeTool } from '../src/core/tools.js';
+import { createTurnState, reviewChanges } from '../src/core/review.js';
+import { createPermissionPolicy } from '../src/core/permissions.js';
+
+const numbered = (count) => Array.from({ length: count }, (_, i) => `line ${i + 1}`).join('\n') + '\n';
+
+describe('diff', () => {
+    describe('diffLines', () => {
+        it('should find a shortest edit script', () => {
+            const ops = diffLines(['a', 'b', 'c', 'a', 'b', 'b', 'a'], ['c', 'b', 'a', 'b', 'a', 'c']);
+            const edits = ops.filter(op => op.type !== 'equal');
+            expect(edits).toHaveLength(5);
+            expect(ops.filter(op => op.type !== 'insert').map(op => op.line)).toEqual(['a', 'b', 'c', 'a', 'b', 'b', 'a']);
+            expect(ops.filter(op => op.type !== 'delete').map(op => op.line)).toEqual(['c', 'b', 'a', 'b', 'a', 'c']);
+        });
+
+        it('should keep unchanged lines as equal', () => {
+            expect(diffLines(['x', 'y'], ['x', 'y'])).toEqual([
+                { type: 'equal', line: 'x' },
+                { type: 'equal', line: 'y' }
+            ]);
+        });
+    });
+
+    describe('createUnifiedDiff', () => {
+        it('should return an empty string when nothing changed', () => {
+            expect(createUnifiedDiff('same\n', 'same\n')).toBe('');
+        });
+
+        it('should produce hunks with headers and three context lines', () => {
+            const before = numbered(20);
+            const after = before.replace('line 5\n', 'line five\n').replace('line 17\n', '');
+            const diff = createUnifiedDiff(before, after, { path: 'src/app.js' });
+
+            expect(diff).toBe([
+                '--- a/src/app.js',
+                '+++ b/src/app.js',
+                '@@ -2,7 +2,7 @@',
+                ' line 2',
+                ' line 3',
+                ' line 4',
+                '-line 5',
+                '+line five',
+                ' line 6',
+                ' line 7',
+                ' line 8',
+                '@@ -14,7 +14,6 @@',
+                ' line 14',
+                ' line 15',
+                ' line 16',
+                '-line 17',
+                ' line 18',
+                ' line 19',
+                ' line 20',
+                ''
+            ].join('\n'));
+        });
+
+        it('should merge changes whose context overlaps', () => {
+            const before = numbered(10);
+            const after = before.replace('line 3\n', 'three\n').replace('line 8\n', 'eight\n');
+            const diff = createUnifiedDiff(before, after);
+            expect(diff.match(/^@@/gm)).toHaveLength(1);
+            expect(diff).toContain('@@ -1,10 +1,10 @@');
+        });
+
+        it('should diff new files against /dev/null', () => {
+            const diff = createUnifiedDiff(null, 'a\nb\n', { path: 'new.txt' });
+            expect(diff).toBe('--- /dev/null\n+++ b/new.txt\n@@ -0,0 +1,2 @@\n+a\n+b\n');
+        });
+
+        it('should flag a missing newline at end of file', () => {
+            const diff = createUnifiedDiff('a\nb\n', 'a\nb');
+            expect(diff).toContain('-b\n+b\n\\ No newline at end of file');
+        });
+
+        it('should ignore CRLF vs LF line endings', () => {
+            expect(createUnifiedDiff('a\r\nb\r\n', 'a\nb\n')).toBe('');
+        });
+    });
+
+    it('should count and truncate diff lines', () => {
+        const diff = createUnifiedDiff(null, numbered(10), { path: 'x' });
+        expect(diffStats(diff)).toEqual({ added: 10, removed: 0 });
+        expect(truncateDiff(diff, 5)).toContain('... (8 more diff lines)');
+        expect(truncateDiff(diff, 100)).toBe(diff);
+    });
+});
+
+describe('change review', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-review-' + Date.now());
+
+    beforeEach(async () => {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'app.js'), 'const a = 1;\nconst b = 2;\n');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should return the diff to the model with the tool result', async () => {
+        const result = await executeTool('edit_file', {
+            path: 'app.js',
+            old_content: 'const b = 2;',
+            new_content: 'const b = 3;'
+        }, testDir, { autoApprove: true });
+
+        expect(result.success).toBe(true);
+        expect(result.diff).toContain('@@ -1,2 +1,2 @@');
+        expect(result.diff).toContain('-const b = 2;\n+const b = 3;');
+    });
+
+    it('should include diffs for every file changed by find_replace', async () => {
+        await fs.writeFile(path.join(testDir, 'other.js'), 'const b = 2;\n');
+        const result = await executeTool('find_replace', { find: 'b = 2', replace: 'b = 4' }, testDir, { autoApprove: true });
+
+        expect(result.filesModified).toBe(2);
+        expect(result.diff).toContain('+++ b/app.js');
+        expect(result.diff).toContain('+++ b/other.js');
+    });
+
+    it('should skip the prompt once "apply all" was chosen for the turn', async () => {
+        const turn = createTurnState();
+        turn.applyAll = true;
+        const result = await executeTool('write_file', { path: 'new.js', content: 'x\n' }, testDir, { turn });
+
+        expect(result.success).toBe(true);
+        expect(result.diff).toContain('--- /dev/null');
+        expect(await fs.readFile(path.join(testDir, 'new.js'), 'utf-8')).toBe('x\n');
+    });
+
+    it('should decline without prompting when nobody can be asked', async () => {
+        const review = await reviewChanges(
+            [{ path: 'app.js', oldContent: 'a\n', newContent: 'b\n' }],
+            { policy: createPermissionPolicy({ interactive: false }) }
+        );
+        expect(review.approved).toBe(false);
+        expect(review.diff).toContain('-a\n+b');
+    });
+});
@@ -54,5 +54,12 @@ describe('executor', () => {
         it('should not flag npm install as safe', () => {
             expect(isSafeCommand('npm install lodash')).toBe(false);
         });
+
+        it('should not treat redirections or chained commands as safe', () => {
+            expect(isSafeCommand('echo x > important.js')).toBe(false);
+            expect(isSafeCommand('ls; rm -rf src')).toBe(false);
+            expect(isSafeCommand('cat $(whoami)')).toBe(false);
+            expect(isSafeCommand('catdoc report.doc')).toBe(false);
+        });
     });
 });
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { grepFiles, resetRipgrepCheck } from '../src/utils/grep.js';
+import { executeTool } from '../src/core/tools.js';
+
+describe('grep', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-grep-' + Date.now());
+    const write = async (file, content) => {
+        await fs.mkdir(path.dirname(path.join(testDir, file)), { recursive: true });
+        await fs.writeFile(path.join(testDir, file), content);
+    };
+    const grep = (options) => grepFiles({ cwd: testDir, useRipgrep: false, ...options });
+
+    beforeEach(async () => {
+        await fs.mkdir(path.join(testDir, '.git'), { recursive: true });
+        await write('.gitignore', 'generated/\n');
+        await write('src/app.js', ['import x from "x";', '', 'function start() {', '    return Start();', '}', '', 'function stop() {}'].join('\n'));
+        await write('src/util.ts', 'export function helper(a: number) { return a; }\n');
+        await write('docs/notes.md', 'The start (a.b) of it\n');
+        await write('generated/app.js', 'function generated() {}\n');
+        await write('logo.png', Buffer.from([0x89, 0x50, 0x00, 0x66, 0x75, 0x6e, 0x63, 0x74, 0x69, 0x6f, 0x6e]));
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should match regular expressions and skip binary and ignored files', async () => {
+        const result = await grep({ pattern: 'function\\s+\\w+\\(' });
+        expect(result.engine).toBe('node');
+        expect(result.entries.sort()).toEqual([
+            `${path.join('src', 'app.js')}:3:function start() {`,
+            `${path.join('src', 'app.js')}:7:function stop() {}`,
+            `${path.join('src', 'util.ts')}:1:export function helper(a: number) { return a; }`
+        ]);
+        expect(result.hasMore).toBe(false);
+    });
+
+    it('should support fixed strings, case-insensitive matching and include globs', async () => {
+        expect((await grep({ pattern: '(a.b)', fixedStrings: true })).entries).toEqual([
+            `${path.join('docs', 'notes.md')}:1:The start (a.b) of it`
+        ]);
+
+        const insensitive = await grep({ pattern: 'start', ignoreCase: true, include: '*.js' });
+        expect(insensitive.entries).toHaveLength(2);
+    });
+
+    it('should show context lines grouped like grep -C', async () => {
+        const result = await grep({ pattern: 'return Start', before: 1, after: 2 });
+        const file = path.join('src', 'app.js');
+        expect(result.entries).toEqual([
+            `${file}-3-function start() {\n${file}:4:    return Start();\n${file}-5-}\n${file}-6-`
+        ]);
+        expect(result.separator).toBe('\n--\n');
+    });
+
+    it('should list files or counts and page through results', async () => {
+        const files = await grep({ pattern: 'function', mode: 'files_with_matches' });
+        expect(files.entries.sort()).toEqual([path.join('src', 'app.js'), path.join('src', 'util.ts')]);
+
+        const counts = await grep({ pattern: 'function', path: 'src/app.js', mode: 'count' });
+        expect(counts.entries).toEqual([`${path.join('src', 'app.js')}:2`]);
+
+        const first = await grep({ pattern: 'function', path: 'src/app.js', limit: 1 });
+        expect(first.entries).toEqual([`${path.join('src', 'app.js')}:3:function start() {`]);
+        expect(first.hasMore).toBe(true);
+
+        const second = await grep({ pattern: 'function', path: 'src/app.js', offset: 1, limit: 1 });
+        expect(second.entries).toEqual([`${path.join('src', 'app.js')}:7:function stop() {}`]);
+        expect(second.hasMore).toBe(false);
+    });
+
+    it('should reject invalid patterns and unknown modes', async () => {
+        await expect(grep({ pattern: 'a(' })).rejects.toThrow(/^Invalid regex/);
+        await expect(grep({ pattern: 'a', mode: 'lines' })).rejects.toThrow(/Unknown output mode/);
+    });
+
+    it('should return paging info from the tool', async () => {
+        const result = await executeTool('grep', { pattern: 'function', path: 'src', limit: 1 }, testDir);
+        expect(result.success).toBe(true);
+        expect(result.nextOffset).toBe(1);
+        expect(result.content).toContain('call grep again with offset: 1');
+
+        const invalid = await executeTool('grep', { pattern: '[' }, testDir);
+        expect(invalid.success).toBe(false);
+    });
+
+    it('should read ripgrep JSON output when rg is installed', async () => {
+        if (process.platform === 'win32') return;
+
+        // Stand-in rg that prints canned --json output
+        const binDir = path.join(testDir, 'bin');
+        const events = [
+            { type: 'begin', data: { path: { text: 'src/app.js' } } },
+            { type: 'context', data: { path: { text: 'src/app.js' }, lines: { text: 'function start() {\n' }, line_number: 3 } },
+            { type: 'match', data: { path: { text: 'src/app.js' }, lines: { text: '    return Start();\n' }, line_number: 4 } },
+            { type: 'end', data: { path: { text: 'src/app.js' } } },
+            { type: 'begin', data: { path: { text: 'generated/app.js' } } },
+            { type: 'match', data: { path: { text: 'generated/app.js' }, lines: { text: 'Start\n' }, line_number: 1 } },
+            { type: 'end', data: { path: { text: 'generated/app.js' } } }
+        ];
+        await write('bin/events.jsonl', events.map(e => JSON.stringify(e)).join('\n') + '\n');
+        await write('bin/rg', `#!/bin/sh\n[ "$1" = "--version" ] && exit 0\ncat "${path.join(binDir, 'events.jsonl')}"\n`);
+        await fs.chmod(path.join(binDir, 'rg'), 0o755);
+
+        const originalPath = process.env.PATH;
+        process.env.PATH = `${binDir}${path.delimiter}${originalPath}`;
+        resetRipgrepCheck();
+        try {
+            const result = await grepFiles({ cwd: testDir, pattern: 'Start', before: 1 });
+            expect(result.engine).toBe('rg');
+            // generated/ is gitignored, so it is dropped even though rg returned it
+            expect(result.entries).toEqual([`${path.join('src', 'app.js')}-3-function start() {\n${path.join('src', 'app.js')}:4:    return Start();`]);
+        } finally {
+            process.env.PATH = originalPath;
+            resetRipgrepCheck();
+        }
+    });
+});
@@ -0,0 +1,173 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import crypto from 'crypto';
+import { executeTool } from '../src/core/tools.js';
+import { createPermissionPolicy } from '../src/core/permissions.js';
+import { getSetting, setSetting } from '../src/config/settings.js';
+import {
+    HOOK_EVENTS,
+    HOOK_DECISIONS,
+    registerHook,
+    executeHooks,
+    clearHooks,
+    loadHooksFile,
+    initializeHooks
+} from '../src/hooks/executor.js';
+
+describe('hooks', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-hooks-' + Date.now());
+
+    beforeEach(async () => {
+        clearHooks();
+        await fs.mkdir(path.join(testDir, 'migrations'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'a.txt'), 'original');
+    });
+
+    afterEach(async () => {
+        clearHooks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should block tool calls denied by a PreToolUse hook', async () => {
+        registerHook(HOOK_EVENTS.PRE_TOOL_USE, {
+            type: 'pattern',
+            matcher: /write_file/,
+            pattern: '(^|/)migrations/',
+            action: 'block',
+            message: 'Migrations are generated, do not edit them'
+        });
+
+        const result = await executeTool('write_file', { path: 'migrations/001.sql', content: 'x' }, testDir, { autoApprove: true });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('Migrations are generated');
+        await expect(fs.access(path.join(testDir, 'migrations', '001.sql'))).rejects.toThrow();
+    });
+
+    it('should let PreToolUse hooks rewrite tool arguments', async () => {
+        registerHook(HOOK_EVENTS.PRE_TOOL_USE, {
+            type: 'function',
+            handler: () => ({ decision: HOOK_DECISIONS.MODIFY, modified: { path: 'a.txt' } })
+        });
+
+        const result = await executeTool('read_file', { path: 'missing.txt' }, testDir);
+
+        expect(result.success).toBe(true);
+        expect(result.content).toBe('original');
+    });
+
+    it('should run PostToolUse hooks with the tool result', async () => {
+        const seen = [];
+        registerHook(HOOK_EVENTS.POST_TOOL_USE, {
+            type: 'function',
+            matcher: /^Read$/,
+            handler: (ctx) => {
+                seen.push(ctx);
+                return { decision: HOOK_DECISIONS.DENY, systemMessage: 'Looks stale' };
+            }
+        });
+
+        const result = await executeTool('read_file', { path: 'a.txt' }, testDir);
+
+        expect(seen).toHaveLength(1);
+        expect(seen[0].event).toBe(HOOK_EVENTS.POST_TOOL_USE);
+        expect(seen[0].toolResult.content).toBe('original');
+        expect(result.success).toBe(true);
+        expect(result.hookFeedback).toBe('Looks stale');
+    });
+
+    it('should pass the event to command hooks on stdin', async () => {
+        const script = path.join(testDir, 'hook.js');
+        await fs.writeFile(script, `
+let input = '';
+process.stdin.on('data', d => input += d);
+process.stdin.on('end', () => {
+    const event = JSON.parse(input);
+    if (event.tool_input.path.startsWith('migrations/')) {
+        process.stderr.write('no migrations via ' + event.tool_name);
+        process.exit(2);
+    }
+});
+`);
+        registerHook(HOOK_EVENTS.PRE_TOOL_USE, { type: 'command', command: `node "${script}"` });
+
+        const denied = await executeHooks(HOOK_EVENTS.PRE_TOOL_USE, {
+            toolName: 'edit_file',
+            toolInput: { path: 'migrations/001.sql' },
+            cwd: testDir
+        });
+        const allowed = await executeHooks(HOOK_EVENTS.PRE_TOOL_USE, {
+            toolName: 'edit_file',
+            toolInput: { path: 'src/app.js' },
+            cwd: testDir
+        });
+
+        expect(denied.allowed).toBe(false);
+        expect(denied.message).toBe('no migrations via edit_file');
+        expect(allowed.allowed).toBe(true);
+    });
+
+    it('should rewrite prompts from UserPromptSubmit hooks', async () => {
+        registerHook(HOOK_EVENTS.USER_PROMPT, {
+            type: 'function',
+            handler: (ctx) => ({ decision: HOOK_DECISIONS.MODIFY, modified: ctx.prompt + ' (be brief)' })
+        });
+
+        const result = await executeHooks(HOOK_EVENTS.USER_PROMPT, { prompt: 'explain this', cwd: testDir });
+
+        expect(result.modified).toBe('explain this (be brief)');
+    });
+
+    it('should load hooks.json with Claude-style matchers', async () => {
+        const file = path.join(testDir, 'hooks.json');
+        await fs.writeFile(file, JSON.stringify({
+            hooks: {
+                PreToolUse: [{
+                    matcher: 'Write|Edit',
+                    hooks: [{ type: 'pattern', pattern: 'migrations/', action: 'block' }]
+                }]
+            }
+        }));
+
+        expect(await loadHooksFile(file, 'project')).toBe(true);
+
+        const edit = await executeHooks(HOOK_EVENTS.PRE_TOOL_USE, { toolName: 'edit_file', toolAliases: ['Edit'], toolInput: { path: 'migrations/x.sql' } });
+        const read = await executeHooks(HOOK_EVENTS.PRE_TOOL_USE, { toolName: 'read_file', toolAliases: ['Read'], toolInput: { path: 'migrations/x.sql' } });
+
+        expect(edit.allowed).toBe(false);
+        expect(read.allowed).toBe(true);
+    });
+
+    it('should only run project hooks the user trusted', async () => {
+        const savedTrust = getSetting('trustedProjectHooks');
+        const marker = path.join(testDir, 'hook-ran.txt');
+        const content = JSON.stringify({
+            hooks: { SessionStart: [{ hooks: [{ type: 'command', command: 'node -e "require(\'fs\').writeFileSync(\'hook-ran.txt\', \'yes\')"' }] }] }
+        });
+        await fs.mkdir(path.join(testDir, '.mylocalcli'), { recursive: true });
+        await fs.writeFile(path.join(testDir, '.mylocalcli', 'hooks.json'), content);
+        const headless = createPermissionPolicy({ interactive: false });
+        const hookRan = () => executeHooks(HOOK_EVENTS.SESSION_START, { cwd: testDir }).then(() => fs.access(marker).then(() => true, () => false));
+
+        try {
+            setSetting('trustedProjectHooks', {});
+            await initializeHooks(testDir, { policy: headless });
+            expect(await hookRan()).toBe(false);
+
+            // Trust applies to the file it was given for
+            const hash = crypto.createHash('sha256').update(content).digest('hex');
+            setSetting('trustedProjectHooks', { [path.resolve(testDir)]: { hash, trusted: true } });
+            await fs.writeFile(path.join(testDir, '.mylocalcli', 'hooks.json'), content + '\n');
+            await initializeHooks(testDir, { policy: headless });
+            expect(await hookRan()).toBe(false);
+
+            await fs.writeFile(path.join(testDir, '.mylocalcli', 'hooks.json'), content);
+            await initializeHooks(testDir, { policy: headless });
+            expect(await hookRan()).toBe(true);
+        } finally {
+            setSetting('trustedProjectHooks', savedTrust || {});
+        }
+    });
+});
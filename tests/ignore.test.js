@@ -0,0 +1,135 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { compileIgnorePattern, createIgnoreMatcher } from '../src/utils/ignore.js';
+import { searchFiles, listDirectory } from '../src/utils/files.js';
+import { executeTool } from '../src/core/tools.js';
+import { expandMentions } from '../src/core/mentions.js';
+
+describe('ignore patterns', () => {
+    const matches = (pattern, file, isDirectory = false) => {
+        const rule = compileIgnorePattern(pattern);
+        return (!rule.dirOnly || isDirectory) && rule.regex.test(file);
+    };
+
+    it('should match unanchored patterns at any depth', () => {
+        expect(matches('*.log', 'debug.log')).toBe(true);
+        expect(matches('*.log', 'logs/app/debug.log')).toBe(true);
+        expect(matches('secret?.txt', 'a/secret1.txt')).toBe(true);
+        expect(matches('[!a]b.js', 'cb.js')).toBe(true);
+        expect(matches('[!a]b.js', 'ab.js')).toBe(false);
+    });
+
+    it('should anchor patterns containing a slash', () => {
+        expect(matches('/build', 'build')).toBe(true);
+        expect(matches('/build', 'src/build')).toBe(false);
+        expect(matches('docs/*.md', 'docs/a.md')).toBe(true);
+        expect(matches('docs/*.md', 'docs/sub/a.md')).toBe(false);
+    });
+
+    it('should handle ** and directory-only patterns', () => {
+        expect(matches('**/fixtures', 'a/b/fixtures')).toBe(true);
+        expect(matches('a/**/z.js', 'a/z.js')).toBe(true);
+        expect(matches('a/**/z.js', 'a/b/c/z.js')).toBe(true);
+        expect(matches('out/', 'out', true)).toBe(true);
+        expect(matches('out/', 'out', false)).toBe(false);
+    });
+
+    it('should skip comments and blank lines and honor escapes', () => {
+        expect(compileIgnorePattern('# comment')).toBeNull();
+        expect(compileIgnorePattern('   ')).toBeNull();
+        expect(compileIgnorePattern('!keep.log').negate).toBe(true);
+        expect(matches('\\#notes', '#notes')).toBe(true);
+    });
+});
+
+describe('ignore matcher', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-ignore-' + Date.now());
+    const write = async (file, content = '') => {
+        await fs.mkdir(path.dirname(path.join(testDir, file)), { recursive: true });
+        await fs.writeFile(path.join(testDir, file), content);
+    };
+
+    beforeEach(async () => {
+        await fs.mkdir(path.join(testDir, '.git'), { recursive: true });
+        await write('.gitignore', '*.log\n!important.log\n/coverage/\ntarget/\n');
+        await write('.mylocalcliignore', 'secrets/\n.env\n');
+        await write('src/app.js', 'const app = 1;\n');
+        await write('src/debug.log');
+        await write('src/important.log');
+        await write('src/.gitignore', 'generated/\n!keep.log\n');
+        await write('src/generated/out.js');
+        await write('src/keep.log');
+        await write('coverage/index.html');
+        await write('lib/coverage/notes.md');
+        await write('rust/target/debug/app');
+        await write('secrets/api.key', 'hunter2');
+        await write('.env', 'TOKEN=abc');
+        await write('node_modules/pkg/index.js');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should apply root, nested and default rules', () => {
+        const matcher = createIgnoreMatcher(path.join(testDir, 'src'));
+
+        expect(matcher.root).toBe(testDir);
+        expect(matcher.isIgnored(path.join(testDir, 'src/debug.log'))).toBe(true);
+        expect(matcher.isIgnored(path.join(testDir, 'src/important.log'))).toBe(false);
+        // Nested .gitignore files are relative to their own directory and win over the root
+        expect(matcher.isIgnored('generated/out.js')).toBe(true);
+        expect(matcher.isIgnored('keep.log')).toBe(false);
+        // Anchored to the root vs. any depth
+        expect(matcher.isIgnored(path.join(testDir, 'coverage/index.html'))).toBe(true);
+        expect(matcher.isIgnored(path.join(testDir, 'lib/coverage/notes.md'))).toBe(false);
+        expect(matcher.isIgnored(path.join(testDir, 'rust/target/debug/app'))).toBe(true);
+        expect(matcher.isIgnored(path.join(testDir, 'node_modules/pkg/index.js'))).toBe(true);
+        expect(matcher.isIgnored(path.join(os.tmpdir(), 'elsewhere.log'))).toBe(false);
+    });
+
+    it('should not re-include files inside an ignored directory', async () => {
+        await write('.gitignore', 'vendor/\n!vendor/keep.js\n');
+        const matcher = createIgnoreMatcher(testDir);
+        expect(matcher.isIgnored('vendor/keep.js')).toBe(true);
+    });
+
+    it('should deny .mylocalcliignore paths but not gitignored ones', () => {
+        const matcher = createIgnoreMatcher(testDir);
+        expect(matcher.isDenied('secrets/api.key')).toBe(true);
+        expect(matcher.isDenied('.env')).toBe(true);
+        expect(matcher.isIgnored('secrets/api.key')).toBe(true);
+        expect(matcher.isDenied('src/debug.log')).toBe(false);
+    });
+
+    it('should be used by searchFiles and listDirectory', async () => {
+        const files = (await searchFiles('**/*', testDir)).map(f => path.relative(testDir, f).split(path.sep).join('/')).sort();
+        expect(files).toEqual(['lib/coverage/notes.md', 'src/app.js', 'src/important.log', 'src/keep.log']);
+
+        const names = (await listDirectory(testDir)).map(item => item.name).sort();
+        expect(names).toEqual(['lib', 'rust', 'src']);
+    });
+
+    it('should refuse tool calls on denied paths', async () => {
+        const read = await executeTool('read_file', { path: 'secrets/api.key' }, testDir);
+        expect(read.success).toBe(false);
+        expect(read.error).toBe(`Access denied: ${path.join('secrets', 'api.key')} is excluded by .mylocalcliignore`);
+
+        const copy = await executeTool('copy_file', { source: '.env', destination: 'env.txt' }, testDir);
+        expect(copy.success).toBe(false);
+
+        const grep = await executeTool('grep', { pattern: 'hunter2' }, testDir);
+        expect(grep.matches).toEqual([]);
+
+        const allowed = await executeTool('read_file', { path: 'src/debug.log' }, testDir);
+        expect(allowed.success).toBe(true);
+    });
+
+    it('should refuse to attach denied files', async () => {
+        const result = await expandMentions('read @secrets/api.key', { cwd: testDir });
+        expect(result.attachments).toEqual([]);
+        expect(result.warnings[0]).toContain('is excluded by .mylocalcliignore');
+    });
+});
@@ -0,0 +1,140 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { runAgentLoop, STOP_REASONS } from '../src/core/loop.js';
+
+// Fake provider that replays a scripted list of responses
+function scriptedProvider(responses) {
+    let call = 0;
+    return {
+        calls: [],
+        async *stream(messages) {
+            this.calls.push(messages);
+            const response = responses[Math.min(call, responses.length - 1)];
+            call++;
+            yield response;
+        }
+    };
+}
+
+const readCall = (file) => '```json\n' + JSON.stringify({ tool: 'read_file', arguments: { path: file } }) + '\n```';
+
+describe('agent loop', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-loop-' + Date.now());
+
+    beforeEach(async () => {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'secret sauce');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should feed tool results back until the model answers', async () => {
+        const provider = scriptedProvider([readCall('notes.txt'), 'The file says secret sauce.']);
+        const messages = [{ role: 'user', content: 'What is in notes.txt?' }];
+
+        const result = await runAgentLoop(provider, messages, { systemContent: 'sys', cwd: testDir });
+
+        expect(result.stopReason).toBe(STOP_REASONS.COMPLETED);
+        expect(result.iterations).toBe(2);
+        expect(result.toolCallCount).toBe(1);
+        expect(result.finalResponse).toBe('The file says secret sauce.');
+
+        // Second model call must see the tool result
+        const secondCall = provider.calls[1];
+        expect(secondCall[0].role).toBe('system');
+        expect(secondCall.some(m => m.content.includes('secret sauce'))).toBe(true);
+    });
+
+    it('should stop at the iteration cap', async () => {
+        const provider = scriptedProvider([readCall('notes.txt')]);
+        const result = await runAgentLoop(provider, [], {
+            systemContent: 'sys',
+            cwd: testDir,
+            maxIterations: 3
+        });
+
+        expect(result.stopReason).toBe(STOP_REASONS.MAX_ITERATIONS);
+        expect(result.iterations).toBe(3);
+    });
+
+    it('should stop when the token budget is spent', async () => {
+        const provider = scriptedProvider([readCall('notes.txt')]);
+        const result = await runAgentLoop(provider, [], {
+            systemContent: 'sys',
+            cwd: testDir,
+            maxTurnTokens: 10
+        });
+
+        expect(result.stopReason).toBe(STOP_REASONS.TOKEN_BUDGET);
+        expect(result.iterations).toBe(1);
+    });
+
+    it('should report provider errors as the stop reason', async () => {
+        const provider = {
+            async *stream() {
+                throw new Error('connection refused');
+            }
+        };
+        const result = await runAgentLoop(provider, [], { systemContent: 'sys', cwd: testDir });
+
+        expect(result.stopReason).toBe(STOP_REASONS.ERROR);
+        expect(result.error).toBe('connection refused');
+    });
+
+    it('should discard a partial response when the stream restarts', async () => {
+        const provider = {
+            async *stream() {
+                yield 'The file sa';
+                yield { type: 'fallback', from: 'ollama', to: 'lmstudio', error: 'fetch failed' };
+                yield 'Nothing to read.';
+            }
+        };
+        const result = await runAgentLoop(provider, [], { systemContent: 'sys', cwd: testDir });
+
+        expect(result.stopReason).toBe(STOP_REASONS.COMPLETED);
+        expect(result.finalResponse).toBe('Nothing to read.');
+    });
+
+    it('should record reported usage and estimate the rest', async () => {
+        let call = 0;
+        const provider = {
+            model: 'm',
+            async *stream() {
+                if (call++ === 0) {
+                    yield readCall('notes.txt');
+                    yield { type: 'usage', usage: { promptTokens: 900, completionTokens: 25 } };
+                } else {
+                    yield 'Done.';
+                }
+            }
+        };
+        const result = await runAgentLoop(provider, [], { systemContent: 'sys', cwd: testDir });
+
+        expect(result.usage).toHaveLength(2);
+        expect(result.usage[0]).toEqual({ provider: null, model: 'm', promptTokens: 900, completionTokens: 25, estimated: false });
+        expect(result.usage[1].estimated).toBe(true);
+        expect(result.usage[1].promptTokens).toBeGreaterThan(0);
+        expect(result.usage[1].completionTokens).toBeGreaterThan(0);
+    });
+
+    it('should cap max_tokens and drop reasoning from the answer', async () => {
+        let options;
+        const provider = {
+            model: 'qwen3:8b',
+            async *stream(messages, streamOptions) {
+                options = streamOptions;
+                yield '<think>Maybe call read_file?</think>\n\nThe answer is 42.';
+            }
+        };
+        const messages = [{ role: 'user', content: 'What is the answer?' }];
+        const result = await runAgentLoop(provider, messages, { systemContent: 'sys', cwd: testDir, stream: false });
+
+        expect(options.maxTokens).toBe(8192);
+        expect(result.finalResponse).toBe('The answer is 42.');
+        expect(messages[messages.length - 1].content).toBe('The answer is 42.');
+    });
+});
@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { parseMentions, expandMentions } from '../src/core/mentions.js';
+import { completePath } from '../src/utils/files.js';
+
+describe('parseMentions', () => {
+    it('should find files, line ranges and directories', () => {
+        expect(parseMentions('look at @src/app.js:10-80 and @lib/, then @README.md.')).toEqual([
+            { raw: '@src/app.js:10-80', path: 'src/app.js', startLine: 10, endLine: 80 },
+            { raw: '@lib/', path: 'lib/', startLine: null, endLine: null },
+            { raw: '@README.md', path: 'README.md', startLine: null, endLine: null }
+        ]);
+    });
+
+    it('should treat a single line number as a one-line range', () => {
+        expect(parseMentions('@a.js:7')[0]).toMatchObject({ startLine: 7, endLine: 7 });
+    });
+
+    it('should ignore emails and repeated mentions', () => {
+        expect(parseMentions('mail me@example.com about @a.js and @a.js')).toHaveLength(1);
+    });
+});
+
+describe('expandMentions', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-mentions-' + Date.now());
+
+    beforeEach(async () => {
+        await fs.mkdir(path.join(testDir, 'src', 'lib'), { recursive: true });
+        await fs.writeFile(path.join(testDir, 'src', 'app.js'), ['line 1', 'line 2', 'line 3', 'line 4'].join('\n'));
+        await fs.writeFile(path.join(testDir, 'src', 'lib', 'util.js'), 'export const x = 1;\n');
+        await fs.writeFile(path.join(testDir, 'logo.png'), Buffer.from([0x89, 0x50, 0x00, 0x01]));
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should attach whole files and line ranges', async () => {
+        const result = await expandMentions('explain @src/app.js:2-3', { cwd: testDir });
+
+        expect(result.content).toMatch(/^explain @src\/app\.js:2-3\n\n--- ATTACHED FILES ---/);
+        expect(result.content).toContain(`### ${path.join('src', 'app.js')} (lines 2-3)\n\`\`\`js\nline 2\nline 3\n\`\`\``);
+        expect(result.content).not.toContain('line 4');
+        expect(result.attachments).toEqual([
+            { path: path.join('src', 'app.js'), type: 'file', startLine: 2, endLine: 3, truncated: false }
+        ]);
+        expect(result.tokens).toBeGreaterThan(0);
+    });
+
+    it('should attach a directory listing', async () => {
+        const result = await expandMentions('what is in @src/', { cwd: testDir });
+        expect(result.content).toContain('### src/ (directory)');
+        expect(result.content).toContain('app.js\nlib/\n  util.js');
+    });
+
+    it('should leave the input alone and warn about missing or binary files', async () => {
+        const result = await expandMentions('see @nope.js and @logo.png, thanks @alice', { cwd: testDir });
+
+        expect(result.content).toBe('see @nope.js and @logo.png, thanks @alice');
+        expect(result.warnings).toEqual([
+            '@nope.js: no such file or directory',
+            '@logo.png: looks like a binary file'
+        ]);
+    });
+
+    it('should reject line ranges outside the file', async () => {
+        const result = await expandMentions('@src/app.js:9-12', { cwd: testDir });
+        expect(result.attachments).toEqual([]);
+        expect(result.warnings[0]).toContain('outside the file (4 lines)');
+    });
+
+    it('should warn when attachments exceed the budget', async () => {
+        const result = await expandMentions('@src/app.js', { cwd: testDir, budgetTokens: 5 });
+        expect(result.overBudget).toBe(true);
+        expect(result.warnings[0]).toMatch(/^Attachments are ~\d+ tokens/);
+    });
+
+    it('should complete paths after @', async () => {
+        expect(await completePath('sr', testDir)).toEqual(['src/']);
+        expect(await completePath('src/', testDir)).toEqual(['src/app.js', 'src/lib/']);
+        expect(await completePath('missing/x', testDir)).toEqual([]);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import {
+    createPermissionPolicy,
+    checkToolPermission,
+    setPermissionMode,
+    cyclePermissionMode,
+    getModeAllowedTools,
+    loadProjectAllowedTools,
+    saveProjectAllowedTool,
+    rememberToolApproval,
+    PERMISSION_MODES
+} from '../src/core/permissions.js';
+import { executeTool } from '../src/core/tools.js';
+
+describe('permission modes', () => {
+    it('should approve edits but not commands in accept-edits mode', () => {
+        const policy = createPermissionPolicy({ mode: PERMISSION_MODES.ACCEPT_EDITS });
+        expect(checkToolPermission('edit_file', policy)).toEqual({ allowed: true, approved: true });
+        expect(checkToolPermission('run_command', policy)).toEqual({ allowed: true, approved: false });
+        expect(checkToolPermission('delete_file', policy).approved).toBe(false);
+    });
+
+    it('should only allow read tools in plan mode', () => {
+        const policy = createPermissionPolicy({ mode: PERMISSION_MODES.PLAN });
+        expect(checkToolPermission('read_file', policy).allowed).toBe(true);
+        expect(checkToolPermission('ask_user', policy).allowed).toBe(true);
+
+        const write = checkToolPermission('write_file', policy);
+        expect(write.allowed).toBe(false);
+        expect(write.error).toContain('not available in plan mode');
+
+        expect(getModeAllowedTools(policy, null).has('write_file')).toBe(false);
+        expect([...getModeAllowedTools(policy, new Set(['read_file', 'write_file']))]).toEqual(['read_file']);
+        expect(getModeAllowedTools(createPermissionPolicy(), null)).toBeNull();
+    });
+
+    it('should approve everything in bypass mode', () => {
+        const policy = createPermissionPolicy({ mode: PERMISSION_MODES.BYPASS });
+        expect(checkToolPermission('run_command', policy).approved).toBe(true);
+    });
+
+    it('should switch and cycle modes', () => {
+        const policy = createPermissionPolicy();
+        expect(policy.mode).toBe('ask');
+        expect(cyclePermissionMode(policy)).toBe('accept-edits');
+        expect(cyclePermissionMode(policy)).toBe('plan');
+        expect(cyclePermissionMode(policy)).toBe('bypass');
+        expect(cyclePermissionMode(policy)).toBe('ask');
+
+        expect(setPermissionMode(policy, 'plan')).toEqual({ success: true });
+        expect(setPermissionMode(policy, 'yolo').error).toContain('Unknown mode "yolo"');
+        expect(policy.mode).toBe('plan');
+    });
+});
+
+describe('always allow', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-permissions-' + Date.now());
+
+    beforeEach(async () => {
+        await fs.mkdir(testDir, { recursive: true });
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should remember project answers in .mylocalcli/settings.json', async () => {
+        const file = path.join(testDir, '.mylocalcli', 'settings.json');
+        await fs.mkdir(path.dirname(file), { recursive: true });
+        await fs.writeFile(file, JSON.stringify({ other: true }));
+
+        const policy = createPermissionPolicy({ cwd: testDir });
+        await rememberToolApproval('project', 'edit_file', policy);
+        await saveProjectAllowedTool(testDir, 'edit_file');
+
+        expect(checkToolPermission('edit_file', policy).approved).toBe(true);
+        expect(await loadProjectAllowedTools(testDir)).toEqual(['edit_file']);
+        expect(JSON.parse(await fs.readFile(file, 'utf-8')).other).toBe(true);
+    });
+
+    it('should keep session answers in memory only', async () => {
+        const policy = createPermissionPolicy({ cwd: testDir });
+        await rememberToolApproval('session', 'run_command', policy);
+
+        expect(checkToolPermission('run_command', policy).approved).toBe(true);
+        expect(await loadProjectAllowedTools(testDir)).toEqual([]);
+    });
+
+    it('should apply edits without asking in accept-edits mode and refuse them in plan mode', async () => {
+        const acceptEdits = createPermissionPolicy({ mode: PERMISSION_MODES.ACCEPT_EDITS, cwd: testDir });
+        const written = await executeTool('write_file', { path: 'a.txt', content: 'hello' }, testDir, { policy: acceptEdits });
+        expect(written.success).toBe(true);
+        expect(await fs.readFile(path.join(testDir, 'a.txt'), 'utf-8')).toBe('hello');
+
+        const plan = createPermissionPolicy({ mode: PERMISSION_MODES.PLAN, cwd: testDir });
+        const refused = await executeTool('write_file', { path: 'b.txt', content: 'x' }, testDir, { policy: plan });
+        expect(refused.success).toBe(false);
+        await expect(fs.access(path.join(testDir, 'b.txt'))).rejects.toThrow();
+    });
+});
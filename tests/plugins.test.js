@@ -0,0 +1,86 @@
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { loadPlugin, enablePlugin, disablePlugin } from '../src/plugins/loader.js';
+import { getCommand } from '../src/core/commands.js';
+import { getAgent } from '../src/agents/agent.js';
+import { getSkill, loadSkills } from '../src/skills/skill.js';
+import { getHooksForEvent, clearHooks, HOOK_EVENTS } from '../src/hooks/executor.js';
+import { getSetting, setSetting } from '../src/config/settings.js';
+
+describe('plugins', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-plugins-' + Date.now());
+    const pluginDir = path.join(testDir, 'acme-tools');
+    let savedDisabled;
+
+    beforeAll(async () => {
+        savedDisabled = getSetting('disabledPlugins');
+        setSetting('disabledPlugins', []);
+        clearHooks();
+
+        await fs.mkdir(path.join(pluginDir, '.mylocalcli'), { recursive: true });
+        await fs.mkdir(path.join(pluginDir, 'commands'), { recursive: true });
+        await fs.mkdir(path.join(pluginDir, 'agents'), { recursive: true });
+        await fs.mkdir(path.join(pluginDir, 'skills', 'acme-style'), { recursive: true });
+        await fs.mkdir(path.join(pluginDir, 'hooks'), { recursive: true });
+
+        await fs.writeFile(path.join(pluginDir, '.mylocalcli', 'plugin.json'), JSON.stringify({ name: 'acme-tools', version: '2.0.0' }));
+        await fs.writeFile(path.join(pluginDir, 'commands', 'acme-review.md'), '---\ndescription: Review\n---\nReview the code.');
+        await fs.writeFile(path.join(pluginDir, 'agents', 'acme-auditor.md'), '---\nname: acme-auditor\ntools: Read, Grep\n---\nAudit things.');
+        await fs.writeFile(path.join(pluginDir, 'skills', 'acme-style', 'SKILL.md'), '---\nname: acme-style\n---\nUse tabs.');
+        await fs.writeFile(path.join(pluginDir, 'hooks', 'hooks.json'), JSON.stringify({
+            PreToolUse: [{ matcher: 'run_command', hooks: [{ type: 'command', command: '${PLUGIN_ROOT}/check.sh' }] }]
+        }));
+    });
+
+    afterAll(async () => {
+        setSetting('disabledPlugins', savedDisabled || []);
+        clearHooks();
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should register plugin contributions with their source plugin', async () => {
+        const plugin = await loadPlugin(pluginDir);
+
+        expect(plugin.version).toBe('2.0.0');
+        expect(getCommand('acme-review').plugin).toBe('acme-tools');
+        expect(getAgent('acme-auditor').plugin).toBe('acme-tools');
+        expect(getAgent('acme-auditor').tools).toEqual(['Read', 'Grep']);
+        expect(getSkill('acme-style').plugin).toBe('acme-tools');
+
+        const hooks = getHooksForEvent(HOOK_EVENTS.PRE_TOOL_USE);
+        expect(hooks).toHaveLength(1);
+        expect(hooks[0].plugin).toBe('acme-tools');
+        expect(hooks[0].command).toBe(`${pluginDir}/check.sh`);
+    });
+
+    it('should keep plugin skills when skills are reloaded', async () => {
+        await loadSkills(testDir);
+        expect(getSkill('acme-style')).toBeDefined();
+    });
+
+    it('should unregister and persist when disabled', async () => {
+        expect(disablePlugin('acme-tools')).toBe(true);
+
+        expect(getCommand('acme-review')).toBeUndefined();
+        expect(getAgent('acme-auditor')).toBeUndefined();
+        expect(getSkill('acme-style')).toBeUndefined();
+        expect(getHooksForEvent(HOOK_EVENTS.PRE_TOOL_USE)).toHaveLength(0);
+        expect(getSetting('disabledPlugins')).toContain('acme-tools');
+
+        // Stays disabled when loaded again
+        const reloaded = await loadPlugin(pluginDir);
+        expect(reloaded.enabled).toBe(false);
+        expect(getCommand('acme-review')).toBeUndefined();
+    });
+
+    it('should register again when enabled', () => {
+        expect(enablePlugin('acme-tools')).toBe(true);
+
+        expect(getCommand('acme-review').plugin).toBe('acme-tools');
+        expect(getHooksForEvent(HOOK_EVENTS.PRE_TOOL_USE)).toHaveLength(1);
+        expect(getSetting('disabledPlugins')).not.toContain('acme-tools');
+        expect(enablePlugin('missing-plugin')).toBe(false);
+    });
+});
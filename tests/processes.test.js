@@ -0,0 +1,66 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import os from 'os';
+import { startBackgroundProcess, getProcessOutput, listProcesses, killProcess, killAllProcesses } from '../src/core/processes.js';
+import { executeTool } from '../src/core/tools.js';
+import { createPermissionPolicy } from '../src/core/permissions.js';
+
+const waitFor = async (check, ms = 5000) => {
+    const deadline = Date.now() + ms;
+    while (!check()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting');
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+};
+
+describe.skipIf(process.platform === 'win32')('background processes', () => {
+    const cwd = os.tmpdir();
+
+    afterEach(async () => {
+        await killAllProcesses();
+    });
+
+    it('should keep output and report the exit code', async () => {
+        const started = startBackgroundProcess('echo one; echo two >&2; exit 3', { cwd });
+        await waitFor(() => getProcessOutput(started.id).status === 'exited');
+
+        const result = getProcessOutput(started.id);
+        expect(result.output).toBe('one\ntwo\n');
+        expect(result.exitCode).toBe(3);
+        expect(getProcessOutput(started.id, result.next).output).toBe('');
+        expect(getProcessOutput('bg999').success).toBe(false);
+    });
+
+    it('should drop the oldest output past the limit', async () => {
+        const started = startBackgroundProcess('printf abcdefghij', { cwd, outputLimit: 4 });
+        await waitFor(() => getProcessOutput(started.id).status === 'exited');
+
+        expect(getProcessOutput(started.id)).toMatchObject({ output: 'ghij', skipped: 6, next: 10 });
+        expect(getProcessOutput(started.id, 8)).toMatchObject({ output: 'ij', skipped: 0 });
+    });
+
+    it('should kill a process and its children', async () => {
+        const started = startBackgroundProcess('sleep 30 & echo ready; wait', { cwd });
+        await waitFor(() => getProcessOutput(started.id).output === 'ready\n');
+
+        const killed = await killProcess(started.id);
+        expect(killed.status).toBe('killed');
+        expect(listProcesses().find(p => p.id === started.id).status).toBe('killed');
+    });
+
+    it('should start, read and stop processes through the tools', async () => {
+        const policy = createPermissionPolicy({ interactive: false, autoApprove: true });
+        const run = await executeTool('run_command', { command: 'echo serving; sleep 30', background: true }, cwd, { policy });
+        expect(run.success).toBe(true);
+        expect(run.id).toMatch(/^bg\d+$/);
+
+        await waitFor(() => getProcessOutput(run.id).output.includes('serving'));
+        const output = await executeTool('process_output', { id: run.id }, cwd, { policy });
+        expect(output).toMatchObject({ success: true, status: 'running', content: 'serving\n' });
+        expect((await executeTool('process_output', { id: run.id, since: output.next }, cwd, { policy })).content).toBe('(no new output)');
+
+        const list = await executeTool('process_list', {}, cwd, { policy });
+        expect(list.content).toContain(`${run.id}  running`);
+
+        expect((await executeTool('process_kill', { id: run.id }, cwd, { policy })).status).toBe('killed');
+    });
+});
@@ -0,0 +1,452 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import http from 'http';
+import { OpenAIProvider } from '../src/providers/openai.js';
+import { OllamaProvider } from '../src/providers/ollama.js';
+import { TOOLS } from '../src/core/tools.js';
+import { parseRetryAfter, isRetryableError } from '../src/providers/retry.js';
+import { ResilientProvider } from '../src/providers/resilient.js';
+import { LlamaCppProvider } from '../src/providers/llamacpp.js';
+import { VLLMProvider } from '../src/providers/vllm.js';
+import { describeCapabilities } from '../src/providers/local.js';
+import { AnthropicProvider, toAnthropicMessages } from '../src/providers/anthropic.js';
+
+// Minimal mock server: each test sets `handler` to script the response
+let server;
+let baseUrl;
+let handler;
+let requests;
+
+beforeAll(async () => {
+    server = http.createServer(async (req, res) => {
+        let body = '';
+        for await (const chunk of req) body += chunk;
+        const parsed = body ? JSON.parse(body) : null;
+        requests.push({ url: req.url, body: parsed });
+        handler(req, res, parsed);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+    requests = [];
+});
+
+function sse(res, events) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+    for (const event of events) {
+        res.write(`data: ${typeof event === 'string' ? event : JSON.stringify(event)}\n\n`);
+    }
+    res.end();
+}
+
+async function collect(iterable) {
+    const out = [];
+    for await (const chunk of iterable) out.push(chunk);
+    return out;
+}
+
+describe('native tool calling', () => {
+    it('should send tools and assemble streamed tool_call deltas', async () => {
+        handler = (req, res) => sse(res, [
+            { choices: [{ delta: { content: 'Let me look.' } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_1', function: { name: 'read_file', arguments: '' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '{"path":' } }] } }] },
+            { choices: [{ delta: { tool_calls: [{ index: 0, function: { arguments: '"a.js"}' } }] } }] },
+            '[DONE]'
+        ]);
+
+        const provider = new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'm' });
+        const chunks = await collect(provider.stream([{ role: 'user', content: 'hi' }], { tools: TOOLS }));
+
+        expect(requests[0].body.tools).toHaveLength(TOOLS.length);
+        expect(chunks[0]).toBe('Let me look.');
+        expect(chunks[1]).toEqual({
+            type: 'tool_calls',
+            toolCalls: [{ id: 'call_1', name: 'read_file', arguments: { path: 'a.js' } }]
+        });
+    });
+
+    it('should fall back to text tools when the server rejects them', async () => {
+        handler = (req, res, body) => {
+            if (body.tools) {
+                res.writeHead(400);
+                res.end('{"error":"this model does not support tools"}');
+            } else {
+                sse(res, [{ choices: [{ delta: { content: 'plain' } }] }, '[DONE]']);
+            }
+        };
+
+        const provider = new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'm' });
+        const chunks = await collect(provider.stream([{ role: 'user', content: 'hi' }], { tools: TOOLS }));
+
+        expect(chunks).toEqual(['plain']);
+        expect(requests).toHaveLength(2);
+        expect(provider.supportsNativeTools()).toBe(false);
+    });
+
+    it('should not send tools when native calling is disabled', async () => {
+        handler = (req, res) => sse(res, ['[DONE]']);
+
+        const provider = new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'm', nativeTools: false });
+        await collect(provider.stream([{ role: 'user', content: 'hi' }], { tools: TOOLS }));
+
+        expect(requests[0].body.tools).toBeUndefined();
+    });
+
+    it('should use the text format for models the registry knows lack tool calling', () => {
+        expect(new OllamaProvider({ model: 'gemma2:9b' }).supportsNativeTools()).toBe(false);
+        expect(new OllamaProvider({ model: 'gemma2:9b', nativeTools: true }).supportsNativeTools()).toBe(true);
+        expect(new OllamaProvider({ model: 'qwen2.5-coder:7b' }).supportsNativeTools()).toBe(true);
+        expect(new OllamaProvider({ model: 'some-new-model' }).supportsNativeTools()).toBe(true);
+    });
+
+    it('should read Ollama tool calls and send arguments as objects', async () => {
+        handler = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+            res.write(JSON.stringify({ message: { content: '', tool_calls: [{ function: { name: 'tree', arguments: { depth: 2 } } }] } }) + '\n');
+            res.end(JSON.stringify({ message: { content: '' }, done: true }) + '\n');
+        };
+
+        const provider = new OllamaProvider({ baseUrl, model: 'm' });
+        const history = [
+            { role: 'user', content: 'hi' },
+            { role: 'assistant', content: '', tool_calls: [{ id: 'x', type: 'function', function: { name: 'tree', arguments: '{"depth":1}' } }] },
+            { role: 'tool', tool_call_id: 'x', content: 'done' }
+        ];
+        const chunks = await collect(provider.stream(history, { tools: TOOLS }));
+
+        expect(requests[0].body.messages[2].tool_calls[0].function.arguments).toEqual({ depth: 1 });
+        // Ollama is told the context window the app plans for
+        expect(requests[0].body.options.num_ctx).toBe(8192);
+        expect(chunks[0].type).toBe('tool_calls');
+        expect(chunks[0].toolCalls[0].name).toBe('tree');
+        expect(chunks[0].toolCalls[0].arguments).toEqual({ depth: 2 });
+    });
+});
+
+describe('retries and fallback', () => {
+    const noWait = async () => {};
+
+    it('should retry rate limits, honoring Retry-After', async () => {
+        let calls = 0;
+        handler = (req, res) => {
+            if (calls++ === 0) {
+                res.writeHead(429, { 'Retry-After': '0' });
+                res.end('slow down');
+            } else {
+                sse(res, [{ choices: [{ delta: { content: 'ok' } }] }, '[DONE]']);
+            }
+        };
+
+        const retries = [];
+        const provider = new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'm', onRetry: (info) => retries.push(info) });
+        const chunks = await collect(provider.stream([{ role: 'user', content: 'hi' }]));
+
+        expect(chunks).toEqual(['ok']);
+        expect(requests).toHaveLength(2);
+        expect(retries).toMatchObject([{ attempt: 1, delay: 0, error: { status: 429 } }]);
+    });
+
+    it('should give up after the retries and not retry client errors', async () => {
+        handler = (req, res) => {
+            res.writeHead(req.url.includes('bad') ? 400 : 503, { 'Retry-After': '0' });
+            res.end('nope');
+        };
+
+        const provider = new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'm', retries: 2 });
+        await expect(collect(provider.stream([{ role: 'user', content: 'hi' }]))).rejects.toMatchObject({ status: 503 });
+        expect(requests).toHaveLength(3);
+
+        requests = [];
+        const bad = new OpenAIProvider({ baseUrl: `${baseUrl}/bad`, apiKey: 'test', model: 'm', retries: 2 });
+        await expect(collect(bad.stream([{ role: 'user', content: 'hi' }]))).rejects.toThrow('OpenAI Error (400): nope');
+        expect(requests).toHaveLength(1);
+    });
+
+    it('should parse Retry-After seconds and dates', () => {
+        expect(parseRetryAfter('2')).toBe(2000);
+        expect(parseRetryAfter('Wed, 21 Oct 2026 07:28:10 GMT', Date.parse('Wed, 21 Oct 2026 07:28:00 GMT'))).toBe(10000);
+        expect(parseRetryAfter('soon')).toBeNull();
+        expect(isRetryableError(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }))).toBe(true);
+    });
+
+    it('should reconnect when a stream breaks halfway', async () => {
+        let calls = 0;
+        handler = (req, res) => {
+            if (calls++ === 0) {
+                res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+                res.write(`data: ${JSON.stringify({ choices: [{ delta: { content: 'Hal' } }] })}\n\n`);
+                setTimeout(() => res.destroy(), 20);
+            } else {
+                sse(res, [{ choices: [{ delta: { content: 'Hello' } }] }, '[DONE]']);
+            }
+        };
+
+        const chain = new ResilientProvider([{ name: 'openai', provider: new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'm' }) }], { sleep: noWait });
+        const chunks = await collect(chain.stream([{ role: 'user', content: 'hi' }]));
+
+        expect(chunks[0]).toBe('Hal');
+        expect(chunks[1]).toMatchObject({ type: 'retry', provider: 'openai' });
+        expect(chunks[2]).toBe('Hello');
+    });
+
+    it('should fall back to the next provider when the primary is unreachable', async () => {
+        handler = (req, res) => sse(res, [{ choices: [{ delta: { content: 'from backup' } }] }, '[DONE]']);
+
+        // Nothing listens on port 9 (discard)
+        const primary = new OpenAIProvider({ baseUrl: 'http://127.0.0.1:9', apiKey: 'test', model: 'local', retries: 0 });
+        const backup = new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'cloud' });
+        const chain = new ResilientProvider([{ name: 'ollama', provider: primary }, { name: 'openrouter', provider: backup }], { sleep: noWait });
+
+        const chunks = await collect(chain.stream([{ role: 'user', content: 'hi' }]));
+        expect(chunks[0]).toMatchObject({ type: 'fallback', from: 'ollama', to: 'openrouter' });
+        expect(chunks[1]).toBe('from backup');
+        expect(chain.lastProvider).toBe('openrouter');
+
+        // The unreachable provider is skipped until its cooldown ends
+        expect(chain.model).toBe('cloud');
+        expect(await collect(chain.stream([{ role: 'user', content: 'again' }]))).toEqual(['from backup']);
+        expect(requests).toHaveLength(2);
+    });
+});
+
+describe('local servers', () => {
+    const json = (res, status, data) => {
+        res.writeHead(status, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+    };
+
+    it('should read llama.cpp props and probe embeddings', async () => {
+        handler = (req, res) => {
+            if (req.url === '/health') return json(res, 200, { status: 'ok' });
+            if (req.url === '/props') {
+                return json(res, 200, {
+                    default_generation_settings: { n_ctx: 32768 },
+                    chat_template_caps: { supports_tool_calls: false }
+                });
+            }
+            if (req.url === '/v1/embeddings') return json(res, 200, { data: [{ index: 0, embedding: [0.1, 0.2] }] });
+            json(res, 404, { error: 'not found' });
+        };
+
+        const provider = new LlamaCppProvider({ baseUrl: `${baseUrl}/v1` });
+        expect(await provider.isServerRunning()).toBe(true);
+
+        const capabilities = await provider.detectCapabilities();
+        expect(capabilities).toEqual({ tools: false, contextLength: 32768, embeddings: true });
+        expect(provider.contextLength).toBe(32768);
+        expect(provider.nativeTools).toBe(false);
+        expect(provider.embeddingModel).toBe('default');
+        expect(describeCapabilities(capabilities)).toBe('32K context, no tool calling, embeddings');
+    });
+
+    it('should pick up the model vLLM serves and its context length', async () => {
+        handler = (req, res) => {
+            if (req.url === '/health') return json(res, 503, {});
+            if (req.url === '/v1/models') {
+                return json(res, 200, { data: [{ id: 'Qwen/Qwen2.5-Coder-7B-Instruct', owned_by: 'vllm', max_model_len: 16384 }] });
+            }
+            json(res, 400, { error: 'This model does not support embeddings' });
+        };
+
+        const provider = new VLLMProvider({ baseUrl: `${baseUrl}/v1`, model: 'default' });
+        expect(await provider.isServerRunning()).toBe(false);
+        expect(await provider.listModels()).toEqual([
+            { id: 'Qwen/Qwen2.5-Coder-7B-Instruct', name: 'Qwen/Qwen2.5-Coder-7B-Instruct', owned_by: 'vllm', contextLength: 16384 }
+        ]);
+
+        const capabilities = await provider.detectCapabilities();
+        expect(capabilities).toEqual({ tools: null, contextLength: 16384, embeddings: false });
+        expect(provider.model).toBe('Qwen/Qwen2.5-Coder-7B-Instruct');
+        expect(provider.nativeTools).toBe('auto');
+        expect(provider.embeddingModel).toBe('');
+    });
+});
+
+describe('anthropic messages api', () => {
+    function anthropicSse(res, events) {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+        for (const event of events) {
+            res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+        }
+        res.end();
+    }
+
+    const history = [
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'user', content: 'Read a.js' },
+        {
+            role: 'assistant',
+            content: '',
+            tool_calls: [{ id: 'toolu_1', type: 'function', function: { name: 'read_file', arguments: '{"path":"a.js"}' } }]
+        },
+        { role: 'tool', tool_call_id: 'toolu_1', content: 'console.log(1);' },
+        { role: 'user', content: 'Now explain it' }
+    ];
+
+    it('should convert system prompts, tool calls and tool results', () => {
+        const { system, messages } = toAnthropicMessages(history);
+        expect(system).toBe('You are helpful.');
+        expect(messages).toEqual([
+            { role: 'user', content: [{ type: 'text', text: 'Read a.js' }] },
+            { role: 'assistant', content: [{ type: 'tool_use', id: 'toolu_1', name: 'read_file', input: { path: 'a.js' } }] },
+            {
+                role: 'user',
+                content: [
+                    { type: 'tool_result', tool_use_id: 'toolu_1', content: 'console.log(1);' },
+                    { type: 'text', text: 'Now explain it' }
+                ]
+            }
+        ]);
+    });
+
+    it('should stream text and tool_use blocks', async () => {
+        let headers;
+        handler = (req, res) => {
+            headers = req.headers;
+            anthropicSse(res, [
+                { type: 'message_start', message: { id: 'msg_1', content: [] } },
+                { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Checking ' } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'the file.' } },
+                { type: 'content_block_stop', index: 0 },
+                { type: 'ping' },
+                { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_2', name: 'read_file', input: {} } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"path":' } },
+                { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '"b.js"}' } },
+                { type: 'content_block_stop', index: 1 },
+                { type: 'message_delta', delta: { stop_reason: 'tool_use' } },
+                { type: 'message_stop' }
+            ]);
+        };
+
+        const provider = new AnthropicProvider({ baseUrl, apiKey: 'sk-ant-test', model: 'claude-test' });
+        const chunks = await collect(provider.stream(history, { tools: TOOLS }));
+
+        expect(chunks).toEqual([
+            'Checking ',
+            'the file.',
+            { type: 'tool_calls', toolCalls: [{ id: 'toolu_2', name: 'read_file', arguments: { path: 'b.js' } }] }
+        ]);
+        expect(requests[0].url).toBe('/messages');
+        expect(headers['x-api-key']).toBe('sk-ant-test');
+        expect(headers['anthropic-version']).toBe('2023-06-01');
+
+        const body = requests[0].body;
+        expect(body.stream).toBe(true);
+        expect(body.system).toContain('You are helpful.');
+        expect(body.messages.every(m => m.role !== 'system')).toBe(true);
+        expect(body.tools).toHaveLength(TOOLS.length);
+        expect(body.tools[0]).toEqual({
+            name: TOOLS[0].function.name,
+            description: TOOLS[0].function.description,
+            input_schema: TOOLS[0].function.parameters
+        });
+        expect(body.tool_choice).toEqual({ type: 'auto' });
+    });
+
+    it('should return content and tool calls from chat', async () => {
+        handler = (req, res) => {
+            res.writeHead(200, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({
+                content: [
+                    { type: 'text', text: 'Listing.' },
+                    { type: 'tool_use', id: 'toolu_3', name: 'list_directory', input: { path: '.' } }
+                ]
+            }));
+        };
+
+        const provider = new AnthropicProvider({ baseUrl, apiKey: 'k', model: 'claude-test' });
+        expect(await provider.chat([{ role: 'user', content: 'hi' }])).toBe('Listing.');
+        expect(await provider.chat([{ role: 'user', content: 'hi' }], { tools: TOOLS })).toEqual({
+            content: 'Listing.',
+            toolCalls: [{ id: 'toolu_3', name: 'list_directory', arguments: { path: '.' } }]
+        });
+        expect(requests[0].body.stream).toBe(false);
+    });
+
+    it('should report stream errors and list models', async () => {
+        handler = (req, res) => {
+            if (req.url.startsWith('/models')) {
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({ data: [{ id: 'claude-test', display_name: 'Claude Test', type: 'model' }] }));
+                return;
+            }
+            anthropicSse(res, [{ type: 'error', error: { type: 'overloaded_error', message: 'Overloaded' } }]);
+        };
+
+        const provider = new AnthropicProvider({ baseUrl, apiKey: 'k', model: 'claude-test' });
+        await expect(collect(provider.stream([{ role: 'user', content: 'hi' }]))).rejects.toMatchObject({
+            message: 'Anthropic Error (overloaded_error): Overloaded',
+            status: 529
+        });
+        expect(await provider.listModels()).toEqual([{ id: 'claude-test', name: 'Claude Test', owned_by: 'anthropic' }]);
+    });
+});
+
+describe('token usage', () => {
+    it('should ask OpenAI-style servers for usage and report it', async () => {
+        handler = (req, res) => sse(res, [
+            { choices: [{ delta: { content: 'Hi' } }] },
+            { choices: [], usage: { prompt_tokens: 120, completion_tokens: 7, total_tokens: 127 } },
+            '[DONE]'
+        ]);
+
+        const provider = new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'm' });
+        const chunks = await collect(provider.stream([{ role: 'user', content: 'hi' }]));
+
+        expect(requests[0].body.stream_options).toEqual({ include_usage: true });
+        expect(chunks).toEqual(['Hi', { type: 'usage', usage: { promptTokens: 120, completionTokens: 7 } }]);
+    });
+
+    it('should drop stream_options when the server rejects it', async () => {
+        handler = (req, res, body) => {
+            if (body.stream_options) {
+                res.writeHead(400);
+                res.end('Unrecognized request argument supplied: stream_options');
+                return;
+            }
+            sse(res, [{ choices: [{ delta: { content: 'ok' } }] }, '[DONE]']);
+        };
+
+        const provider = new OpenAIProvider({ baseUrl, apiKey: 'test', model: 'm' });
+        expect(await collect(provider.stream([{ role: 'user', content: 'hi' }]))).toEqual(['ok']);
+        expect(requests).toHaveLength(2);
+    });
+
+    it('should read Ollama and Anthropic token counts', async () => {
+        handler = (req, res) => {
+            if (req.url === '/api/chat') {
+                res.writeHead(200, { 'Content-Type': 'application/x-ndjson' });
+                res.write(JSON.stringify({ message: { content: 'Hey' }, done: false }) + '\n');
+                res.end(JSON.stringify({ message: { content: '' }, done: true, prompt_eval_count: 42, eval_count: 3 }) + '\n');
+                return;
+            }
+            res.writeHead(200, { 'Content-Type': 'text/event-stream' });
+            for (const event of [
+                { type: 'message_start', message: { usage: { input_tokens: 50, cache_read_input_tokens: 10, output_tokens: 1 } } },
+                { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Yo' } },
+                { type: 'message_delta', delta: { stop_reason: 'end_turn' }, usage: { output_tokens: 9 } },
+                { type: 'message_stop' }
+            ]) {
+                res.write(`event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+            }
+            res.end();
+        };
+
+        const ollama = new OllamaProvider({ baseUrl, model: 'llama3.2' });
+        expect(await collect(ollama.stream([{ role: 'user', content: 'hi' }]))).toEqual([
+            'Hey',
+            { type: 'usage', usage: { promptTokens: 42, completionTokens: 3 } }
+        ]);
+
+        const anthropic = new AnthropicProvider({ baseUrl, apiKey: 'k', model: 'claude-test' });
+        expect(await collect(anthropic.stream([{ role: 'user', content: 'hi' }]))).toEqual([
+            'Yo',
+            { type: 'usage', usage: { promptTokens: 60, completionTokens: 9 } }
+        ]);
+    });
+});
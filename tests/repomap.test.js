@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { updateRepoMap, rankFiles, resetRepoMapCache, getIndexDir } from '../src/core/repomap.js';
+import { getRelevantContext } from '../src/core/context.js';
+import { extractSymbols, extractImports, splitTerms } from '../src/utils/symbols.js';
+
+describe('symbol extraction', () => {
+    it('should find JavaScript definitions and exports', () => {
+        const source = [
+            'import jwt from \'jsonwebtoken\';',
+            'import { db } from \'../db/client.js\';',
+            'export async function verifyToken(token) {}',
+            'export const signToken = (user) => jwt.sign(user);',
+            'class TokenCache {',
+            '    get(key) {',
+            '        if (key) {',
+            '        }',
+            '    }',
+            '}',
+            'export { TokenCache };'
+        ].join('\n');
+
+        expect(extractSymbols(source, 'javascript')).toEqual([
+            { name: 'verifyToken', kind: 'function', line: 3, exported: true },
+            { name: 'signToken', kind: 'function', line: 4, exported: true },
+            { name: 'TokenCache', kind: 'class', line: 5, exported: true },
+            { name: 'get', kind: 'method', line: 6, exported: false }
+        ]);
+        expect(extractImports(source, 'javascript')).toEqual(['jsonwebtoken', '../db/client.js']);
+    });
+
+    it('should find Python and Go definitions', () => {
+        const python = 'from .models import User\nimport os\n\nclass Auth:\n    def check(self):\n        pass\n\ndef _private():\n    pass\n';
+        expect(extractSymbols(python, 'python').map(s => [s.name, s.kind, s.exported])).toEqual([
+            ['Auth', 'class', true],
+            ['check', 'method', false],
+            ['_private', 'function', false]
+        ]);
+        expect(extractImports(python, 'python')).toEqual(['.models', 'os']);
+
+        const go = 'package auth\n\nimport (\n    "fmt"\n    "example.com/app/store"\n)\n\nfunc (s *Server) ValidateJWT() {}\nfunc helper() {}\n';
+        expect(extractSymbols(go, 'go').map(s => [s.name, s.exported])).toEqual([['ValidateJWT', true], ['helper', false]]);
+        expect(extractImports(go, 'go')).toEqual(['fmt', 'example.com/app/store']);
+    });
+
+    it('should split identifiers into search terms', () => {
+        expect(splitTerms('where do we validate JWTs')).toEqual(['validate', 'jwt']);
+        expect(splitTerms('verifyJWTToken parse_user_id')).toEqual(['verify', 'jwt', 'token', 'parse', 'user']);
+    });
+});
+
+describe('repo map', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-repomap-' + Date.now());
+    const write = async (file, content) => {
+        await fs.mkdir(path.dirname(path.join(testDir, file)), { recursive: true });
+        await fs.writeFile(path.join(testDir, file), content);
+    };
+
+    beforeEach(async () => {
+        resetRepoMapCache();
+        await write('package.json', '{"name": "demo"}');
+        await write('README.md', '# Demo\n');
+        await write('src/auth/jwt.js', 'import jwt from \'jsonwebtoken\';\nexport function verifyJwt(token) {\n    return jwt.verify(token, process.env.SECRET);\n}\n');
+        await write('src/routes/users.js', 'import { verifyJwt } from \'../auth/jwt.js\';\nexport function listUsers(req) {\n    verifyJwt(req.headers.authorization);\n}\n');
+        await write('src/utils/format.js', 'export function formatDate(date) {\n    return date.toISOString();\n}\n');
+        await write('node_modules/lib/index.js', 'export function verifyJwt() {}\n');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should index files, symbols and import edges', async () => {
+        const map = await updateRepoMap(testDir);
+
+        expect(Object.keys(map.files).sort()).toEqual([
+            'README.md',
+            'package.json',
+            'src/auth/jwt.js',
+            'src/routes/users.js',
+            'src/utils/format.js'
+        ]);
+        expect(map.files['src/routes/users.js'].dependencies).toEqual(['src/auth/jwt.js']);
+        expect(map.files['src/auth/jwt.js'].symbols[0]).toMatchObject({ name: 'verifyJwt', exported: true });
+
+        const saved = JSON.parse(await fs.readFile(path.join(getIndexDir(testDir), 'repomap.json'), 'utf-8'));
+        expect(Object.keys(saved.files)).toHaveLength(5);
+        expect(await fs.readFile(path.join(getIndexDir(testDir), '.gitignore'), 'utf-8')).toBe('*\n');
+    });
+
+    it('should only re-index files that changed', async () => {
+        const first = await updateRepoMap(testDir);
+        const unchanged = first.files['src/utils/format.js'];
+
+        await write('src/auth/jwt.js', 'export function decodeJwt(token) {}\n');
+        const later = new Date(Date.now() + 5000);
+        await fs.utimes(path.join(testDir, 'src/auth/jwt.js'), later, later);
+        await fs.rm(path.join(testDir, 'src/routes/users.js'));
+
+        const map = await updateRepoMap(testDir);
+        expect(map.files['src/utils/format.js']).toBe(unchanged);
+        expect(map.files['src/auth/jwt.js'].symbols.map(s => s.name)).toEqual(['decodeJwt']);
+        expect(map.files['src/routes/users.js']).toBeUndefined();
+
+        // A fresh process picks the index up from disk
+        resetRepoMapCache();
+        const reloaded = await updateRepoMap(testDir);
+        expect(reloaded.files['src/auth/jwt.js'].symbols.map(s => s.name)).toEqual(['decodeJwt']);
+    });
+
+    it('should rank files by symbol overlap and graph proximity', async () => {
+        const map = await updateRepoMap(testDir);
+        const ranked = rankFiles(map, 'where do we validate JWTs?');
+
+        expect(ranked[0].path).toBe('src/auth/jwt.js');
+        // users.js mentions JWTs itself and imports jwt.js
+        expect(ranked.map(r => r.path)).toContain('src/routes/users.js');
+        expect(ranked.map(r => r.path)).not.toContain('src/utils/format.js');
+        expect(rankFiles(map, 'hello there')).toEqual([]);
+    });
+
+    it('should put ranked files first in the prompt context', async () => {
+        const context = await getRelevantContext(testDir, 'how are dates formatted?');
+        expect(context.projectType).toBe('nodejs');
+        expect(context.relevantFiles[0].path).toBe(path.join('src', 'utils', 'format.js'));
+    });
+});
@@ -0,0 +1,105 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { runHeadless, EXIT_CODES } from '../src/core/run.js';
+
+// Fake provider that replays a scripted list of responses
+function scriptedProvider(responses) {
+    let call = 0;
+    return {
+        async *stream() {
+            const response = responses[Math.min(call, responses.length - 1)];
+            call++;
+            yield response;
+        }
+    };
+}
+
+const toolCall = (tool, args) => '```json\n' + JSON.stringify({ tool, arguments: args }) + '\n```';
+
+describe('headless run', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-run-' + Date.now());
+    let out;
+
+    const run = (prompt, responses, options = {}) => runHeadless(prompt, {
+        cwd: testDir,
+        provider: scriptedProvider(responses),
+        write: (text) => { out += text; },
+        ...options
+    });
+
+    beforeEach(async () => {
+        out = '';
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'notes.txt'), 'secret sauce');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should print the final answer and exit 0', async () => {
+        const code = await run('What is in notes.txt?', [toolCall('read_file', { path: 'notes.txt' }), 'It says secret sauce.']);
+
+        expect(code).toBe(EXIT_CODES.SUCCESS);
+        expect(out).toBe('It says secret sauce.\n');
+    });
+
+    it('should log every tool call in json output', async () => {
+        const code = await run('Read it', [toolCall('read_file', { path: 'notes.txt' }), 'Done.'], { output: 'json' });
+        const data = JSON.parse(out);
+
+        expect(code).toBe(EXIT_CODES.SUCCESS);
+        expect(data.answer).toBe('Done.');
+        expect(data.stopReason).toBe('completed');
+        expect(data.toolCalls).toHaveLength(1);
+        expect(data.toolCalls[0]).toMatchObject({ name: 'read_file', arguments: { path: 'notes.txt' }, success: true });
+    });
+
+    it('should refuse edits that were not approved instead of prompting', async () => {
+        const code = await run('Overwrite notes', [toolCall('write_file', { path: 'notes.txt', content: 'x' }), 'Could not.'], { output: 'json' });
+        const data = JSON.parse(out);
+
+        expect(code).toBe(EXIT_CODES.SUCCESS);
+        expect(data.toolCalls[0].success).toBe(false);
+        expect(data.toolCalls[0].error).toContain('--allow-tools');
+        expect(await fs.readFile(path.join(testDir, 'notes.txt'), 'utf-8')).toBe('secret sauce');
+    });
+
+    it('should refuse appends, moves and copies that were not approved', async () => {
+        await fs.writeFile(path.join(testDir, 'important.js'), 'keep me');
+        const calls = [
+            toolCall('copy_file', { source: 'notes.txt', destination: 'important.js' }),
+            toolCall('move_file', { source: 'notes.txt', destination: 'moved.txt' }),
+            toolCall('append_file', { path: 'important.js', content: 'x' })
+        ];
+        for (const call of calls) {
+            out = '';
+            await run('Shuffle files', [call, 'Could not.'], { output: 'json' });
+            const data = JSON.parse(out);
+            expect(data.toolCalls[0].success).toBe(false);
+            expect(data.toolCalls[0].error).toContain('--allow-tools');
+        }
+        expect(await fs.readFile(path.join(testDir, 'important.js'), 'utf-8')).toBe('keep me');
+        expect(await fs.readFile(path.join(testDir, 'notes.txt'), 'utf-8')).toBe('secret sauce');
+    });
+
+    it('should run approved tools without asking', async () => {
+        await run('Overwrite notes', [toolCall('write_file', { path: 'notes.txt', content: 'x' }), 'Done.'], { allowTools: 'Write' });
+        expect(await fs.readFile(path.join(testDir, 'notes.txt'), 'utf-8')).toBe('x');
+    });
+
+    it('should block writes in read-only mode even with --yolo', async () => {
+        await run('Overwrite notes', [toolCall('write_file', { path: 'notes.txt', content: 'x' }), 'Done.'], { readOnly: true, yolo: true });
+        expect(await fs.readFile(path.join(testDir, 'notes.txt'), 'utf-8')).toBe('secret sauce');
+    });
+
+    it('should exit with distinct codes for limits, errors and missing prompts', async () => {
+        expect(await run('Loop', [toolCall('read_file', { path: 'notes.txt' })], { maxIterations: 2 })).toBe(EXIT_CODES.INCOMPLETE);
+        expect(await run('', ['unused'])).toBe(EXIT_CODES.USAGE);
+
+        const failing = { async *stream() { throw new Error('connection refused'); } };
+        expect(await runHeadless('hi', { cwd: testDir, provider: failing, write: () => {} })).toBe(EXIT_CODES.ERROR);
+    });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { loadPathPolicy, checkPath, realpath, createPathFilter } from '../src/core/sandbox.js';
+import { grepFiles } from '../src/utils/grep.js';
+import { createPermissionPolicy } from '../src/core/permissions.js';
+import { clearConfigCache } from '../src/config/project.js';
+import { executeTool } from '../src/core/tools.js';
+
+describe('path sandbox', () => {
+    const baseDir = path.join(os.tmpdir(), 'mylocalcli-sandbox-' + Date.now());
+    const projectDir = path.join(baseDir, 'project');
+    const outsideDir = path.join(baseDir, 'outside');
+    const headless = createPermissionPolicy({ interactive: false, autoApprove: true });
+
+    beforeEach(async () => {
+        await fs.mkdir(path.join(projectDir, 'src'), { recursive: true });
+        await fs.mkdir(path.join(projectDir, '.git'), { recursive: true });
+        await fs.mkdir(outsideDir, { recursive: true });
+        await fs.writeFile(path.join(projectDir, 'src', 'app.js'), 'app');
+        await fs.writeFile(path.join(projectDir, '.git', 'config'), '[core]');
+        await fs.writeFile(path.join(outsideDir, 'secret.txt'), 'secret');
+        await fs.symlink(outsideDir, path.join(projectDir, 'linked'), 'junction');
+        clearConfigCache();
+    });
+
+    afterEach(async () => {
+        await fs.rm(baseDir, { recursive: true, force: true });
+        clearConfigCache();
+    });
+
+    it('should confine paths to the project, resolving symlinks', async () => {
+        const policy = await loadPathPolicy(projectDir);
+
+        expect(checkPath(projectDir, 'src/app.js', policy).allowed).toBe(true);
+        expect(checkPath(projectDir, 'src/new/file.js', policy).allowed).toBe(true);
+        expect(checkPath(projectDir, '../outside/secret.txt', policy)).toMatchObject({ allowed: false, reason: 'is outside the project' });
+        expect(checkPath(projectDir, path.join(outsideDir, 'secret.txt'), policy).allowed).toBe(false);
+        // A symlink inside the project doesn't make its target part of it
+        expect(checkPath(projectDir, 'linked/secret.txt', policy).allowed).toBe(false);
+        expect(checkPath(projectDir, 'linked/new.txt', policy).realPath).toBe(path.join(realpath(outsideDir), 'new.txt'));
+    });
+
+    it('should protect .env files, keys and .git internals by default', async () => {
+        const policy = await loadPathPolicy(projectDir);
+
+        expect(checkPath(projectDir, '.env.local', policy)).toMatchObject({ allowed: false, reason: 'is a protected path' });
+        expect(checkPath(projectDir, 'certs/server.pem', policy).allowed).toBe(false);
+        expect(checkPath(projectDir, '.git/config', policy).allowed).toBe(false);
+        expect(checkPath(projectDir, '.gitignore', policy).allowed).toBe(true);
+    });
+
+    it('should read allowed roots and protected paths from MYLOCALCLI.md', async () => {
+        await fs.writeFile(path.join(projectDir, 'MYLOCALCLI.md'), [
+            '---',
+            'name: demo',
+            'allowedPaths: ["../outside"]',
+            'protectedPaths: ["config/production.json"]',
+            '---',
+            'Instructions'
+        ].join('\n'));
+        const policy = await loadPathPolicy(projectDir);
+
+        expect(checkPath(projectDir, '../outside/secret.txt', policy).allowed).toBe(true);
+        expect(checkPath(projectDir, 'config/production.json', policy).allowed).toBe(false);
+        // The project's list replaces the defaults
+        expect(checkPath(projectDir, '.env', policy).allowed).toBe(true);
+    });
+
+    it('should refuse paths outside the sandbox in non-interactive runs', async () => {
+        const read = await executeTool('read_file', { path: path.join(outsideDir, 'secret.txt') }, projectDir, { policy: headless });
+        expect(read.success).toBe(false);
+        expect(read.error).toMatch(/^Access denied: .*secret\.txt is outside the project\. Add it to allowedPaths/);
+
+        const copy = await executeTool('copy_file', { source: 'src/app.js', destination: '../outside/app.js' }, projectDir, { policy: headless });
+        expect(copy.success).toBe(false);
+        await expect(fs.access(path.join(outsideDir, 'app.js'))).rejects.toThrow();
+
+        const inside = await executeTool('read_file', { path: 'src/app.js' }, projectDir, { policy: headless });
+        expect(inside.success).toBe(true);
+    });
+
+    it('should leave protected files out of search results', async () => {
+        await fs.mkdir(path.join(projectDir, 'certs'), { recursive: true });
+        await fs.writeFile(path.join(projectDir, 'certs', 'server.pem'), '-----BEGIN-----\nSECRETKEY\n');
+        await fs.writeFile(path.join(projectDir, '.env.local'), 'TOKEN=SECRETKEY\n');
+        await fs.writeFile(path.join(projectDir, 'src', 'config.js'), 'const key = process.env.SECRETKEY;\n');
+
+        const grep = await executeTool('grep', { pattern: 'SECRETKEY', output_mode: 'files_with_matches' }, projectDir, { policy: headless });
+        expect(grep.matches).toEqual([path.join('src', 'config.js')]);
+
+        // The built-in engine (used when rg is missing) filters too
+        const node = await grepFiles({ pattern: 'SECRETKEY', cwd: projectDir, mode: 'files_with_matches', useRipgrep: false, filter: await createPathFilter(projectDir) });
+        expect(node.entries).toEqual([path.join('src', 'config.js')]);
+
+        const pem = await executeTool('search_files', { pattern: '**/*.pem' }, projectDir, { policy: headless });
+        expect(pem.files).toEqual([]);
+        const env = await executeTool('search_files', { pattern: '.env*' }, projectDir, { policy: headless });
+        expect(env.files).toEqual([]);
+    });
+
+    it('should refuse find_replace on protected files matched by include', async () => {
+        await fs.writeFile(path.join(projectDir, 'key.pem'), '-----BEGIN-----\nSECRETKEY\n');
+        await fs.writeFile(path.join(projectDir, '.env'), 'TOKEN=SECRETKEY\n');
+
+        for (const include of ['**/*.pem', '.env']) {
+            const result = await executeTool('find_replace', { find: 'SECRETKEY', replace: 'x', include }, projectDir, { policy: headless });
+            expect(result.success).toBe(false);
+            expect(result.error).toMatch(/is a protected path/);
+            expect(result.error).not.toMatch(/SECRETKEY/);
+        }
+        expect(await fs.readFile(path.join(projectDir, 'key.pem'), 'utf-8')).toContain('SECRETKEY');
+        expect(await fs.readFile(path.join(projectDir, '.env'), 'utf-8')).toBe('TOKEN=SECRETKEY\n');
+
+        // Files the replacement wouldn't touch don't block it
+        const app = await executeTool('find_replace', { find: 'app', replace: 'main', include: 'src/*.js' }, projectDir, { policy: headless });
+        expect(app).toMatchObject({ success: true, filesModified: 1 });
+    });
+});
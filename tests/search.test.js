@@ -0,0 +1,195 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { chunkBySymbols, splitTerms, MAX_CHUNK_LINES } from '../src/utils/symbols.js';
+import { rankBM25 } from '../src/utils/bm25.js';
+import {
+    cosineSimilarity,
+    createEmbedder,
+    updateEmbeddingIndex,
+    resetEmbeddingCache
+} from '../src/core/embeddings.js';
+import { searchCodebase, resetUnavailableEmbedders, SEARCH_METHODS } from '../src/core/search.js';
+import { resetRepoMapCache, getIndexDir } from '../src/core/repomap.js';
+
+// Concepts the stub embedder knows; texts sharing a concept get similar vectors
+const CONCEPTS = [
+    ['auth', 'login', 'password', 'credential', 'token', 'jwt', 'session'],
+    ['date', 'time', 'format', 'calendar', 'timestamp'],
+    ['database', 'query', 'sql', 'table', 'row']
+];
+
+// Deterministic embedder: one dimension per concept plus a few hashed terms
+function stubEmbedder(id = 'stub-embed') {
+    const embedder = {
+        id,
+        calls: [],
+        async embed(texts) {
+            embedder.calls.push(texts);
+            return texts.map(text => {
+                const vector = new Array(CONCEPTS.length + 8).fill(0);
+                for (const term of splitTerms(text)) {
+                    const concept = CONCEPTS.findIndex(words => words.includes(term));
+                    if (concept >= 0) vector[concept] += 1;
+                    vector[CONCEPTS.length + (term.charCodeAt(0) % 8)] += 0.1;
+                }
+                return vector;
+            });
+        }
+    };
+    return embedder;
+}
+
+describe('chunking', () => {
+    it('should split at definitions and keep leading comments with them', () => {
+        const source = [
+            'import fs from \'fs\';',
+            '',
+            '/**',
+            ' * Read the config',
+            ' */',
+            'export function readConfig() {',
+            '    return fs.readFileSync(\'config.json\');',
+            '}',
+            '',
+            '// Writes it back',
+            'export function writeConfig(config) {',
+            '    fs.writeFileSync(\'config.json\', config);',
+            '    return true;',
+            '}'
+        ].join('\n');
+
+        expect(chunkBySymbols(source, 'javascript').map(c => [c.start, c.end, c.symbol])).toEqual([
+            [1, 9, 'readConfig'],
+            [10, 14, 'writeConfig']
+        ]);
+    });
+
+    it('should split long classes at their methods', () => {
+        const body = (name) => [`    ${name}() {`, ...new Array(45).fill('        work();'), '    }'];
+        const source = ['class Big {', ...body('first'), ...body('second'), '}'].join('\n');
+
+        const chunks = chunkBySymbols(source, 'javascript');
+        expect(chunks.map(c => c.symbol)).toEqual(['Big', 'second']);
+        expect(chunks[1].start).toBe(49);
+        expect(chunks.every(c => c.end - c.start < MAX_CHUNK_LINES)).toBe(true);
+    });
+
+    it('should split markdown at headings', () => {
+        const chunks = chunkBySymbols('# Title\nIntro text\nmore\nmore\nmore\n\n## Install\nnpm install\n', 'markdown');
+        expect(chunks.map(c => c.symbol)).toEqual(['Title', 'Install']);
+    });
+});
+
+describe('ranking', () => {
+    it('should rank documents with rare query terms first', () => {
+        const documents = [
+            ['format', 'date', 'string'],
+            ['verify', 'jwt', 'token', 'string'],
+            ['parse', 'number', 'array']
+        ];
+        expect(rankBM25(documents, ['jwt', 'string']).map(r => r.index)).toEqual([1, 0]);
+        expect(rankBM25(documents, ['missing'])).toEqual([]);
+    });
+
+    it('should compute cosine similarity', () => {
+        expect(cosineSimilarity([1, 0], [2, 0])).toBeCloseTo(1);
+        expect(cosineSimilarity([1, 0], [0, 3])).toBeCloseTo(0);
+        expect(cosineSimilarity([0, 0], [1, 1])).toBe(0);
+    });
+
+    it('should only create an embedder for providers with an embedding model', () => {
+        expect(createEmbedder({ embed: async () => [] })).toBeNull();
+        expect(createEmbedder({ embeddingModel: 'nomic-embed-text', embed: async () => [] }).id).toBe('nomic-embed-text');
+    });
+});
+
+describe('codebase search', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-search-' + Date.now());
+    const write = async (file, content) => {
+        await fs.mkdir(path.dirname(path.join(testDir, file)), { recursive: true });
+        await fs.writeFile(path.join(testDir, file), content);
+    };
+
+    beforeEach(async () => {
+        resetRepoMapCache();
+        resetEmbeddingCache();
+        resetUnavailableEmbedders();
+        await write('src/auth.js', 'export function checkCredentials(user, password) {\n    return verify(password, user.hash);\n}\n');
+        await write('src/dates.js', 'export function formatTimestamp(ts) {\n    return new Date(ts).toISOString();\n}\n');
+        await write('src/db.js', 'export function runQuery(sql) {\n    return pool.query(sql);\n}\n');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should find code by meaning with embeddings', async () => {
+        const embedder = stubEmbedder();
+        const search = await searchCodebase(testDir, 'where is the login logic?', { embedder, limit: 1 });
+
+        expect(search.method).toBe(SEARCH_METHODS.EMBEDDINGS);
+        expect(search.results[0]).toMatchObject({ file: 'src/auth.js', start: 1, symbol: 'checkCredentials' });
+        expect(search.results[0].preview).toContain('verify(password');
+    });
+
+    it('should only re-embed files that changed', async () => {
+        const embedder = stubEmbedder();
+        await updateEmbeddingIndex(testDir, embedder);
+        expect(embedder.calls.flat()).toHaveLength(3);
+
+        await write('src/db.js', 'export function runQuery(sql) {\n    return pool.query(sql, []);\n}\n');
+        const later = new Date(Date.now() + 5000);
+        await fs.utimes(path.join(testDir, 'src/db.js'), later, later);
+
+        // A fresh process reads the vectors back from disk
+        resetRepoMapCache();
+        resetEmbeddingCache();
+        const index = await updateEmbeddingIndex(testDir, embedder);
+        expect(embedder.calls.flat()).toHaveLength(4);
+        expect(embedder.calls[1][0]).toContain('src/db.js - runQuery');
+        expect(index.files['src/auth.js'].chunks[0].vector).toHaveLength(CONCEPTS.length + 8);
+        await expect(fs.stat(path.join(getIndexDir(testDir), 'embeddings.json'))).resolves.toBeTruthy();
+
+        // Switching models rebuilds the index
+        const other = stubEmbedder('other-model');
+        await updateEmbeddingIndex(testDir, other);
+        expect(other.calls.flat()).toHaveLength(3);
+    });
+
+    it('should fall back to BM25 without an embedding model', async () => {
+        const search = await searchCodebase(testDir, 'format timestamp');
+        expect(search.method).toBe(SEARCH_METHODS.BM25);
+        expect(search.results[0].file).toBe('src/dates.js');
+        expect(search.note).toBeUndefined();
+    });
+
+    it('should fall back to BM25 when the embedding model fails', async () => {
+        const broken = {
+            id: 'missing-model',
+            calls: 0,
+            async embed() {
+                broken.calls++;
+                throw new Error('model not found');
+            }
+        };
+
+        const search = await searchCodebase(testDir, 'run sql query', { embedder: broken });
+        expect(search.method).toBe(SEARCH_METHODS.BM25);
+        expect(search.results[0].file).toBe('src/db.js');
+        expect(search.note).toContain('model not found');
+
+        // The failure is remembered for the session
+        await searchCodebase(testDir, 'run sql query', { embedder: broken });
+        expect(broken.calls).toBe(1);
+    });
+
+    it('should restrict results to the given files', async () => {
+        const search = await searchCodebase(testDir, 'login password', {
+            embedder: stubEmbedder(),
+            files: new Set(['src/dates.js', 'src/db.js'])
+        });
+        expect(search.results.map(r => r.file)).not.toContain('src/auth.js');
+    });
+});
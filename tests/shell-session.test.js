@@ -0,0 +1,67 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { createShellSession, runInShellSession, resetShellSession, closeShellSession, formatShellCwd } from '../src/core/shell-session.js';
+import { executeTool } from '../src/core/tools.js';
+import { createPermissionPolicy } from '../src/core/permissions.js';
+
+describe.skipIf(process.platform === 'win32')('persistent shell session', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-shell-' + Date.now());
+    let session;
+    const run = (command, options = {}) => runInShellSession(session, command, { echo: false, ...options });
+
+    beforeEach(async () => {
+        await fs.mkdir(path.join(testDir, 'src'), { recursive: true });
+        session = createShellSession(testDir);
+    });
+
+    afterEach(async () => {
+        closeShellSession(session);
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should keep the directory and exported variables between commands', async () => {
+        expect((await run('cd src && export GREETING=hi')).success).toBe(true);
+        expect(session.cwd).toBe(path.join(await fs.realpath(testDir), 'src'));
+        expect(formatShellCwd(session)).toBe('src');
+
+        const result = await run('echo "$GREETING from $(basename "$PWD")"; printf partial >&2');
+        expect(result).toMatchObject({ success: true, exitCode: 0, stdout: 'hi from src\n', stderr: 'partial' });
+    });
+
+    it('should report exit codes without losing the shell', async () => {
+        await run('export KEPT=yes');
+        expect(await run('(exit 3)')).toMatchObject({ success: false, exitCode: 3, error: 'Exit code: 3' });
+        expect(await run('if then')).toMatchObject({ success: false, exitCode: 2 });
+        expect((await run("echo '$KEPT' $KEPT")).stdout).toBe('$KEPT yes\n');
+    });
+
+    it('should stop commands that time out and start over in the same directory', async () => {
+        await run('cd src && export LOST=1');
+        const slow = await run('sleep 10', { timeout: 200 });
+        expect(slow.success).toBe(false);
+        expect(slow.error).toMatch(/^Command timed out/);
+
+        expect(await run('echo "[$LOST]"; basename "$PWD"')).toMatchObject({ success: true, stdout: '[]\nsrc\n' });
+    });
+
+    it('should go back to the project directory on reset', async () => {
+        await run('cd src');
+        resetShellSession(session);
+        expect(formatShellCwd(session)).toBe('.');
+        expect((await run('basename "$PWD"')).stdout).toBe(`${path.basename(testDir)}\n`);
+    });
+
+    it('should be used by run_command when enabled', async () => {
+        const policy = createPermissionPolicy({ interactive: false, autoApprove: true });
+        await executeTool('run_command', { command: 'cd src' }, testDir, { policy, shellSession: session });
+        const result = await executeTool('run_command', { command: 'pwd' }, testDir, { policy, shellSession: session });
+        expect(result.stdout.trim()).toBe(session.cwd);
+        expect(result.cwd).toMatch(/src$/);
+
+        session.enabled = false;
+        const fresh = await executeTool('run_command', { command: 'pwd' }, testDir, { policy, shellSession: session });
+        expect(fresh.stdout.trim()).toBe(testDir);
+    });
+});
@@ -0,0 +1,75 @@
+import { describe, it, expect } from 'vitest';
+import {
+    serializeToolResult,
+    formatToolResultBlock,
+    buildToolResultMessages
+} from '../src/core/tool-results.js';
+
+describe('tool results', () => {
+    describe('serializeToolResult', () => {
+        it('should include errors along with partial output', () => {
+            const text = serializeToolResult('run_command', {
+                success: false,
+                error: 'Exit code: 1',
+                stdout: 'compiling...',
+                stderr: 'SyntaxError: bad token',
+                exitCode: 1
+            });
+            expect(text).toContain('Error: Exit code: 1');
+            expect(text).toContain('stdout:\ncompiling...');
+            expect(text).toContain('SyntaxError: bad token');
+            expect(text).toContain('exitCode: 1');
+        });
+
+        it('should render list_directory items', () => {
+            const text = serializeToolResult('list_directory', {
+                success: true,
+                items: [
+                    { name: 'src', type: 'directory', children: [{ name: 'a.js', type: 'file', size: 10 }] },
+                    { name: 'README.md', type: 'file', size: 42 }
+                ]
+            });
+            expect(text).toBe('src/\n  a.js (10 bytes)\nREADME.md (42 bytes)');
+        });
+
+        it('should render git_diff output and empty diffs', () => {
+            expect(serializeToolResult('git_diff', { success: true, diff: '+added' })).toBe('+added');
+            expect(serializeToolResult('git_diff', { success: true, diff: '' })).toBe('diff: (no changes)');
+        });
+
+        it('should fall back to a success note for results without output', () => {
+            expect(serializeToolResult('delete_file', { success: true })).toBe('delete_file completed successfully.');
+        });
+
+        it('should truncate long output', () => {
+            const text = serializeToolResult('read_file', { success: true, content: 'x'.repeat(50) }, { maxLength: 10 });
+            expect(text).toBe('xxxxxxxxxx\n... [truncated 40 characters]');
+        });
+    });
+
+    describe('buildToolResultMessages', () => {
+        const entries = [
+            { toolCall: { id: 'call_1', name: 'read_file' }, result: { success: true, content: 'hello' } },
+            { toolCall: { id: 'call_2', name: 'edit_file' }, result: { success: false, error: 'Content not found' } }
+        ];
+
+        it('should emit tool messages with call ids for native calls', () => {
+            const messages = buildToolResultMessages(entries, { native: true });
+            expect(messages).toEqual([
+                { role: 'tool', tool_call_id: 'call_1', content: 'hello' },
+                { role: 'tool', tool_call_id: 'call_2', content: 'Error: Content not found' }
+            ]);
+        });
+
+        it('should emit one tagged user message for text calls', () => {
+            const messages = buildToolResultMessages(entries);
+            expect(messages).toHaveLength(1);
+            expect(messages[0].role).toBe('user');
+            expect(messages[0].content).toBe(
+                formatToolResultBlock(entries[0].toolCall, entries[0].result) + '\n\n' +
+                formatToolResultBlock(entries[1].toolCall, entries[1].result)
+            );
+            expect(messages[0].content).toContain('<tool_result name="edit_file" status="error">');
+        });
+    });
+});
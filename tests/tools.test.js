@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs/promises';
+import path from 'path';
+import os from 'os';
+import { executeTool, resolveAllowedTools, getToolDefinitions } from '../src/core/tools.js';
+import { initializeBuiltinAgents, getAgent } from '../src/agents/agent.js';
+
+describe('allowed tools', () => {
+    const testDir = path.join(os.tmpdir(), 'mylocalcli-tools-' + Date.now());
+
+    beforeEach(async () => {
+        await fs.mkdir(testDir, { recursive: true });
+        await fs.writeFile(path.join(testDir, 'keep.txt'), 'keep me');
+    });
+
+    afterEach(async () => {
+        await fs.rm(testDir, { recursive: true, force: true });
+    });
+
+    it('should treat empty lists as unrestricted', () => {
+        expect(resolveAllowedTools(undefined)).toBeNull();
+        expect(resolveAllowedTools([])).toBeNull();
+        expect(resolveAllowedTools('')).toBeNull();
+    });
+
+    it('should resolve tool names, aliases and scoped entries', () => {
+        const allowed = resolveAllowedTools('Read, grep, Bash(git:*), ls');
+
+        expect(allowed.has('read_file')).toBe(true);
+        expect(allowed.has('grep')).toBe(true);
+        expect(allowed.has('run_command')).toBe(true);
+        expect(allowed.has('list_directory')).toBe(true);
+        expect(allowed.has('write_file')).toBe(false);
+    });
+
+    it('should only advertise allowed tools to the model', () => {
+        initializeBuiltinAgents();
+        const allowed = resolveAllowedTools(getAgent('code-reviewer').tools);
+        const names = getToolDefinitions(allowed).map(t => t.function.name);
+
+        expect(names).toContain('read_file');
+        expect(names).not.toContain('delete_file');
+        expect(names).not.toContain('write_file');
+    });
+
+    it('should reject calls to tools outside the allowlist', async () => {
+        const allowed = resolveAllowedTools(['read_file']);
+        const result = await executeTool('delete_file', { path: 'keep.txt' }, testDir, {
+            allowedTools: allowed,
+            autoApprove: true
+        });
+
+        expect(result.success).toBe(false);
+        expect(result.error).toContain('not allowed');
+        await expect(fs.readFile(path.join(testDir, 'keep.txt'), 'utf-8')).resolves.toBe('keep me');
+
+        const read = await executeTool('read_file', { path: 'keep.txt' }, testDir, { allowedTools: allowed });
+        expect(read.success).toBe(true);
+    });
+});
@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { createUsageTotals, addUsage, getUsageCost, summarizeUsage, formatUsageReport, parseSince } from '../src/core/usage.js';
+import { getModelPrice, estimateCost } from '../src/config/pricing.js';
+
+describe('usage accounting', () => {
+    const call = (provider, model, promptTokens, completionTokens, estimated = false) =>
+        ({ provider, model, promptTokens, completionTokens, estimated });
+
+    it('should keep running totals per model', () => {
+        const totals = createUsageTotals();
+        addUsage(totals, call('openai', 'gpt-4o-mini', 1000, 200));
+        addUsage(totals, call('openai', 'gpt-4o-mini', 3000, 100));
+        addUsage(totals, call('ollama', 'llama3.2', 500, 50, true));
+
+        expect(totals).toMatchObject({ requests: 3, promptTokens: 4500, completionTokens: 350 });
+        expect(totals.byModel['openai/gpt-4o-mini']).toMatchObject({ requests: 2, promptTokens: 4000, completionTokens: 300, estimated: false });
+        expect(totals.byModel['ollama/llama3.2'].estimated).toBe(true);
+    });
+
+    it('should price paid models and treat local ones as free', () => {
+        expect(getModelPrice('openai', 'gpt-4o-mini')).toEqual({ input: 0.15, output: 0.60 });
+        expect(getModelPrice('anthropic', 'claude-sonnet-4-0')).toEqual({ input: 3, output: 15 });
+        expect(getModelPrice('openrouter', 'deepseek/deepseek-r1:free')).toEqual({ input: 0, output: 0 });
+        expect(getModelPrice('llamacpp', 'anything')).toEqual({ input: 0, output: 0 });
+        expect(getModelPrice('custom', 'my-model')).toBeNull();
+
+        expect(estimateCost('openai', 'gpt-4o-mini', { promptTokens: 1e6, completionTokens: 1e6 })).toBeCloseTo(0.75);
+
+        const totals = createUsageTotals();
+        addUsage(totals, call('openai', 'gpt-4o', 2000, 1000));
+        addUsage(totals, call('custom', 'my-model', 10, 10));
+        const { cost, unpriced } = getUsageCost(totals);
+        expect(cost).toBeCloseTo(0.015);
+        expect(unpriced).toEqual(['my-model']);
+        expect(summarizeUsage([call('custom', 'my-model', 10, 10, true)])).toEqual({ promptTokens: 10, completionTokens: 10, estimated: true, cost: null });
+    });
+
+    it('should format a report with costs and estimate marks', () => {
+        const totals = createUsageTotals();
+        addUsage(totals, call('openai', 'gpt-4o', 2000, 1000));
+        addUsage(totals, call('ollama', 'llama3.2', 500, 50, true));
+        const report = formatUsageReport(totals, 'Token usage');
+
+        expect(report).toContain('gpt-4o (OpenAI)');
+        expect(report).toContain('$0.0150');
+        expect(report).toContain('~');
+        expect(report).toMatch(/Total\s+2 calls\s+~\s*2,500 in/);
+        expect(formatUsageReport(createUsageTotals(), 'Empty')).toContain('No model calls yet');
+    });
+
+    it('should parse --since durations and dates', () => {
+        const now = Date.parse('2026-10-19T12:00:00Z');
+        expect(parseSince('7d', now).toISOString()).toBe('2026-10-12T12:00:00.000Z');
+        expect(parseSince('12h', now).toISOString()).toBe('2026-10-19T00:00:00.000Z');
+        expect(parseSince('2026-10-01', now).toISOString()).toBe('2026-10-01T00:00:00.000Z');
+        expect(parseSince('last week', now)).toBeNull();
+    });
+});